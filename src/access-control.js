@@ -1,3 +1,13 @@
+const { parseSlashCommand } = require('./message-utils');
+const {
+  MESSAGE_ROLE,
+  getCallbackCommand,
+  getCommandRole,
+  getScriptRole,
+  hasRole,
+  resolveUserRole,
+} = require('./roles');
+
 function parseAllowedUsersEnv(raw) {
   return new Set(
     String(raw || '')
@@ -9,23 +19,89 @@ function parseAllowedUsersEnv(raw) {
 }
 
 function createAccessControlMiddleware(allowedUserIds, options = {}) {
-  const allowed =
-    allowedUserIds instanceof Set ? allowedUserIds : new Set(allowedUserIds || []);
+  let resolveAllowed = allowedUserIds;
+  if (typeof allowedUserIds !== 'function') {
+    const allowed =
+      allowedUserIds instanceof Set ? allowedUserIds : new Set(allowedUserIds || []);
+    resolveAllowed = () => allowed;
+  }
   const onUnauthorized =
     typeof options.onUnauthorized === 'function' ? options.onUnauthorized : () => {};
 
-  return (ctx, next) => {
+  return async (ctx, next) => {
+    if (options.ready) await options.ready;
+    const allowed = resolveAllowed();
+    if (!allowed) return next();
     const userId = String(ctx?.from?.id ?? '');
     if (!userId || !allowed.has(userId)) {
-      onUnauthorized({ userId, username: ctx?.from?.username });
+      onUnauthorized({ userId, username: ctx?.from?.username }, ctx);
       return;
     }
     return next();
   };
 }
 
+function resolveRequiredRole(access, ctx) {
+  if (ctx?.callbackQuery) {
+    const command = getCallbackCommand(ctx.callbackQuery.data);
+    return {
+      label: 'this action',
+      role: (command && getCommandRole(access, command)) || MESSAGE_ROLE,
+    };
+  }
+  const slash = parseSlashCommand(ctx?.message?.text);
+  if (!slash) {
+    return { label: 'sending prompts', role: MESSAGE_ROLE };
+  }
+  const name = slash.name.toLowerCase();
+  const subcommand = slash.args.split(/\s+/)[0].toLowerCase();
+  const subcommandRole = subcommand ? access.commands[`${name} ${subcommand}`] : null;
+  const commandRole = getCommandRole(access, name, subcommand);
+  if (commandRole) {
+    return {
+      label: subcommandRole ? `/${name} ${subcommand}` : `/${name}`,
+      role: commandRole,
+    };
+  }
+  return { label: `/${name}`, role: getScriptRole(access, name) };
+}
+
+function createRoleMiddleware(options = {}) {
+  const { getAccessConfig, ready } = options;
+  const onDenied = typeof options.onDenied === 'function' ? options.onDenied : () => {};
+
+  return async (ctx, next) => {
+    if (ready) await ready;
+    const access = getAccessConfig();
+    if (!access?.enabled) return next();
+    const message = ctx?.message || ctx?.callbackQuery?.message;
+    const role = resolveUserRole(access, {
+      chatId: ctx?.chat?.id ?? message?.chat?.id,
+      topicId: message?.message_thread_id,
+      userId: ctx?.from?.id,
+    });
+    const required = resolveRequiredRole(access, ctx);
+    if (hasRole(role, required.role)) return next();
+
+    const userId = String(ctx?.from?.id ?? '');
+    onDenied({ userId, role, required: required.role, label: required.label });
+    const notice = role
+      ? `${required.label} requires the ${required.role} role (you are ${role}).`
+      : 'You are not allowed to use this bot.';
+    if (ctx?.callbackQuery && typeof ctx.answerCbQuery === 'function') {
+      await ctx.answerCbQuery(notice);
+      return;
+    }
+    if (role && typeof ctx?.reply === 'function') {
+      await ctx.reply(notice);
+    }
+  };
+}
+
 module.exports = {
   createAccessControlMiddleware,
+  createRoleMiddleware,
+  resolveRequiredRole,
   parseAllowedUsersEnv,
 };
 
@@ -0,0 +1,76 @@
+const { normalizeRole } = require('./roles');
+
+function createEmptyAccessUsers() {
+  return { users: {}, denied: {} };
+}
+
+function normalizeAccessUsers(value) {
+  const state = createEmptyAccessUsers();
+  if (!value || typeof value !== 'object') return state;
+  for (const [userId, entry] of Object.entries(value.users || {})) {
+    if (entry && typeof entry === 'object' && normalizeRole(entry.role)) {
+      state.users[String(userId)] = { ...entry, role: normalizeRole(entry.role) };
+    }
+  }
+  for (const [userId, entry] of Object.entries(value.denied || {})) {
+    state.denied[String(userId)] = entry && typeof entry === 'object' ? entry : {};
+  }
+  return state;
+}
+
+function setAccessUser(state, userId, role, details = {}) {
+  const id = String(userId);
+  const existing = state.users[id] || {};
+  state.users[id] = {
+    ...existing,
+    ...details,
+    role,
+    addedAt: existing.addedAt || new Date().toISOString(),
+  };
+  delete state.denied[id];
+  return state.users[id];
+}
+
+function setAccessUserChatRole(state, userId, chatKey, role) {
+  const entry = state.users[String(userId)];
+  if (!entry) return null;
+  entry.chats = { ...(entry.chats || {}), [String(chatKey)]: role };
+  return entry;
+}
+
+function removeAccessUser(state, userId) {
+  const id = String(userId);
+  if (!state.users[id]) return false;
+  delete state.users[id];
+  return true;
+}
+
+function denyAccessUser(state, userId, details = {}) {
+  const id = String(userId);
+  delete state.users[id];
+  state.denied[id] = { ...details, deniedAt: new Date().toISOString() };
+}
+
+function isAccessUserDenied(state, userId) {
+  return Object.hasOwn(state.denied, String(userId));
+}
+
+function mergeAccessUsers(configAccess, state) {
+  const access = configAccess && typeof configAccess === 'object' ? configAccess : {};
+  const users = { ...(access.users || {}) };
+  for (const [userId, entry] of Object.entries(state.users)) {
+    users[userId] = { role: entry.role, chats: entry.chats || {} };
+  }
+  return { ...access, users };
+}
+
+module.exports = {
+  createEmptyAccessUsers,
+  denyAccessUser,
+  isAccessUserDenied,
+  mergeAccessUsers,
+  normalizeAccessUsers,
+  removeAccessUser,
+  setAccessUser,
+  setAccessUserChatRole,
+};
@@ -0,0 +1,48 @@
+const { buildTopicKey } = require('./thread-store');
+
+function getAgentFallbackKey(chatId, topicId) {
+  return buildTopicKey(chatId, topicId);
+}
+
+function parseFallbackAgentIds(value) {
+  const raw = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  const seen = new Set();
+  const agentIds = [];
+  for (const item of raw) {
+    const agentId = String(item || '').trim().toLowerCase();
+    if (!agentId || seen.has(agentId)) continue;
+    seen.add(agentId);
+    agentIds.push(agentId);
+  }
+  return agentIds;
+}
+
+function getAgentFallbacks(fallbacks, chatId, topicId) {
+  return fallbacks.get(getAgentFallbackKey(chatId, topicId));
+}
+
+function setAgentFallbacks(fallbacks, chatId, topicId, agentIds) {
+  const key = getAgentFallbackKey(chatId, topicId);
+  fallbacks.set(key, parseFallbackAgentIds(agentIds));
+  return key;
+}
+
+function clearAgentFallbacks(fallbacks, chatId, topicId) {
+  return fallbacks.delete(getAgentFallbackKey(chatId, topicId));
+}
+
+function resolveFallbackChain(fallbacks, chatId, topicId, globalFallbacks = []) {
+  const topicFallbacks = getAgentFallbacks(fallbacks, chatId, topicId);
+  return parseFallbackAgentIds(
+    Array.isArray(topicFallbacks) ? topicFallbacks : globalFallbacks
+  );
+}
+
+module.exports = {
+  clearAgentFallbacks,
+  getAgentFallbackKey,
+  getAgentFallbacks,
+  parseFallbackAgentIds,
+  resolveFallbackChain,
+  setAgentFallbacks,
+};
@@ -1,7 +1,12 @@
-const { shellQuote, resolvePromptValue } = require('./utils');
+const {
+  buildUsage,
+  formatToolUse,
+  shellQuote,
+  resolvePromptValue,
+} = require('./utils');
 
 const CLAUDE_CMD = 'claude';
-const CLAUDE_OUTPUT_FORMAT = 'json';
+const CLAUDE_OUTPUT_FORMAT = 'stream-json';
 const CLAUDE_SESSION_ID_REGEX =
   /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 
@@ -31,6 +36,20 @@ function sanitizeSessionId(value) {
   return cleaned;
 }
 
+function extractUsage(payload) {
+  const usage = payload.usage || {};
+  const cacheRead = Number(usage.cache_read_input_tokens) || 0;
+  const cacheCreation = Number(usage.cache_creation_input_tokens) || 0;
+  const models = Object.keys(payload.modelUsage || {});
+  return buildUsage({
+    inputTokens: (Number(usage.input_tokens) || 0) + cacheRead + cacheCreation,
+    cachedInputTokens: cacheRead,
+    outputTokens: usage.output_tokens,
+    costUsd: payload.total_cost_usd,
+    model: models.length === 1 ? models[0] : undefined,
+  });
+}
+
 function buildCommand({ prompt, promptExpression, threadId }) {
   const promptValue = resolvePromptValue(prompt, promptExpression);
   const args = [
@@ -38,6 +57,7 @@ function buildCommand({ prompt, promptExpression, threadId }) {
     promptValue,
     '--output-format',
     CLAUDE_OUTPUT_FORMAT,
+    '--verbose',
     '--dangerously-skip-permissions',
   ];
   const safeThreadId = sanitizeSessionId(threadId);
@@ -47,29 +67,21 @@ function buildCommand({ prompt, promptExpression, threadId }) {
   return `${CLAUDE_CMD} ${args.join(' ')}`.trim();
 }
 
-function parseOutput(output) {
-  const cleaned = stripAnsi(output);
-  const trimmed = cleaned.trim();
-  if (!trimmed) return { text: '', threadId: undefined, sawJson: false };
-  let payload = safeJsonParse(trimmed);
-  if (!payload) {
-    const lines = trimmed.split(/\r?\n/).reverse();
-    for (const line of lines) {
-      if (!line.trim().startsWith('{')) continue;
-      payload = safeJsonParse(line.trim());
-      if (payload) break;
-    }
-  }
-  if (!payload || typeof payload !== 'object') {
-    return { text: trimmed, threadId: undefined, sawJson: false };
-  }
-  const threadId = sanitizeSessionId(
+function extractSessionId(payload) {
+  return sanitizeSessionId(
     payload.session_id ||
       payload.sessionId ||
       payload.conversation_id ||
       payload.conversationId ||
       undefined
   );
+}
+
+function isResultPayload(payload) {
+  return Boolean(payload) && typeof payload === 'object' && (!payload.type || payload.type === 'result');
+}
+
+function extractResultText(payload) {
   let text = payload.result;
   if (typeof text !== 'string') {
     text = payload.text;
@@ -80,18 +92,97 @@ function parseOutput(output) {
   if (typeof text !== 'string' && payload.structured_output != null) {
     text = JSON.stringify(payload.structured_output, null, 2);
   }
-  return { text: typeof text === 'string' ? text.trim() : '', threadId, sawJson: true };
+  return typeof text === 'string' ? text.trim() : '';
+}
+
+// stream-json emits one event per line: `system` init, `assistant` messages
+// with text and tool_use blocks, `user` tool results, and a final `result`.
+// Assistant text only counts as commentary once the model keeps working
+// after it; the last text block may be the answer itself.
+function collectEvents(output) {
+  const lines = stripAnsi(output).split(/\r?\n/);
+  const commentaryMessages = [];
+  let pendingTexts = [];
+  let resultPayload = null;
+  let sawJson = false;
+  let threadId;
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('{')) continue;
+    const payload = safeJsonParse(trimmed);
+    if (!payload || typeof payload !== 'object') continue;
+    sawJson = true;
+    threadId = extractSessionId(payload) || threadId;
+
+    if (payload.type === 'assistant') {
+      commentaryMessages.push(...pendingTexts);
+      pendingTexts = [];
+      const content = Array.isArray(payload.message?.content) ? payload.message.content : [];
+      for (const block of content) {
+        if (block?.type === 'text' && String(block.text || '').trim()) {
+          pendingTexts.push(String(block.text).trim());
+        } else if (block?.type === 'tool_use') {
+          commentaryMessages.push(...pendingTexts);
+          pendingTexts = [];
+          commentaryMessages.push(formatToolUse(block.name, block.input));
+        }
+      }
+      continue;
+    }
+
+    if (isResultPayload(payload)) {
+      resultPayload = payload;
+    }
+  }
+
+  return {
+    commentaryMessages,
+    pendingTexts,
+    resultPayload,
+    sawJson,
+    threadId,
+  };
+}
+
+function parseOutput(output) {
+  const trimmed = stripAnsi(output).trim();
+  if (!trimmed) return { text: '', threadId: undefined, sawJson: false };
+  const events = collectEvents(trimmed);
+  let payload = events.resultPayload;
+  if (!payload) {
+    const whole = safeJsonParse(trimmed);
+    payload = isResultPayload(whole) ? whole : null;
+  }
+  if (!payload) {
+    if (events.sawJson) {
+      return {
+        text: events.pendingTexts.join('\n\n').trim(),
+        threadId: events.threadId,
+        sawJson: true,
+      };
+    }
+    return { text: trimmed, threadId: undefined, sawJson: false };
+  }
+  const parsed = {
+    text: extractResultText(payload),
+    threadId: extractSessionId(payload) || events.threadId,
+    sawJson: true,
+  };
+  const usage = extractUsage(payload);
+  if (usage) parsed.usage = usage;
+  return parsed;
 }
 
 function parseStreamingOutput(output) {
-  const parsed = parseOutput(output);
-  const text = parsed.sawJson ? String(parsed.text || '').trim() : '';
+  const events = collectEvents(output);
+  const text = events.resultPayload ? extractResultText(events.resultPayload) : '';
   return {
     text,
-    threadId: parsed.threadId,
-    sawJson: parsed.sawJson,
-    sawFinal: parsed.sawJson && Boolean(text),
-    commentaryMessages: [],
+    threadId: events.threadId,
+    sawJson: events.sawJson,
+    sawFinal: Boolean(text),
+    commentaryMessages: events.commentaryMessages,
   };
 }
 
@@ -1,4 +1,4 @@
-const { shellQuote, resolvePromptValue } = require('./utils');
+const { buildUsage, shellQuote, resolvePromptValue } = require('./utils');
 
 const CODEX_CMD = 'codex';
 const BASE_ARGS = '--json --skip-git-repo-check --yolo';
@@ -78,6 +78,7 @@ function collectMessages(output) {
   let sawJson = false;
   let sawTurnCompleted = false;
   let sawExplicitFinal = false;
+  let usage;
   let buffer = '';
   for (const line of lines) {
     if (!buffer) {
@@ -102,6 +103,14 @@ function collectMessages(output) {
     }
     if (payload.type === 'turn.completed') {
       sawTurnCompleted = true;
+      if (payload.usage) {
+        usage = buildUsage({
+          inputTokens: payload.usage.input_tokens,
+          cachedInputTokens: payload.usage.cached_input_tokens,
+          outputTokens: payload.usage.output_tokens,
+          reasoningTokens: payload.usage.reasoning_output_tokens,
+        });
+      }
       continue;
     }
     if (payload.type === 'item.completed' && payload.item && typeof payload.item.text === 'string') {
@@ -181,14 +190,17 @@ function collectMessages(output) {
     sawJson,
     sawTurnCompleted,
     sawExplicitFinal,
+    usage,
   };
 }
 
 function parseOutput(output) {
-  const { threadId, allMessages, finalMessages, sawJson } = collectMessages(output);
+  const { threadId, allMessages, finalMessages, sawJson, usage } = collectMessages(output);
   const selected = finalMessages.length > 0 ? finalMessages : allMessages.slice(-1);
   const text = selected.join('\n').trim();
-  return { text, threadId, sawJson };
+  const parsed = { text, threadId, sawJson };
+  if (usage) parsed.usage = usage;
+  return parsed;
 }
 
 function parseStreamingOutput(output) {
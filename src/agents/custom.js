@@ -0,0 +1,271 @@
+const { shellQuote, resolvePromptValue } = require('./utils');
+
+const CUSTOM_AGENT_ID_REGEX = /^[a-z0-9][a-z0-9_-]*$/;
+const OUTPUT_FORMATS = ['plain', 'json', 'jsonl'];
+const PROTOCOLS = ['cli', 'acp'];
+
+function safeJsonParse(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function stripAnsi(value) {
+  return String(value || '')
+    .replace(/\x1B\[[0-9;?]*[ -/]*[@-~]/g, '')
+    .replace(/\x1B\][^\x07]*(?:\x07|\x1B\\)/g, '');
+}
+
+function readPath(payload, dotPath) {
+  if (!dotPath) return undefined;
+  let current = payload;
+  for (const key of String(dotPath).split('.')) {
+    if (current === undefined || current === null) return undefined;
+    current = Array.isArray(current) && /^-?\d+$/.test(key)
+      ? current.at(Number(key))
+      : current[key];
+  }
+  return current;
+}
+
+function readString(payload, dotPath) {
+  const value = readPath(payload, dotPath);
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : String(value);
+}
+
+function renderTemplate(template, values) {
+  return String(template || '').replace(/\{(\w+)\}/g, (match, key) =>
+    Object.hasOwn(values, key) ? values[key] : match
+  );
+}
+
+function hasPlaceholder(template, key) {
+  return String(template || '').includes(`{${key}}`);
+}
+
+function normalizeCustomAgentDefinition(id, definition) {
+  const normalizedId = String(id || '').trim().toLowerCase();
+  if (!CUSTOM_AGENT_ID_REGEX.test(normalizedId)) {
+    throw new Error(`Invalid custom agent id: ${id}`);
+  }
+  if (!definition || typeof definition !== 'object') {
+    throw new Error(`Custom agent ${normalizedId} must be an object`);
+  }
+  const command = String(definition.command || '').trim();
+  if (!command) {
+    throw new Error(`Custom agent ${normalizedId} is missing "command"`);
+  }
+  const protocol = String(definition.protocol || 'cli').trim().toLowerCase();
+  if (!PROTOCOLS.includes(protocol)) {
+    throw new Error(
+      `Custom agent ${normalizedId} has unsupported protocol: ${definition.protocol}`
+    );
+  }
+  if (protocol === 'acp') {
+    return {
+      id: normalizedId,
+      label: String(definition.label || normalizedId).trim(),
+      command,
+      protocol,
+    };
+  }
+  const output =
+    definition.output && typeof definition.output === 'object'
+      ? definition.output
+      : { format: definition.output || 'plain' };
+  const format = String(output.format || 'plain').trim().toLowerCase();
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(
+      `Custom agent ${normalizedId} has unsupported output format: ${output.format}`
+    );
+  }
+  const sessionId =
+    definition.sessionId && typeof definition.sessionId === 'object'
+      ? definition.sessionId
+      : {};
+  let sessionRegex = null;
+  if (sessionId.regex) {
+    try {
+      sessionRegex = new RegExp(String(sessionId.regex), 'g');
+    } catch (err) {
+      throw new Error(
+        `Custom agent ${normalizedId} has an invalid sessionId.regex: ${err.message}`
+      );
+    }
+  }
+
+  return {
+    id: normalizedId,
+    label: String(definition.label || normalizedId).trim(),
+    command,
+    protocol,
+    resumeFlag: String(definition.resumeFlag || '').trim(),
+    modelFlag: String(definition.modelFlag || '').trim(),
+    thinkingFlag: String(definition.thinkingFlag || '').trim(),
+    defaultModel: definition.defaultModel ? String(definition.defaultModel) : undefined,
+    needsPty: Boolean(definition.needsPty),
+    mergeStderr: Boolean(definition.mergeStderr),
+    output: {
+      format,
+      textPath: String(output.textPath || (format === 'plain' ? '' : 'text')),
+      typePath: String(output.typePath || ''),
+      textType: output.textType === undefined ? '' : String(output.textType),
+      join: output.join === undefined ? '\n' : String(output.join),
+    },
+    sessionId: {
+      path: String(sessionId.path || ''),
+      regex: sessionRegex,
+      listCommand: String(sessionId.listCommand || '').trim(),
+    },
+  };
+}
+
+function createCustomAgent(id, definition) {
+  const config = normalizeCustomAgentDefinition(id, definition);
+  if (config.protocol === 'acp') {
+    return {
+      id: config.id,
+      label: config.label,
+      custom: true,
+      backend: 'app-server',
+      protocol: config.protocol,
+      command: config.command,
+    };
+  }
+  const { output, sessionId } = config;
+
+  function extractSessionIdFromText(text) {
+    if (!sessionId.regex) return undefined;
+    let lastId;
+    for (const match of String(text || '').matchAll(sessionId.regex)) {
+      const value = match[1] ?? match[0];
+      if (value) lastId = String(value).trim();
+    }
+    return lastId || undefined;
+  }
+
+  function buildCommand({ prompt, promptExpression, threadId, model, thinking }) {
+    const promptValue = resolvePromptValue(prompt, promptExpression);
+    const resume =
+      threadId && config.resumeFlag
+        ? renderTemplate(config.resumeFlag, { threadId: shellQuote(threadId) })
+        : '';
+    const modelToUse = model || config.defaultModel;
+    const modelFlag =
+      modelToUse && config.modelFlag
+        ? renderTemplate(config.modelFlag, { model: shellQuote(modelToUse) })
+        : '';
+    const thinkingFlag =
+      thinking && config.thinkingFlag
+        ? renderTemplate(config.thinkingFlag, { thinking: shellQuote(thinking) })
+        : '';
+    let command = renderTemplate(config.command, {
+      prompt: promptValue,
+      resume,
+      modelFlag,
+      thinkingFlag,
+    });
+    const missing = [
+      hasPlaceholder(config.command, 'modelFlag') ? '' : modelFlag,
+      hasPlaceholder(config.command, 'thinkingFlag') ? '' : thinkingFlag,
+      hasPlaceholder(config.command, 'resume') ? '' : resume,
+      hasPlaceholder(config.command, 'prompt') ? '' : promptValue,
+    ].filter(Boolean);
+    if (missing.length > 0) {
+      command = `${command} ${missing.join(' ')}`;
+    }
+    return command.replace(/[ \t]+/g, ' ').trim();
+  }
+
+  function parseJsonOutput(trimmed) {
+    let payload = safeJsonParse(trimmed);
+    if (!payload) {
+      for (const line of trimmed.split(/\r?\n/).reverse()) {
+        if (!line.trim().startsWith('{')) continue;
+        payload = safeJsonParse(line.trim());
+        if (payload) break;
+      }
+    }
+    if (!payload || typeof payload !== 'object') {
+      return { text: trimmed, threadId: extractSessionIdFromText(trimmed), sawJson: false };
+    }
+    const threadId =
+      readString(payload, sessionId.path) || extractSessionIdFromText(trimmed);
+    return {
+      text: readString(payload, output.textPath).trim(),
+      threadId: threadId || undefined,
+      sawJson: true,
+    };
+  }
+
+  function parseJsonlOutput(trimmed) {
+    const textParts = [];
+    let threadId;
+    let sawJson = false;
+    for (const line of trimmed.split(/\r?\n/)) {
+      const candidate = line.trim();
+      if (!candidate.startsWith('{')) continue;
+      const event = safeJsonParse(candidate);
+      if (!event || typeof event !== 'object') continue;
+      sawJson = true;
+      const eventThreadId = readString(event, sessionId.path);
+      if (eventThreadId) threadId = eventThreadId;
+      if (
+        output.typePath
+        && output.textType
+        && readString(event, output.typePath) !== output.textType
+      ) {
+        continue;
+      }
+      const text = readString(event, output.textPath);
+      if (text) textParts.push(text);
+    }
+    if (!sawJson) {
+      return { text: trimmed, threadId: extractSessionIdFromText(trimmed), sawJson: false };
+    }
+    return {
+      text: textParts.join(output.join).trim(),
+      threadId: threadId || extractSessionIdFromText(trimmed),
+      sawJson: true,
+    };
+  }
+
+  function parseOutput(rawOutput) {
+    const trimmed = stripAnsi(rawOutput).trim();
+    if (!trimmed) return { text: '', threadId: undefined, sawJson: false };
+    if (output.format === 'json') return parseJsonOutput(trimmed);
+    if (output.format === 'jsonl') return parseJsonlOutput(trimmed);
+    return {
+      text: trimmed,
+      threadId: extractSessionIdFromText(trimmed),
+      sawJson: false,
+    };
+  }
+
+  const agent = {
+    id: config.id,
+    label: config.label,
+    custom: true,
+    needsPty: config.needsPty,
+    mergeStderr: config.mergeStderr,
+    buildCommand,
+    parseOutput,
+  };
+  if (config.defaultModel) {
+    agent.defaultModel = config.defaultModel;
+  }
+  if (sessionId.listCommand) {
+    agent.listSessionsCommand = () => sessionId.listCommand;
+    agent.parseSessionList = (listOutput) =>
+      extractSessionIdFromText(stripAnsi(listOutput));
+  }
+  return agent;
+}
+
+module.exports = {
+  createCustomAgent,
+  normalizeCustomAgentDefinition,
+};
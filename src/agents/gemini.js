@@ -1,4 +1,4 @@
-const { resolvePromptValue } = require('./utils');
+const { buildUsage, resolvePromptValue } = require('./utils');
 
 const GEMINI_CMD = 'gemini';
 const GEMINI_OUTPUT_FORMAT = 'json';
@@ -12,6 +12,23 @@ function safeJsonParse(value) {
   }
 }
 
+function extractUsage(payload) {
+  const models = Object.entries(payload.stats?.models || {});
+  const totals = { prompt: 0, cached: 0, candidates: 0, thoughts: 0 };
+  for (const [, stats] of models) {
+    for (const key of Object.keys(totals)) {
+      totals[key] += Number(stats?.tokens?.[key]) || 0;
+    }
+  }
+  return buildUsage({
+    inputTokens: totals.prompt,
+    cachedInputTokens: totals.cached,
+    outputTokens: totals.candidates,
+    reasoningTokens: totals.thoughts,
+    model: models.length === 1 ? models[0][0] : undefined,
+  });
+}
+
 function buildCommand({ prompt, promptExpression, threadId }) {
   const promptValue = resolvePromptValue(prompt, promptExpression);
   const args = ['-p', promptValue, '--output-format', GEMINI_OUTPUT_FORMAT, '--yolo'];
@@ -32,7 +49,10 @@ function parseOutput(output) {
     return { text: String(payload.error.message), threadId: undefined, sawJson: true };
   }
   const response = typeof payload.response === 'string' ? payload.response.trim() : '';
-  return { text: response, threadId: undefined, sawJson: true };
+  const parsed = { text: response, threadId: undefined, sawJson: true };
+  const usage = extractUsage(payload);
+  if (usage) parsed.usage = usage;
+  return parsed;
 }
 
 function parseStreamingOutput(output) {
@@ -3,6 +3,7 @@ const codexApp = require('./codex-app');
 const claude = require('./claude');
 const gemini = require('./gemini');
 const opencode = require('./opencode');
+const { createCustomAgent } = require('./custom');
 
 const agents = new Map([
   [codex.id, codex],
@@ -12,8 +13,36 @@ const agents = new Map([
   [opencode.id, opencode],
 ]);
 
+const BUILT_IN_AGENT_IDS = new Set(agents.keys());
 const DEFAULT_AGENT = codex.id;
 
+function registerCustomAgents(definitions, logger = console) {
+  for (const id of Array.from(agents.keys())) {
+    if (!BUILT_IN_AGENT_IDS.has(id)) agents.delete(id);
+  }
+  const registered = [];
+  if (!definitions || typeof definitions !== 'object') return registered;
+  for (const [id, definition] of Object.entries(definitions)) {
+    const normalizedId = String(id || '').trim().toLowerCase();
+    if (BUILT_IN_AGENT_IDS.has(normalizedId)) {
+      logger.warn(`Ignoring custom agent "${id}": it collides with a built-in agent`);
+      continue;
+    }
+    try {
+      const agent = createCustomAgent(normalizedId, definition);
+      agents.set(agent.id, agent);
+      registered.push(agent.id);
+    } catch (err) {
+      logger.warn(`Ignoring custom agent "${id}": ${err.message}`);
+    }
+  }
+  return registered;
+}
+
+function listAgentIds() {
+  return Array.from(agents.keys());
+}
+
 function normalizeAgent(value) {
   if (!value) return DEFAULT_AGENT;
   const normalized = String(value).trim().toLowerCase();
@@ -44,4 +73,6 @@ module.exports = {
   isKnownAgent,
   getAgent,
   getAgentLabel,
+  listAgentIds,
+  registerCustomAgents,
 };
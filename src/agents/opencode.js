@@ -1,4 +1,9 @@
-const { shellQuote, resolvePromptValue } = require('./utils');
+const {
+  buildUsage,
+  formatToolUse,
+  shellQuote,
+  resolvePromptValue,
+} = require('./utils');
 
 const OPENCODE_CMD = 'opencode';
 const OPENCODE_PERMISSION = '{"*": "allow"}';
@@ -34,10 +39,18 @@ function buildCommand({ prompt, promptExpression, threadId, model }) {
   return `OPENCODE_PERMISSION=${shellQuote(OPENCODE_PERMISSION)} ${command} < /dev/null`;
 }
 
-function parseOutput(output) {
+// `opencode run --format json` already streams one event per line: `text`
+// and `tool_use` parts, closed by a `step_finish` whose reason is
+// `tool-calls` while the model keeps working. Text from those steps is
+// commentary; text from the last step is the answer.
+function collectEvents(output) {
   const lines = String(output || '').split(/\r?\n/);
   let threadId;
-  const textParts = [];
+  const commentaryMessages = [];
+  let stepTexts = [];
+  let finalTexts = [];
+  let sawFinal = false;
+  const tokens = { input: 0, cached: 0, output: 0, reasoning: 0, cost: 0 };
   let sawJson = false;
 
   for (const line of lines) {
@@ -57,11 +70,49 @@ function parseOutput(output) {
     }
 
     if (payload.type === 'text' && payload.part && payload.part.text) {
-      textParts.push(payload.part.text);
+      stepTexts.push(payload.part.text);
+    }
+
+    if (payload.type === 'tool_use' && payload.part) {
+      const state = payload.part.state || {};
+      const textBefore = stepTexts.join('').trim();
+      stepTexts = [];
+      if (textBefore) commentaryMessages.push(textBefore);
+      commentaryMessages.push(formatToolUse(payload.part.tool, state.input));
+    }
+
+    if (payload.type === 'step_finish' && payload.part) {
+      const stepTokens = payload.part.tokens || {};
+      const cacheRead = Number(stepTokens.cache?.read) || 0;
+      tokens.input += (Number(stepTokens.input) || 0) + cacheRead;
+      tokens.cached += cacheRead;
+      tokens.output += Number(stepTokens.output) || 0;
+      tokens.reasoning += Number(stepTokens.reasoning) || 0;
+      tokens.cost += Number(payload.part.cost) || 0;
+
+      const stepText = stepTexts.join('').trim();
+      stepTexts = [];
+      if (payload.part.reason === 'tool-calls') {
+        if (stepText) commentaryMessages.push(stepText);
+      } else if (stepText) {
+        finalTexts = [stepText];
+        sawFinal = true;
+      }
     }
   }
 
-  const text = textParts.join('').trim();
+  return {
+    commentaryMessages,
+    sawFinal,
+    sawJson,
+    text: [...finalTexts, ...stepTexts].join('').trim(),
+    threadId,
+    tokens,
+  };
+}
+
+function parseOutput(output) {
+  const { sawJson, text, threadId, tokens } = collectEvents(output);
 
   if (!sawJson) {
     return {
@@ -71,7 +122,27 @@ function parseOutput(output) {
     };
   }
 
-  return { text, threadId, sawJson: true };
+  const parsed = { text, threadId, sawJson: true };
+  const usage = buildUsage({
+    inputTokens: tokens.input,
+    cachedInputTokens: tokens.cached,
+    outputTokens: tokens.output,
+    reasoningTokens: tokens.reasoning,
+    costUsd: tokens.cost,
+  });
+  if (usage) parsed.usage = usage;
+  return parsed;
+}
+
+function parseStreamingOutput(output) {
+  const { commentaryMessages, sawFinal, sawJson, text, threadId } = collectEvents(output);
+  return {
+    text: sawFinal ? text : '',
+    threadId,
+    sawJson,
+    sawFinal: sawFinal && Boolean(text),
+    commentaryMessages,
+  };
 }
 
 function listModelsCommand() {
@@ -98,6 +169,7 @@ module.exports = {
   mergeStderr: false,
   buildCommand,
   parseOutput,
+  parseStreamingOutput,
   listModelsCommand,
   parseModelList,
   defaultModel: DEFAULT_MODEL,
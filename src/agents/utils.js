@@ -8,7 +8,54 @@ function resolvePromptValue(prompt, promptExpression) {
   return shellQuote(prompt);
 }
 
+function toTokenCount(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? Math.round(parsed) : 0;
+}
+
+function buildUsage({
+  inputTokens,
+  cachedInputTokens,
+  outputTokens,
+  reasoningTokens,
+  costUsd,
+  model,
+} = {}) {
+  const usage = {
+    inputTokens: toTokenCount(inputTokens),
+    cachedInputTokens: toTokenCount(cachedInputTokens),
+    outputTokens: toTokenCount(outputTokens),
+    reasoningTokens: toTokenCount(reasoningTokens),
+  };
+  const cost = Number(costUsd);
+  if (Number.isFinite(cost) && cost > 0) usage.costUsd = cost;
+  if (model) usage.model = String(model);
+  const hasData =
+    usage.inputTokens > 0
+    || usage.outputTokens > 0
+    || usage.costUsd !== undefined;
+  return hasData ? usage : undefined;
+}
+
+const TOOL_INPUT_KEYS = ['command', 'file_path', 'filePath', 'path', 'pattern', 'url', 'query'];
+const MAX_TOOL_DETAIL_LENGTH = 80;
+
+function formatToolUse(name, input) {
+  const label = String(name || '').trim() || 'tool';
+  let detail = '';
+  if (input && typeof input === 'object') {
+    const key = TOOL_INPUT_KEYS.find((candidate) => typeof input[candidate] === 'string');
+    detail = key ? input[key].replace(/\s+/g, ' ').trim() : '';
+  }
+  if (detail.length > MAX_TOOL_DETAIL_LENGTH) {
+    detail = `${detail.slice(0, MAX_TOOL_DETAIL_LENGTH - 1)}…`;
+  }
+  return detail ? `Usando herramienta: ${label} (${detail})` : `Usando herramienta: ${label}`;
+}
+
 module.exports = {
+  buildUsage,
+  formatToolUse,
   shellQuote,
   resolvePromptValue,
 };
@@ -1,7 +1,18 @@
 function bootstrapApp(options) {
-  const { bot, initializeApp, installShutdownHooks, syncBotCommands } = options;
+  const {
+    bot,
+    initializeApp,
+    installShutdownHooks,
+    startHttpServer,
+    syncBotCommands,
+  } = options;
 
   initializeApp();
+  if (typeof startHttpServer === 'function') {
+    Promise.resolve(startHttpServer()).catch((err) => {
+      console.error('Failed to start HTTP API:', err);
+    });
+  }
   Promise.resolve(bot.launch())
     .then(async () => {
       if (typeof syncBotCommands === 'function') {
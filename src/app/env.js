@@ -55,33 +55,87 @@ const MEMORY_CURATE_EVERY = readNumberEnv(
   process.env.AIPAL_MEMORY_CURATE_EVERY,
   20
 );
+const MEMORY_CURATION_MODE = String(process.env.AIPAL_MEMORY_CURATION || 'keywords')
+  .trim()
+  .toLowerCase();
+const MEMORY_EMBEDDER = String(process.env.AIPAL_MEMORY_EMBEDDER || 'off')
+  .trim()
+  .toLowerCase();
+const MEMORY_EMBED_COMMAND = String(process.env.AIPAL_MEMORY_EMBED_COMMAND || '').trim();
+const MEMORY_EMBED_MODEL = String(process.env.AIPAL_MEMORY_EMBED_MODEL || '').trim();
+const MEMORY_RETENTION_DAYS = readNumberEnv(
+  process.env.AIPAL_MEMORY_RETENTION_DAYS,
+  0
+);
+const MEMORY_MAX_THREAD_BYTES = readNumberEnv(
+  process.env.AIPAL_MEMORY_MAX_THREAD_BYTES,
+  0
+);
+const USAGE_RETENTION_DAYS = readNumberEnv(
+  process.env.AIPAL_USAGE_RETENTION_DAYS,
+  90
+);
 const MEMORY_RETRIEVAL_LIMIT = readNumberEnv(
   process.env.AIPAL_MEMORY_RETRIEVAL_LIMIT,
   8
 );
+const CODEX_APP_HEARTBEAT_MS = readNumberEnv(
+  process.env.AIPAL_CODEX_APP_HEARTBEAT_MS,
+  30000
+);
+const CODEX_APP_HEARTBEAT_TIMEOUT_MS = readNumberEnv(
+  process.env.AIPAL_CODEX_APP_HEARTBEAT_TIMEOUT_MS,
+  10000
+);
+const CODEX_APP_RESTART_MAX_DELAY_MS = readNumberEnv(
+  process.env.AIPAL_CODEX_APP_RESTART_MAX_DELAY_MS,
+  60000
+);
 const SHUTDOWN_DRAIN_TIMEOUT_MS = readNumberEnv(
   process.env.AIPAL_SHUTDOWN_DRAIN_TIMEOUT_MS,
   120000
 );
+const HTTP_PORT = readNumberEnv(process.env.AIPAL_HTTP_PORT, 0);
+const HTTP_HOST = process.env.AIPAL_HTTP_HOST || '127.0.0.1';
+const HTTP_TOKEN = String(process.env.AIPAL_HTTP_TOKEN || '').trim();
+const TRANSPORT = String(process.env.AIPAL_TRANSPORT || 'telegram')
+  .trim()
+  .toLowerCase();
+const LOCAL_CHAT_ID = readNumberEnv(process.env.AIPAL_LOCAL_CHAT_ID, 1);
 const SCRIPT_NAME_REGEX = /^[A-Za-z0-9_-]+$/;
 
 module.exports = {
   AGENT_MAX_BUFFER,
   AGENT_POST_FINAL_GRACE_MS,
   AGENT_TIMEOUT_MS,
+  CODEX_APP_HEARTBEAT_MS,
+  CODEX_APP_HEARTBEAT_TIMEOUT_MS,
+  CODEX_APP_RESTART_MAX_DELAY_MS,
   DOCUMENT_CLEANUP_INTERVAL_MS,
   DOCUMENT_DIR,
   DOCUMENT_TTL_HOURS,
   FILE_INSTRUCTIONS_EVERY,
+  HTTP_HOST,
+  HTTP_PORT,
+  HTTP_TOKEN,
   IMAGE_CLEANUP_INTERVAL_MS,
   IMAGE_DIR,
   IMAGE_TTL_HOURS,
+  LOCAL_CHAT_ID,
   MEMORY_CURATE_EVERY,
+  MEMORY_CURATION_MODE,
+  MEMORY_EMBED_COMMAND,
+  MEMORY_EMBED_MODEL,
+  MEMORY_EMBEDDER,
+  MEMORY_MAX_THREAD_BYTES,
+  MEMORY_RETENTION_DAYS,
   MEMORY_RETRIEVAL_LIMIT,
   SCRIPT_NAME_REGEX,
   SCRIPTS_DIR,
   SCRIPT_TIMEOUT_MS,
   SHUTDOWN_DRAIN_TIMEOUT_MS,
+  TRANSPORT,
+  USAGE_RETENTION_DAYS,
   WHISPER_CMD,
   WHISPER_LANGUAGE,
   WHISPER_MODEL,
@@ -3,21 +3,36 @@ function initializeApp(options) {
     handleCronTrigger,
     notifyCronAlert,
     hydrateGlobalSettings,
+    loadAgentFallbacks,
     loadAgentOverrides,
     loadThreads,
+    restorePendingRequests,
+    setAgentFallbacks,
     setAgentOverrides,
     setCronDefaultChatId,
     setCronScheduler,
     setOneShotScheduler,
     setThreads,
+    startCodexAppServerSupervisor,
     startCronScheduler,
     startOneShotScheduler,
     startDocumentCleanup,
     startImageCleanup,
+    startMemoryRetention,
+    startUsageRetention,
   } = options;
 
   startImageCleanup();
   startDocumentCleanup();
+  if (typeof startMemoryRetention === 'function') {
+    startMemoryRetention();
+  }
+  if (typeof startUsageRetention === 'function') {
+    startUsageRetention();
+  }
+  if (typeof startCodexAppServerSupervisor === 'function') {
+    startCodexAppServerSupervisor();
+  }
 
   loadThreads()
     .then((loaded) => {
@@ -33,6 +48,25 @@ function initializeApp(options) {
     })
     .catch((err) => console.warn('Failed to load agent overrides:', err));
 
+  if (typeof loadAgentFallbacks === 'function') {
+    loadAgentFallbacks()
+      .then((loaded) => {
+        setAgentFallbacks(loaded);
+        console.info(`Loaded ${loaded.size} agent fallback chain(s) from disk`);
+      })
+      .catch((err) => console.warn('Failed to load agent fallbacks:', err));
+  }
+
+  if (typeof restorePendingRequests === 'function') {
+    restorePendingRequests()
+      .then((restored) => {
+        if (restored > 0) {
+          console.info(`Marked ${restored} stale approval/elicitation card(s) as expired`);
+        }
+      })
+      .catch((err) => console.warn('Failed to restore pending requests:', err));
+  }
+
   hydrateGlobalSettings()
     .then((config) => {
       const cronDefaultChatId = config.cronChatId || null;
@@ -74,6 +108,7 @@ function installShutdownHooks(options) {
     getQueues,
     shutdownDrainTimeoutMs,
     stopCodexAppServer,
+    stopHttpServer,
   } = options;
 
   let shutdownStarted = false;
@@ -106,6 +141,16 @@ function installShutdownHooks(options) {
       console.warn('Failed to stop one-shot scheduler:', err);
     }
 
+    try {
+      if (stopHttpServer) {
+        Promise.resolve(stopHttpServer()).catch((err) =>
+          console.warn('Failed to stop HTTP API:', err)
+        );
+      }
+    } catch (err) {
+      console.warn('Failed to trigger HTTP API stop:', err);
+    }
+
     try {
       if (stopCodexAppServer) {
         Promise.resolve(stopCodexAppServer()).catch((err) =>
@@ -1,3 +1,4 @@
+const { registerCompareCommand } = require('../commands/compare');
 const { registerCronCommand } = require('../commands/cron');
 const { registerHelpCommands } = require('../commands/help');
 const { registerLaterCommand } = require('../commands/later');
@@ -7,6 +8,10 @@ const { registerRunsCommand } = require('../commands/runs');
 const { registerSendToCodexCommand } = require('../commands/send-to-codex');
 const { registerSettingsCommands } = require('../commands/settings');
 const { registerStopCommand } = require('../commands/stop');
+const { registerTraceCommands } = require('../commands/trace');
+const { registerUsageCommand } = require('../commands/usage');
+const { registerUsersCommand } = require('../commands/users');
+const { registerWorkspaceCommand } = require('../commands/workspace');
 
 function registerCommands(options) {
   registerHelpCommands(options);
@@ -14,9 +19,14 @@ function registerCommands(options) {
   registerResumeCommand(options);
   registerSendToCodexCommand(options);
   registerStopCommand(options);
+  registerTraceCommands(options);
+  registerWorkspaceCommand(options);
+  registerCompareCommand(options);
   registerCronCommand(options);
   registerLaterCommand(options);
   registerRunsCommand(options);
+  registerUsageCommand(options);
+  registerUsersCommand(options);
   registerMemoryCommand(options);
 }
 
@@ -0,0 +1,197 @@
+const os = require('os');
+const path = require('path');
+
+const APPROVAL_ACTIONS = ['allow', 'deny', 'ask'];
+const RULE_KINDS = {
+  command: 'command_execution',
+  command_execution: 'command_execution',
+  file_change: 'file_change',
+  permissions: 'permissions',
+};
+// Operators, substitutions and redirections that let a command line do more
+// than the part a rule's pattern matched.
+const SHELL_CONTROL_PATTERN = /[;&|`<>\n\r]|\$\(/;
+
+function normalizeGlobList(value) {
+  const list = Array.isArray(value) ? value : value ? [value] : [];
+  return list.map((entry) => String(entry).trim()).filter(Boolean);
+}
+
+function normalizeApprovalRule(value, index, logger) {
+  const label = `approval rule #${index + 1}`;
+  if (!value || typeof value !== 'object') {
+    logger.warn(`Ignoring ${label}: expected an object`);
+    return null;
+  }
+  const action = String(value.action || '').trim().toLowerCase();
+  if (!APPROVAL_ACTIONS.includes(action)) {
+    logger.warn(`Ignoring ${label}: unknown action "${value.action}"`);
+    return null;
+  }
+  let kind = null;
+  if (value.kind !== undefined) {
+    kind = RULE_KINDS[String(value.kind).trim().toLowerCase()] || null;
+    if (!kind) {
+      logger.warn(`Ignoring ${label}: unknown kind "${value.kind}"`);
+      return null;
+    }
+  }
+  let command = null;
+  if (value.command !== undefined) {
+    try {
+      command = new RegExp(String(value.command));
+    } catch (err) {
+      logger.warn(`Ignoring ${label}: invalid command regex (${err.message})`);
+      return null;
+    }
+  }
+  return {
+    action,
+    command,
+    cwd: normalizeGlobList(value.cwd),
+    kind,
+    name: String(value.name || '').trim() || `#${index + 1}`,
+    paths: value.paths === undefined ? null : normalizeGlobList(value.paths),
+    read: normalizeGlobList(value.read),
+    write: normalizeGlobList(value.write),
+    network: typeof value.network === 'boolean' ? value.network : null,
+  };
+}
+
+function normalizeApprovalRules(value, logger = console) {
+  const config = value && typeof value === 'object' ? value : {};
+  const defaultAction = String(config.default || 'ask').trim().toLowerCase();
+  const rules = (Array.isArray(config.rules) ? config.rules : [])
+    .map((rule, index) => normalizeApprovalRule(rule, index, logger))
+    .filter(Boolean);
+  if (!APPROVAL_ACTIONS.includes(defaultAction)) {
+    logger.warn(`Unknown default approval action "${config.default}", using "ask"`);
+  }
+  return {
+    defaultAction: APPROVAL_ACTIONS.includes(defaultAction) ? defaultAction : 'ask',
+    rules,
+  };
+}
+
+function expandHome(value) {
+  if (value === '~') return os.homedir();
+  if (value.startsWith('~/')) return path.join(os.homedir(), value.slice(2));
+  return value;
+}
+
+function resolveAgainst(value, cwd) {
+  const expanded = expandHome(String(value));
+  if (path.isAbsolute(expanded) || !cwd) return expanded;
+  return path.join(cwd, expanded);
+}
+
+function matchesAnyGlob(filePath, globs, cwd) {
+  const target = resolveAgainst(filePath, cwd);
+  return globs.some((glob) => path.matchesGlob(target, resolveAgainst(glob, cwd)));
+}
+
+// Allow and ask rules only cover a request when every path is listed; deny
+// rules fire as soon as one path is.
+function matchesPaths(paths, globs, action, cwd) {
+  if (action === 'deny') return paths.some((entry) => matchesAnyGlob(entry, globs, cwd));
+  return paths.every((entry) => matchesAnyGlob(entry, globs, cwd));
+}
+
+function getRequestCommand(request) {
+  if (Array.isArray(request.command)) return request.command.join(' ');
+  return typeof request.command === 'string' ? request.command : '';
+}
+
+function getRequestCwd(request) {
+  return request.cwd || request.grantRoot || '';
+}
+
+function getRequestPaths(request) {
+  const changes = Array.isArray(request.item?.changes) ? request.item.changes : [];
+  return changes.map((change) => change?.path).filter(Boolean);
+}
+
+function getRequestNetwork(request) {
+  if (request.kind === 'permissions') return Boolean(request.permissions?.network?.enabled);
+  const network = request.networkApprovalContext;
+  return Boolean(network?.host || network?.protocol);
+}
+
+function getRequestScopes(request) {
+  const fileSystem = request.permissions?.fileSystem || {};
+  return {
+    read: Array.isArray(fileSystem.read) ? fileSystem.read : [],
+    write: Array.isArray(fileSystem.write) ? fileSystem.write : [],
+  };
+}
+
+function matchesPermissionScopes(rule, request, cwd) {
+  const { read, write } = getRequestScopes(request);
+  const network = getRequestNetwork(request);
+  if (rule.action === 'deny') {
+    if (rule.read.length === 0 && rule.write.length === 0 && rule.network !== true) return true;
+    return (
+      (rule.read.length > 0 && matchesPaths(read, rule.read, 'deny', cwd))
+      || (rule.write.length > 0 && matchesPaths(write, rule.write, 'deny', cwd))
+      || (rule.network === true && network)
+    );
+  }
+  if (network && rule.network !== true) return false;
+  return (
+    matchesPaths(read, rule.read, rule.action, cwd)
+    && matchesPaths(write, rule.write, rule.action, cwd)
+  );
+}
+
+function matchesApprovalRule(rule, request) {
+  if (rule.kind && rule.kind !== request.kind) return false;
+  const cwd = getRequestCwd(request);
+  if (rule.cwd.length > 0 && (!cwd || !matchesAnyGlob(cwd, rule.cwd))) return false;
+
+  if (request.kind === 'permissions') {
+    if (rule.command || rule.paths) return false;
+    return matchesPermissionScopes(rule, request, cwd);
+  }
+  if (rule.command) {
+    if (request.kind !== 'command_execution') return false;
+    const commandLine = getRequestCommand(request);
+    if (!rule.command.test(commandLine)) return false;
+    // Deny rules fire on any match; allow and ask rules only vouch for a
+    // single plain command, so chained or redirected ones fall through.
+    if (rule.action !== 'deny' && SHELL_CONTROL_PATTERN.test(commandLine)) return false;
+  }
+  if (rule.paths) {
+    if (request.kind !== 'file_change') return false;
+    if (!matchesPaths(getRequestPaths(request), rule.paths, rule.action, cwd)) return false;
+  }
+  const network = getRequestNetwork(request);
+  if (rule.action === 'deny') return rule.network !== true || network;
+  return !network || rule.network === true;
+}
+
+function resolveApprovalRule(config, request) {
+  for (const rule of config.rules) {
+    if (matchesApprovalRule(rule, request)) {
+      return { action: rule.action, rule: rule.name };
+    }
+  }
+  return { action: config.defaultAction, rule: 'default' };
+}
+
+function describeApprovalRequest(request) {
+  const { read, write } = getRequestScopes(request);
+  return {
+    command: getRequestCommand(request) || null,
+    cwd: getRequestCwd(request) || null,
+    network: getRequestNetwork(request),
+    paths: request.kind === 'permissions' ? [...read, ...write] : getRequestPaths(request),
+  };
+}
+
+module.exports = {
+  APPROVAL_ACTIONS,
+  describeApprovalRequest,
+  matchesApprovalRule,
+  normalizeApprovalRules,
+  resolveApprovalRule,
+};
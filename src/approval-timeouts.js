@@ -0,0 +1,75 @@
+const TIMEOUT_DECISIONS = ['decline', 'cancel', 'accept'];
+const TIMEOUT_KINDS = {
+  command: 'command_execution',
+  file_change: 'file_change',
+  permissions: 'permissions',
+};
+
+function normalizeSeconds(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+function normalizeTimeoutEntry(value, label, base, logger) {
+  if (value === undefined) return base;
+  if (!value || typeof value !== 'object') {
+    logger.warn(`Ignoring approval timeout "${label}": expected an object`);
+    return base;
+  }
+  const entry = { ...base };
+  if (value.timeoutSeconds !== undefined) {
+    entry.timeoutSeconds = normalizeSeconds(value.timeoutSeconds);
+  }
+  if (value.reminderSeconds !== undefined) {
+    entry.reminderSeconds = normalizeSeconds(value.reminderSeconds);
+  }
+  if (value.decision !== undefined) {
+    const decision = String(value.decision).trim().toLowerCase();
+    if (TIMEOUT_DECISIONS.includes(decision)) {
+      entry.decision = decision;
+    } else {
+      logger.warn(`Ignoring approval timeout decision "${value.decision}" for "${label}"`);
+    }
+  }
+  return entry;
+}
+
+function normalizeApprovalTimeouts(value, logger = console) {
+  const config = value && typeof value === 'object' ? value : {};
+  const base = normalizeTimeoutEntry(
+    config.default,
+    'default',
+    { decision: 'decline', reminderSeconds: null, timeoutSeconds: null },
+    logger
+  );
+  const kinds = {};
+  for (const [name, kind] of Object.entries(TIMEOUT_KINDS)) {
+    kinds[kind] = normalizeTimeoutEntry(config[name], name, base, logger);
+  }
+  for (const name of Object.keys(config)) {
+    if (name !== 'default' && !TIMEOUT_KINDS[name]) {
+      logger.warn(`Ignoring approval timeout for unknown kind "${name}"`);
+    }
+  }
+  return kinds;
+}
+
+function resolveApprovalTimeout(config, kind) {
+  const entry = config?.[kind];
+  if (!entry?.timeoutSeconds) return null;
+  const reminderSeconds =
+    entry.reminderSeconds && entry.reminderSeconds < entry.timeoutSeconds
+      ? entry.reminderSeconds
+      : null;
+  return {
+    decision: entry.decision,
+    reminderMs: reminderSeconds ? reminderSeconds * 1000 : null,
+    timeoutMs: entry.timeoutSeconds * 1000,
+  };
+}
+
+module.exports = {
+  TIMEOUT_DECISIONS,
+  normalizeApprovalTimeouts,
+  resolveApprovalTimeout,
+};
@@ -0,0 +1,251 @@
+const { buildTopicKey } = require('./thread-store');
+const { getCronJobIdFromContextKey } = require('./services/usage-store');
+
+const BUDGET_SCOPES = ['chat', 'topic', 'user', 'job'];
+const BUDGET_PERIODS = ['day', 'month'];
+const BUDGET_ACTIONS = ['block', 'downgrade'];
+
+function normalizeLimitValue(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0) return undefined;
+  return Math.floor(parsed);
+}
+
+function normalizeBudgetLimit(limit) {
+  if (!limit || typeof limit !== 'object') {
+    throw new Error('budget limit must be an object');
+  }
+  const scope = String(limit.scope || '').trim().toLowerCase();
+  if (!BUDGET_SCOPES.includes(scope)) {
+    throw new Error(`unsupported scope "${limit.scope}"`);
+  }
+  const id = String(limit.id ?? '*').trim() || '*';
+  const period = String(limit.period || 'day').trim().toLowerCase();
+  if (!BUDGET_PERIODS.includes(period)) {
+    throw new Error(`unsupported period "${limit.period}"`);
+  }
+  const action = String(limit.action || 'block').trim().toLowerCase();
+  if (!BUDGET_ACTIONS.includes(action)) {
+    throw new Error(`unsupported action "${limit.action}"`);
+  }
+  const maxRuns = normalizeLimitValue(limit.maxRuns);
+  const maxTokens = normalizeLimitValue(limit.maxTokens);
+  if (maxRuns === undefined || maxTokens === undefined) {
+    throw new Error('maxRuns and maxTokens must be non-negative numbers');
+  }
+  if (maxRuns === null && maxTokens === null) {
+    throw new Error('set maxRuns and/or maxTokens');
+  }
+  return { scope, id, period, action, maxRuns, maxTokens };
+}
+
+function normalizeBudgetConfig(value, logger = console) {
+  const config = value && typeof value === 'object' ? value : {};
+  const limits = [];
+  for (const [index, limit] of (Array.isArray(config.limits) ? config.limits : []).entries()) {
+    try {
+      limits.push(normalizeBudgetLimit(limit));
+    } catch (err) {
+      logger.warn(`Ignoring budget limit #${index + 1}: ${err.message}`);
+    }
+  }
+  const downgradeModels = {};
+  if (config.downgradeModels && typeof config.downgradeModels === 'object') {
+    for (const [agentId, model] of Object.entries(config.downgradeModels)) {
+      if (model) downgradeModels[String(agentId).toLowerCase()] = String(model);
+    }
+  }
+  return { limits, downgradeModels };
+}
+
+function getBudgetScopeValue(scope, target) {
+  if (scope === 'chat') {
+    return target.chatId === undefined || target.chatId === null
+      ? null
+      : String(target.chatId);
+  }
+  if (scope === 'topic') {
+    return target.chatId === undefined || target.chatId === null
+      ? null
+      : buildTopicKey(target.chatId, target.topicId);
+  }
+  if (scope === 'user') {
+    return target.userId === undefined || target.userId === null
+      ? null
+      : String(target.userId);
+  }
+  if (scope === 'job') {
+    return getCronJobIdFromContextKey(target.contextKey);
+  }
+  return null;
+}
+
+function getBudgetPeriodStart(period, now = new Date()) {
+  const start = new Date(now);
+  start.setHours(0, 0, 0, 0);
+  if (period === 'month') start.setDate(1);
+  return start;
+}
+
+function getRecordTokens(record) {
+  return (record.inputTokens || 0) + (record.outputTokens || 0);
+}
+
+function sumRecords(records, scope, scopeValue, since) {
+  let runs = 0;
+  let tokens = 0;
+  for (const record of records) {
+    if (new Date(record.createdAt).getTime() < since) continue;
+    if (getBudgetScopeValue(scope, record) !== scopeValue) continue;
+    runs += 1;
+    tokens += getRecordTokens(record);
+  }
+  return { runs, tokens };
+}
+
+// `usage` is either a list of usage records or budget counters (see
+// createBudgetCounters) that already hold the totals per period.
+function evaluateBudgetLimit(limit, usage, target, now = new Date()) {
+  const scopeValue = getBudgetScopeValue(limit.scope, target);
+  if (!scopeValue || (limit.id !== '*' && limit.id !== scopeValue)) return null;
+  const { runs, tokens } = Array.isArray(usage)
+    ? sumRecords(usage, limit.scope, scopeValue, getBudgetPeriodStart(limit.period, now).getTime())
+    : usage.getTotals(limit.scope, scopeValue, limit.period, now);
+  const exceeded =
+    (limit.maxRuns !== null && runs >= limit.maxRuns)
+    || (limit.maxTokens !== null && tokens >= limit.maxTokens);
+  return { limit, scopeValue, runs, tokens, exceeded };
+}
+
+function formatBudgetUsage(usage) {
+  const { limit, scopeValue, runs, tokens } = usage;
+  const parts = [];
+  if (limit.maxRuns !== null) parts.push(`${runs}/${limit.maxRuns} runs`);
+  if (limit.maxTokens !== null) parts.push(`${tokens}/${limit.maxTokens} tokens`);
+  const periodLabel = limit.period === 'month' ? 'this month' : 'today';
+  return `${limit.scope} ${scopeValue}: ${parts.join(', ')} ${periodLabel}`;
+}
+
+function resolveBudgetDecision(config, records, target, now = new Date()) {
+  const exceeded = [];
+  for (const limit of config?.limits || []) {
+    const usage = evaluateBudgetLimit(limit, records, target, now);
+    if (usage?.exceeded) exceeded.push(usage);
+  }
+  if (exceeded.length === 0) return null;
+  const blocking = exceeded.filter((usage) => usage.limit.action === 'block');
+  const relevant = blocking.length > 0 ? blocking : exceeded;
+  return {
+    action: blocking.length > 0 ? 'block' : 'downgrade',
+    exceeded: relevant,
+    models: config.downgradeModels || {},
+    summary: relevant.map(formatBudgetUsage).join('; '),
+  };
+}
+
+// Runs and tokens per scope value and period, kept in memory so budget checks
+// do not re-read usage.jsonl on every run. The counters are seeded once from
+// the current month of the usage log and then fed each recorded run; runs
+// recorded while the log is still loading are merged by id.
+function createBudgetCounters(options = {}) {
+  const { loadRecords, now = () => new Date() } = options;
+  const totals = new Map();
+  const pending = [];
+  let loading = null;
+  let loaded = false;
+  let monthStart = getBudgetPeriodStart('month', now()).getTime();
+
+  function buildKey(scope, scopeValue, period, start) {
+    return `${scope}|${period}|${start}|${scopeValue}`;
+  }
+
+  function dropStaleTotals(at) {
+    const currentMonthStart = getBudgetPeriodStart('month', at).getTime();
+    if (currentMonthStart === monthStart) return;
+    monthStart = currentMonthStart;
+    for (const [key, entry] of totals) {
+      if (entry.start < monthStart) totals.delete(key);
+    }
+  }
+
+  function add(record) {
+    const createdAt = new Date(record.createdAt);
+    dropStaleTotals(now());
+    if (createdAt.getTime() < monthStart) return;
+    const tokens = getRecordTokens(record);
+    for (const scope of BUDGET_SCOPES) {
+      const scopeValue = getBudgetScopeValue(scope, record);
+      if (!scopeValue) continue;
+      for (const period of BUDGET_PERIODS) {
+        const start = getBudgetPeriodStart(period, createdAt).getTime();
+        const key = buildKey(scope, scopeValue, period, start);
+        const entry = totals.get(key) || { runs: 0, start, tokens: 0 };
+        entry.runs += 1;
+        entry.tokens += tokens;
+        totals.set(key, entry);
+      }
+    }
+  }
+
+  function load() {
+    if (!loading) {
+      loading = Promise.resolve()
+        .then(() => loadRecords())
+        .then((records) => {
+          const ids = new Set();
+          for (const record of records) {
+            ids.add(record.id);
+            add(record);
+          }
+          for (const record of pending.splice(0)) {
+            if (!ids.has(record.id)) add(record);
+          }
+          loaded = true;
+        })
+        .catch((err) => {
+          loading = null;
+          pending.length = 0;
+          throw err;
+        });
+    }
+    return loading;
+  }
+
+  // Records that land before the first load are already in usage.jsonl and
+  // are picked up by it.
+  function record(entry) {
+    if (!entry) return;
+    if (loaded) add(entry);
+    else if (loading) pending.push(entry);
+  }
+
+  function getTotals(scope, scopeValue, period, at = now()) {
+    dropStaleTotals(at);
+    const start = getBudgetPeriodStart(period, at).getTime();
+    const entry = totals.get(buildKey(scope, scopeValue, period, start));
+    return { runs: entry?.runs || 0, tokens: entry?.tokens || 0 };
+  }
+
+  async function resolveDecision(config, target) {
+    await load();
+    return resolveBudgetDecision(config, { getTotals }, target, now());
+  }
+
+  return {
+    getTotals,
+    load,
+    record,
+    resolveDecision,
+  };
+}
+
+module.exports = {
+  createBudgetCounters,
+  evaluateBudgetLimit,
+  getBudgetPeriodStart,
+  getBudgetScopeValue,
+  normalizeBudgetConfig,
+  normalizeBudgetLimit,
+  resolveBudgetDecision,
+};
@@ -0,0 +1,188 @@
+const { escapeHtml } = require('../message-utils');
+
+const TELEGRAM_MESSAGE_LIMIT = 4096;
+const COMPARE_USAGE = [
+  'Usage: /compare <agent,agent[,...]> [--single] <prompt>',
+  'Example: /compare codex,claude,gemini ¿Qué es un monad?',
+].join('\n');
+
+function formatDuration(ms) {
+  return `${(Math.max(0, ms) / 1000).toFixed(1)}s`;
+}
+
+function parseCompareArgs(value) {
+  const raw = String(value || '').trim();
+  const match = raw.match(/^(\S+)\s+([\s\S]+)$/);
+  if (!match) return null;
+  let prompt = match[2].trim();
+  let single = false;
+  if (/^--single(\s|$)/.test(prompt)) {
+    single = true;
+    prompt = prompt.replace(/^--single\s*/, '').trim();
+  }
+  const agentIds = Array.from(
+    new Set(
+      match[1]
+        .split(',')
+        .map((item) => item.trim().toLowerCase())
+        .filter(Boolean)
+    )
+  );
+  if (!prompt || agentIds.length === 0) return null;
+  return { agentIds, prompt, single };
+}
+
+function registerCompareCommand(options) {
+  const {
+    bot,
+    buildThreadKey,
+    buildTopicKey,
+    enqueue,
+    extractCommandValue,
+    getAgentLabel,
+    getThreads,
+    getTopicId,
+    isKnownAgent,
+    normalizeAgent,
+    persistThreads,
+    replyWithError,
+    replyWithResponse,
+    runAgentForChat,
+    startTyping,
+  } = options;
+
+  async function runComparison({ chatId, topicId, userId, agentIds, prompt }) {
+    const contextKey = `compare:${Date.now().toString(36)}`;
+    const results = await Promise.all(
+      agentIds.map(async (agentId) => {
+        const startedAt = Date.now();
+        try {
+          const response = await runAgentForChat(chatId, prompt, {
+            agentId,
+            contextKey,
+            fallback: false,
+            topicId,
+            userId,
+          });
+          return {
+            agentId,
+            durationMs: Date.now() - startedAt,
+            ok: true,
+            response: String(response || '').trim(),
+          };
+        } catch (err) {
+          return {
+            agentId,
+            durationMs: Date.now() - startedAt,
+            error: err,
+            ok: false,
+          };
+        }
+      })
+    );
+
+    const threads = getThreads();
+    let clearedThreads = false;
+    for (const agentId of agentIds) {
+      clearedThreads =
+        threads.delete(buildThreadKey(chatId, topicId, agentId, contextKey))
+        || clearedThreads;
+    }
+    if (clearedThreads) {
+      persistThreads().catch((err) =>
+        console.warn('Failed to persist threads after /compare:', err)
+      );
+    }
+    return results;
+  }
+
+  function formatResultHeader(result) {
+    const label = getAgentLabel(result.agentId);
+    return result.ok
+      ? `${label} · ${formatDuration(result.durationMs)}`
+      : `${label} · failed after ${formatDuration(result.durationMs)}`;
+  }
+
+  function formatResultBody(result) {
+    if (!result.ok) return result.error?.message || 'Unknown error';
+    return result.response || '(empty response)';
+  }
+
+  function buildSingleMessage(results) {
+    return results
+      .map(
+        (result) =>
+          `<b>${escapeHtml(formatResultHeader(result))}</b>\n<blockquote expandable>${escapeHtml(
+            formatResultBody(result)
+          )}</blockquote>`
+      )
+      .join('\n\n');
+  }
+
+  bot.command('compare', async (ctx) => {
+    const parsed = parseCompareArgs(extractCommandValue(ctx.message.text));
+    if (!parsed) {
+      await ctx.reply(COMPARE_USAGE);
+      return;
+    }
+    const unknown = parsed.agentIds.filter((agentId) => !isKnownAgent(agentId));
+    if (unknown.length > 0) {
+      await ctx.reply(`Unknown agent: ${unknown.join(', ')}.\n${COMPARE_USAGE}`);
+      return;
+    }
+    const agentIds = Array.from(
+      new Set(parsed.agentIds.map((agentId) => normalizeAgent(agentId)))
+    );
+    if (agentIds.length < 2) {
+      await ctx.reply(`Pick at least two different agents.\n${COMPARE_USAGE}`);
+      return;
+    }
+
+    const chatId = ctx.chat.id;
+    const topicId = getTopicId(ctx);
+    const stopTyping = startTyping(ctx);
+    await enqueue(buildTopicKey(chatId, topicId), async () => {
+      try {
+        console.info(
+          `Compare executing for chat ${chatId} topic=${topicId || 'none'} agents=${agentIds.join(',')}`
+        );
+        const results = await runComparison({
+          chatId,
+          topicId,
+          userId: ctx.from?.id,
+          agentIds,
+          prompt: parsed.prompt,
+        });
+        console.info(
+          `Compare finished chat=${chatId} topic=${topicId || 'root'} ${results
+            .map((result) => `${result.agentId}=${result.ok ? 'ok' : 'failed'}:${result.durationMs}ms`)
+            .join(' ')}`
+        );
+        const single = parsed.single ? buildSingleMessage(results) : '';
+        if (single && single.length <= TELEGRAM_MESSAGE_LIMIT) {
+          await ctx.reply(single, {
+            parse_mode: 'HTML',
+            disable_web_page_preview: true,
+          });
+          return;
+        }
+        for (const result of results) {
+          await replyWithResponse(
+            ctx,
+            `**${formatResultHeader(result)}**\n\n${formatResultBody(result)}`
+          );
+        }
+      } catch (err) {
+        console.error(err);
+        await replyWithError(ctx, 'Failed to compare agents.', err);
+      } finally {
+        stopTyping();
+      }
+    });
+  });
+}
+
+module.exports = {
+  parseCompareArgs,
+  registerCompareCommand,
+};
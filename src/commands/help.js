@@ -2,10 +2,10 @@ const { buildHelpCommandLines } = require('../telegram-commands');
 
 function registerHelpCommands(options) {
   const {
-    allowedUsers,
     bot,
     enqueue,
     extractCommandValue,
+    getAllowedUserIds,
     markdownToTelegramHtml,
     replyWithError,
     runAgentOneShot,
@@ -44,9 +44,9 @@ function registerHelpCommands(options) {
 
   bot.command('document_scripts', async (ctx) => {
     const chatId = ctx.chat.id;
-    if (allowedUsers.size === 0) {
+    if (!getAllowedUserIds()) {
       await ctx.reply(
-        'ALLOWED_USERS is not configured. /document_scripts is disabled.'
+        'ALLOWED_USERS (or access.users) is not configured. /document_scripts is disabled.'
       );
       return;
     }
@@ -1,3 +1,9 @@
+const { hasRole, resolveUserRole } = require('../roles');
+
+// Global facts reach every chat's bootstrap, so writing or deleting them
+// takes more than the chatter role that covers the rest of /memory.
+const GLOBAL_FACTS_ROLE = 'operator';
+
 function registerMemoryCommand(options) {
   const {
     bot,
@@ -6,19 +12,40 @@ function registerMemoryCommand(options) {
     curateMemory,
     enqueue,
     extractCommandValue,
+    forgetFacts,
+    getAccessConfig = () => null,
+    getMemoryPolicy = () => 'open',
     getMemoryStatus,
     getThreadTail,
+    isMemoryCaptureEnabled,
+    listFacts,
+    memoryRetention = {},
     memoryRetrievalLimit,
     persistMemory,
+    rememberFact,
     replyWithError,
     resolveEffectiveAgentId,
     searchMemory,
+    setMemoryCapture,
     setMemoryEventsSinceCurate,
     startTyping,
     getTopicId,
   } = options;
 
-  const KNOWN_SUBCOMMANDS = new Set(['status', 'tail', 'search', 'curate']);
+  const KNOWN_SUBCOMMANDS = new Set([
+    'status',
+    'tail',
+    'search',
+    'curate',
+    'remember',
+    'forget',
+    'facts',
+    'on',
+    'off',
+  ]);
+  const FACT_SCOPES = new Set(['global', 'chat', 'topic']);
+  const FACT_KINDS = new Set(['fact', 'preference', 'decision']);
+  const TTL_UNITS_MS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
   const MEMORY_REPLY_CHUNK_SIZE = 3000;
   const MEMORY_HIT_TEXT_LIMIT = 700;
 
@@ -57,6 +84,55 @@ function registerMemoryCommand(options) {
     return `- [${ts}] (${scope}${who}) ${text}`;
   }
 
+  function formatFact(fact) {
+    const details = [fact.scope];
+    if (fact.kind !== 'fact') details.push(fact.kind);
+    if (fact.shareable) details.push('shareable');
+    if (fact.expiresAt) details.push(`expires ${fact.expiresAt.slice(0, 10)}`);
+    return `#${fact.id} (${details.join(', ')}) ${truncateMemoryText(fact.text)}`;
+  }
+
+  // /memory remember [global|chat|topic] [fact|preference|decision] <text> [--ttl 30d] [--shareable]
+  function parseRememberArgs(args) {
+    const tokens = args.filter((token) => token.toLowerCase() !== '--shareable');
+    const shareable = tokens.length !== args.length;
+    let scope = 'topic';
+    let kind = 'fact';
+    let ttlMs = null;
+    if (FACT_SCOPES.has(String(tokens[0] || '').toLowerCase())) {
+      scope = tokens.shift().toLowerCase();
+    }
+    if (FACT_KINDS.has(String(tokens[0] || '').toLowerCase())) {
+      kind = tokens.shift().toLowerCase();
+    }
+    const ttlIndex = tokens.findIndex((token) => token.toLowerCase() === '--ttl');
+    if (ttlIndex !== -1) {
+      const match = String(tokens[ttlIndex + 1] || '').match(/^(\d+)([hd])$/i);
+      if (!match || Number(match[1]) <= 0) {
+        return { error: 'Invalid --ttl. Use hours or days, e.g. --ttl 12h or --ttl 30d.' };
+      }
+      ttlMs = Number(match[1]) * TTL_UNITS_MS[match[2].toLowerCase()];
+      tokens.splice(ttlIndex, 2);
+    }
+    return { kind, scope, shareable, text: tokens.join(' ').trim(), ttlMs };
+  }
+
+  function canManageGlobalFacts(ctx, chatId, topicId) {
+    const access = getAccessConfig();
+    if (!access?.enabled) return true;
+    const role = resolveUserRole(access, { chatId, topicId, userId: ctx.from?.id });
+    return hasRole(role, GLOBAL_FACTS_ROLE);
+  }
+
+  function formatRetention() {
+    const rules = [];
+    if (memoryRetention.maxAgeDays > 0) rules.push(`${memoryRetention.maxAgeDays} days`);
+    if (memoryRetention.maxThreadBytes > 0) {
+      rules.push(`${memoryRetention.maxThreadBytes} bytes per thread`);
+    }
+    return rules.length ? rules.join(', ') : 'keep forever';
+  }
+
   function buildSearchQueryFromTail(events) {
     const snippets = [];
     for (const event of [...events].reverse()) {
@@ -93,6 +169,7 @@ function registerMemoryCommand(options) {
       topicId,
       agentId,
       limit,
+      policy: getMemoryPolicy(chatId),
     });
     if (!hits.length) {
       await ctx.reply('No relevant memory found for that query.');
@@ -123,8 +200,18 @@ function registerMemoryCommand(options) {
           `Indexed events: ${status.indexedEvents}`,
           `Index path: ${status.indexPath || '(unavailable)'}`,
           `FTS enabled: ${status.indexSupportsFts ? 'yes' : 'no'}`,
+          `Embeddings: ${
+            status.indexEmbedder
+              ? `${status.indexEmbedder} (${status.embeddedEvents} events)`
+              : 'off'
+          }`,
+          `Capture in this topic: ${isMemoryCaptureEnabled(chatId, topicId) ? 'on' : 'off'}`,
+          `Isolation: ${getMemoryPolicy(chatId)}`,
+          `Retention: ${formatRetention()}`,
           `Events today: ${status.eventsToday}`,
-          `Last curated: ${status.lastCuratedAt || '(never)'}`,
+          `Last curated: ${status.lastCuratedAt || '(never)'}${
+            status.lastCurator ? ` (${status.lastCurator})` : ''
+          }`,
         ];
         await ctx.reply(lines.join('\n'));
       } catch (err) {
@@ -185,11 +272,14 @@ function registerMemoryCommand(options) {
       enqueue(`${topicKey}:memory-curate`, async () => {
         const stopTyping = startTyping(ctx);
         try {
-          const result = await persistMemory(() => curateMemory());
+          const result = await persistMemory(() =>
+            curateMemory({ chatId, topicId, userId: ctx.from?.id })
+          );
           setMemoryEventsSinceCurate(0);
           await ctx.reply(
             [
               'Memory curated.',
+              `Curator: ${result.curator}`,
               `Events processed: ${result.eventsProcessed}`,
               `Thread files: ${result.threadFiles}`,
               `Output bytes: ${result.bytes}`,
@@ -205,7 +295,119 @@ function registerMemoryCommand(options) {
       return;
     }
 
-    await ctx.reply('Usage: /memory [query]|status|tail [n]|search <query>|curate');
+    if (subcommand === 'on' || subcommand === 'off') {
+      const enabled = subcommand === 'on';
+      try {
+        await setMemoryCapture(chatId, topicId, enabled);
+        await ctx.reply(
+          enabled
+            ? 'Memory capture is on for this topic.'
+            : 'Memory capture is off for this topic. New messages here are no longer saved to memory; existing history is kept until retention prunes it.'
+        );
+      } catch (err) {
+        await replyWithError(ctx, 'Failed to update memory capture.', err);
+      }
+      return;
+    }
+
+    if (subcommand === 'remember') {
+      const parsed = parseRememberArgs(parts.slice(1));
+      if (parsed.error || !parsed.text) {
+        await ctx.reply(
+          parsed.error
+            || 'Usage: /memory remember [global|chat|topic] [fact|preference|decision] <text> [--ttl 30d] [--shareable]'
+        );
+        return;
+      }
+      if (parsed.scope === 'global' && !canManageGlobalFacts(ctx, chatId, topicId)) {
+        await ctx.reply(`Saving global facts requires the ${GLOBAL_FACTS_ROLE} role.`);
+        return;
+      }
+      try {
+        const messageId = ctx.message?.message_id;
+        const { fact, updated } = await rememberFact({
+          chatId,
+          expiresAt: parsed.ttlMs ? new Date(Date.now() + parsed.ttlMs) : null,
+          kind: parsed.kind,
+          scope: parsed.scope,
+          shareable: parsed.shareable,
+          sourceEventId: messageId ? `telegram:${chatId}:${messageId}` : '',
+          text: parsed.text,
+          topicId,
+        });
+        await ctx.reply(`${updated ? 'Updated' : 'Remembered'} ${formatFact(fact)}`);
+      } catch (err) {
+        await replyWithError(ctx, 'Failed to save fact.', err);
+      }
+      return;
+    }
+
+    if (subcommand === 'forget') {
+      const target = parts.slice(1).join(' ').trim();
+      if (!target) {
+        await ctx.reply('Usage: /memory forget <id|query>');
+        return;
+      }
+      try {
+        const { denied, matches, removed } = await forgetFacts({
+          allowGlobal: canManageGlobalFacts(ctx, chatId, topicId),
+          chatId,
+          policy: getMemoryPolicy(chatId),
+          target,
+          topicId,
+        });
+        if (denied) {
+          await ctx.reply(
+            `Forgetting global facts requires the ${GLOBAL_FACTS_ROLE} role: ${formatFact(matches[0])}`
+          );
+        } else if (removed.length) {
+          await ctx.reply(`Forgot ${formatFact(removed[0])}`);
+        } else if (!matches.length) {
+          await ctx.reply(`No saved fact here matches "${target}".`);
+        } else {
+          await replyLong(
+            ctx,
+            [
+              'Several facts match. Forget one by id:',
+              ...matches.map((fact) => `- ${formatFact(fact)}`),
+            ].join('\n')
+          );
+        }
+      } catch (err) {
+        await replyWithError(ctx, 'Failed to forget fact.', err);
+      }
+      return;
+    }
+
+    if (subcommand === 'facts') {
+      const scope = String(parts[1] || '').toLowerCase();
+      if (scope && !FACT_SCOPES.has(scope)) {
+        await ctx.reply('Usage: /memory facts [global|chat|topic]');
+        return;
+      }
+      try {
+        const facts = await listFacts({
+          chatId,
+          policy: getMemoryPolicy(chatId),
+          scope: scope || undefined,
+          topicId,
+        });
+        if (!facts.length) {
+          await ctx.reply(
+            scope ? `No ${scope} facts saved here.` : 'No facts saved for this chat/topic.'
+          );
+          return;
+        }
+        await replyLong(ctx, facts.map((fact) => `- ${formatFact(fact)}`).join('\n'));
+      } catch (err) {
+        await replyWithError(ctx, 'Failed to list facts.', err);
+      }
+      return;
+    }
+
+    await ctx.reply(
+      'Usage: /memory [query]|status|tail [n]|search <query>|curate|remember <fact>|forget <id|query>|facts [scope]|on|off'
+    );
   });
 }
 
@@ -8,32 +8,40 @@ function registerSettingsCommands(options) {
   const {
     bot,
     buildTopicKey,
+    clearAgentFallbacks,
     clearAgentOverride,
     clearModelOverride,
     clearThreadForAgent,
-    curateMemory,
+    curateMemoryOnReset,
     execLocal,
     extractCommandValue,
     getAgent,
     getAgentLabel,
+    getAgentFallbacks,
     getAgentOverride,
     getGlobalAgent,
+    getGlobalFallbackAgents,
     getGlobalModels,
     getGlobalServiceTiers,
     getGlobalThinking,
     getTopicId,
     isKnownAgent,
+    listAgentIds,
     listAgentModels,
     listAgentReasoningEfforts,
     isModelResetCommand,
     normalizeAgent,
     normalizeTopicId,
+    parseFallbackAgentIds,
+    persistAgentFallbacks,
     persistAgentOverrides,
     persistMemory,
     persistThreads,
     replyWithError,
+    setAgentFallbacks,
     setAgentOverride,
     setGlobalAgent,
+    setGlobalFallbackAgents,
     setGlobalModels,
     setGlobalServiceTiers,
     setGlobalThinking,
@@ -114,7 +122,10 @@ function registerSettingsCommands(options) {
     }
 
     if (!isKnownAgent(value)) {
-      ctx.reply('Unknown agent. Use /agent codex|codex-app|claude|gemini|opencode.');
+      const agentIds = typeof listAgentIds === 'function'
+        ? listAgentIds()
+        : ['codex', 'codex-app', 'claude', 'gemini', 'opencode'];
+      ctx.reply(`Unknown agent. Use /agent ${agentIds.join('|')}.`);
       return;
     }
 
@@ -137,6 +148,83 @@ function registerSettingsCommands(options) {
     }
   });
 
+  function formatFallbackChain(agentIds) {
+    return agentIds.length > 0
+      ? agentIds.map((agentId) => getAgentLabel(agentId)).join(' → ')
+      : 'disabled';
+  }
+
+  bot.command('fallback', async (ctx) => {
+    const value = extractCommandValue(ctx.message.text);
+    const topicId = getTopicId(ctx);
+    const normalizedTopic = normalizeTopicId(topicId);
+    const topicFallbacks = normalizedTopic === 'root'
+      ? undefined
+      : getAgentFallbacks(ctx.chat.id, topicId);
+
+    if (!value) {
+      const scope = Array.isArray(topicFallbacks) ? normalizedTopic : 'global';
+      const current = Array.isArray(topicFallbacks)
+        ? topicFallbacks
+        : getGlobalFallbackAgents();
+      ctx.reply(
+        `Fallback agents (${scope}): ${formatFallbackChain(current)}. Use /fallback <agent> [agent...], /fallback off or /fallback default.`
+      );
+      return;
+    }
+
+    if (value === 'default') {
+      if (normalizedTopic === 'root') {
+        ctx.reply('Already using global fallback agents in root topic.');
+        return;
+      }
+      clearAgentFallbacks(ctx.chat.id, topicId);
+      persistAgentFallbacks().catch((err) =>
+        console.warn('Failed to persist agent fallbacks:', err)
+      );
+      ctx.reply(
+        `Fallback override cleared for ${normalizedTopic}. Now using global fallback agents: ${formatFallbackChain(
+          getGlobalFallbackAgents()
+        )}.`
+      );
+      return;
+    }
+
+    const agentIds = value === 'off' ? [] : parseFallbackAgentIds(value);
+    const unknown = agentIds.filter((agentId) => !isKnownAgent(agentId));
+    if (unknown.length > 0) {
+      const knownIds = typeof listAgentIds === 'function'
+        ? listAgentIds()
+        : ['codex', 'codex-app', 'claude', 'gemini', 'opencode'];
+      ctx.reply(
+        `Unknown agent: ${unknown.join(', ')}. Use /fallback ${knownIds.join('|')} [...].`
+      );
+      return;
+    }
+
+    const normalizedAgentIds = agentIds.map((agentId) => normalizeAgent(agentId));
+    if (normalizedTopic === 'root') {
+      setGlobalFallbackAgents(normalizedAgentIds);
+      try {
+        await updateConfig({ fallbackAgents: normalizedAgentIds });
+        ctx.reply(
+          `Global fallback agents set to ${formatFallbackChain(normalizedAgentIds)}.`
+        );
+      } catch (err) {
+        console.error(err);
+        await replyWithError(ctx, 'Failed to persist fallback agents.', err);
+      }
+    } else {
+      setAgentFallbacks(ctx.chat.id, topicId, normalizedAgentIds);
+      persistAgentFallbacks().catch((err) =>
+        console.warn('Failed to persist agent fallbacks:', err)
+      );
+      ctx.reply(
+        `Fallback agents for this topic set to ${formatFallbackChain(normalizedAgentIds)}.`
+      );
+    }
+  });
+
   bot.command('reset', async (ctx) => {
     const topicId = getTopicId(ctx);
     const effectiveAgentId =
@@ -147,7 +235,9 @@ function registerSettingsCommands(options) {
       console.warn('Failed to persist threads after reset:', err)
     );
     try {
-      await persistMemory(() => curateMemory());
+      await persistMemory(() =>
+        curateMemoryOnReset({ chatId: ctx.chat.id, topicId, userId: ctx.from?.id })
+      );
       setMemoryEventsSinceCurate(0);
       await ctx.reply(
         `Session reset for ${getAgentLabel(
@@ -0,0 +1,65 @@
+const { formatTurnTimeline } = require('../services/codex-app-timeline');
+
+function registerTraceCommands(options) {
+  const {
+    bot,
+    extractCommandValue,
+    getCodexAppThreadId,
+    getCodexTurnTimeline,
+    getTopicId,
+    isVerboseTopic,
+    replyWithError,
+    setVerboseTopic,
+  } = options;
+
+  bot.command('verbose', async (ctx) => {
+    const value = extractCommandValue(ctx.message.text).toLowerCase();
+    const topicId = getTopicId(ctx);
+
+    if (!value) {
+      const state = isVerboseTopic(ctx.chat.id, topicId) ? 'on' : 'off';
+      await ctx.reply(`Verbose progress is ${state} for this topic. Use /verbose on|off.`);
+      return;
+    }
+    if (value !== 'on' && value !== 'off') {
+      await ctx.reply('Use /verbose on|off.');
+      return;
+    }
+
+    try {
+      await setVerboseTopic(ctx.chat.id, topicId, value === 'on');
+      await ctx.reply(
+        value === 'on'
+          ? 'Verbose progress on: codex-app runs in this topic show commands, files and tool calls.'
+          : 'Verbose progress off for this topic.'
+      );
+    } catch (err) {
+      console.error(err);
+      await replyWithError(ctx, 'Failed to persist verbose setting.', err);
+    }
+  });
+
+  bot.command('trace', async (ctx) => {
+    const topicId = getTopicId(ctx);
+    const threadId = getCodexAppThreadId(ctx.chat.id, topicId);
+    const timeline = threadId ? getCodexTurnTimeline(threadId) : null;
+    if (!timeline) {
+      await ctx.reply('No codex-app turn recorded for this topic since the bot started.');
+      return;
+    }
+
+    try {
+      await ctx.replyWithDocument({
+        source: Buffer.from(formatTurnTimeline(timeline), 'utf8'),
+        filename: `trace-${timeline.turnId || threadId}.txt`,
+      });
+    } catch (err) {
+      console.error(err);
+      await replyWithError(ctx, 'Failed to send the turn trace.', err);
+    }
+  });
+}
+
+module.exports = {
+  registerTraceCommands,
+};
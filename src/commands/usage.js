@@ -0,0 +1,98 @@
+const {
+  filterUsageRecords,
+  formatUsageTotals,
+  summarizeUsage,
+} = require('../services/usage-store');
+
+const USAGE_USAGE = 'Usage: /usage [today|week|job <id>|topic]';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseUsageArgs(value, now = new Date()) {
+  const [scope = 'today', ...rest] = String(value || '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  switch (scope.toLowerCase()) {
+    case 'today': {
+      const since = new Date(now);
+      since.setHours(0, 0, 0, 0);
+      return { scope: 'today', filters: { since } };
+    }
+    case 'week':
+      return {
+        scope: 'week',
+        filters: { since: new Date(now.getTime() - 7 * DAY_MS) },
+      };
+    case 'job':
+      if (!rest[0]) return null;
+      return { scope: 'job', jobId: rest[0], filters: { jobId: rest[0] } };
+    case 'topic':
+      return { scope: 'topic', filters: {} };
+    default:
+      return null;
+  }
+}
+
+function describeScope(parsed) {
+  if (parsed.scope === 'today') return 'today';
+  if (parsed.scope === 'week') return 'last 7 days';
+  if (parsed.scope === 'job') return `cron job ${parsed.jobId}`;
+  return 'this topic';
+}
+
+function registerUsageCommand(options) {
+  const {
+    bot,
+    extractCommandValue,
+    getAgentLabel,
+    getTopicId,
+    loadUsageRecords,
+    replyWithError,
+  } = options;
+
+  function formatUsageMessage(parsed, summary) {
+    const lines = [`Usage (${describeScope(parsed)})`];
+    if (summary.runs === 0) {
+      lines.push('No runs recorded.');
+      return lines.join('\n');
+    }
+    lines.push(`Total: ${formatUsageTotals(summary)}`);
+    for (const group of summary.byAgent) {
+      const label = [
+        getAgentLabel(group.agentId),
+        group.model,
+        group.serviceTier,
+      ]
+        .filter(Boolean)
+        .join(' / ');
+      lines.push(`- ${label}: ${formatUsageTotals(group)}`);
+    }
+    return lines.join('\n');
+  }
+
+  bot.command('usage', async (ctx) => {
+    const parsed = parseUsageArgs(extractCommandValue(ctx.message.text));
+    if (!parsed) {
+      await ctx.reply(USAGE_USAGE);
+      return;
+    }
+    // Cron jobs can post to other chats, so their usage is not chat-scoped.
+    const filters = parsed.scope === 'job'
+      ? { ...parsed.filters }
+      : { ...parsed.filters, chatId: ctx.chat.id };
+    if (parsed.scope === 'topic') {
+      filters.topicId = getTopicId(ctx);
+    }
+    try {
+      const records = filterUsageRecords(await loadUsageRecords(), filters);
+      await ctx.reply(formatUsageMessage(parsed, summarizeUsage(records)));
+    } catch (err) {
+      await replyWithError(ctx, 'Failed to read usage.', err);
+    }
+  });
+}
+
+module.exports = {
+  parseUsageArgs,
+  registerUsageCommand,
+};
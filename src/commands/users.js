@@ -0,0 +1,167 @@
+const {
+  removeAccessUser,
+  setAccessUser,
+  setAccessUserChatRole,
+} = require('../access-users');
+const { ROLES, normalizeRole } = require('../roles');
+
+const USERS_USAGE = [
+  'Usage:',
+  '/users [list]',
+  '/users add <userId> [role]',
+  '/users remove <userId>',
+  '/users role <userId> <role> [here]',
+  `Roles: ${ROLES.join(', ')}`,
+].join('\n');
+
+function isUserId(value) {
+  return /^\d+$/.test(String(value || ''));
+}
+
+function registerUsersCommand(options) {
+  const {
+    bot,
+    buildTopicKey,
+    extractCommandValue,
+    getAccessConfig,
+    getAccessSources,
+    getAccessUsers,
+    getTopicId,
+    persistAccessUsers,
+    replyWithError,
+  } = options;
+
+  function describeSource(userId) {
+    const { configUserIds, envUserIds } = getAccessSources();
+    if (getAccessUsers().users[userId]) return 'runtime';
+    if (configUserIds.has(userId)) return 'config.json';
+    if (envUserIds.has(userId)) return 'ALLOWED_USERS';
+    return 'unknown';
+  }
+
+  function formatUserLine(userId, user) {
+    const runtime = getAccessUsers().users[userId];
+    const chats = Object.entries(user.chats || {}).map(
+      ([chatKey, role]) => `${chatKey}: ${role}`
+    );
+    const details = [describeSource(userId)];
+    if (runtime?.username) details.push(`@${runtime.username}`);
+    return `- ${userId} ${[user.role, ...chats].join(', ')} (${details.join(', ')})`;
+  }
+
+  function formatUsersMessage() {
+    const access = getAccessConfig();
+    const state = getAccessUsers();
+    const lines = [];
+    if (access.enabled) {
+      lines.push(`Users (default role: ${access.defaultRole}):`);
+      for (const [userId, user] of access.users) {
+        lines.push(formatUserLine(userId, user));
+      }
+    } else {
+      const { envUserIds } = getAccessSources();
+      lines.push('Role checks are off: every allowed user has full access.');
+      lines.push(
+        envUserIds.size > 0
+          ? `ALLOWED_USERS: ${Array.from(envUserIds).join(', ')}`
+          : 'ALLOWED_USERS is empty: the bot is open to everyone.'
+      );
+    }
+    const denied = Object.entries(state.denied);
+    if (denied.length > 0) {
+      lines.push(
+        '',
+        `Denied: ${denied
+          .map(([userId, entry]) => (entry.username ? `${userId} (@${entry.username})` : userId))
+          .join(', ')}`
+      );
+    }
+    return lines.join('\n');
+  }
+
+  bot.command('users', async (ctx) => {
+    const [action = 'list', userId, ...rest] = extractCommandValue(ctx.message.text)
+      .split(/\s+/)
+      .filter(Boolean);
+    const actorId = String(ctx.from?.id ?? '');
+    const subcommand = action.toLowerCase();
+
+    try {
+      if (subcommand === 'list') {
+        await ctx.reply(formatUsersMessage());
+        return;
+      }
+      if (!['add', 'remove', 'role'].includes(subcommand) || !isUserId(userId)) {
+        await ctx.reply(USERS_USAGE);
+        return;
+      }
+      const state = getAccessUsers();
+
+      if (subcommand === 'add') {
+        const role = rest[0] ? normalizeRole(rest[0]) : getAccessConfig().defaultRole;
+        if (!role) {
+          await ctx.reply(`Unknown role: ${rest[0]}.\n${USERS_USAGE}`);
+          return;
+        }
+        setAccessUser(state, userId, role, { addedBy: actorId });
+        await persistAccessUsers({ actorId });
+        await ctx.reply(`User ${userId} added as ${role}.`);
+        return;
+      }
+
+      if (userId === actorId) {
+        await ctx.reply('You cannot remove or change your own role.');
+        return;
+      }
+
+      if (subcommand === 'remove') {
+        if (!removeAccessUser(state, userId)) {
+          await ctx.reply(
+            `User ${userId} was not added with /users (source: ${describeSource(userId)}).`
+          );
+          return;
+        }
+        await persistAccessUsers({ actorId });
+        const source = describeSource(userId);
+        await ctx.reply(
+          source === 'unknown'
+            ? `User ${userId} removed.`
+            : `User ${userId} removed from users.json, but still has access through ${source}.`
+        );
+        return;
+      }
+
+      const role = normalizeRole(rest[0]);
+      if (!role) {
+        await ctx.reply(`Unknown role: ${rest[0] || '(missing)'}.\n${USERS_USAGE}`);
+        return;
+      }
+      const scoped = String(rest[1] || '').toLowerCase() === 'here';
+      if (!state.users[userId]) {
+        const current = getAccessConfig().users.get(userId);
+        setAccessUser(state, userId, current?.role || getAccessConfig().defaultRole, {
+          addedBy: actorId,
+          chats: current?.chats || {},
+        });
+      }
+      if (scoped) {
+        const topicId = getTopicId(ctx);
+        const chatKey = topicId ? buildTopicKey(ctx.chat.id, topicId) : String(ctx.chat.id);
+        setAccessUserChatRole(state, userId, chatKey, role);
+        await persistAccessUsers({ actorId });
+        await ctx.reply(`User ${userId} is now ${role} in ${chatKey}.`);
+        return;
+      }
+      setAccessUser(state, userId, role, {});
+      await persistAccessUsers({ actorId });
+      await ctx.reply(`User ${userId} is now ${role}.`);
+    } catch (err) {
+      console.error(err);
+      await replyWithError(ctx, 'Failed to update users.', err);
+    }
+  });
+}
+
+module.exports = {
+  registerUsersCommand,
+};
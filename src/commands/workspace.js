@@ -0,0 +1,65 @@
+const { formatWorkspace } = require('../workspaces');
+
+function registerWorkspaceCommand(options) {
+  const {
+    bot,
+    extractCommandValue,
+    getTopicId,
+    getTopicWorkspace,
+    listWorkspaces,
+    replyWithError,
+    setTopicWorkspace,
+  } = options;
+
+  bot.command('workspace', async (ctx) => {
+    const value = extractCommandValue(ctx.message.text).toLowerCase();
+    const topicId = getTopicId(ctx);
+    const workspaces = listWorkspaces();
+
+    if (workspaces.length === 0) {
+      await ctx.reply('No workspaces configured. Add them under "workspaces" in config.json.');
+      return;
+    }
+
+    if (!value) {
+      const current = getTopicWorkspace(ctx.chat.id, topicId);
+      const lines = [
+        current
+          ? `Workspace for this topic: ${formatWorkspace(current)}`
+          : 'This topic uses the default workspace.',
+        '',
+        'Available workspaces:',
+        ...workspaces.map((workspace) => `- ${formatWorkspace(workspace)}`),
+        '',
+        'Use /workspace <name> or /workspace default.',
+      ];
+      await ctx.reply(lines.join('\n'));
+      return;
+    }
+
+    const workspace =
+      value === 'default' ? null : workspaces.find((entry) => entry.id === value);
+    if (value !== 'default' && !workspace) {
+      await ctx.reply(
+        `Unknown workspace "${value}". Available: ${workspaces.map((entry) => entry.id).join(', ')}.`
+      );
+      return;
+    }
+
+    try {
+      await setTopicWorkspace(ctx.chat.id, topicId, workspace?.id || null);
+      await ctx.reply(
+        workspace
+          ? `Workspace for this topic set to ${formatWorkspace(workspace)}. New codex-app turns run there.`
+          : 'This topic now uses the default workspace.'
+      );
+    } catch (err) {
+      console.error(err);
+      await replyWithError(ctx, 'Failed to persist workspace binding.', err);
+    }
+  });
+}
+
+module.exports = {
+  registerWorkspaceCommand,
+};
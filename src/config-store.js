@@ -11,6 +11,9 @@ const SOUL_PATH = path.join(CONFIG_DIR, 'soul.md');
 const TOOLS_PATH = path.join(CONFIG_DIR, 'tools.md');
 const THREADS_PATH = path.join(CONFIG_DIR, 'threads.json');
 const AGENT_OVERRIDES_PATH = path.join(CONFIG_DIR, 'agent-overrides.json');
+const AGENT_FALLBACKS_PATH = path.join(CONFIG_DIR, 'agent-fallbacks.json');
+const USERS_PATH = path.join(CONFIG_DIR, 'users.json');
+const APPROVAL_RULES_PATH = path.join(CONFIG_DIR, 'approval-rules.json');
 
 async function readConfig() {
   try {
@@ -119,6 +122,60 @@ async function saveAgentOverrides(overrides) {
   await fs.rename(tmpPath, AGENT_OVERRIDES_PATH);
 }
 
+async function loadAgentFallbacks() {
+  try {
+    const raw = await fs.readFile(AGENT_FALLBACKS_PATH, 'utf8');
+    if (!raw.trim()) return new Map();
+    const obj = JSON.parse(raw);
+    return new Map(
+      Object.entries(obj).filter(([, agentIds]) => Array.isArray(agentIds))
+    );
+  } catch (err) {
+    if (err && err.code === 'ENOENT') return new Map();
+    console.warn('Failed to load agent-fallbacks.json:', err);
+    return new Map();
+  }
+}
+
+async function saveAgentFallbacks(fallbacks) {
+  await fs.mkdir(CONFIG_DIR, { recursive: true });
+  const obj = Object.fromEntries(fallbacks);
+  const tmpPath = `${AGENT_FALLBACKS_PATH}.${randomUUID()}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(obj, null, 2));
+  await fs.rename(tmpPath, AGENT_FALLBACKS_PATH);
+}
+
+async function loadUsers() {
+  try {
+    const raw = await fs.readFile(USERS_PATH, 'utf8');
+    if (!raw.trim()) return {};
+    return JSON.parse(raw);
+  } catch (err) {
+    if (err && err.code === 'ENOENT') return {};
+    console.warn('Failed to load users.json:', err);
+    return {};
+  }
+}
+
+async function saveUsers(users) {
+  await fs.mkdir(CONFIG_DIR, { recursive: true });
+  const tmpPath = `${USERS_PATH}.${randomUUID()}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(users, null, 2));
+  await fs.rename(tmpPath, USERS_PATH);
+}
+
+async function loadApprovalRules() {
+  try {
+    const raw = await fs.readFile(APPROVAL_RULES_PATH, 'utf8');
+    if (!raw.trim()) return {};
+    return JSON.parse(raw);
+  } catch (err) {
+    if (err && err.code === 'ENOENT') return {};
+    console.warn('Failed to load approval-rules.json:', err);
+    return {};
+  }
+}
+
 module.exports = {
   CONFIG_DIR,
   CONFIG_PATH,
@@ -127,13 +184,21 @@ module.exports = {
   TOOLS_PATH,
   THREADS_PATH,
   AGENT_OVERRIDES_PATH,
+  AGENT_FALLBACKS_PATH,
+  USERS_PATH,
+  APPROVAL_RULES_PATH,
   loadThreads,
   loadAgentOverrides,
+  loadAgentFallbacks,
+  loadApprovalRules,
+  loadUsers,
   readConfig,
   readMemory,
   readSoul,
   readTools,
   saveThreads,
   saveAgentOverrides,
+  saveAgentFallbacks,
+  saveUsers,
   updateConfig,
 };
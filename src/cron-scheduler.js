@@ -110,6 +110,7 @@ function buildCronTriggerPayload(job, defaultChatId, extraOptions = {}) {
     options: {
       jobId: job.id,
       agent: job.agent,
+      fallback: job.fallback === true,
       topicId: job.topicId,
       ...extraOptions,
     },
@@ -76,6 +76,7 @@ function registerMediaHandlers(options) {
         let responseSent = false;
         const response = await runAgentForChat(chatId, text, {
           topicId,
+          userId: ctx.from?.id,
           onProgressUpdate: async (lines) => {
             if (!progressReporter) return;
             await progressReporter.update(lines);
@@ -174,6 +175,7 @@ function registerMediaHandlers(options) {
         let responseSent = false;
         const response = await runAgentForChat(chatId, prompt, {
           topicId,
+          userId: ctx.from?.id,
           imagePaths: [imagePath],
           onProgressUpdate: async (lines) => {
             if (!progressReporter) return;
@@ -264,6 +266,7 @@ function registerMediaHandlers(options) {
         let responseSent = false;
         const response = await runAgentForChat(chatId, prompt, {
           topicId,
+          userId: ctx.from?.id,
           documentPaths: [documentPath],
           onProgressUpdate: async (lines) => {
             if (!progressReporter) return;
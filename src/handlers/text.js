@@ -11,6 +11,7 @@ function registerTextHandler(options) {
     formatScriptContext,
     getTopicId,
     getReplyContext,
+    handlePendingInput,
     lastScriptOutputs,
     parseSlashCommand,
     replyWithError,
@@ -29,6 +30,7 @@ function registerTextHandler(options) {
     const topicKey = buildTopicKey(chatId, topicId);
     const text = ctx.message.text.trim();
     if (!text) return;
+    if (typeof handlePendingInput === 'function' && (await handlePendingInput(ctx))) return;
 
     const slash = parseSlashCommand(text);
     if (slash) {
@@ -102,6 +104,7 @@ function registerTextHandler(options) {
             let responseSent = false;
             const response = await runAgentForChat(chatId, llmPrompt, {
               topicId,
+              userId: ctx.from?.id,
               scriptContext,
               onProgressUpdate: async (lines) => {
                 if (!progressReporter) return;
@@ -244,6 +247,7 @@ function registerTextHandler(options) {
         const response = await runAgentForChat(chatId, text, {
           contextKey,
           topicId,
+          userId: ctx.from?.id,
           scriptContext,
           onProgressUpdate: async (lines) => {
             if (!progressReporter) return;
@@ -1,27 +1,33 @@
 require('dotenv').config();
 
-const { Telegraf } = require('telegraf');
 const {
   AGENT_CODEX,
   AGENT_CODEX_APP,
   getAgent,
   getAgentLabel,
   isKnownAgent,
+  listAgentIds,
   normalizeAgent,
+  registerCustomAgents,
 } = require('./agents');
 const {
   CONFIG_PATH,
   MEMORY_PATH,
   SOUL_PATH,
   TOOLS_PATH,
+  loadAgentFallbacks,
   loadAgentOverrides,
+  loadApprovalRules,
   loadThreads,
+  loadUsers,
   readConfig,
   readMemory,
   readSoul,
   readTools,
+  saveAgentFallbacks,
   saveAgentOverrides,
   saveThreads,
+  saveUsers,
   updateConfig,
 } = require('./config-store');
 const {
@@ -29,6 +35,14 @@ const {
   getAgentOverride,
   setAgentOverride,
 } = require('./agent-overrides');
+const {
+  clearAgentFallbacks,
+  getAgentFallbacks,
+  parseFallbackAgentIds,
+  resolveFallbackChain,
+  setAgentFallbacks,
+} = require('./agent-fallbacks');
+const { createBudgetCounters, normalizeBudgetConfig } = require('./budgets');
 const {
   buildThreadKey,
   buildTopicKey,
@@ -42,10 +56,21 @@ const {
   curateMemory,
   getMemoryStatus,
   getThreadTail,
+  pruneMemory,
+  stripAutoMemorySection,
 } = require('./memory-store');
 const {
   searchMemory,
 } = require('./memory-retrieval');
+const { setMemoryEmbedder } = require('./memory-index');
+const { createMemoryEmbedder } = require('./memory-embedder');
+const { normalizeMemoryIsolation, resolveMemoryPolicy } = require('./memory-isolation');
+const {
+  buildFactsContext,
+  forgetFacts,
+  listFacts,
+  rememberFact,
+} = require('./memory-facts');
 const {
   loadCronJobs,
   loadCronState,
@@ -77,8 +102,31 @@ const {
 } = require('./model-settings');
 const {
   createAccessControlMiddleware,
+  createRoleMiddleware,
   parseAllowedUsersEnv,
 } = require('./access-control');
+const {
+  createEmptyAccessUsers,
+  denyAccessUser,
+  isAccessUserDenied,
+  mergeAccessUsers,
+  normalizeAccessUsers,
+  setAccessUser,
+} = require('./access-users');
+const {
+  describeApprovalRequest,
+  normalizeApprovalRules,
+  resolveApprovalRule,
+} = require('./approval-rules');
+const { normalizeApprovalTimeouts, resolveApprovalTimeout } = require('./approval-timeouts');
+const { normalizeAccessConfig } = require('./roles');
+const {
+  buildSandboxPolicy,
+  formatWorkspace,
+  normalizeWorkspaceBindings,
+  normalizeWorkspaces,
+  resolveWorkspace,
+} = require('./workspaces');
 
 const { ScriptManager } = require('./script-manager');
 const { prefixTextWithTimestamp, DEFAULT_TIME_ZONE } = require('./time-utils');
@@ -88,25 +136,45 @@ const {
   AGENT_MAX_BUFFER,
   AGENT_POST_FINAL_GRACE_MS,
   AGENT_TIMEOUT_MS,
+  CODEX_APP_HEARTBEAT_MS,
+  CODEX_APP_HEARTBEAT_TIMEOUT_MS,
+  CODEX_APP_RESTART_MAX_DELAY_MS,
   DOCUMENT_CLEANUP_INTERVAL_MS,
   DOCUMENT_DIR,
   DOCUMENT_TTL_HOURS,
   FILE_INSTRUCTIONS_EVERY,
+  HTTP_HOST,
+  HTTP_PORT,
+  HTTP_TOKEN,
   IMAGE_CLEANUP_INTERVAL_MS,
   IMAGE_DIR,
   IMAGE_TTL_HOURS,
+  LOCAL_CHAT_ID,
   MEMORY_CURATE_EVERY,
+  MEMORY_CURATION_MODE,
+  MEMORY_EMBED_COMMAND,
+  MEMORY_EMBED_MODEL,
+  MEMORY_EMBEDDER,
+  MEMORY_MAX_THREAD_BYTES,
+  MEMORY_RETENTION_DAYS,
   MEMORY_RETRIEVAL_LIMIT,
   SCRIPT_NAME_REGEX,
   SCRIPTS_DIR,
   SCRIPT_TIMEOUT_MS,
   SHUTDOWN_DRAIN_TIMEOUT_MS,
+  TRANSPORT,
+  USAGE_RETENTION_DAYS,
   WHISPER_CMD,
   WHISPER_LANGUAGE,
   WHISPER_MODEL,
   WHISPER_TIMEOUT_MS,
 } = require('./app/env');
 const { createAppState } = require('./app/state');
+const {
+  TRANSPORT_TELEGRAM,
+  createTransport,
+  isKnownTransport,
+} = require('./transports');
 const {
   execLocal,
   execLocalStreaming,
@@ -118,7 +186,11 @@ const { createEnqueue } = require('./services/queue');
 const { createAgentRunner } = require('./services/agent-runner');
 const { createCronAlertNotifier } = require('./services/cron-alerts');
 const { createCronHandler } = require('./services/cron-handler');
+const { createAcpClient } = require('./services/acp-client');
 const { createCodexAppServerClient } = require('./services/codex-app-server');
+const { createCodexAppServerPool } = require('./services/codex-app-pool');
+const { createCodexAppServerSupervisor } = require('./services/codex-app-supervisor');
+const { buildTelegramThreadExtra } = require('./services/telegram-topics');
 const {
   buildCronInspection,
   formatCronInspection,
@@ -132,16 +204,31 @@ const {
   listScheduledRuns: listScheduledRunsFile,
   loadScheduledRuns,
 } = require('./services/scheduled-runs');
+const { appendApprovalAudit } = require('./services/approval-audit');
 const { createApprovalService } = require('./services/approval-requests');
+const { createPendingRequestStore } = require('./services/pending-requests');
 const { createElicitationService } = require('./services/elicitation-requests');
+const { createUserInviteService } = require('./services/user-invites');
 const { createCodexDesktopExportService } = require('./services/codex-desktop-export');
 const { createFileService } = require('./services/files');
+const { createHttpServer } = require('./services/http-server');
+const { createHttpStateApi } = require('./services/http-state-api');
 const { createMemoryService } = require('./services/memory');
 const { createReplyContextStore } = require('./services/reply-context');
 const { createResumeThreadsService } = require('./services/resume-threads');
 const { createSendToCodexService } = require('./services/send-to-codex');
+const { createSessionBackends } = require('./services/session-backends');
 const { createScriptService } = require('./services/scripts');
 const { createTelegramReplyService } = require('./services/telegram-reply');
+const {
+  appendUsageRecord,
+  filterUsageRecords,
+  formatUsageTotals,
+  loadUsageRecords,
+  startUsageRetention,
+  summarizeUsage,
+} = require('./services/usage-store');
+const { createWebhookIngress } = require('./services/webhook-ingress');
 const { syncTelegramCommands } = require('./services/telegram-command-sync');
 const { startOneShotScheduler } = require('./one-shot-scheduler');
 const { bootstrapApp } = require('./app/bootstrap');
@@ -152,33 +239,117 @@ const { registerHandlers } = require('./app/register-handlers');
 installLogTimestamps();
 
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
-if (!BOT_TOKEN) {
+if (!isKnownTransport(TRANSPORT)) {
+  console.error(`Unknown AIPAL_TRANSPORT: ${TRANSPORT}`);
+  process.exit(1);
+}
+if (TRANSPORT === TRANSPORT_TELEGRAM && !BOT_TOKEN) {
   console.error('Missing TELEGRAM_BOT_TOKEN');
   process.exit(1);
 }
 
-const bot = new Telegraf(BOT_TOKEN);
 const allowedUsers = parseAllowedUsersEnv(process.env.ALLOWED_USERS);
+const bot = createTransport(TRANSPORT, {
+  chatId: LOCAL_CHAT_ID,
+  token: BOT_TOKEN,
+  userId: allowedUsers.values().next().value || 1,
+});
+if (TRANSPORT !== TRANSPORT_TELEGRAM) {
+  console.info(`Using ${TRANSPORT} transport instead of Telegram.`);
+}
 
-// Access control middleware: must be registered before any other handlers
-if (allowedUsers.size > 0) {
-  console.log(`Configured with ${allowedUsers.size} allowed users.`);
-  bot.use(
-    createAccessControlMiddleware(allowedUsers, {
-      onUnauthorized: ({ userId, username }) => {
-        console.warn(
-          `Unauthorized access attempt from user ID ${userId} (${username || 'no username'
-          })`
-        );
-      },
-    })
-  );
-} else {
-  console.warn(
-    'WARNING: No ALLOWED_USERS configured. The bot is open to everyone.'
+let accessConfig = normalizeAccessConfig();
+let configAccess = {};
+let accessUsers = createEmptyAccessUsers();
+let accessUsersPersist = Promise.resolve();
+let markAccessConfigLoaded;
+const accessConfigLoaded = new Promise((resolve) => {
+  markAccessConfigLoaded = resolve;
+});
+
+function getAllowedUserIds() {
+  if (!accessConfig.enabled) return allowedUsers.size > 0 ? allowedUsers : null;
+  return new Set(accessConfig.users.keys());
+}
+
+function rebuildAccessConfig() {
+  accessConfig = normalizeAccessConfig(mergeAccessUsers(configAccess, accessUsers), {
+    allowedUserIds: allowedUsers,
+  });
+}
+
+function getAdminIds() {
+  if (!accessConfig.enabled) return allowedUsers;
+  return new Set(
+    Array.from(accessConfig.users)
+      .filter(([, user]) => user.role === 'admin')
+      .map(([userId]) => userId)
   );
 }
 
+function getAccessSources() {
+  return {
+    configUserIds: new Set(Object.keys(configAccess?.users || {})),
+    envUserIds: allowedUsers,
+  };
+}
+
+// The first runtime user turns role checks on, so keep everyone who already
+// had full access (ALLOWED_USERS and the admin making the change) as admins.
+function ensureAccessBootstrapped(actorId) {
+  if (accessConfig.enabled || Object.keys(accessUsers.users).length === 0) return;
+  for (const userId of [...allowedUsers, actorId]) {
+    if (userId && !accessUsers.users[userId]) {
+      setAccessUser(accessUsers, userId, 'admin', { addedBy: 'bootstrap' });
+    }
+  }
+}
+
+async function persistAccessUsers({ actorId } = {}) {
+  ensureAccessBootstrapped(actorId);
+  const snapshot = JSON.parse(JSON.stringify(accessUsers));
+  accessUsersPersist = accessUsersPersist.catch(() => {}).then(() => saveUsers(snapshot));
+  await accessUsersPersist;
+  rebuildAccessConfig();
+  syncTelegramCommands(bot, console, { access: accessConfig }).catch((err) => {
+    console.warn('Failed to sync Telegram commands after a user change:', err);
+  });
+}
+
+// Access control middleware: must be registered before any other handlers
+bot.use(
+  createAccessControlMiddleware(getAllowedUserIds, {
+    ready: accessConfigLoaded,
+    onUnauthorized: ({ userId, username }, ctx) => {
+      console.warn(
+        `Unauthorized access attempt from user ID ${userId} (${username || 'no username'
+        })`
+      );
+      userInviteService
+        .requestInvite({
+          userId,
+          username,
+          firstName: ctx?.from?.first_name,
+          lastName: ctx?.from?.last_name,
+          chatId: ctx?.chat?.id,
+          chatType: ctx?.chat?.type,
+        })
+        .catch((err) => console.warn('Failed to send access request:', err));
+    },
+  })
+);
+bot.use(
+  createRoleMiddleware({
+    getAccessConfig: () => accessConfig,
+    ready: accessConfigLoaded,
+    onDenied: ({ userId, role, required, label }) => {
+      console.warn(
+        `Denied ${label} for user ID ${userId} (role=${role || 'none'}, requires ${required})`
+      );
+    },
+  })
+);
+
 const appState = createAppState({ defaultAgent: AGENT_CODEX });
 const { queues, threadTurns, lastScriptOutputs } = appState;
 let { threads, threadsPersist, agentOverrides, agentOverridesPersist, memoryPersist } = appState;
@@ -188,6 +359,18 @@ let globalThinking;
 let globalAgent = AGENT_CODEX;
 let globalModels = {};
 let globalServiceTiers = {};
+let budgetConfig = normalizeBudgetConfig();
+const budgetCounters = createBudgetCounters({ loadRecords: loadUsageRecords });
+let approvalRules = normalizeApprovalRules();
+let approvalTimeouts = normalizeApprovalTimeouts();
+let globalFallbackAgents = [];
+let verboseTopics = new Set();
+let memoryOptOutTopics = new Set();
+let memoryIsolation = normalizeMemoryIsolation();
+let workspaces = new Map();
+let workspaceBindings = new Map();
+let agentFallbacks = new Map();
+let agentFallbacksPersist = Promise.resolve();
 let cronDefaultChatId = null;
 let oneShotScheduler = null;
 const enqueue = createEnqueue(queues);
@@ -240,23 +423,38 @@ const {
   transcribeAudio,
 } = fileService;
 
+setMemoryEmbedder(
+  createMemoryEmbedder({
+    command: MEMORY_EMBED_COMMAND,
+    model: MEMORY_EMBED_MODEL,
+    provider: MEMORY_EMBEDDER,
+  })
+);
+
 const memoryService = createMemoryService({
   appendMemoryEvent,
+  buildFactsContext,
   buildThreadBootstrap,
   configPath: CONFIG_PATH,
-  curateMemory,
+  curateMemory: curateMemoryWithAgent,
   documentDir: DOCUMENT_DIR,
   extractDocumentTokens,
   extractImageTokens,
   extractScheduleOnceTokens,
+  getMemoryPolicy,
   imageDir: IMAGE_DIR,
+  isMemoryCaptureEnabled,
   memoryCurateEvery: MEMORY_CURATE_EVERY,
+  memoryMaxThreadBytes: MEMORY_MAX_THREAD_BYTES,
   memoryPath: MEMORY_PATH,
+  memoryRetentionDays: MEMORY_RETENTION_DAYS,
   persistMemory,
+  pruneMemory,
   readMemory,
   readSoul,
   readTools,
   soulPath: SOUL_PATH,
+  stripAutoMemorySection,
   toolsPath: TOOLS_PATH,
   getMemoryEventsSinceCurate: () => memoryEventsSinceCurate,
   setMemoryEventsSinceCurate: (value) => {
@@ -268,14 +466,110 @@ const {
   buildCodexAppThreadInstructions,
   captureMemoryEvent,
   extractMemoryText,
+  startMemoryRetention,
 } = memoryService;
 
-const approvalService = createApprovalService({ bot });
-const elicitationService = createElicitationService({ bot });
-const codexAppServerClient = createCodexAppServerClient({
-  cwd: process.cwd(),
-  defaultPersonality: 'friendly',
+const pendingRequestStore = createPendingRequestStore();
+const approvalService = createApprovalService({
+  bot,
+  pendingStore: pendingRequestStore,
+  getTimeout: (kind) => resolveApprovalTimeout(approvalTimeouts, kind),
 });
+
+function resolveApprovalPolicy(request, { chatId, topicId } = {}) {
+  const { action, rule } = resolveApprovalRule(approvalRules, request);
+  if (action === 'ask') return null;
+  const decision = action === 'allow' ? 'accept' : 'decline';
+  console.info(
+    `Approval ${request.requestId} (${request.kind}) ${action === 'allow' ? 'allowed' : 'denied'} by rule ${rule}`
+  );
+  appendApprovalAudit({
+    ...describeApprovalRequest(request),
+    action,
+    chatId,
+    decision,
+    kind: request.kind,
+    requestId: request.requestId,
+    rule,
+    threadId: request.threadId,
+    topicId,
+  }).catch((err) => console.warn('Failed to write approval audit log:', err));
+  return decision;
+}
+const userInviteService = createUserInviteService({
+  bot,
+  getAdminIds,
+  isDenied: (userId) => isAccessUserDenied(accessUsers, userId),
+  onDecision: async ({ action, adminId, firstName, userId, username }) => {
+    if (action === 'deny') {
+      denyAccessUser(accessUsers, userId, { deniedBy: adminId, username });
+      await persistAccessUsers({ actorId: adminId });
+      return null;
+    }
+    const role = action === 'readonly' ? 'read-only' : accessConfig.defaultRole;
+    setAccessUser(accessUsers, userId, role, { addedBy: adminId, firstName, username });
+    await persistAccessUsers({ actorId: adminId });
+    return role;
+  },
+});
+const elicitationService = createElicitationService({
+  bot,
+  pendingStore: pendingRequestStore,
+});
+function createCodexAppInstance(instanceCwd) {
+  const client = createCodexAppServerClient({
+    cwd: instanceCwd,
+    defaultPersonality: 'friendly',
+    onExit: (event) => supervisor.handleExit(event),
+  });
+  const supervisor = createCodexAppServerSupervisor({
+    client,
+    heartbeatIntervalMs: CODEX_APP_HEARTBEAT_MS,
+    heartbeatTimeoutMs: CODEX_APP_HEARTBEAT_TIMEOUT_MS,
+    notifyThreadRecovered: async ({ error, metadata }) => {
+      if (!metadata?.chatId) return;
+      const text = error
+        ? 'El app-server de Codex se reinicio durante este turno y no se pudo recuperar el hilo. Envia el mensaje de nuevo para continuar.'
+        : 'El app-server de Codex se reinicio durante este turno. El hilo se recupero; envia el mensaje de nuevo para continuar donde quedo.';
+      await bot.telegram.sendMessage(
+        metadata.chatId,
+        text,
+        buildTelegramThreadExtra({ forceTopic: true, topicId: metadata.topicId })
+      );
+    },
+    restartMaxDelayMs: CODEX_APP_RESTART_MAX_DELAY_MS,
+  });
+  return { client, supervisor };
+}
+
+const defaultCodexAppInstance = createCodexAppInstance(process.cwd());
+const codexAppServerClient = defaultCodexAppInstance.client;
+const codexAppServerPool = createCodexAppServerPool({
+  createInstance: (workspace) => {
+    const instance = createCodexAppInstance(workspace.cwd);
+    instance.supervisor.start();
+    return instance;
+  },
+  defaultInstance: defaultCodexAppInstance,
+});
+const sessionBackends = createSessionBackends({
+  codexAppAgentId: AGENT_CODEX_APP,
+  createAcpClient,
+  getAgent,
+  getCodexAppClient: ({ threadId }) => codexAppServerPool.getThreadInstance(threadId).client,
+});
+
+function isMemoryCaptureEnabled(chatId, topicId) {
+  return !memoryOptOutTopics.has(buildTopicKey(chatId, topicId));
+}
+
+function getMemoryPolicy(chatId) {
+  return resolveMemoryPolicy(memoryIsolation, chatId);
+}
+
+function getTopicWorkspace(chatId, topicId) {
+  return resolveWorkspace(workspaces, workspaceBindings, chatId, topicId);
+}
 const codexDesktopExportService = createCodexDesktopExportService();
 
 const agentRunner = createAgentRunner({
@@ -283,6 +577,10 @@ const agentRunner = createAgentRunner({
   agentTimeoutMs: AGENT_TIMEOUT_MS,
   buildBootstrapContext,
   buildPrompt,
+  checkBudget: async (target) => {
+    if (budgetConfig.limits.length === 0) return null;
+    return budgetCounters.resolveDecision(budgetConfig, target);
+  },
   documentDir: DOCUMENT_DIR,
   execLocal,
   execLocalStreaming,
@@ -297,20 +595,51 @@ const agentRunner = createAgentRunner({
   persistThreads,
   postFinalGraceMs: AGENT_POST_FINAL_GRACE_MS,
   prefixTextWithTimestamp,
+  recordUsage: async (record) => {
+    const entry = await appendUsageRecord(record);
+    budgetCounters.record(entry);
+    return entry;
+  },
   resolveEffectiveAgentId,
+  resolveFallbackAgentIds,
+  resolveServiceTier: (agentId) =>
+    agentId === AGENT_CODEX_APP
+      ? normalizeServiceTier(globalServiceTiers[AGENT_CODEX_APP])
+      : undefined,
   resolveThreadId,
   runSessionBackedChatTurn: async (options) => {
-    if (options.agentId !== AGENT_CODEX_APP) {
-      throw new Error(`Unsupported session-backed agent: ${options.agentId}`);
+    const requestContext = { chatId: options.chatId, topicId: options.topicId };
+    const workspace = getTopicWorkspace(options.chatId, options.topicId);
+    const turnCwd = workspace?.cwd || options.cwd;
+    if (sessionBackends.isAcpAgent(options.agentId)) {
+      return sessionBackends.getClient(options.agentId).runChatTurn({
+        cwd: turnCwd,
+        includeAgentDeltas: options.chatId > 0,
+        input: buildCodexAppInputs(options.prompt, options.imagePaths),
+        onFinalResponse: options.onFinalResponse,
+        onProgressUpdate: options.onProgressUpdate,
+        onServerRequestResolved: ({ requestId, threadId }) =>
+          approvalService.resolveServerRequest({ requestId, threadId }),
+        onTurnStarted: options.onTurnStarted,
+        requestApproval: (request) =>
+          approvalService.requestApproval(request, requestContext),
+        resolveApprovalPolicy: (request) =>
+          resolveApprovalPolicy(request, requestContext),
+        threadId: options.threadId,
+      });
     }
-    const developerInstructions = await buildCodexAppThreadInstructions();
-    return codexAppServerClient.runChatTurn({
+    const instance = codexAppServerPool.getInstance(workspace);
+    const developerInstructions = await buildCodexAppThreadInstructions({
+      chatId: options.chatId,
+    });
+    const result = await instance.client.runChatTurn({
       approvalPolicy: 'on-request',
-      cwd: options.cwd,
+      cwd: turnCwd,
       developerInstructions: developerInstructions || undefined,
       effort: options.effort,
       includeAgentDeltas: options.chatId > 0,
       input: buildCodexAppInputs(options.prompt, options.imagePaths),
+      metadata: requestContext,
       model: options.model,
       onServerRequestResolved: ({ requestId, threadId }) => {
         approvalService.resolveServerRequest({ requestId, threadId });
@@ -318,25 +647,31 @@ const agentRunner = createAgentRunner({
       },
       onFinalResponse: options.onFinalResponse,
       onProgressUpdate: options.onProgressUpdate,
-      onTurnStarted: options.onTurnStarted,
+      onTurnStarted: (payload) => {
+        codexAppServerPool.trackThread(payload.threadId, instance);
+        options.onTurnStarted(payload);
+      },
       requestApproval: (request) =>
-        approvalService.requestApproval(request, {
-          chatId: options.chatId,
-          topicId: options.topicId,
-        }),
+        approvalService.requestApproval(request, requestContext),
       requestElicitation: (request) =>
-        elicitationService.requestElicitation(request, {
-          chatId: options.chatId,
-          topicId: options.topicId,
-        }),
-      serviceTier: normalizeServiceTier(globalServiceTiers[AGENT_CODEX_APP]),
-      sandboxPolicy: { type: 'dangerFullAccess' },
+        elicitationService.requestElicitation(request, requestContext),
+      resolveApprovalPolicy: (request) =>
+        resolveApprovalPolicy(request, requestContext),
+      serviceTier: options.serviceTier,
+      sandboxPolicy: buildSandboxPolicy(workspace),
       threadId: options.threadId,
+      verbose: verboseTopics.has(buildTopicKey(options.chatId, options.topicId)),
     });
+    codexAppServerPool.trackThread(result.threadId, instance);
+    return result;
   },
   runSessionBackedOneShot: async (options) => {
-    if (options.agentId !== AGENT_CODEX_APP) {
-      throw new Error(`Unsupported session-backed agent: ${options.agentId}`);
+    if (sessionBackends.isAcpAgent(options.agentId)) {
+      return sessionBackends.getClient(options.agentId).runOneShot({
+        cwd: process.cwd(),
+        input: buildCodexAppInputs(options.prompt, []),
+        resolveApprovalPolicy: (request) => resolveApprovalPolicy(request),
+      });
     }
     const developerInstructions = await buildCodexAppThreadInstructions();
     return codexAppServerClient.runOneShot({
@@ -346,38 +681,30 @@ const agentRunner = createAgentRunner({
       effort: options.effort,
       input: buildCodexAppInputs(options.prompt, []),
       model: options.model,
+      resolveApprovalPolicy: (request) => resolveApprovalPolicy(request),
       serviceTier: normalizeServiceTier(globalServiceTiers[AGENT_CODEX_APP]),
       sandboxPolicy: { type: 'dangerFullAccess' },
     });
   },
   setSessionBackedThreadTitle: async (options) => {
-    if (options.agentId !== AGENT_CODEX_APP) {
-      throw new Error(`Unsupported session-backed agent: ${options.agentId}`);
-    }
-    return codexAppServerClient.setThreadName({
+    // ACP has no session naming; titles only exist on codex threads.
+    if (sessionBackends.isAcpAgent(options.agentId)) return null;
+    return sessionBackends.getClient(options.agentId, options).setThreadName({
       name: options.title,
       threadId: options.threadId,
     });
   },
-  steerSessionBackedTurn: async (options) => {
-    if (options.agentId !== AGENT_CODEX_APP) {
-      throw new Error(`Unsupported session-backed agent: ${options.agentId}`);
-    }
-    return codexAppServerClient.steerTurn({
+  steerSessionBackedTurn: async (options) =>
+    sessionBackends.getClient(options.agentId, options).steerTurn({
       expectedTurnId: options.turnId,
       input: options.input,
       threadId: options.threadId,
-    });
-  },
-  stopSessionBackedTurn: async (options) => {
-    if (options.agentId !== AGENT_CODEX_APP) {
-      throw new Error(`Unsupported session-backed agent: ${options.agentId}`);
-    }
-    return codexAppServerClient.interruptTurn({
+    }),
+  stopSessionBackedTurn: async (options) =>
+    sessionBackends.getClient(options.agentId, options).interruptTurn({
       threadId: options.threadId,
       turnId: options.turnId,
-    });
-  },
+    }),
   shellQuote,
   terminateChildProcess,
   threadTurns,
@@ -387,6 +714,7 @@ const agentRunner = createAgentRunner({
 const {
   cancelActiveRuns,
   getActiveRunState,
+  listActiveRuns,
   runAgentForChat,
   runAgentOneShot,
   steerActiveRun,
@@ -403,11 +731,33 @@ function setThreadBinding(chatId, topicId, agentId, threadId) {
   return persistThreads();
 }
 
+function formatUptime(uptimeMs) {
+  const totalMinutes = Math.floor(uptimeMs / 60000);
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}
+
+function formatAppServerStatus(status) {
+  const state = status.running
+    ? `running, uptime ${formatUptime(status.uptimeMs || 0)}`
+    : status.restartPending
+      ? 'restarting'
+      : 'stopped';
+  return `${state}, restarts: ${status.restartCount}`;
+}
+
 function formatThreadStatusMessage({
   activeRunState,
+  appServerStatus,
   effectiveAgentId,
   threadBinding,
   threadState,
+  topicUsage,
+  workspace,
 }) {
   const lines = [
     `<b>Active agent:</b> ${escapeHtml(getAgentLabel(effectiveAgentId))}`,
@@ -420,6 +770,16 @@ function formatThreadStatusMessage({
       ? `<b>codex-app thread:</b> <code>${escapeHtml(threadBinding)}</code>`
       : '<b>codex-app thread:</b> (no binding)',
   ];
+  lines.push(
+    workspace
+      ? `<b>Workspace:</b> ${escapeHtml(formatWorkspace(workspace))}`
+      : '<b>Workspace:</b> (default)'
+  );
+  lines.push(
+    appServerStatus
+      ? `<b>codex-app server:</b> ${escapeHtml(formatAppServerStatus(appServerStatus))}`
+      : '<b>codex-app server:</b> not started'
+  );
 
   if (threadState?.title) {
     lines.push(`<b>Title:</b> ${escapeHtml(threadState.title)}`);
@@ -439,6 +799,9 @@ function formatThreadStatusMessage({
       ? `<b>Active run:</b> yes (${escapeHtml(activeRunState.lifecycleState || 'streaming')})`
       : '<b>Active run:</b> no'
   );
+  if (topicUsage && topicUsage.runs > 0) {
+    lines.push(`<b>Topic usage:</b> ${escapeHtml(formatUsageTotals(topicUsage))}`);
+  }
 
   return lines.join('\n');
 }
@@ -549,6 +912,63 @@ const handleCronTrigger = createCronHandler({
 });
 const notifyCronAlert = createCronAlertNotifier({ bot });
 
+const webhookIngress = createWebhookIngress({
+  bot,
+  buildMemoryThreadKey,
+  buildTopicKey,
+  captureMemoryEvent,
+  enqueue,
+  extractMemoryText,
+  formatError,
+  getDefaultChatId: () => cronDefaultChatId,
+  isKnownAgent,
+  normalizeAgent,
+  registerReplyContext: replyContextStore.registerReplyContext,
+  resolveEffectiveAgentId,
+  runAgentForChat,
+  sendResponseToChat,
+});
+const httpStateApi = createHttpStateApi({
+  buildCronInspection,
+  buildCronTriggerPayload,
+  buildTopicKey,
+  clearThreadForAgent: (chatId, topicId, agentId) =>
+    clearThreadForAgent(threads, chatId, topicId, agentId),
+  curateMemory: curateMemoryOnReset,
+  getAgentOverrides: () => agentOverrides,
+  getCronDefaultChatId: () => cronDefaultChatId,
+  getThreads: () => threads,
+  handleCronTrigger,
+  isKnownAgent,
+  listActiveRuns,
+  listScheduledRuns: listScheduledRunsFile,
+  loadCronJobs,
+  loadCronState,
+  loadScheduledRuns,
+  normalizeAgent,
+  persistMemory,
+  persistThreads,
+  resolveEffectiveAgentId,
+  setMemoryEventsSinceCurate: (value) => {
+    memoryEventsSinceCurate = value;
+  },
+  stopActiveRun,
+  threadTurns,
+});
+const httpServer = HTTP_PORT
+  ? createHttpServer({
+    authToken: HTTP_TOKEN,
+    host: HTTP_HOST,
+    port: HTTP_PORT,
+    routes: [...webhookIngress.routes, ...httpStateApi.routes],
+  })
+  : null;
+if (httpServer && !HTTP_TOKEN) {
+  console.warn(
+    'WARNING: AIPAL_HTTP_TOKEN is not set. The HTTP API accepts unauthenticated requests.'
+  );
+}
+
 bot.catch((err) => {
   console.error('Bot error', err);
 });
@@ -567,6 +987,13 @@ function persistAgentOverrides() {
   return agentOverridesPersist;
 }
 
+function persistAgentFallbacks() {
+  agentFallbacksPersist = agentFallbacksPersist
+    .catch(() => { })
+    .then(() => saveAgentFallbacks(agentFallbacks));
+  return agentFallbacksPersist;
+}
+
 function persistMemory(task) {
   memoryPersist = memoryPersist
     .catch(() => { })
@@ -574,6 +1001,35 @@ function persistMemory(task) {
   return memoryPersist;
 }
 
+const MEMORY_CURATION_CONTEXT_KEY = 'memory-curation';
+
+// Agent curation is billed to the chat/topic/user that triggered it, so it
+// shows up in usage.jsonl and counts against budgets like any other run.
+function curateMemoryWithAgent(target = {}) {
+  if (MEMORY_CURATION_MODE !== 'agent') return curateMemory();
+  return curateMemory({
+    runAgentOneShot: (prompt) =>
+      runAgentOneShot(prompt, {
+        chatId: target.chatId,
+        contextKey: MEMORY_CURATION_CONTEXT_KEY,
+        topicId: target.topicId,
+        userId: target.userId,
+      }),
+  });
+}
+
+// Resets only wait for keyword curation; the agent pass, when enabled, is
+// queued behind it instead of holding the reply.
+async function curateMemoryOnReset(target) {
+  const result = await curateMemory();
+  if (MEMORY_CURATION_MODE === 'agent') {
+    persistMemory(() => curateMemoryWithAgent(target)).catch((err) =>
+      console.warn('Agent memory curation after reset failed:', err)
+    );
+  }
+  return result;
+}
+
 function resolveEffectiveAgentId(chatId, topicId, overrideAgentId) {
   return (
     overrideAgentId ||
@@ -582,6 +1038,15 @@ function resolveEffectiveAgentId(chatId, topicId, overrideAgentId) {
   );
 }
 
+function resolveFallbackAgentIds(chatId, topicId) {
+  return resolveFallbackChain(
+    agentFallbacks,
+    chatId,
+    topicId,
+    globalFallbackAgents
+  ).filter((agentId) => isKnownAgent(agentId));
+}
+
 function buildMemoryThreadKey(chatId, topicId, agentId, contextKey) {
   return buildThreadKey(chatId, topicId, agentId, contextKey);
 }
@@ -595,12 +1060,65 @@ function escapeHtml(value) {
 
 let cronScheduler = null;
 
+function logAccessConfig() {
+  const allowedUserIds = getAllowedUserIds();
+  if (!allowedUserIds) {
+    console.warn(
+      'WARNING: No ALLOWED_USERS configured. The bot is open to everyone.'
+    );
+    return;
+  }
+  console.log(`Configured with ${allowedUserIds.size} allowed users.`);
+  if (accessConfig.enabled) {
+    console.info(`Role-based access enabled (default role: ${accessConfig.defaultRole})`);
+  }
+}
+
 async function hydrateGlobalSettings() {
-  const config = await readConfig();
+  let config;
+  try {
+    config = await readConfig();
+    configAccess = config.access;
+    accessUsers = normalizeAccessUsers(await loadUsers());
+    rebuildAccessConfig();
+  } finally {
+    logAccessConfig();
+    markAccessConfigLoaded();
+  }
+  const customAgentIds = registerCustomAgents(config.customAgents);
+  if (customAgentIds.length > 0) {
+    console.info(`Registered custom agent(s): ${customAgentIds.join(', ')}`);
+  }
   if (config.agent) globalAgent = normalizeAgent(config.agent);
   if (config.models) globalModels = { ...config.models };
   if (config.serviceTiers) globalServiceTiers = { ...config.serviceTiers };
+  if (Array.isArray(config.fallbackAgents)) {
+    globalFallbackAgents = parseFallbackAgentIds(config.fallbackAgents);
+  }
   if (config.thinking) globalThinking = config.thinking;
+  if (Array.isArray(config.verboseTopics)) {
+    verboseTopics = new Set(config.verboseTopics.map(String));
+  }
+  if (Array.isArray(config.memoryOptOutTopics)) {
+    memoryOptOutTopics = new Set(config.memoryOptOutTopics.map(String));
+  }
+  memoryIsolation = normalizeMemoryIsolation(config.memoryIsolation);
+  workspaces = normalizeWorkspaces(config.workspaces);
+  workspaceBindings = normalizeWorkspaceBindings(config.workspaceBindings, workspaces);
+  if (workspaces.size > 0) {
+    console.info(`Loaded ${workspaces.size} workspace(s), ${workspaceBindings.size} topic binding(s)`);
+  }
+  budgetConfig = normalizeBudgetConfig(config.budgets);
+  if (budgetConfig.limits.length > 0) {
+    console.info(`Loaded ${budgetConfig.limits.length} budget limit(s)`);
+  }
+  approvalTimeouts = normalizeApprovalTimeouts(config.approvalTimeouts);
+  approvalRules = normalizeApprovalRules(await loadApprovalRules());
+  if (approvalRules.rules.length > 0 || approvalRules.defaultAction !== 'ask') {
+    console.info(
+      `Loaded ${approvalRules.rules.length} approval rule(s) (default: ${approvalRules.defaultAction})`
+    );
+  }
   return config;
 }
 
@@ -619,44 +1137,69 @@ function getReplyContext({ agentId, chatId, message, topicId }) {
 
 bot.start((ctx) => ctx.reply(`Ready. Send a message and I will pass it to ${getAgentLabel(globalAgent)}.`));
 registerCommands({
-  allowedUsers,
   bot,
   buildCronTriggerPayload,
   buildCronInspection,
   buildMemoryThreadKey,
+  buildThreadKey,
   buildTopicKey,
   cancelScheduledRun,
+  clearAgentFallbacks: (chatId, topicId) =>
+    clearAgentFallbacks(agentFallbacks, chatId, topicId),
   clearAgentOverride: (chatId, topicId) =>
     clearAgentOverride(agentOverrides, chatId, topicId),
   clearModelOverride,
   clearThreadForAgent: (chatId, topicId, agentId) =>
     clearThreadForAgent(threads, chatId, topicId, agentId),
-  curateMemory,
+  curateMemory: curateMemoryWithAgent,
+  curateMemoryOnReset,
   enqueue,
   execLocal,
   extractCommandValue,
+  forgetFacts,
   formatCronInspection,
   formatScheduledRun,
   formatRunsMessage,
   getAgent,
   getAgentLabel,
+  getAccessConfig: () => accessConfig,
+  getAccessSources,
+  getAccessUsers: () => accessUsers,
+  getAgentFallbacks: (chatId, topicId) =>
+    getAgentFallbacks(agentFallbacks, chatId, topicId),
   getAgentOverride: (chatId, topicId) =>
     getAgentOverride(agentOverrides, chatId, topicId),
+  getAllowedUserIds,
   getCronDefaultChatId: () => cronDefaultChatId,
   getCronScheduler: () => cronScheduler,
   getOneShotScheduler: () => oneShotScheduler,
   getActiveRunState,
   getCodexAppThreadId,
+  getCodexTurnTimeline: (threadId) =>
+    codexAppServerPool.getThreadInstance(threadId).client.getTurnTimeline(threadId),
   getGlobalAgent: () => globalAgent,
+  getGlobalFallbackAgents: () => globalFallbackAgents,
   getGlobalModels: () => globalModels,
   getGlobalServiceTiers: () => globalServiceTiers,
   getGlobalThinking: () => globalThinking,
+  getMemoryPolicy,
   getMemoryStatus,
   getThreadTail,
+  getThreads: () => threads,
   getTopicId,
+  getTopicWorkspace,
   handleCronTrigger,
   isKnownAgent,
   isModelResetCommand,
+  isMemoryCaptureEnabled,
+  isVerboseTopic: (chatId, topicId) => verboseTopics.has(buildTopicKey(chatId, topicId)),
+  listFacts,
+  listWorkspaces: () => Array.from(workspaces.values()),
+  memoryRetention: {
+    maxAgeDays: MEMORY_RETENTION_DAYS,
+    maxThreadBytes: MEMORY_MAX_THREAD_BYTES,
+  },
+  listAgentIds,
   loadCronJobs,
   loadCronState,
   loadScheduledRuns,
@@ -743,16 +1286,23 @@ registerCommands({
   },
   listRecentRuns,
   listScheduledRuns: listScheduledRunsFile,
+  loadUsageRecords,
   markdownToTelegramHtml,
   memoryRetrievalLimit: MEMORY_RETRIEVAL_LIMIT,
   normalizeAgent,
   normalizeTopicId,
+  parseFallbackAgentIds,
+  persistAccessUsers,
+  persistAgentFallbacks,
   persistAgentOverrides,
   persistMemory,
   persistThreads,
+  rememberFact,
   replyWithError,
+  replyWithResponse,
   readResumeThreadState: async ({ chatId, effectiveAgentId, topicId }) => {
     const threadBinding = getCodexAppThreadId(chatId, topicId);
+    const workspace = getTopicWorkspace(chatId, topicId);
     const activeRunState = getActiveRunState(
       chatId,
       topicId,
@@ -761,21 +1311,27 @@ registerCommands({
     let threadState = null;
     if (threadBinding) {
       try {
-        threadState = await codexAppServerClient.readThreadState({
-          threadId: threadBinding,
-        });
+        const { client } = codexAppServerPool.getThreadInstance(threadBinding);
+        threadState = await client.readThreadState({ threadId: threadBinding });
       } catch (err) {
         console.warn('Failed to read codex-app thread state:', err?.message || err);
       }
     }
+    const topicUsage = summarizeUsage(
+      filterUsageRecords(await loadUsageRecords(), { chatId, topicId })
+    );
     return formatThreadStatusMessage({
       activeRunState,
+      appServerStatus: codexAppServerPool.getWorkspaceStatus(workspace),
       effectiveAgentId,
       threadBinding,
       threadState,
+      topicUsage,
+      workspace,
     });
   },
   resolveEffectiveAgentId,
+  runAgentForChat,
   createScheduledRun,
   saveCronJobs,
   scriptManager,
@@ -784,11 +1340,16 @@ registerCommands({
     resumeThreadsService.sendThreadPicker(ctx, params),
   sendToCodexPicker: (ctx, sourceThread) =>
     sendToCodexService.sendProjectPicker(ctx, sourceThread),
+  setAgentFallbacks: (chatId, topicId, agentIds) =>
+    setAgentFallbacks(agentFallbacks, chatId, topicId, agentIds),
   setAgentOverride: (chatId, topicId, agentId) =>
     setAgentOverride(agentOverrides, chatId, topicId, agentId),
   setGlobalAgent: (value) => {
     globalAgent = value;
   },
+  setGlobalFallbackAgents: (value) => {
+    globalFallbackAgents = value;
+  },
   setGlobalModels: (value) => {
     globalModels = value;
   },
@@ -801,6 +1362,33 @@ registerCommands({
   setMemoryEventsSinceCurate: (value) => {
     memoryEventsSinceCurate = value;
   },
+  setTopicWorkspace: async (chatId, topicId, workspaceId) => {
+    const topicKey = buildTopicKey(chatId, topicId);
+    if (workspaceId) {
+      workspaceBindings.set(topicKey, workspaceId);
+    } else {
+      workspaceBindings.delete(topicKey);
+    }
+    await updateConfig({ workspaceBindings: Object.fromEntries(workspaceBindings) });
+  },
+  setMemoryCapture: async (chatId, topicId, enabled) => {
+    const topicKey = buildTopicKey(chatId, topicId);
+    if (enabled) {
+      memoryOptOutTopics.delete(topicKey);
+    } else {
+      memoryOptOutTopics.add(topicKey);
+    }
+    await updateConfig({ memoryOptOutTopics: Array.from(memoryOptOutTopics) });
+  },
+  setVerboseTopic: async (chatId, topicId, enabled) => {
+    const topicKey = buildTopicKey(chatId, topicId);
+    if (enabled) {
+      verboseTopics.add(topicKey);
+    } else {
+      verboseTopics.delete(topicKey);
+    }
+    await updateConfig({ verboseTopics: Array.from(verboseTopics) });
+  },
   startTyping,
   stopActiveRun,
   threadTurns,
@@ -829,12 +1417,15 @@ registerHandlers({
   handleCallbackQuery: async (ctx) => {
     const approvalHandled = await approvalService.handleCallbackQuery(ctx);
     if (approvalHandled) return true;
+    const inviteHandled = await userInviteService.handleCallbackQuery(ctx);
+    if (inviteHandled) return true;
     const elicitationHandled = await elicitationService.handleCallbackQuery(ctx);
     if (elicitationHandled) return true;
     const resumeHandled = await resumeThreadsService.handleCallbackQuery(ctx);
     if (resumeHandled) return true;
     return sendToCodexService.handleCallbackQuery(ctx);
   },
+  handlePendingInput: (ctx) => elicitationService.handleTextInput(ctx),
   imageDir: IMAGE_DIR,
   lastScriptOutputs,
   parseSlashCommand,
@@ -858,8 +1449,17 @@ bootstrapApp({
       handleCronTrigger,
       notifyCronAlert,
       hydrateGlobalSettings,
+      loadAgentFallbacks,
       loadAgentOverrides,
       loadThreads,
+      restorePendingRequests: async () => {
+        const approvals = await approvalService.restorePending();
+        const elicitations = await elicitationService.restorePending();
+        return approvals + elicitations;
+      },
+      setAgentFallbacks: (value) => {
+        agentFallbacks = value;
+      },
       setAgentOverrides: (value) => {
         agentOverrides = value;
       },
@@ -875,26 +1475,43 @@ bootstrapApp({
       setThreads: (value) => {
         threads = value;
       },
+      startCodexAppServerSupervisor: () => defaultCodexAppInstance.supervisor.start(),
       startCronScheduler,
       startOneShotScheduler,
       startDocumentCleanup,
       startImageCleanup,
+      startMemoryRetention,
+      startUsageRetention: () => startUsageRetention({ maxAgeDays: USAGE_RETENTION_DAYS }),
     }),
-  syncBotCommands: () => syncTelegramCommands(bot),
+  startHttpServer: httpServer ? () => httpServer.start() : undefined,
+  syncBotCommands: async () => {
+    await accessConfigLoaded;
+    await syncTelegramCommands(bot, console, { access: accessConfig });
+  },
   installShutdownHooks: () =>
     installShutdownHooks({
       bot,
       cancelActiveRuns,
       getCronScheduler: () => cronScheduler,
       getOneShotScheduler: () => oneShotScheduler,
-      getPersistPromises: () => [threadsPersist, agentOverridesPersist, memoryPersist],
+      getPersistPromises: () => [
+        threadsPersist,
+        agentOverridesPersist,
+        agentFallbacksPersist,
+        memoryPersist,
+      ],
       getQueues: () => queues,
       shutdownDrainTimeoutMs: SHUTDOWN_DRAIN_TIMEOUT_MS,
+      stopHttpServer: httpServer ? () => httpServer.stop() : undefined,
       stopCodexAppServer: async () => {
         approvalService.shutdown();
+        userInviteService.shutdown();
         elicitationService.shutdown();
         resumeThreadsService.shutdown();
+        defaultCodexAppInstance.supervisor.stop();
         await codexAppServerClient.shutdown();
+        await codexAppServerPool.shutdown();
+        await sessionBackends.shutdown();
       },
     }),
 });
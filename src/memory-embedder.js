@@ -0,0 +1,140 @@
+const cp = require('node:child_process');
+
+const DEFAULT_LOCAL_MODEL = 'Xenova/all-MiniLM-L6-v2';
+const LOCAL_EMBEDDER_PACKAGE = '@huggingface/transformers';
+const DEFAULT_COMMAND_TIMEOUT_MS = 60000;
+const MAX_COMMAND_OUTPUT_BYTES = 64 * 1024 * 1024;
+
+function normalizeVector(values) {
+  const vector = Array.from(values || [], Number);
+  if (!vector.length || vector.some((value) => !Number.isFinite(value))) {
+    throw new Error('Embedder returned an invalid vector');
+  }
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map((value) => value / norm) : vector;
+}
+
+function parseCommandVectors(stdout, expected) {
+  let parsed;
+  try {
+    parsed = JSON.parse(String(stdout || '').trim());
+  } catch {
+    throw new Error('Embed command did not print JSON');
+  }
+  const vectors = Array.isArray(parsed)
+    ? parsed
+    : parsed?.vectors || parsed?.embeddings;
+  if (!Array.isArray(vectors) || vectors.length !== expected) {
+    throw new Error(`Embed command returned ${Array.isArray(vectors) ? vectors.length : 0} vectors for ${expected} texts`);
+  }
+  return vectors.map(normalizeVector);
+}
+
+function runEmbedCommand(command, input, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const child = cp.execFile(
+      'bash',
+      ['-lc', command],
+      { encoding: 'utf8', maxBuffer: MAX_COMMAND_OUTPUT_BYTES, timeout: timeoutMs },
+      (err, stdout, stderr) => {
+        if (err) {
+          const detail = String(stderr || '').trim();
+          reject(new Error(`Embed command failed: ${detail || err.message}`));
+          return;
+        }
+        resolve(stdout);
+      }
+    );
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+// Command embedders read {"texts": [...]} on stdin and print either a JSON
+// array of vectors or {"vectors": [...]} in the same order.
+function createCommandEmbedder({ command, timeoutMs = DEFAULT_COMMAND_TIMEOUT_MS }) {
+  return {
+    id: `command:${command}`,
+    async embed(texts) {
+      if (!texts.length) return [];
+      const stdout = await runEmbedCommand(
+        command,
+        JSON.stringify({ texts }),
+        timeoutMs
+      );
+      return parseCommandVectors(stdout, texts.length);
+    },
+  };
+}
+
+// The on-CPU model comes from the optional @huggingface/transformers package,
+// loaded on first use so installs without it only lose vector search.
+function createLocalEmbedder({ importModule, model = DEFAULT_LOCAL_MODEL }) {
+  let extractorPromise = null;
+
+  function getExtractor() {
+    if (!extractorPromise) {
+      extractorPromise = importModule(LOCAL_EMBEDDER_PACKAGE)
+        .then(({ pipeline }) => pipeline('feature-extraction', model))
+        .catch((err) => {
+          extractorPromise = null;
+          throw err;
+        });
+    }
+    return extractorPromise;
+  }
+
+  return {
+    id: `local:${model}`,
+    async embed(texts) {
+      if (!texts.length) return [];
+      const extractor = await getExtractor();
+      const output = await extractor(texts, { normalize: true, pooling: 'mean' });
+      return output.tolist().map(normalizeVector);
+    },
+  };
+}
+
+function createMemoryEmbedder(options = {}) {
+  const {
+    command = '',
+    importModule = (specifier) => import(specifier),
+    logger = console,
+    model,
+    provider = 'off',
+    resolveModule = (specifier) => require.resolve(specifier),
+    timeoutMs,
+  } = options;
+
+  const normalizedProvider = String(provider || 'off').trim().toLowerCase();
+  if (normalizedProvider === 'off') return null;
+  if (normalizedProvider === 'command') {
+    const trimmed = String(command || '').trim();
+    if (!trimmed) {
+      logger.warn('AIPAL_MEMORY_EMBEDDER=command needs AIPAL_MEMORY_EMBED_COMMAND; vector search disabled.');
+      return null;
+    }
+    return createCommandEmbedder({ command: trimmed, timeoutMs });
+  }
+  if (normalizedProvider === 'local') {
+    // Checked here, at startup, instead of on the first embed.
+    try {
+      resolveModule(LOCAL_EMBEDDER_PACKAGE);
+    } catch (err) {
+      if (err?.code !== 'MODULE_NOT_FOUND') throw err;
+      logger.warn(
+        `AIPAL_MEMORY_EMBEDDER=local needs ${LOCAL_EMBEDDER_PACKAGE}; install it with \`npm install ${LOCAL_EMBEDDER_PACKAGE}\`. Vector search disabled.`
+      );
+      return null;
+    }
+    return createLocalEmbedder({ importModule, model: model || DEFAULT_LOCAL_MODEL });
+  }
+  logger.warn(`Unknown memory embedder "${provider}"; vector search disabled.`);
+  return null;
+}
+
+module.exports = {
+  DEFAULT_LOCAL_MODEL,
+  createMemoryEmbedder,
+  normalizeVector,
+};
@@ -0,0 +1,251 @@
+const { normalizeTopicId } = require('./thread-store');
+const { withIndexDatabase } = require('./memory-index');
+const { isFactAllowed } = require('./memory-isolation');
+const { redactSensitiveText } = require('./memory-redaction');
+
+const FACT_SCOPES = ['global', 'chat', 'topic'];
+const FACT_KINDS = ['fact', 'preference', 'decision'];
+const MAX_FACT_TEXT_LENGTH = 500;
+const DEFAULT_CONTEXT_LIMIT = 40;
+
+let factsDb = null;
+
+function normalizeText(input) {
+  return String(input || '').replace(/\s+/g, ' ').trim();
+}
+
+function buildTextKey(text) {
+  return normalizeText(text).toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '');
+}
+
+function safeIsoDate(value) {
+  const date = value ? new Date(value) : new Date();
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function ensureFactsTable(db) {
+  if (factsDb === db) return;
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS facts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      text TEXT NOT NULL,
+      text_key TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      scope TEXT NOT NULL,
+      chat_id TEXT NOT NULL,
+      topic_id TEXT NOT NULL,
+      source_event_id TEXT NOT NULL,
+      confidence REAL NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      expires_at TEXT
+    );
+  `);
+  const columns = new Set(
+    db.prepare('PRAGMA table_info(facts);').all().map((column) => column.name)
+  );
+  if (!columns.has('shareable')) {
+    db.exec('ALTER TABLE facts ADD COLUMN shareable INTEGER NOT NULL DEFAULT 0;');
+  }
+  if (!columns.has('origin_chat_id')) {
+    db.exec("ALTER TABLE facts ADD COLUMN origin_chat_id TEXT NOT NULL DEFAULT '';");
+  }
+  db.exec(
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_facts_scope_text ON facts(scope, chat_id, topic_id, text_key);'
+  );
+  factsDb = db;
+}
+
+function withFactsDatabase(task) {
+  return withIndexDatabase((db) => {
+    ensureFactsTable(db);
+    return task(db);
+  });
+}
+
+// Global facts keep empty chat/topic ids and chat facts an empty topic id, so
+// one visibility query covers all three scopes.
+function resolveScopeKeys(scope, chatId, topicId) {
+  if (scope === 'global') return { chatId: '', topicId: '' };
+  if (scope === 'chat') return { chatId: String(chatId ?? ''), topicId: '' };
+  return { chatId: String(chatId ?? ''), topicId: normalizeTopicId(topicId) };
+}
+
+function mapFactRow(row) {
+  return {
+    id: Number(row.id),
+    text: String(row.text || ''),
+    kind: String(row.kind || 'fact'),
+    scope: String(row.scope || 'topic'),
+    chatId: String(row.chatId || ''),
+    topicId: String(row.topicId || ''),
+    sourceEventId: String(row.sourceEventId || ''),
+    confidence: Number(row.confidence),
+    createdAt: String(row.createdAt || ''),
+    updatedAt: String(row.updatedAt || ''),
+    expiresAt: row.expiresAt ? String(row.expiresAt) : null,
+    shareable: Boolean(row.shareable),
+    originChatId: String(row.originChatId || ''),
+  };
+}
+
+const FACT_COLUMNS = `
+  id,
+  text,
+  kind,
+  scope,
+  chat_id AS chatId,
+  topic_id AS topicId,
+  source_event_id AS sourceEventId,
+  confidence,
+  created_at AS createdAt,
+  updated_at AS updatedAt,
+  expires_at AS expiresAt,
+  shareable,
+  origin_chat_id AS originChatId
+`;
+
+function selectVisibleFacts(db, { chatId, topicId, now, policy = 'open' }) {
+  const topicKeys = resolveScopeKeys('topic', chatId, topicId);
+  return db
+    .prepare(`
+      SELECT ${FACT_COLUMNS}
+      FROM facts
+      WHERE (expires_at IS NULL OR expires_at > ?)
+        AND (
+          scope = 'global'
+          OR (scope = 'chat' AND chat_id = ?)
+          OR (scope = 'topic' AND chat_id = ? AND topic_id = ?)
+        )
+      ORDER BY
+        CASE scope WHEN 'topic' THEN 0 WHEN 'chat' THEN 1 ELSE 2 END,
+        updated_at DESC,
+        id DESC;
+    `)
+    .all(safeIsoDate(now), topicKeys.chatId, topicKeys.chatId, topicKeys.topicId)
+    .map(mapFactRow)
+    .filter((fact) => isFactAllowed(policy, { chatId, fact }));
+}
+
+// Facts are injected into prompts, so they go through the same masking as
+// captured events before they are stored.
+async function rememberFact(options = {}) {
+  const { text: redacted } = redactSensitiveText(options.text || '');
+  const text = normalizeText(redacted).slice(0, MAX_FACT_TEXT_LENGTH);
+  if (!text) throw new Error('Fact text is empty');
+  const scope = FACT_SCOPES.includes(options.scope) ? options.scope : 'topic';
+  const kind = FACT_KINDS.includes(options.kind) ? options.kind : 'fact';
+  const confidence = Number.isFinite(options.confidence)
+    ? Math.max(0, Math.min(1, options.confidence))
+    : 1;
+  const expiresAt = options.expiresAt ? safeIsoDate(options.expiresAt) : null;
+  const nowIso = safeIsoDate(options.now);
+  const keys = resolveScopeKeys(scope, options.chatId, options.topicId);
+  const textKey = buildTextKey(text);
+  const sourceEventId = String(options.sourceEventId || '');
+  const shareable = options.shareable ? 1 : 0;
+  const originChatId = String(options.chatId ?? '');
+
+  return withFactsDatabase((db) => {
+    db.prepare('DELETE FROM facts WHERE expires_at IS NOT NULL AND expires_at <= ?;').run(nowIso);
+    const existing = db
+      .prepare(
+        'SELECT id FROM facts WHERE scope = ? AND chat_id = ? AND topic_id = ? AND text_key = ?;'
+      )
+      .get(scope, keys.chatId, keys.topicId, textKey);
+    let id;
+    if (existing) {
+      id = Number(existing.id);
+      db.prepare(`
+        UPDATE facts
+        SET text = ?, kind = ?, source_event_id = ?, confidence = ?, updated_at = ?, expires_at = ?,
+          shareable = ?
+        WHERE id = ?;
+      `).run(text, kind, sourceEventId, confidence, nowIso, expiresAt, shareable, id);
+    } else {
+      const result = db.prepare(`
+        INSERT INTO facts (
+          text, text_key, kind, scope, chat_id, topic_id,
+          source_event_id, confidence, created_at, updated_at, expires_at,
+          shareable, origin_chat_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
+      `).run(
+        text,
+        textKey,
+        kind,
+        scope,
+        keys.chatId,
+        keys.topicId,
+        sourceEventId,
+        confidence,
+        nowIso,
+        nowIso,
+        expiresAt,
+        shareable,
+        originChatId
+      );
+      id = Number(result.lastInsertRowid);
+    }
+    const row = db.prepare(`SELECT ${FACT_COLUMNS} FROM facts WHERE id = ?;`).get(id);
+    return { fact: mapFactRow(row), updated: Boolean(existing) };
+  });
+}
+
+async function listFacts(options = {}) {
+  return withFactsDatabase((db) => {
+    const facts = selectVisibleFacts(db, options);
+    return FACT_SCOPES.includes(options.scope)
+      ? facts.filter((fact) => fact.scope === options.scope)
+      : facts;
+  });
+}
+
+// Forgets one fact visible from the chat/topic, by id or by a text query.
+// A query that matches several facts removes nothing and returns the
+// matches so the caller can pick an id. With allowGlobal false, a single
+// global match is kept and reported as denied.
+async function forgetFacts(options = {}) {
+  const allowGlobal = options.allowGlobal !== false;
+  const target = normalizeText(options.target);
+  if (!target) throw new Error('Nothing to forget');
+  return withFactsDatabase((db) => {
+    const visible = selectVisibleFacts(db, options);
+    let matches;
+    if (/^#?\d+$/.test(target)) {
+      const id = Number(target.replace('#', ''));
+      matches = visible.filter((fact) => fact.id === id);
+    } else {
+      const key = buildTextKey(target);
+      matches = key ? visible.filter((fact) => buildTextKey(fact.text).includes(key)) : [];
+    }
+    if (matches.length !== 1) return { matches, removed: [] };
+    if (!allowGlobal && matches[0].scope === 'global') {
+      return { denied: true, matches, removed: [] };
+    }
+    db.prepare('DELETE FROM facts WHERE id = ?;').run(matches[0].id);
+    return { matches, removed: matches };
+  });
+}
+
+async function buildFactsContext(options = {}) {
+  const limit = Number.isFinite(options.limit) ? options.limit : DEFAULT_CONTEXT_LIMIT;
+  const facts = (await listFacts(options)).slice(0, Math.max(0, limit));
+  if (!facts.length) return '';
+  const lines = ['Known facts (/memory facts):'];
+  for (const fact of facts) {
+    const label = [fact.scope, fact.kind === 'fact' ? '' : fact.kind, fact.shareable ? 'shareable' : '']
+      .filter(Boolean)
+      .join(', ');
+    lines.push(`- #${fact.id} (${label}) ${fact.text}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  FACT_KINDS,
+  FACT_SCOPES,
+  buildFactsContext,
+  forgetFacts,
+  listFacts,
+  rememberFact,
+};
@@ -12,12 +12,21 @@ const MEMORY_INDEX_PATH = path.join(MEMORY_DIR, 'index.sqlite');
 const DEFAULT_INDEX_SYNC_INTERVAL_MS = 5000;
 const DEFAULT_QUERY_LIMIT = 80;
 const MAX_EVENT_TEXT_LENGTH = 2000;
+const EMBED_BATCH_SIZE = 32;
+const EMBED_RETRY_DELAY_MS = 5 * 60 * 1000;
+const MAX_VECTOR_SCAN = 5000;
+const MIN_VECTOR_SIMILARITY = 0.3;
+const LEXICAL_WEIGHT = 5;
+const VECTOR_WEIGHT = 5;
 
 let db;
 let dbReady;
 let dbSupportsFts = true;
 let operationQueue = Promise.resolve();
 let lastSyncMs = 0;
+let embedder = null;
+let embedBackfill = null;
+let embedRetryAfterMs = 0;
 
 function normalizeText(input) {
   return String(input || '').replace(/\s+/g, ' ').trim();
@@ -126,6 +135,15 @@ async function ensureIndexReady() {
           text TEXT NOT NULL
         );
       `);
+      const columns = new Set(
+        db.prepare('PRAGMA table_info(events);').all().map((column) => column.name)
+      );
+      if (!columns.has('embedding')) {
+        db.exec('ALTER TABLE events ADD COLUMN embedding BLOB;');
+      }
+      if (!columns.has('embedding_model')) {
+        db.exec('ALTER TABLE events ADD COLUMN embedding_model TEXT;');
+      }
       db.exec('CREATE INDEX IF NOT EXISTS idx_events_created_at ON events(created_at DESC);');
       db.exec('CREATE INDEX IF NOT EXISTS idx_events_chat_topic ON events(chat_id, topic_id);');
       db.exec(`
@@ -156,8 +174,10 @@ async function ensureIndexReady() {
             INSERT INTO events_fts(events_fts, rowid, text) VALUES ('delete', old.rowid, old.text);
           END;
         `);
+        // Only text changes touch the FTS table; embedding writes must not.
+        db.exec('DROP TRIGGER IF EXISTS events_au;');
         db.exec(`
-          CREATE TRIGGER IF NOT EXISTS events_au AFTER UPDATE ON events BEGIN
+          CREATE TRIGGER events_au AFTER UPDATE OF text ON events BEGIN
             INSERT INTO events_fts(events_fts, rowid, text) VALUES ('delete', old.rowid, old.text);
             INSERT INTO events_fts(rowid, text) VALUES (new.rowid, new.text);
           END;
@@ -282,6 +302,7 @@ async function syncMemoryIndexUnlocked(options = {}) {
     }
   }
   lastSyncMs = now;
+  if (insertedEvents > 0) void scheduleEmbeddingBackfill();
   return { syncedFiles, insertedEvents };
 }
 
@@ -295,10 +316,115 @@ async function indexMemoryEvent(event) {
     const indexed = toIndexedEvent(event, randomUUID());
     if (!indexed.text) return { inserted: false };
     insertEventSync(indexed);
+    void scheduleEmbeddingBackfill();
     return { inserted: true };
   });
 }
 
+function encodeEmbedding(vector) {
+  return Buffer.from(new Float32Array(vector).buffer);
+}
+
+function decodeEmbedding(blob) {
+  if (!blob || !blob.byteLength) return null;
+  return new Float32Array(Uint8Array.from(blob).buffer);
+}
+
+function cosineSimilarity(queryVector, blob) {
+  const vector = decodeEmbedding(blob);
+  if (!vector || vector.length !== queryVector.length) return 0;
+  let dot = 0;
+  for (let i = 0; i < vector.length; i += 1) {
+    dot += vector[i] * queryVector[i];
+  }
+  return dot;
+}
+
+async function backfillEmbeddings(activeEmbedder) {
+  let embedded = 0;
+  while (activeEmbedder === embedder) {
+    const rows = await withIndexLock(async () => {
+      await ensureIndexReady();
+      return db
+        .prepare(`
+          SELECT id, text
+          FROM events
+          WHERE embedding IS NULL OR embedding_model IS NOT ?
+          ORDER BY created_at DESC
+          LIMIT ?;
+        `)
+        .all(activeEmbedder.id, EMBED_BATCH_SIZE);
+    });
+    if (!rows.length) break;
+    const vectors = await activeEmbedder.embed(rows.map((row) => String(row.text || '')));
+    if (!Array.isArray(vectors) || vectors.length !== rows.length) {
+      throw new Error(`Embedder returned ${vectors?.length || 0} vectors for ${rows.length} events`);
+    }
+    await withIndexLock(async () => {
+      const update = db.prepare(
+        'UPDATE events SET embedding = ?, embedding_model = ? WHERE id = ?;'
+      );
+      db.exec('BEGIN IMMEDIATE;');
+      try {
+        rows.forEach((row, index) => {
+          update.run(encodeEmbedding(vectors[index]), activeEmbedder.id, row.id);
+        });
+        db.exec('COMMIT;');
+      } catch (err) {
+        db.exec('ROLLBACK;');
+        throw err;
+      }
+    });
+    embedded += rows.length;
+  }
+  return { embedded };
+}
+
+// Embeddings are filled in the background, newest events first, so indexing
+// never waits on the embedder. A failing embedder is retried after a pause.
+function scheduleEmbeddingBackfill() {
+  if (!embedder) return Promise.resolve({ embedded: 0 });
+  if (embedBackfill) return embedBackfill;
+  if (Date.now() < embedRetryAfterMs) return Promise.resolve({ embedded: 0 });
+  embedBackfill = backfillEmbeddings(embedder)
+    .catch((err) => {
+      embedRetryAfterMs = Date.now() + EMBED_RETRY_DELAY_MS;
+      console.warn('Memory embedding backfill failed:', err?.message || err);
+      return { embedded: 0 };
+    })
+    .finally(() => {
+      embedBackfill = null;
+    });
+  return embedBackfill;
+}
+
+function setMemoryEmbedder(nextEmbedder) {
+  embedder = nextEmbedder || null;
+  embedRetryAfterMs = 0;
+  if (embedder) {
+    console.info(`memory_embedder id=${embedder.id}`);
+    void scheduleEmbeddingBackfill();
+  }
+}
+
+async function backfillMemoryEmbeddings() {
+  if (embedBackfill) await embedBackfill;
+  embedRetryAfterMs = 0;
+  return scheduleEmbeddingBackfill();
+}
+
+async function embedQuery(query) {
+  const text = truncateText(query);
+  if (!embedder || !text) return null;
+  try {
+    const [vector] = await embedder.embed([text]);
+    return vector || null;
+  } catch (err) {
+    console.warn('Memory query embedding failed:', err?.message || err);
+    return null;
+  }
+}
+
 function mapRow(row) {
   return {
     id: String(row.id || ''),
@@ -313,7 +439,130 @@ function mapRow(row) {
   };
 }
 
+// Blends lexical relevance (normalized BM25, or token coverage without FTS5),
+// cosine similarity against stored embeddings, and the caller's own
+// scope/recency score into a single hybridScore.
+function queryHybridEvents({ chatId, queryVector, queryTokens, query, limit, rankEvent }) {
+  const candidates = new Map();
+  const chatParams = chatId ? [chatId] : [];
+
+  if (dbSupportsFts) {
+    const ftsQuery = buildFtsQuery(queryTokens, query);
+    if (ftsQuery) {
+      const rows = db
+        .prepare(`
+          SELECT
+            e.id,
+            e.created_at AS createdAt,
+            e.thread_key AS threadKey,
+            e.chat_id AS chatId,
+            e.topic_id AS topicId,
+            e.agent_id AS agentId,
+            e.role,
+            e.kind,
+            e.text,
+            e.embedding,
+            e.embedding_model AS embeddingModel,
+            bm25(events_fts) AS bm25
+          FROM events_fts f
+          JOIN events e ON e.rowid = f.rowid
+          WHERE f.text MATCH ?${chatId ? ' AND e.chat_id = ?' : ''}
+          ORDER BY bm25(events_fts), e.created_at DESC
+          LIMIT ?;
+        `)
+        .all(ftsQuery, ...chatParams, limit);
+      const best = rows.length ? Math.min(...rows.map((row) => Number(row.bm25))) : 0;
+      for (const row of rows) {
+        const lexical = best < 0 ? Number(row.bm25) / best : 1;
+        candidates.set(row.id, { lexical, row });
+      }
+    }
+  } else {
+    const likeTokens = tokenizeForLike(queryTokens, query).slice(0, 6);
+    if (likeTokens.length) {
+      const whereClause = likeTokens.map(() => 'LOWER(text) LIKE ?').join(' OR ');
+      const rows = db
+        .prepare(`
+          SELECT
+            id,
+            created_at AS createdAt,
+            thread_key AS threadKey,
+            chat_id AS chatId,
+            topic_id AS topicId,
+            agent_id AS agentId,
+            role,
+            kind,
+            text,
+            embedding,
+            embedding_model AS embeddingModel
+          FROM events
+          WHERE (${whereClause})${chatId ? ' AND chat_id = ?' : ''}
+          ORDER BY created_at DESC
+          LIMIT ?;
+        `)
+        .all(...likeTokens.map((token) => `%${token}%`), ...chatParams, limit);
+      for (const row of rows) {
+        const lower = String(row.text || '').toLowerCase();
+        const matched = likeTokens.filter((token) => lower.includes(token)).length;
+        candidates.set(row.id, { lexical: matched / likeTokens.length, row });
+      }
+    }
+  }
+
+  const vectorRows = db
+    .prepare(`
+      SELECT
+        id,
+        created_at AS createdAt,
+        thread_key AS threadKey,
+        chat_id AS chatId,
+        topic_id AS topicId,
+        agent_id AS agentId,
+        role,
+        kind,
+        text,
+        embedding,
+        embedding_model AS embeddingModel
+      FROM events
+      WHERE embedding_model = ?${chatId ? ' AND chat_id = ?' : ''}
+      ORDER BY created_at DESC
+      LIMIT ?;
+    `)
+    .all(embedder.id, ...chatParams, MAX_VECTOR_SCAN);
+  for (const row of vectorRows) {
+    if (candidates.has(row.id)) continue;
+    if (cosineSimilarity(queryVector, row.embedding) < MIN_VECTOR_SIMILARITY) continue;
+    candidates.set(row.id, { lexical: 0, row });
+  }
+
+  const ranked = [];
+  for (const { lexical, row } of candidates.values()) {
+    const similarity = row.embeddingModel === embedder.id
+      ? cosineSimilarity(queryVector, row.embedding)
+      : 0;
+    const event = mapRow(row);
+    const context = typeof rankEvent === 'function' ? Number(rankEvent(event)) || 0 : 0;
+    ranked.push({
+      ...event,
+      hybridScore:
+        LEXICAL_WEIGHT * lexical + VECTOR_WEIGHT * Math.max(0, similarity) + context,
+      similarity,
+    });
+  }
+  ranked.sort(
+    (a, b) => b.hybridScore - a.hybridScore || b.createdAt.localeCompare(a.createdAt)
+  );
+  return ranked.slice(0, limit);
+}
+
 async function queryIndexedEvents(options = {}) {
+  const hasQuery = Boolean(
+    (Array.isArray(options.queryTokens) && options.queryTokens.length)
+      || String(options.query || '').trim()
+  );
+  const queryVector = hasQuery
+    ? await embedQuery(options.query || options.queryTokens.join(' '))
+    : null;
   return withIndexLock(async () => {
     await ensureIndexReady();
     await syncMemoryIndexUnlocked({ minIntervalMs: options.minSyncIntervalMs });
@@ -323,6 +572,8 @@ async function queryIndexedEvents(options = {}) {
       : DEFAULT_QUERY_LIMIT;
     const queryTokens = Array.isArray(options.queryTokens) ? options.queryTokens : [];
     const query = String(options.query || '');
+    const chatId = options.chatId == null ? '' : String(options.chatId);
+    const chatParams = chatId ? [chatId] : [];
 
     if (!queryTokens.length && !query.trim()) {
       const rows = db
@@ -337,14 +588,25 @@ async function queryIndexedEvents(options = {}) {
             role,
             kind,
             text
-          FROM events
+          FROM events${chatId ? ' WHERE chat_id = ?' : ''}
           ORDER BY created_at DESC
           LIMIT ?;
         `)
-        .all(limit);
+        .all(...chatParams, limit);
       return rows.map(mapRow);
     }
 
+    if (queryVector && embedder) {
+      return queryHybridEvents({
+        chatId,
+        limit,
+        query,
+        queryTokens,
+        queryVector,
+        rankEvent: options.rankEvent,
+      });
+    }
+
     if (dbSupportsFts) {
       const ftsQuery = buildFtsQuery(queryTokens, query);
       if (ftsQuery) {
@@ -362,11 +624,11 @@ async function queryIndexedEvents(options = {}) {
               e.text
             FROM events_fts f
             JOIN events e ON e.rowid = f.rowid
-            WHERE f.text MATCH ?
+            WHERE f.text MATCH ?${chatId ? ' AND e.chat_id = ?' : ''}
             ORDER BY bm25(events_fts), e.created_at DESC
             LIMIT ?;
           `)
-          .all(ftsQuery, limit);
+          .all(ftsQuery, ...chatParams, limit);
         return rows.map(mapRow);
       }
     }
@@ -388,32 +650,88 @@ async function queryIndexedEvents(options = {}) {
           kind,
           text
         FROM events
-        WHERE ${whereClause}
+        WHERE (${whereClause})${chatId ? ' AND chat_id = ?' : ''}
         ORDER BY created_at DESC
         LIMIT ?;
       `)
-      .all(...params, limit);
+      .all(...params, ...chatParams, limit);
     return rows.map(mapRow);
   });
 }
 
+// Drops index rows (and, through the triggers, their FTS entries) for events
+// pruned from a thread file: by id, and anything in that thread older than
+// `before`, which also covers legacy lines indexed without a stable id.
+async function deleteIndexedEvents(options = {}) {
+  const ids = Array.isArray(options.ids) ? options.ids.map(String) : [];
+  const threadKey = String(options.threadKey || '');
+  const before = options.before ? safeIsoDate(options.before) : '';
+  return withIndexLock(async () => {
+    await ensureIndexReady();
+    let deleted = 0;
+    db.exec('BEGIN IMMEDIATE;');
+    try {
+      const deleteById = db.prepare('DELETE FROM events WHERE id = ?;');
+      for (const id of ids) {
+        deleted += Number(deleteById.run(id).changes || 0);
+      }
+      if (before) {
+        const result = threadKey
+          ? db
+            .prepare('DELETE FROM events WHERE thread_key = ? AND created_at < ?;')
+            .run(threadKey, before)
+          : db.prepare('DELETE FROM events WHERE created_at < ?;').run(before);
+        deleted += Number(result.changes || 0);
+      }
+      if (options.filePath && options.fileRemoved) {
+        db.prepare('DELETE FROM source_files WHERE file_path = ?;').run(options.filePath);
+      }
+      db.exec('COMMIT;');
+    } catch (err) {
+      db.exec('ROLLBACK;');
+      throw err;
+    }
+    return { deleted };
+  });
+}
+
+// Lets other stores keep their tables in index.sqlite and share this
+// connection and its write queue.
+async function withIndexDatabase(task) {
+  return withIndexLock(async () => {
+    await ensureIndexReady();
+    return task(db);
+  });
+}
+
 async function getMemoryIndexStatus() {
   return withIndexLock(async () => {
     await ensureIndexReady();
     const result = db.prepare('SELECT COUNT(*) AS totalEvents FROM events;').get();
     const totalEvents = Number(result?.totalEvents || 0);
+    const embedded = embedder
+      ? db
+        .prepare('SELECT COUNT(*) AS embeddedEvents FROM events WHERE embedding_model = ?;')
+        .get(embedder.id)
+      : null;
     return {
       indexPath: MEMORY_INDEX_PATH,
       totalEvents,
       supportsFts: dbSupportsFts,
+      embedder: embedder ? embedder.id : '',
+      embeddedEvents: Number(embedded?.embeddedEvents || 0),
     };
   });
 }
 
 module.exports = {
   MEMORY_INDEX_PATH,
+  backfillMemoryEmbeddings,
+  deleteIndexedEvents,
   getMemoryIndexStatus,
   indexMemoryEvent,
   queryIndexedEvents,
+  setMemoryEmbedder,
   syncMemoryIndex,
+  withIndexDatabase,
 };
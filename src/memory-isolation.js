@@ -0,0 +1,95 @@
+const MEMORY_POLICIES = ['open', 'shared', 'chat', 'topic', 'thread'];
+const DEFAULT_PRIVATE_POLICY = 'open';
+const DEFAULT_GROUP_POLICY = 'shared';
+
+// Which retrieval scopes each policy admits. `shared` also admits `global`,
+// but only for events that come from group chats (see isRetrievalAllowed).
+const POLICY_SCOPES = {
+  open: ['same-thread', 'same-topic', 'same-chat', 'global'],
+  shared: ['same-thread', 'same-topic', 'same-chat', 'global'],
+  chat: ['same-thread', 'same-topic', 'same-chat'],
+  topic: ['same-thread', 'same-topic'],
+  thread: ['same-thread'],
+};
+
+// Telegram gives private chats the user's (positive) id and groups,
+// supergroups, and channels negative ids.
+function isPrivateChatId(chatId) {
+  const value = Number(chatId);
+  return Number.isFinite(value) && value > 0;
+}
+
+function normalizePolicy(value) {
+  const policy = String(value || '').trim().toLowerCase();
+  return MEMORY_POLICIES.includes(policy) ? policy : null;
+}
+
+function readPolicy(value, label, fallback, logger) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const policy = normalizePolicy(value);
+  if (!policy) {
+    logger.warn(`Ignoring memoryIsolation.${label}: unknown policy "${value}"`);
+    return fallback;
+  }
+  return policy;
+}
+
+function normalizeMemoryIsolation(value, logger = console) {
+  const raw = value && typeof value === 'object' ? value : {};
+  const chats = new Map();
+  for (const [chatId, policyValue] of Object.entries(raw.chats || {})) {
+    const policy = normalizePolicy(policyValue);
+    if (!policy) {
+      logger.warn(`Ignoring memoryIsolation.chats.${chatId}: unknown policy "${policyValue}"`);
+      continue;
+    }
+    chats.set(String(chatId), policy);
+  }
+  return {
+    chats,
+    group: readPolicy(raw.group, 'group', DEFAULT_GROUP_POLICY, logger),
+    private: readPolicy(raw.private, 'private', DEFAULT_PRIVATE_POLICY, logger),
+  };
+}
+
+function resolveMemoryPolicy(isolation, chatId) {
+  const settings = isolation || normalizeMemoryIsolation();
+  const override = settings.chats?.get(String(chatId));
+  if (override) return override;
+  return isPrivateChatId(chatId) ? settings.private : settings.group;
+}
+
+function isRetrievalAllowed(policy, { chatId, scope }) {
+  const allowedScopes = POLICY_SCOPES[normalizePolicy(policy) || 'open'];
+  if (!allowedScopes.includes(scope)) return false;
+  if (policy === 'shared' && scope === 'global') return !isPrivateChatId(chatId);
+  return true;
+}
+
+// Chat and topic facts are already bound to their chat, so policies only
+// decide which global facts cross over. Shareable facts always do; under
+// `shared` so do facts saved from group chats. Facts saved before origins were
+// recorded have no origin chat and only show under `open`.
+function isFactAllowed(policy, { chatId, fact }) {
+  if (!fact || fact.scope !== 'global') return true;
+  if (normalizePolicy(policy) === null || policy === 'open' || fact.shareable) return true;
+  const originChatId = String(fact.originChatId || '');
+  if (originChatId && originChatId === String(chatId ?? '')) return true;
+  return policy === 'shared' && Boolean(originChatId) && !isPrivateChatId(originChatId);
+}
+
+// Policies narrower than `shared` never read other chats, so retrieval can
+// filter them out in SQL instead of after ranking.
+function isChatRestricted(policy) {
+  return policy === 'chat' || policy === 'topic' || policy === 'thread';
+}
+
+module.exports = {
+  MEMORY_POLICIES,
+  isChatRestricted,
+  isFactAllowed,
+  isPrivateChatId,
+  isRetrievalAllowed,
+  normalizeMemoryIsolation,
+  resolveMemoryPolicy,
+};
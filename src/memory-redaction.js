@@ -0,0 +1,88 @@
+const SECRET_KEY_NAMES =
+  'api[_-]?key|apikey|access[_-]?key|secret(?:[_-]?key)?|client[_-]?secret|token|auth[_-]?token|password|passwd|pwd';
+
+// Ordered from most to least specific so a PEM block or a known token format
+// is labelled before the generic key=value and card rules see it.
+const REDACTION_RULES = [
+  {
+    label: 'private-key',
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+  },
+  { label: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+  {
+    label: 'token',
+    pattern: new RegExp(
+      [
+        '\\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}',
+        '\\bgh[pousr]_[A-Za-z0-9]{20,}',
+        '\\bgithub_pat_[A-Za-z0-9_]{20,}',
+        '\\bglpat-[A-Za-z0-9_-]{20,}',
+        '\\bxox[abprs]-[A-Za-z0-9-]{10,}',
+        '\\bAKIA[0-9A-Z]{16}\\b',
+        '\\bAIza[0-9A-Za-z_-]{35}',
+        '\\b[rs]k_(?:live|test)_[A-Za-z0-9]{16,}',
+        '\\b\\d{8,10}:AA[A-Za-z0-9_-]{33}\\b',
+      ].join('|'),
+      'g'
+    ),
+  },
+  {
+    label: 'token',
+    pattern: /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]{16,}/gi,
+    replace: (_match, scheme) => `${scheme} [REDACTED:token]`,
+  },
+  {
+    label: 'secret',
+    pattern: new RegExp(
+      `\\b((?:[A-Za-z0-9]+[_-])*(?:${SECRET_KEY_NAMES})["']?\\s*[:=]\\s*)(["']?)(?!\\[REDACTED)([^\\s"',;]{6,})\\2`,
+      'gi'
+    ),
+    replace: (_match, prefix, quote) => `${prefix}${quote}[REDACTED:secret]${quote}`,
+  },
+  {
+    label: 'email',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+  },
+  {
+    label: 'card',
+    // Card networks start with 2-6, which keeps chat ids and epoch
+    // milliseconds out of the Luhn check.
+    pattern: /\b[2-6]\d(?:[ -]?\d){11,17}\b/g,
+    test: (match) => passesLuhn(match.replace(/\D/g, '')),
+  },
+];
+
+function passesLuhn(digits) {
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Masks secrets, tokens, emails, and card numbers before text is persisted.
+// Returns the masked text and how many matches of each kind were replaced.
+function redactSensitiveText(input) {
+  let text = String(input ?? '');
+  const counts = {};
+  for (const rule of REDACTION_RULES) {
+    text = text.replace(rule.pattern, (...args) => {
+      const match = args[0];
+      if (rule.test && !rule.test(match)) return match;
+      counts[rule.label] = (counts[rule.label] || 0) + 1;
+      return rule.replace ? rule.replace(...args) : `[REDACTED:${rule.label}]`;
+    });
+  }
+  return { counts, text };
+}
+
+module.exports = {
+  passesLuhn,
+  redactSensitiveText,
+};
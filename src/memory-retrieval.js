@@ -4,6 +4,7 @@ const path = require('node:path');
 const { MEMORY_THREADS_DIR } = require('./memory-store');
 const { normalizeTopicId } = require('./thread-store');
 const { queryIndexedEvents } = require('./memory-index');
+const { isChatRestricted, isRetrievalAllowed } = require('./memory-isolation');
 
 const DEFAULT_LIMIT = 12;
 const DEFAULT_MAX_FILES = 200;
@@ -213,11 +214,16 @@ async function searchMemory(options = {}) {
     ? Math.max(1, Math.trunc(options.maxFiles))
     : DEFAULT_MAX_FILES;
 
+  const nowMs = Date.now();
+  const policy = String(options.policy || 'open');
   const all = await readRetrievalEvents({
+    chatId: isChatRestricted(policy) ? options.chatId : undefined,
     query,
     queryTokens,
     limit,
     maxFiles,
+    rankEvent: (event) =>
+      scoreScope(event, options).value + scoreRecency(event.createdAt, nowMs),
   });
   if (!all.length) return [];
 
@@ -228,15 +234,22 @@ async function searchMemory(options = {}) {
     : all;
   if (!filtered.length) return [];
 
-  const nowMs = Date.now();
   const scored = [];
   for (const event of filtered) {
     const scope = scoreScope(event, options);
-    const lexical = scoreLexical(event.text, queryTokens, query);
-    if (queryTokens.length > 0 && lexical === 0 && scope.value < 2) continue;
-    const recency = scoreRecency(event.createdAt, nowMs);
+    if (!isRetrievalAllowed(policy, { chatId: event.chatId, scope: scope.label })) continue;
     const roleBoost = event.role === 'user' ? 0.3 : 0;
-    const score = scope.value + lexical + recency + roleBoost;
+    let score;
+    if (Number.isFinite(event.hybridScore)) {
+      // Hybrid hits already matched lexically or semantically and carry the
+      // scope and recency weights.
+      score = event.hybridScore + roleBoost;
+    } else {
+      const lexical = scoreLexical(event.text, queryTokens, query);
+      if (queryTokens.length > 0 && lexical === 0 && scope.value < 2) continue;
+      const recency = scoreRecency(event.createdAt, nowMs);
+      score = scope.value + lexical + recency + roleBoost;
+    }
     scored.push({
       ...event,
       scope: scope.label,
@@ -272,9 +285,11 @@ async function readRetrievalEvents(options = {}) {
 
   try {
     const indexed = await queryIndexedEvents({
+      chatId: options.chatId,
       query,
       queryTokens,
       limit: Math.max(limit * 12, 60),
+      rankEvent: options.rankEvent,
     });
     if (indexed.length > 0) return indexed;
   } catch (err) {
@@ -7,9 +7,11 @@ const {
   MEMORY_PATH,
 } = require('./config-store');
 const {
+  deleteIndexedEvents,
   getMemoryIndexStatus,
   indexMemoryEvent,
 } = require('./memory-index');
+const { redactSensitiveText } = require('./memory-redaction');
 
 const MEMORY_DIR = path.join(CONFIG_DIR, 'memory');
 const MEMORY_THREADS_DIR = path.join(MEMORY_DIR, 'threads');
@@ -24,6 +26,10 @@ const DEFAULT_THREAD_BOOTSTRAP_LIMIT = 8;
 const DEFAULT_TAIL_LIMIT = 10;
 const DEFAULT_RECENT_ACTIVITY_LIMIT = 12;
 const DEFAULT_MAX_EVENT_AGE_DAYS = 60;
+const MAX_CURATION_PROMPT_EVENTS = 80;
+const MAX_CURATION_EVENT_TEXT_LENGTH = 400;
+const MAX_CURATED_ITEMS = 12;
+const CURATED_CATEGORIES = ['facts', 'preferences', 'decisions'];
 
 const fileWriteQueues = new Map();
 
@@ -185,67 +191,186 @@ function pushUnique(target, seen, value) {
   target.push(clean);
 }
 
-function buildAutoMemorySection(events, options = {}) {
-  const maxRecentActivity = Number.isFinite(options.maxRecentActivity)
-    ? options.maxRecentActivity
-    : DEFAULT_RECENT_ACTIVITY_LIMIT;
-
-  const preferences = [];
-  const decisions = [];
-  const projects = [];
-  const recentActivity = [];
-
-  const seenPreferences = new Set();
-  const seenDecisions = new Set();
-  const seenProjects = new Set();
-
-  for (const event of events) {
-    const role = String(event.role || '');
-    const text = truncateText(event.text, MAX_EVENT_TEXT_LENGTH);
-    if (!text || role !== 'user') continue;
-    if (scorePreference(text)) pushUnique(preferences, seenPreferences, text);
-    if (scoreDecision(text)) pushUnique(decisions, seenDecisions, text);
-    if (scoreProject(text)) pushUnique(projects, seenProjects, text);
-  }
-
+function buildRecentActivity(events, maxRecentActivity) {
   const recent = events
     .slice()
     .reverse()
     .filter((event) => normalizeText(event.text))
     .slice(0, maxRecentActivity)
     .reverse();
-  for (const event of recent) {
+  return recent.map((event) => {
     const text = truncateText(event.text, 220);
     const topic = event.topicId ? `topic:${event.topicId}` : 'root';
     const who = event.role === 'assistant' ? 'assistant' : 'user';
-    recentActivity.push(
-      `- [${toDisplayTime(event.createdAt)}] (${who}, ${topic}) ${text}`
-    );
-  }
+    return `- [${toDisplayTime(event.createdAt)}] (${who}, ${topic}) ${text}`;
+  });
+}
 
-  const renderList = (items, fallback) =>
-    items.length > 0
-      ? items.map((item) => `- ${truncateText(item, 220)}`).join('\n')
-      : `- ${fallback}`;
+function renderList(items, fallback) {
+  return items.length > 0
+    ? items.map((item) => `- ${truncateText(item, 220)}`).join('\n')
+    : `- ${fallback}`;
+}
+
+function buildAutoMemorySection(events, options = {}) {
+  const maxRecentActivity = Number.isFinite(options.maxRecentActivity)
+    ? options.maxRecentActivity
+    : DEFAULT_RECENT_ACTIVITY_LIMIT;
+  const recentActivity = buildRecentActivity(events, maxRecentActivity);
+  const curated = options.curated;
+
+  let sections;
+  if (curated) {
+    sections = [
+      '### Hechos duraderos',
+      renderList(curated.facts, 'Sin hechos todavía.'),
+      '',
+      '### Preferencias',
+      renderList(curated.preferences, 'Sin preferencias todavía.'),
+      '',
+      '### Decisiones',
+      renderList(curated.decisions, 'Sin decisiones todavía.'),
+    ];
+  } else {
+    const preferences = [];
+    const decisions = [];
+    const projects = [];
+
+    const seenPreferences = new Set();
+    const seenDecisions = new Set();
+    const seenProjects = new Set();
+
+    for (const event of events) {
+      const role = String(event.role || '');
+      const text = truncateText(event.text, MAX_EVENT_TEXT_LENGTH);
+      if (!text || role !== 'user') continue;
+      if (scorePreference(text)) pushUnique(preferences, seenPreferences, text);
+      if (scoreDecision(text)) pushUnique(decisions, seenDecisions, text);
+      if (scoreProject(text)) pushUnique(projects, seenProjects, text);
+    }
 
+    sections = [
+      '### Preferencias detectadas',
+      renderList(preferences.slice(-MAX_CURATED_ITEMS), 'Sin señales todavía.'),
+      '',
+      '### Decisiones recientes',
+      renderList(decisions.slice(-MAX_CURATED_ITEMS), 'Sin señales todavía.'),
+      '',
+      '### Proyectos y foco',
+      renderList(projects.slice(-MAX_CURATED_ITEMS), 'Sin señales todavía.'),
+    ];
+  }
+
+  const source = curated
+    ? 'memory/threads/*.jsonl · Curated by agent'
+    : 'memory/threads/*.jsonl';
   return [
     '## Auto Memory (generated)',
-    `_Updated: ${safeIsoDate()} · Source: memory/threads/*.jsonl_`,
-    '',
-    '### Preferencias detectadas',
-    renderList(preferences.slice(-12), 'Sin señales todavía.'),
+    `_Updated: ${safeIsoDate()} · Source: ${source}_`,
     '',
-    '### Decisiones recientes',
-    renderList(decisions.slice(-12), 'Sin señales todavía.'),
-    '',
-    '### Proyectos y foco',
-    renderList(projects.slice(-12), 'Sin señales todavía.'),
+    ...sections,
     '',
     '### Actividad reciente',
     recentActivity.length > 0 ? recentActivity.join('\n') : '- Sin actividad reciente.',
   ].join('\n');
 }
 
+function buildCurationPrompt(events, manualContent) {
+  const recent = events
+    .filter((event) => normalizeText(event.text))
+    .slice(-MAX_CURATION_PROMPT_EVENTS);
+  const lines = [
+    'You curate the long-term memory of a personal assistant.',
+    'Read the conversation events below and extract only durable information worth remembering across conversations:',
+    '- facts: stable facts about the user, their projects, people, and environment.',
+    '- preferences: how the user wants things done (tone, language, tools, formats).',
+    '- decisions: choices that were agreed and still apply.',
+    'Ignore small talk, one-off requests, transient status, and anything already listed in the manual memory.',
+    'Write each item as one short, self-contained sentence in the language the user writes in.',
+    `Return at most ${MAX_CURATED_ITEMS} items per category.`,
+    'Reply with a single JSON object and nothing else, using this shape:',
+    '{"facts": ["..."], "preferences": ["..."], "decisions": ["..."]}',
+  ];
+  const manual = String(manualContent || '').trim();
+  if (manual) {
+    lines.push('', 'Manual memory (already saved):', manual);
+  }
+  lines.push('', 'Conversation events (oldest first):');
+  for (const event of recent) {
+    const who = event.role === 'assistant' ? 'assistant' : 'user';
+    const text = truncateText(event.text, MAX_CURATION_EVENT_TEXT_LENGTH);
+    lines.push(`- [${toDisplayTime(event.createdAt)}] ${who}: ${text}`);
+  }
+  return lines.join('\n');
+}
+
+function extractJsonObject(text) {
+  const raw = String(text || '');
+  const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : raw;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+  try {
+    return JSON.parse(candidate.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+function parseCuratedFacts(text) {
+  const parsed = extractJsonObject(text);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return null;
+  const curated = {};
+  let recognized = false;
+  for (const category of CURATED_CATEGORIES) {
+    const value = parsed[category];
+    if (Array.isArray(value)) recognized = true;
+    curated[category] = (Array.isArray(value) ? value : [])
+      .filter((item) => typeof item === 'string')
+      .map((item) => truncateText(item, 220))
+      .filter(Boolean);
+  }
+  return recognized ? curated : null;
+}
+
+// Newly extracted items win over previously curated ones; anything already
+// written in the manual memory is dropped so it is not repeated below it.
+function mergeCuratedFacts(previous, next, manualContent) {
+  const manualKey = normalizeDedupKey(manualContent);
+  const seen = new Set();
+  const merged = {};
+  for (const category of CURATED_CATEGORIES) {
+    const items = [];
+    const candidates = [
+      ...(Array.isArray(next?.[category]) ? next[category] : []).slice().reverse(),
+      ...(Array.isArray(previous?.[category]) ? previous[category] : []).slice().reverse(),
+    ];
+    for (const item of candidates) {
+      const key = normalizeDedupKey(item);
+      if (key && manualKey.includes(key)) continue;
+      pushUnique(items, seen, item);
+    }
+    merged[category] = items.slice(0, MAX_CURATED_ITEMS).reverse();
+  }
+  return merged;
+}
+
+async function extractCuratedFacts(events, manualContent, runAgentOneShot) {
+  if (typeof runAgentOneShot !== 'function' || events.length === 0) return null;
+  try {
+    const response = await runAgentOneShot(buildCurationPrompt(events, manualContent));
+    const curated = parseCuratedFacts(response);
+    if (!curated) {
+      console.warn('Agent memory curation returned no usable JSON; using keyword curation.');
+    }
+    return curated;
+  } catch (err) {
+    console.warn('Agent memory curation failed; using keyword curation:', err?.message || err);
+    return null;
+  }
+}
+
 function stripAutoMemorySection(content) {
   const text = String(content || '');
   const pattern = new RegExp(
@@ -303,8 +428,15 @@ function trimAutoSectionToBudget(autoSection, budgetBytes) {
 async function appendMemoryEvent(event) {
   const threadKey = String(event?.threadKey || '').trim();
   if (!threadKey) return;
-  const text = truncateText(event?.text);
+  const redacted = redactSensitiveText(truncateText(event?.text));
+  const text = redacted.text;
   if (!text) return;
+  const redactedKinds = Object.entries(redacted.counts)
+    .map(([kind, count]) => `${kind}:${count}`)
+    .join(',');
+  if (redactedKinds) {
+    console.info(`memory_redacted thread=${threadKey} kinds=${redactedKinds}`);
+  }
 
   const entry = {
     id: randomUUID(),
@@ -330,6 +462,99 @@ async function appendMemoryEvent(event) {
   }
 }
 
+async function pruneThreadFile(filePath, { cutoff, maxThreadBytes }) {
+  return enqueueFileWrite(filePath, async () => {
+    let raw;
+    try {
+      raw = await fs.readFile(filePath, 'utf8');
+    } catch (err) {
+      if (err && err.code === 'ENOENT') return null;
+      throw err;
+    }
+    const entries = [];
+    for (const line of raw.split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      try {
+        const event = JSON.parse(line);
+        if (event && typeof event === 'object') entries.push({ event, line });
+      } catch {
+        // Malformed lines are dropped on rewrite.
+      }
+    }
+
+    let kept = cutoff
+      ? entries.filter((entry) => safeIsoDate(entry.event.createdAt) >= cutoff)
+      : entries;
+    if (maxThreadBytes > 0) {
+      let bytes = kept.reduce((sum, entry) => sum + Buffer.byteLength(entry.line, 'utf8') + 1, 0);
+      let start = 0;
+      while (bytes > maxThreadBytes && start < kept.length) {
+        bytes -= Buffer.byteLength(kept[start].line, 'utf8') + 1;
+        start += 1;
+      }
+      kept = kept.slice(start);
+    }
+    const keptSet = new Set(kept);
+    const removed = entries.filter((entry) => !keptSet.has(entry));
+    if (!removed.length) return null;
+
+    if (kept.length) {
+      const tmpPath = `${filePath}.${randomUUID()}.tmp`;
+      await fs.writeFile(tmpPath, `${kept.map((entry) => entry.line).join('\n')}\n`, 'utf8');
+      await fs.rename(tmpPath, filePath);
+    } else {
+      await fs.unlink(filePath);
+    }
+
+    const newestRemoved = removed
+      .map((entry) => safeIsoDate(entry.event.createdAt))
+      .sort()
+      .pop();
+    return {
+      before: kept.length
+        ? safeIsoDate(kept[0].event.createdAt)
+        : new Date(Date.parse(newestRemoved) + 1).toISOString(),
+      fileRemoved: kept.length === 0,
+      ids: removed.map((entry) => entry.event.id).filter(Boolean),
+      removed: removed.length,
+      threadKey: String(removed[0].event.threadKey || ''),
+    };
+  });
+}
+
+// Applies the retention policy: drops events older than maxAgeDays and then
+// the oldest events of any thread file above maxThreadBytes, in both the
+// JSONL files and index.sqlite.
+async function pruneMemory(options = {}) {
+  const maxAgeDays = Number(options.maxAgeDays) || 0;
+  const maxThreadBytes = Number(options.maxThreadBytes) || 0;
+  const result = { prunedEvents: 0, removedFiles: 0, threadFiles: 0 };
+  if (maxAgeDays <= 0 && maxThreadBytes <= 0) return result;
+  const nowMs = Number.isFinite(options.now) ? options.now : Date.now();
+  const cutoff = maxAgeDays > 0
+    ? new Date(nowMs - maxAgeDays * 24 * 60 * 60 * 1000).toISOString()
+    : '';
+
+  for (const filePath of await listThreadFiles()) {
+    const pruned = await pruneThreadFile(filePath, { cutoff, maxThreadBytes });
+    if (!pruned) continue;
+    result.threadFiles += 1;
+    result.prunedEvents += pruned.removed;
+    if (pruned.fileRemoved) result.removedFiles += 1;
+    await deleteIndexedEvents({
+      before: pruned.threadKey ? pruned.before : '',
+      fileRemoved: pruned.fileRemoved,
+      filePath,
+      ids: pruned.ids,
+      threadKey: pruned.threadKey,
+    });
+  }
+  if (cutoff) {
+    await deleteIndexedEvents({ before: cutoff });
+  }
+  return result;
+}
+
 async function buildThreadBootstrap(threadKey, options = {}) {
   const limit = Number.isFinite(options.limit)
     ? options.limit
@@ -361,7 +586,18 @@ async function curateMemory(options = {}) {
   }
 
   const manualContent = stripAutoMemorySection(currentMemory);
+  const previousState = await readMemoryState();
+  const extracted = await extractCuratedFacts(
+    events,
+    manualContent,
+    options.runAgentOneShot
+  );
+  const curated = extracted
+    ? mergeCuratedFacts(previousState.curatedFacts, extracted, manualContent)
+    : null;
+  const curator = curated ? 'agent' : 'keywords';
   const baseAuto = buildAutoMemorySection(events, {
+    curated,
     maxRecentActivity: options.maxRecentActivity,
   });
   const overhead = Buffer.byteLength(
@@ -379,11 +615,14 @@ async function curateMemory(options = {}) {
     eventsProcessed: events.length,
     threadFiles: (await listThreadFiles()).length,
     maxBytes,
+    curator,
+    curatedFacts: curated || previousState.curatedFacts,
   };
   await writeMemoryState(state);
 
   return {
     memoryPath: MEMORY_PATH,
+    curator,
     eventsProcessed: events.length,
     threadFiles: state.threadFiles,
     lastCuratedAt: state.lastCuratedAt,
@@ -412,9 +651,12 @@ async function getMemoryStatus(options = {}) {
     totalEvents: events.length,
     eventsToday,
     lastCuratedAt: state.lastCuratedAt || '',
+    lastCurator: state.curator || '',
     indexPath: indexStatus?.indexPath || '',
     indexedEvents: Number(indexStatus?.totalEvents || 0),
     indexSupportsFts: Boolean(indexStatus?.supportsFts),
+    indexEmbedder: indexStatus?.embedder || '',
+    embeddedEvents: Number(indexStatus?.embeddedEvents || 0),
   };
 }
 
@@ -438,6 +680,8 @@ module.exports = {
   getMemoryStatus,
   getThreadTail,
   normalizeThreadKey,
+  parseCuratedFacts,
+  pruneMemory,
   stripAutoMemorySection,
   threadFilePath,
 };
@@ -380,6 +380,7 @@ function buildPrompt(
 module.exports = {
   chunkText,
   chunkMarkdown,
+  escapeHtml,
   markdownToTelegramHtml,
   formatError,
   parseSlashCommand,
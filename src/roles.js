@@ -0,0 +1,181 @@
+const { buildTopicKey } = require('./thread-store');
+
+const ROLES = ['read-only', 'chatter', 'operator', 'admin'];
+const DEFAULT_ROLE = 'chatter';
+const DEFAULT_SCRIPT_ROLE = 'operator';
+const MESSAGE_ROLE = 'chatter';
+
+const DEFAULT_COMMAND_ROLES = {
+  start: 'read-only',
+  help: 'read-only',
+  status: 'read-only',
+  usage: 'read-only',
+  trace: 'read-only',
+  runs: 'read-only',
+  memory: 'read-only',
+  'memory curate': 'operator',
+  'memory remember': 'chatter',
+  'memory forget': 'chatter',
+  'memory off': 'chatter',
+  'memory on': 'chatter',
+  stop: 'chatter',
+  reset: 'chatter',
+  compare: 'chatter',
+  later: 'chatter',
+  agent: 'operator',
+  fallback: 'operator',
+  thinking: 'operator',
+  fast: 'operator',
+  verbose: 'operator',
+  workspace: 'operator',
+  model: 'operator',
+  resume: 'operator',
+  send_to_codex: 'operator',
+  cron: 'operator',
+  'cron list': 'read-only',
+  'cron chatid': 'read-only',
+  'cron inspect': 'read-only',
+  'cron reload': 'admin',
+  document_scripts: 'admin',
+  users: 'admin',
+  approvals: 'operator',
+};
+
+// Inline buttons need the role of the command that sent them. Approval and
+// connector cards have no command, so they share the `approvals` entry.
+const CALLBACK_COMMANDS = {
+  approval: 'approvals',
+  elicitation: 'approvals',
+  invite: 'users',
+  resume_page: 'resume',
+  resume_thread: 'resume',
+  send_to_codex_project: 'send_to_codex',
+  send_to_codex_project_page: 'send_to_codex',
+};
+
+function normalizeRole(value) {
+  const role = String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[_\s]+/g, '-');
+  if (role === 'readonly') return 'read-only';
+  return ROLES.includes(role) ? role : null;
+}
+
+function hasRole(role, requiredRole) {
+  const normalized = normalizeRole(role);
+  if (!normalized) return false;
+  return ROLES.indexOf(normalized) >= ROLES.indexOf(normalizeRole(requiredRole) || 'admin');
+}
+
+function normalizeRoleMap(value, label, logger) {
+  const roles = {};
+  if (!value || typeof value !== 'object') return roles;
+  for (const [key, rawRole] of Object.entries(value)) {
+    const role = normalizeRole(rawRole);
+    if (!role) {
+      logger.warn(`Ignoring ${label} "${key}": unknown role "${rawRole}"`);
+      continue;
+    }
+    roles[String(key).trim().toLowerCase()] = role;
+  }
+  return roles;
+}
+
+function normalizeAccessUser(userId, value, logger) {
+  const entry = typeof value === 'object' && value !== null ? value : { role: value };
+  const role = normalizeRole(entry.role);
+  if (!role) {
+    logger.warn(`Ignoring access user "${userId}": unknown role "${entry.role}"`);
+    return null;
+  }
+  const chats = {};
+  for (const [key, rawRole] of Object.entries(entry.chats || {})) {
+    const chatRole = normalizeRole(rawRole);
+    if (!chatRole) {
+      logger.warn(`Ignoring chat role ${key} for user "${userId}": unknown role "${rawRole}"`);
+      continue;
+    }
+    chats[String(key).trim()] = chatRole;
+  }
+  return { role, chats };
+}
+
+function normalizeAccessConfig(value, options = {}) {
+  const { allowedUserIds = [], logger = console } = options;
+  const config = value && typeof value === 'object' ? value : {};
+  const defaultRole = normalizeRole(config.defaultRole) || DEFAULT_ROLE;
+  const users = new Map();
+  for (const [userId, entry] of Object.entries(config.users || {})) {
+    const normalized = normalizeAccessUser(userId, entry, logger);
+    if (normalized) users.set(String(userId).trim(), normalized);
+  }
+  const enabled = users.size > 0;
+  if (enabled) {
+    for (const userId of allowedUserIds) {
+      if (!users.has(String(userId))) {
+        users.set(String(userId), { role: defaultRole, chats: {} });
+      }
+    }
+  }
+  return {
+    enabled,
+    defaultRole,
+    users,
+    commands: {
+      ...DEFAULT_COMMAND_ROLES,
+      ...normalizeRoleMap(config.commands, 'command permission', logger),
+    },
+    scripts: normalizeRoleMap(config.scripts, 'script permission', logger),
+  };
+}
+
+function resolveUserRole(access, { userId, chatId, topicId } = {}) {
+  const id = String(userId ?? '');
+  const user = access.users.get(id);
+  if (!user) return null;
+  if (chatId !== undefined && chatId !== null) {
+    const topicRole = user.chats[buildTopicKey(chatId, topicId)];
+    if (topicRole) return topicRole;
+    const chatRole = user.chats[String(chatId)];
+    if (chatRole) return chatRole;
+  }
+  return user.role;
+}
+
+function getCommandRole(access, command, subcommand) {
+  const name = String(command || '').toLowerCase();
+  const sub = String(subcommand || '').toLowerCase();
+  if (sub && access.commands[`${name} ${sub}`]) return access.commands[`${name} ${sub}`];
+  return access.commands[name] || null;
+}
+
+function getCallbackCommand(data) {
+  const prefix = String(data || '').split(':')[0];
+  return Object.hasOwn(CALLBACK_COMMANDS, prefix) ? CALLBACK_COMMANDS[prefix] : null;
+}
+
+function getScriptRole(access, scriptName) {
+  const name = String(scriptName || '').toLowerCase();
+  return access.scripts[name] || access.scripts['*'] || DEFAULT_SCRIPT_ROLE;
+}
+
+function filterCommandsForRole(commands, access, role) {
+  return commands.filter((entry) =>
+    hasRole(role, getCommandRole(access, entry.command) || DEFAULT_SCRIPT_ROLE)
+  );
+}
+
+module.exports = {
+  DEFAULT_COMMAND_ROLES,
+  MESSAGE_ROLE,
+  ROLES,
+  filterCommandsForRole,
+  getCallbackCommand,
+  getCommandRole,
+  getScriptRole,
+  hasRole,
+  normalizeAccessConfig,
+  normalizeRole,
+  resolveUserRole,
+};
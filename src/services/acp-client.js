@@ -0,0 +1,437 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { createJsonRpcStdioConnection } = require('./jsonrpc-stdio');
+
+const ACP_PROTOCOL_VERSION = 1;
+const CLIENT_INFO = {
+  name: 'aipal',
+  title: 'Aipal',
+  version: '0.4.0',
+};
+const CANCELLED_OUTCOME = { outcome: { outcome: 'cancelled' } };
+const DECISION_OPTION_KINDS = {
+  accept: ['allow_once', 'allow_always'],
+  acceptForSession: ['allow_always', 'allow_once'],
+  decline: ['reject_once', 'reject_always'],
+};
+const FILE_TOOL_KINDS = new Set(['edit', 'delete', 'move']);
+
+function createError(message, details = {}) {
+  const err = new Error(message);
+  Object.assign(err, details);
+  return err;
+}
+
+function toPromptBlocks(input) {
+  const items = Array.isArray(input) ? input : [{ type: 'text', text: String(input || '') }];
+  return items
+    .map((item) => {
+      if (item?.type === 'text') return { type: 'text', text: String(item.text || '') };
+      if (item?.type === 'localImage' && item.path) {
+        return {
+          type: 'resource_link',
+          name: path.basename(item.path),
+          uri: pathToFileURL(item.path).href,
+        };
+      }
+      return null;
+    })
+    .filter(Boolean);
+}
+
+function getToolTitle(toolCall) {
+  return String(toolCall?.title || toolCall?.kind || 'herramienta').trim();
+}
+
+// Maps an ACP permission request onto the approval shape the Telegram cards
+// and approval rules already understand.
+function buildApprovalRequest(params, requestId, label) {
+  const toolCall = params.toolCall || {};
+  const rawInput = toolCall.rawInput && typeof toolCall.rawInput === 'object' ? toolCall.rawInput : {};
+  const locations = Array.isArray(toolCall.locations) ? toolCall.locations : [];
+  const base = {
+    reason: `${label}: ${getToolTitle(toolCall)}`,
+    requestId,
+    threadId: String(params.sessionId || ''),
+    toolCallId: toolCall.toolCallId,
+  };
+  if (FILE_TOOL_KINDS.has(toolCall.kind) && locations.length > 0) {
+    return {
+      ...base,
+      item: {
+        changes: locations
+          .filter((location) => location?.path)
+          .map((location) => ({ kind: toolCall.kind === 'edit' ? 'update' : toolCall.kind, path: location.path })),
+      },
+      kind: 'file_change',
+    };
+  }
+  return {
+    ...base,
+    command: typeof rawInput.command === 'string' ? rawInput.command : getToolTitle(toolCall),
+    cwd: typeof rawInput.cwd === 'string' ? rawInput.cwd : undefined,
+    kind: 'command_execution',
+  };
+}
+
+function buildPermissionOutcome(permissionOptions, decision) {
+  const kinds = DECISION_OPTION_KINDS[decision];
+  if (!kinds) return CANCELLED_OUTCOME;
+  const options = Array.isArray(permissionOptions) ? permissionOptions : [];
+  for (const kind of kinds) {
+    const option = options.find((entry) => entry?.kind === kind);
+    if (option) {
+      return { outcome: { outcome: 'selected', optionId: option.optionId } };
+    }
+  }
+  return CANCELLED_OUTCOME;
+}
+
+function createAcpClient(options = {}) {
+  const {
+    args = [],
+    clientInfo = CLIENT_INFO,
+    command,
+    cwd = process.cwd(),
+    env = {},
+    label = 'ACP agent',
+    logger = console,
+    spawnProcess,
+  } = options;
+
+  let startPromise = null;
+  let initialized = false;
+  let agentCapabilities = {};
+  let nextTurnId = 1;
+  const activeTurns = new Map();
+  const openSessions = new Set();
+  const loadingSessions = new Set();
+
+  function createTurnContext({
+    includeAgentDeltas = true,
+    onFinalResponse,
+    onProgressUpdate,
+    onServerRequestResolved,
+    onTurnStarted,
+    requestApproval,
+    resolveApprovalPolicy,
+    sessionId,
+  }) {
+    const progressOrder = [];
+    const progressTexts = new Map();
+    const toolTitles = new Map();
+    let messageIndex = 0;
+
+    const context = {
+      cancelled: false,
+      messageText: '',
+      onServerRequestResolved,
+      pendingRequests: new Set(),
+      requestApproval,
+      resolveApprovalPolicy,
+      sessionId,
+      steers: [],
+      turnId: `acp-turn-${nextTurnId++}`,
+      notifyTurnStarted() {
+        if (typeof onTurnStarted === 'function') {
+          onTurnStarted({ threadId: sessionId, turnId: context.turnId });
+        }
+      },
+      updateProgress(key, text) {
+        if (!progressTexts.has(key)) progressOrder.push(key);
+        progressTexts.set(key, String(text || '').trim());
+        if (typeof onProgressUpdate !== 'function') return;
+        const combined = progressOrder
+          .map((id) => progressTexts.get(id))
+          .filter(Boolean)
+          .join('\n\n')
+          .trim();
+        if (combined) onProgressUpdate({ mode: 'raw', text: combined });
+      },
+      // Text streamed before a tool call is commentary; the answer is the
+      // text after the last one.
+      startMessage() {
+        messageIndex += 1;
+        context.messageText = '';
+      },
+      appendMessage(text) {
+        context.messageText += text;
+        if (includeAgentDeltas) {
+          context.updateProgress(`message-${messageIndex}`, context.messageText);
+        }
+      },
+      handleToolCall(update, isUpdate) {
+        const toolCallId = String(update.toolCallId || '');
+        if (!toolCallId) return;
+        if (!isUpdate) context.startMessage();
+        if (update.title || !toolTitles.has(toolCallId)) {
+          toolTitles.set(toolCallId, getToolTitle(update));
+        }
+        const suffix = update.status === 'failed' ? ' (fallo)' : '';
+        context.updateProgress(
+          `tool-${toolCallId}`,
+          `Usando herramienta: ${toolTitles.get(toolCallId)}${suffix}`
+        );
+      },
+      emitFinal(text) {
+        if (text && typeof onFinalResponse === 'function') {
+          onFinalResponse(text);
+        }
+      },
+    };
+    return context;
+  }
+
+  function handleSessionUpdate(params) {
+    const sessionId = String(params.sessionId || '');
+    if (loadingSessions.has(sessionId)) return;
+    const context = activeTurns.get(sessionId);
+    const update = params.update || {};
+    if (!context) return;
+    switch (update.sessionUpdate) {
+      case 'agent_message_chunk':
+        if (update.content?.type === 'text') {
+          context.appendMessage(String(update.content.text || ''));
+        }
+        return;
+      case 'tool_call':
+        context.handleToolCall(update, false);
+        return;
+      case 'tool_call_update':
+        context.handleToolCall(update, true);
+        return;
+      default:
+        return;
+    }
+  }
+
+  async function handlePermissionRequest(message) {
+    const { id, params = {} } = message;
+    const sessionId = String(params.sessionId || '');
+    const context = activeTurns.get(sessionId);
+    if (!context) {
+      connection.respond(id, CANCELLED_OUTCOME);
+      return;
+    }
+    context.pendingRequests.add(id);
+    const approvalRequest = buildApprovalRequest(params, id, label);
+    let decision = null;
+    try {
+      if (typeof context.resolveApprovalPolicy === 'function') {
+        decision = await context.resolveApprovalPolicy(approvalRequest);
+      }
+      if (!decision && typeof context.requestApproval === 'function') {
+        decision = await context.requestApproval(approvalRequest);
+      }
+    } catch (err) {
+      logger.warn('Approval callback failed:', err);
+    }
+    if (!context.pendingRequests.delete(id)) return;
+    try {
+      connection.respond(id, buildPermissionOutcome(params.options, decision));
+    } catch (err) {
+      logger.warn(`Failed to answer ${label} permission request:`, err);
+    }
+  }
+
+  function handleRequest(message) {
+    if (message.method === 'session/request_permission') {
+      void handlePermissionRequest(message);
+      return;
+    }
+    connection.respondError(message.id, -32601, `Unsupported ${label} method: ${message.method}`);
+  }
+
+  function handleNotification(message) {
+    if (message.method === 'session/update') {
+      handleSessionUpdate(message.params || {});
+    }
+  }
+
+  function handleProcessExit() {
+    initialized = false;
+    startPromise = null;
+    openSessions.clear();
+    activeTurns.clear();
+  }
+
+  const connection = createJsonRpcStdioConnection({
+    args,
+    command,
+    cwd,
+    env,
+    label,
+    logPrefix: `[${label}]`,
+    logger,
+    onExit: handleProcessExit,
+    onNotification: handleNotification,
+    onRequest: handleRequest,
+    spawnProcess,
+  });
+
+  async function start() {
+    if (initialized && connection.isRunning()) return;
+    if (!startPromise) {
+      startPromise = (async () => {
+        connection.start();
+        const result = await connection.request('initialize', {
+          clientCapabilities: {
+            fs: { readTextFile: false, writeTextFile: false },
+            terminal: false,
+          },
+          clientInfo,
+          protocolVersion: ACP_PROTOCOL_VERSION,
+        });
+        agentCapabilities = result.agentCapabilities || {};
+        initialized = true;
+      })();
+    }
+    try {
+      await startPromise;
+    } catch (err) {
+      startPromise = null;
+      throw err;
+    }
+  }
+
+  async function openSession(sessionId, sessionCwd) {
+    const normalizedId = sessionId ? String(sessionId) : '';
+    if (normalizedId && openSessions.has(normalizedId)) return normalizedId;
+    // Replayed history arrives as session/update notifications while loading;
+    // Telegram already has it, so it is dropped.
+    if (normalizedId && agentCapabilities.loadSession) {
+      loadingSessions.add(normalizedId);
+      try {
+        await connection.request('session/load', {
+          cwd: sessionCwd,
+          mcpServers: [],
+          sessionId: normalizedId,
+        });
+        openSessions.add(normalizedId);
+        return normalizedId;
+      } catch (err) {
+        logger.warn(`${label} failed to load session ${normalizedId}; starting a new one:`, err.message);
+      } finally {
+        loadingSessions.delete(normalizedId);
+      }
+    } else if (normalizedId) {
+      logger.warn(`${label} cannot load session ${normalizedId}; starting a new one`);
+    }
+    const result = await connection.request('session/new', {
+      cwd: sessionCwd,
+      mcpServers: [],
+    });
+    if (!result.sessionId) {
+      throw createError(`${label} did not return a session id`);
+    }
+    openSessions.add(String(result.sessionId));
+    return String(result.sessionId);
+  }
+
+  // ACP has no mid-turn input, so steering text is queued and sent as a
+  // follow-up prompt in the same session as soon as the current one ends.
+  async function runTurn(options = {}) {
+    await start();
+    const sessionId = await openSession(options.threadId, options.cwd || cwd);
+    if (activeTurns.has(sessionId)) {
+      throw createError(`${label} session ${sessionId} already has an active turn`);
+    }
+    const context = createTurnContext({ ...options, sessionId });
+    activeTurns.set(sessionId, context);
+    context.notifyTurnStarted();
+    try {
+      let prompt = toPromptBlocks(options.input);
+      while (prompt.length > 0) {
+        context.startMessage();
+        const result = await connection.request('session/prompt', { prompt, sessionId });
+        if (context.cancelled || result.stopReason === 'cancelled') {
+          throw createError(`${label} turn interrupted`, { code: 'ERR_RUN_INTERRUPTED' });
+        }
+        prompt = toPromptBlocks(context.steers.splice(0));
+      }
+      const text = context.messageText.trim();
+      context.emitFinal(text);
+      return {
+        text,
+        threadId: sessionId,
+        turnId: context.turnId,
+      };
+    } finally {
+      activeTurns.delete(sessionId);
+    }
+  }
+
+  async function runChatTurn(options = {}) {
+    return runTurn(options);
+  }
+
+  async function runOneShot(options = {}) {
+    let approvalRequested = false;
+    const result = await runTurn({
+      ...options,
+      requestApproval: async () => {
+        approvalRequested = true;
+        return 'cancel';
+      },
+    });
+    if (approvalRequested) {
+      throw createError(
+        `${label} one-shot requested approval; interactive approvals are not supported for one-shot runs.`
+      );
+    }
+    return result;
+  }
+
+  function getActiveContext(threadId, turnId) {
+    const context = activeTurns.get(String(threadId || ''));
+    if (!context || (turnId && context.turnId !== String(turnId))) {
+      throw createError(`${label} has no active turn for session ${threadId}`);
+    }
+    return context;
+  }
+
+  async function steerTurn({ expectedTurnId, input, threadId }) {
+    const context = getActiveContext(threadId, expectedTurnId);
+    context.steers.push(...(Array.isArray(input) ? input : []));
+    return {};
+  }
+
+  async function interruptTurn({ threadId, turnId }) {
+    const context = getActiveContext(threadId, turnId);
+    context.cancelled = true;
+    for (const requestId of context.pendingRequests) {
+      try {
+        connection.respond(requestId, CANCELLED_OUTCOME);
+      } catch (err) {
+        logger.warn(`Failed to cancel ${label} permission request:`, err);
+      }
+      if (typeof context.onServerRequestResolved === 'function') {
+        context.onServerRequestResolved({ requestId, threadId: context.sessionId });
+      }
+    }
+    context.pendingRequests.clear();
+    connection.notify('session/cancel', { sessionId: context.sessionId });
+    return {};
+  }
+
+  async function shutdown() {
+    handleProcessExit();
+    connection.stop(createError(`${label} client shut down`));
+  }
+
+  return {
+    command,
+    interruptTurn,
+    runChatTurn,
+    runOneShot,
+    shutdown,
+    steerTurn,
+  };
+}
+
+module.exports = {
+  buildApprovalRequest,
+  buildPermissionOutcome,
+  createAcpClient,
+  toPromptBlocks,
+};
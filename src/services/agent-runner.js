@@ -4,6 +4,7 @@ function createAgentRunner(options) {
     agentTimeoutMs,
     buildBootstrapContext,
     buildPrompt,
+    checkBudget,
     documentDir,
     execLocal,
     execLocalStreaming,
@@ -18,7 +19,10 @@ function createAgentRunner(options) {
     persistThreads,
     postFinalGraceMs = 2500,
     prefixTextWithTimestamp,
+    recordUsage,
     resolveEffectiveAgentId,
+    resolveFallbackAgentIds,
+    resolveServiceTier,
     resolveThreadId,
     runSessionBackedChatTurn,
     runSessionBackedOneShot,
@@ -89,6 +93,7 @@ function createAgentRunner(options) {
     for (const run of activeRuns) {
       cancelledRuns += 1;
       clearRunTimers(run);
+      run.cancelled = true;
       if (typeof run.stop === 'function') {
         Promise.resolve(run.stop({ reason })).catch((err) => {
           console.warn('Failed to stop active run:', err);
@@ -184,11 +189,65 @@ function createAgentRunner(options) {
     };
   }
 
-  async function runAgentOneShot(prompt) {
+  function listActiveRuns() {
+    const runs = [];
+    for (const run of activeRuns) {
+      if (run.settled) continue;
+      runs.push({
+        agentId: run.agentId,
+        chatId: run.chatId,
+        contextKey: run.contextKey || null,
+        finalEmitted: Boolean(run.finalEmitted),
+        lifecycleState: run.lifecycleState,
+        startedAt: run.startedAt ? new Date(run.startedAt).toISOString() : null,
+        stopPending: Boolean(run.stopPending),
+        stopRequested: Boolean(run.stopRequested),
+        threadId: run.session?.threadId,
+        topicId: run.topicId ?? null,
+        turnId: run.session?.turnId,
+      });
+    }
+    return runs;
+  }
+
+  // One-shots (memory curation, script docs) have no topic session, but they
+  // still spend tokens: runOptions names the chat/topic/user/job to bill.
+  async function runAgentOneShot(prompt, runOptions = {}) {
+    const { chatId = null, contextKey, topicId, userId } = runOptions;
     const globalAgent = getGlobalAgent();
     const agent = getAgent(globalAgent);
     const thinking = getGlobalThinking();
     const model = getGlobalModels()[globalAgent];
+    const budget = await resolveBudget(chatId, runOptions);
+    if (budget?.action === 'block') {
+      console.warn(`budget_blocked one-shot context=${contextKey || 'none'} ${budget.summary}`);
+      throw Object.assign(new Error(`Budget exceeded: ${budget.summary}.`), {
+        code: 'ERR_BUDGET_EXCEEDED',
+      });
+    }
+    const usageStartedAt = Date.now();
+    const reportUsage = (status, usage) => {
+      if (typeof recordUsage !== 'function') return;
+      Promise.resolve(
+        recordUsage({
+          agentId: agent.id,
+          chatId,
+          topicId,
+          userId,
+          contextKey,
+          model: usage?.model || model || agent.defaultModel,
+          status,
+          durationMs: Date.now() - usageStartedAt,
+          inputTokens: usage?.inputTokens,
+          cachedInputTokens: usage?.cachedInputTokens,
+          outputTokens: usage?.outputTokens,
+          reasoningTokens: usage?.reasoningTokens,
+          costUsd: usage?.costUsd,
+        })
+      ).catch((err) => {
+        console.warn('Failed to record agent usage:', err);
+      });
+    };
     let promptText = String(prompt || '');
     if (agent.id === 'claude') {
       promptText = prefixTextWithTimestamp(promptText, {
@@ -209,7 +268,11 @@ function createAgentRunner(options) {
           model,
           prompt: promptText,
         });
+        reportUsage('succeeded', result?.usage);
         return String(result?.text || '').trim();
+      } catch (err) {
+        reportUsage('failed');
+        throw err;
       } finally {
         const elapsedMs = Date.now() - startedAt;
         console.info(`Agent one-shot finished durationMs=${elapsedMs}`);
@@ -254,6 +317,7 @@ function createAgentRunner(options) {
       if (err && typeof err.stdout === 'string' && err.stdout.trim()) {
         output = err.stdout;
       } else {
+        reportUsage('failed');
         throw err;
       }
     } finally {
@@ -263,8 +327,10 @@ function createAgentRunner(options) {
 
     const parsed = agent.parseOutput(output);
     if (execError && !parsed.sawJson && !String(parsed.text || '').trim()) {
+      reportUsage('failed', parsed.usage);
       throw execError;
     }
+    reportUsage(execError ? 'failed' : 'succeeded', parsed.usage);
     if (execError) {
       console.warn(
         `Agent one-shot exited non-zero; returning stdout (code=${execError.code || 'unknown'})`
@@ -273,8 +339,165 @@ function createAgentRunner(options) {
     return parsed.text || output;
   }
 
+  function describeAgentFailure(err) {
+    if (err?.code === 'ETIMEDOUT') return 'timed out';
+    if (Number.isInteger(err?.code)) return `exit code ${err.code}`;
+    const message = String(err?.message || err || 'unknown error')
+      .split('\n')[0]
+      .trim();
+    return message.length <= 120 ? message : `${message.slice(0, 119)}…`;
+  }
+
+  function canFallBack(err, run) {
+    return Boolean(
+      run
+      && !run.finalEmitted
+      && !run.cancelled
+      && !run.stopRequested
+      && err?.code !== 'ERR_RUN_INTERRUPTED'
+    );
+  }
+
+  function buildFallbackLabel(agentId, failures) {
+    const reasons = failures
+      .map(({ agentId: failedAgentId, reason }) => `${getAgentLabel(failedAgentId)}: ${reason}`)
+      .join('; ');
+    return `_Answered by ${getAgentLabel(agentId)} (fallback after ${reasons})_`;
+  }
+
+  function prependLabel(label, text) {
+    if (!label) return text;
+    const body = String(text || '').trim();
+    return body ? `${label}\n\n${body}` : label;
+  }
+
+  async function resolveBudget(chatId, runOptions) {
+    if (typeof checkBudget !== 'function') return null;
+    try {
+      return await checkBudget({
+        chatId,
+        contextKey: runOptions.contextKey,
+        topicId: runOptions.topicId,
+        userId: runOptions.userId,
+      });
+    } catch (err) {
+      console.warn('Failed to check budgets:', err);
+      return null;
+    }
+  }
+
+  function buildBudgetLabel(budget, agentId) {
+    const model = budget.models?.[agentId];
+    const target = model ? `the default tier and ${model}` : 'the default tier';
+    return `_Budget reached (${budget.summary}); running on ${target}_`;
+  }
+
   async function runAgentForChat(chatId, prompt, runOptions = {}) {
+    const { onFinalResponse, topicId } = runOptions;
+    const budget = await resolveBudget(chatId, runOptions);
+    if (!budget) {
+      return runAgentChain(chatId, prompt, runOptions);
+    }
+    if (budget.action === 'block') {
+      console.warn(
+        `budget_blocked chat=${chatId} topic=${topicId || 'root'} ${budget.summary}`
+      );
+      throw Object.assign(new Error(`Budget exceeded: ${budget.summary}.`), {
+        code: 'ERR_BUDGET_EXCEEDED',
+      });
+    }
+    const label = buildBudgetLabel(
+      budget,
+      resolveEffectiveAgentId(chatId, topicId, runOptions.agentId)
+    );
+    console.info(
+      `budget_downgrade chat=${chatId} topic=${topicId || 'root'} ${budget.summary}`
+    );
+    const response = await runAgentChain(chatId, prompt, {
+      ...runOptions,
+      budget,
+      onFinalResponse:
+        typeof onFinalResponse === 'function'
+          ? (text) => onFinalResponse(prependLabel(label, text))
+          : onFinalResponse,
+    });
+    return prependLabel(label, response);
+  }
+
+  async function runAgentChain(chatId, prompt, runOptions = {}) {
+    const {
+      fallback = true,
+      topicId,
+      agentId: overrideAgentId,
+      onFinalResponse,
+      onSettled,
+    } = runOptions;
+    const primaryAgentId = resolveEffectiveAgentId(chatId, topicId, overrideAgentId);
+    const fallbackAgentIds =
+      fallback && typeof resolveFallbackAgentIds === 'function'
+        ? resolveFallbackAgentIds(chatId, topicId).filter(
+          (agentId) => agentId !== primaryAgentId
+        )
+        : [];
+    if (fallbackAgentIds.length === 0) {
+      return runAgentAttempt(chatId, prompt, runOptions);
+    }
+
+    const chain = [primaryAgentId, ...fallbackAgentIds];
+    const failures = [];
+    const runLink = async (agentId, hasNext, attempt) => {
+      const label = failures.length > 0 ? buildFallbackLabel(agentId, failures) : '';
+      const response = await runAgentAttempt(
+        chatId,
+        prompt,
+        {
+          ...runOptions,
+          agentId,
+          onFinalResponse:
+            typeof onFinalResponse === 'function'
+              ? (text) => onFinalResponse(prependLabel(label, text))
+              : onFinalResponse,
+          onSettled:
+            typeof onSettled === 'function'
+              ? (payload) => {
+                if (
+                  hasNext
+                  && payload.status === 'failed'
+                  && canFallBack(null, attempt.run)
+                ) {
+                  return undefined;
+                }
+                return onSettled(payload);
+              }
+              : onSettled,
+        },
+        attempt
+      );
+      return prependLabel(label, response);
+    };
+
+    for (let index = 0; index < chain.length - 1; index += 1) {
+      const agentId = chain[index];
+      const attempt = {};
+      try {
+        return await runLink(agentId, true, attempt);
+      } catch (err) {
+        if (!canFallBack(err, attempt.run)) {
+          throw err;
+        }
+        const reason = describeAgentFailure(err);
+        failures.push({ agentId, reason });
+        console.warn(
+          `agent_fallback chat=${chatId} topic=${topicId || 'root'} failed=${agentId} next=${chain[index + 1]} reason=${reason}`
+        );
+      }
+    }
+    return runLink(chain[chain.length - 1], false, {});
+  }
+
+  async function runAgentAttempt(chatId, prompt, runOptions = {}, attempt = {}) {
     const {
+      budget,
       topicId,
       contextKey,
       agentId: overrideAgentId,
@@ -284,6 +507,7 @@ function createAgentRunner(options) {
       onFinalResponse,
       onProgressUpdate,
       onSettled,
+      userId,
     } = runOptions;
     const effectiveAgentId = resolveEffectiveAgentId(
       chatId,
@@ -319,18 +543,25 @@ function createAgentRunner(options) {
     }
     if (!threadId) {
       const bootstrap = await buildBootstrapContext({
+        chatId,
         includeMemory: !(agent.backend === 'app-server' && agent.id === 'codex-app'),
         includeSoul: !(agent.backend === 'app-server' && agent.id === 'codex-app'),
         includeThreadMemory: false,
         includeTools: !(agent.backend === 'app-server' && agent.id === 'codex-app'),
         threadKey,
+        topicId,
       });
       promptWithContext = promptWithContext
         ? `${bootstrap}\n\n${promptWithContext}`
         : bootstrap;
     }
     const thinking = getGlobalThinking();
-    const model = getGlobalModels()[effectiveAgentId];
+    const model =
+      budget?.models?.[effectiveAgentId] || getGlobalModels()[effectiveAgentId];
+    const serviceTier =
+      !budget && typeof resolveServiceTier === 'function'
+        ? resolveServiceTier(effectiveAgentId)
+        : undefined;
     const finalPrompt = buildPrompt(
       promptWithContext,
       imagePaths || [],
@@ -379,7 +610,10 @@ function createAgentRunner(options) {
     );
     const run = {
       activeKey: buildActiveRunKey(chatId, topicId, effectiveAgentId, contextKey),
+      agentId: effectiveAgentId,
+      chatId,
       child: null,
+      contextKey,
       droppedProgressUpdates: 0,
       finalEmitted: false,
       lifecycleState: 'streaming',
@@ -388,6 +622,7 @@ function createAgentRunner(options) {
       postFinalKillTimer: null,
       session: null,
       settled: false,
+      startedAt,
       steer:
         agent.backend === 'app-server'
           ? async () => ({ status: 'unsupported' })
@@ -399,7 +634,9 @@ function createAgentRunner(options) {
           : null,
       stopPending: false,
       stopRequested: false,
+      topicId,
     };
+    attempt.run = run;
     trackActiveRun(run);
     let output;
     let execError;
@@ -429,6 +666,30 @@ function createAgentRunner(options) {
       }
     };
 
+    const reportUsage = (status, usage) => {
+      if (typeof recordUsage !== 'function') return;
+      Promise.resolve(
+        recordUsage({
+          agentId: effectiveAgentId,
+          chatId,
+          topicId,
+          userId,
+          contextKey,
+          model: usage?.model || model || agent.defaultModel,
+          serviceTier,
+          status,
+          durationMs: Date.now() - startedAt,
+          inputTokens: usage?.inputTokens,
+          cachedInputTokens: usage?.cachedInputTokens,
+          outputTokens: usage?.outputTokens,
+          reasoningTokens: usage?.reasoningTokens,
+          costUsd: usage?.costUsd,
+        })
+      ).catch((err) => {
+        console.warn('Failed to record agent usage:', err);
+      });
+    };
+
     const schedulePostFinalKill = () => {
       if (
         run.settled
@@ -638,6 +899,7 @@ function createAgentRunner(options) {
               flushPendingSteers();
             },
             prompt: finalPrompt,
+            serviceTier,
             topicId,
             threadId: activeThreadId,
           });
@@ -695,6 +957,7 @@ function createAgentRunner(options) {
         console.info(
           `run_settled chat=${chatId} topic=${topicId || 'root'} agent=${agent.id} final_emitted=${run.finalEmitted} dropped_progress_updates=${run.droppedProgressUpdates}`
         );
+        reportUsage('succeeded', result?.usage);
         await emitSettled('succeeded');
         return String(result?.text || '').trim();
       } catch (err) {
@@ -703,6 +966,7 @@ function createAgentRunner(options) {
           err?.code === 'ERR_RUN_INTERRUPTED' ? 'interrupted' : 'failed';
         clearRunTimers(run);
         untrackActiveRun(run);
+        reportUsage(run.lifecycleState);
         await emitSettled(
           err?.code === 'ERR_RUN_INTERRUPTED' ? 'interrupted' : 'failed'
         );
@@ -769,6 +1033,7 @@ function createAgentRunner(options) {
       run.lifecycleState = 'failed';
       clearRunTimers(run);
       untrackActiveRun(run);
+      reportUsage('failed');
       await emitSettled('failed');
       throw fatalError;
     }
@@ -784,6 +1049,7 @@ function createAgentRunner(options) {
       run.lifecycleState = 'failed';
       clearRunTimers(run);
       untrackActiveRun(run);
+      reportUsage('failed', parsed.usage);
       await emitSettled('failed');
       throw execError;
     }
@@ -833,6 +1099,7 @@ function createAgentRunner(options) {
     console.info(
       `run_settled chat=${chatId} topic=${topicId || 'root'} agent=${agent.id} final_emitted=${run.finalEmitted} dropped_progress_updates=${run.droppedProgressUpdates}${finalSignalLogged ? ' post_final_exit=true' : ''}`
     );
+    reportUsage('succeeded', parsed.usage);
     await emitSettled('succeeded');
     return parsed.text || output;
   }
@@ -840,6 +1107,7 @@ function createAgentRunner(options) {
   return {
     cancelActiveRuns,
     getActiveRunState,
+    listActiveRuns,
     runAgentForChat,
     runAgentOneShot,
     steerActiveRun,
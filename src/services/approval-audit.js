@@ -0,0 +1,47 @@
+const path = require('path');
+const fs = require('fs/promises');
+const { CONFIG_DIR } = require('../config-store');
+
+const APPROVAL_AUDIT_PATH = path.join(CONFIG_DIR, 'approval-audit.jsonl');
+
+let auditWrite = Promise.resolve();
+
+function optionalString(value) {
+  return value === undefined || value === null ? null : String(value);
+}
+
+function normalizeApprovalAuditRecord(record) {
+  return {
+    createdAt: new Date().toISOString(),
+    action: record.action,
+    decision: record.decision,
+    rule: optionalString(record.rule),
+    kind: optionalString(record.kind),
+    chatId: optionalString(record.chatId),
+    topicId: optionalString(record.topicId),
+    threadId: optionalString(record.threadId),
+    requestId: optionalString(record.requestId),
+    command: optionalString(record.command),
+    cwd: optionalString(record.cwd),
+    network: Boolean(record.network),
+    paths: Array.isArray(record.paths) ? record.paths.map(String) : [],
+  };
+}
+
+async function appendApprovalAudit(record) {
+  const entry = normalizeApprovalAuditRecord(record);
+  auditWrite = auditWrite
+    .catch(() => {})
+    .then(async () => {
+      await fs.mkdir(CONFIG_DIR, { recursive: true });
+      await fs.appendFile(APPROVAL_AUDIT_PATH, `${JSON.stringify(entry)}\n`, 'utf8');
+    });
+  await auditWrite;
+  return entry;
+}
+
+module.exports = {
+  APPROVAL_AUDIT_PATH,
+  appendApprovalAudit,
+  normalizeApprovalAuditRecord,
+};
@@ -5,6 +5,16 @@ const {
 
 const CALLBACK_PREFIX = 'approval';
 const MAX_LISTED_PATHS = 6;
+const INLINE_DIFF_MAX_CHARS = 2500;
+// Telegram rejects messages over 4096 characters; the margin leaves room for
+// the "(aprobado)" markers and the Estado line added when the card is edited.
+const INLINE_MESSAGE_MAX_CHARS = 4096 - 300;
+const DECISION_LABELS = {
+  accept: 'aprobada',
+  acceptForSession: 'aprobada para la sesion',
+  cancel: 'cancelada',
+  decline: 'rechazada',
+};
 
 function escapeHtml(value) {
   return String(value || '')
@@ -13,10 +23,56 @@ function escapeHtml(value) {
     .replace(/>/g, '&gt;');
 }
 
+function getChangeKind(change) {
+  const kind = change?.kind;
+  if (typeof kind === 'string') return kind;
+  return kind?.type || 'update';
+}
+
+function getChangeDiff(change) {
+  return typeof change?.diff === 'string' ? change.diff.trimEnd() : '';
+}
+
+function getChangeName(change) {
+  const parts = String(change?.path || '').split('/');
+  return parts[parts.length - 1] || '(sin path)';
+}
+
+function buildDiffDocument(changes) {
+  const sections = changes
+    .filter((change) => getChangeDiff(change))
+    .map((change) => {
+      const diff = getChangeDiff(change);
+      if (/^(--- |diff --git )/m.test(diff)) return diff;
+      const kind = getChangeKind(change);
+      return [
+        `--- ${kind === 'add' ? '/dev/null' : `a/${change.path}`}`,
+        `+++ ${kind === 'delete' ? '/dev/null' : `b/${change.path}`}`,
+        diff,
+      ].join('\n');
+    });
+  return sections.length > 0 ? `${sections.join('\n')}\n` : '';
+}
+
+function resolveDiffMode(changes) {
+  const total = changes.reduce((sum, change) => sum + getChangeDiff(change).length, 0);
+  if (total === 0) return null;
+  return total <= INLINE_DIFF_MAX_CHARS ? 'inline' : 'document';
+}
+
 function createApprovalService(options) {
-  const { bot, logger = console } = options;
+  const {
+    bot,
+    getTimeout = () => null,
+    logger = console,
+    pendingStore = null,
+    setTimer = setTimeout,
+    clearTimer = clearTimeout,
+  } = options;
   const pendingByToken = new Map();
   const pendingByRequest = new Map();
+  let restoring = null;
+  let shuttingDown = false;
 
   function buildRequestKey(threadId, requestId) {
     return `${String(threadId)}:${String(requestId)}`;
@@ -33,9 +89,37 @@ function createApprovalService(options) {
     return `${CALLBACK_PREFIX}:${token}:${action}`;
   }
 
-  function buildInlineKeyboard(token) {
+  function getFileChanges(request) {
+    if (request.kind !== 'file_change') return [];
+    return Array.isArray(request.item?.changes) ? request.item.changes : [];
+  }
+
+  function hasPerFileButtons(request) {
+    const count = getFileChanges(request).length;
+    return count > 1 && count <= MAX_LISTED_PATHS;
+  }
+
+  function buildInlineKeyboard(token, entry = null) {
+    const rows = [];
+    if (entry && hasPerFileButtons(entry.request)) {
+      getFileChanges(entry.request).forEach((change, index) => {
+        if (entry.fileDecisions.has(index)) return;
+        const name = truncateText(getChangeName(change), 24);
+        rows.push([
+          {
+            text: `Aprobar ${name}`,
+            callback_data: buildCallbackData(token, `file_accept_${index}`),
+          },
+          {
+            text: `Rechazar ${name}`,
+            callback_data: buildCallbackData(token, `file_decline_${index}`),
+          },
+        ]);
+      });
+    }
     return {
       inline_keyboard: [
+        ...rows,
         [
           { text: 'Aprobar', callback_data: buildCallbackData(token, 'accept') },
           {
@@ -87,7 +171,15 @@ function createApprovalService(options) {
     return lines.join('\n');
   }
 
-  function formatFileChangeApprovalText(request) {
+  function formatFileChangeApprovalText(request, entry) {
+    return renderFileChangeApproval(request, entry).text;
+  }
+
+  // Inline diffs are HTML-escaped, so the raw size check in resolveDiffMode
+  // is not enough: the rendered card must also fit in one message. The mode
+  // is pinned on the entry so later edits keep the layout the card was sent
+  // with.
+  function renderFileChangeApproval(request, entry) {
     const lines = ['<b>Approval solicitada</b>', '', '<b>Tipo:</b> cambios de archivos'];
     if (request.reason) {
       lines.push(`<b>Motivo:</b> ${escapeHtml(request.reason)}`);
@@ -99,14 +191,37 @@ function createApprovalService(options) {
     if (changes.length > 0) {
       const visible = changes.slice(0, MAX_LISTED_PATHS);
       lines.push('', `<b>Archivos:</b> ${changes.length}`);
-      for (const change of visible) {
-        lines.push(`• <code>${escapeHtml(change.path || '(sin path)')}</code>`);
-      }
+      visible.forEach((change, index) => {
+        const kind = change.kind ? ` ${escapeHtml(getChangeKind(change))}` : '';
+        const approved = entry?.fileDecisions?.has(index) ? ' (aprobado)' : '';
+        lines.push(`• <code>${escapeHtml(change.path || '(sin path)')}</code>${kind}${approved}`);
+      });
       if (changes.length > visible.length) {
         lines.push(`• …y ${changes.length - visible.length} mas`);
       }
     }
-    return lines.join('\n');
+    let diffMode = entry?.diffMode || resolveDiffMode(changes);
+    if (diffMode === 'inline') {
+      const inlineLines = [...lines];
+      for (const change of changes) {
+        const diff = getChangeDiff(change);
+        if (!diff) continue;
+        inlineLines.push(
+          '',
+          `<b>${escapeHtml(change.path || '(sin path)')}</b>`,
+          `<pre><code class="language-diff">${escapeHtml(diff)}</code></pre>`
+        );
+      }
+      const text = inlineLines.join('\n');
+      if (entry?.diffMode || text.length <= INLINE_MESSAGE_MAX_CHARS) {
+        return { diffMode, text };
+      }
+      diffMode = 'document';
+    }
+    if (diffMode === 'document') {
+      lines.push('', '<i>El diff completo va adjunto como .diff.</i>');
+    }
+    return { diffMode, text: lines.join('\n') };
   }
 
   function formatPermissionsApprovalText(request) {
@@ -142,9 +257,9 @@ function createApprovalService(options) {
     return lines.join('\n');
   }
 
-  function formatApprovalText(request) {
+  function formatApprovalText(request, entry = null) {
     if (request.kind === 'file_change') {
-      return formatFileChangeApprovalText(request);
+      return formatFileChangeApprovalText(request, entry);
     }
     if (request.kind === 'permissions') {
       return formatPermissionsApprovalText(request);
@@ -153,10 +268,10 @@ function createApprovalService(options) {
   }
 
   function formatResolvedText(entry, label) {
-    return `${formatApprovalText(entry.request)}\n\n<b>Estado:</b> ${escapeHtml(label)}`;
+    return `${formatApprovalText(entry.request, entry)}\n\n<b>Estado:</b> ${escapeHtml(label)}`;
   }
 
-  async function editApprovalMessage(entry, text) {
+  async function editApprovalMessage(entry, text, replyMarkup = { inline_keyboard: [] }) {
     if (!entry.messageId) return;
     try {
       await bot.telegram.editMessageText(
@@ -167,7 +282,7 @@ function createApprovalService(options) {
         {
           parse_mode: 'HTML',
           disable_web_page_preview: true,
-          reply_markup: { inline_keyboard: [] },
+          reply_markup: replyMarkup,
         }
       );
     } catch (err) {
@@ -179,15 +294,177 @@ function createApprovalService(options) {
     }
   }
 
+  // The app-server is restarted together with the bot, so pending requests
+  // cannot be answered after a restart; only their cards are kept so they can
+  // be marked as expired on the next startup. Saves wait for that restore so a
+  // card opened during startup is neither expired nor dropped by it.
+  function persistPending() {
+    if (!pendingStore || shuttingDown) return;
+    const records = Array.from(pendingByToken.values())
+      .filter((entry) => entry.messageId)
+      .map((entry) => ({
+        chatId: entry.chatId,
+        messageId: entry.messageId,
+        requestId: entry.requestId,
+        text: formatApprovalText(entry.request, entry),
+        threadId: entry.threadId,
+        token: entry.token,
+        topicId: entry.topicId,
+      }));
+    ensureRestored()
+      .then(() => pendingStore.save('approvals', records))
+      .catch((err) => {
+        logger.warn('Failed to persist pending approvals:', err);
+      });
+  }
+
+  async function expireRestoredCards() {
+    const records = await pendingStore.load('approvals');
+    let restored = 0;
+    for (const record of records) {
+      if (!record?.chatId || !record?.messageId) continue;
+      await editApprovalMessage(
+        record,
+        `${record.text || '<b>Approval solicitada</b>'}\n\n<b>Estado:</b> expirada (bot reiniciado)`
+      );
+      restored += 1;
+    }
+    return restored;
+  }
+
+  function ensureRestored() {
+    if (!restoring) {
+      restoring = expireRestoredCards().catch((err) => {
+        logger.warn('Failed to restore pending approvals:', err);
+        return 0;
+      });
+    }
+    return restoring;
+  }
+
+  async function restorePending() {
+    if (!pendingStore) return 0;
+    const restored = await ensureRestored();
+    persistPending();
+    return restored;
+  }
+
+  function formatMinutes(ms) {
+    const minutes = Math.max(1, Math.round(ms / 60000));
+    return minutes === 1 ? '1 min' : `${minutes} min`;
+  }
+
+  function clearEntryTimers(entry) {
+    if (entry.reminderTimer) clearTimer(entry.reminderTimer);
+    if (entry.timeoutTimer) clearTimer(entry.timeoutTimer);
+    entry.reminderTimer = null;
+    entry.timeoutTimer = null;
+  }
+
+  async function sendReminder(entry) {
+    const { decision, reminderMs, timeoutMs } = entry.timeout;
+    const remainingMs = timeoutMs - entry.remindersSent * reminderMs;
+    const label = DECISION_LABELS[decision] || decision;
+    try {
+      await bot.telegram.sendMessage(
+        entry.chatId,
+        `Recordatorio: hay una approval pendiente. Se dara por ${label} en ${formatMinutes(remainingMs)}.`,
+        {
+          ...buildTelegramThreadExtra({ forceTopic: true, topicId: entry.topicId }),
+          ...(entry.messageId ? { reply_to_message_id: entry.messageId } : {}),
+        }
+      );
+    } catch (err) {
+      logger.warn('Failed to send approval reminder:', err);
+    }
+  }
+
+  function scheduleReminder(entry) {
+    const { reminderMs, timeoutMs } = entry.timeout;
+    if (!reminderMs || (entry.remindersSent + 1) * reminderMs >= timeoutMs) return;
+    entry.reminderTimer = setTimer(() => {
+      entry.reminderTimer = null;
+      if (entry.settled) return;
+      entry.remindersSent += 1;
+      void sendReminder(entry);
+      scheduleReminder(entry);
+    }, reminderMs);
+  }
+
+  function scheduleTimeout(entry) {
+    const timeout = getTimeout(entry.request.kind);
+    if (!timeout?.timeoutMs) return;
+    entry.timeout = timeout;
+    entry.timeoutTimer = setTimer(() => {
+      entry.timeoutTimer = null;
+      const label = DECISION_LABELS[timeout.decision] || timeout.decision;
+      logger.warn(
+        `Approval ${entry.requestId} timed out after ${timeout.timeoutMs}ms; sending ${timeout.decision}`
+      );
+      settleEntry(entry, timeout.decision, `expirada (${label} automaticamente)`);
+    }, timeout.timeoutMs);
+    scheduleReminder(entry);
+  }
+
   function settleEntry(entry, decision, label) {
     if (!entry || entry.settled) return;
     entry.settled = true;
+    clearEntryTimers(entry);
     pendingByToken.delete(entry.token);
     pendingByRequest.delete(buildRequestKey(entry.threadId, entry.requestId));
     entry.resolveDecision(decision);
+    persistPending();
     void editApprovalMessage(entry, formatResolvedText(entry, label));
   }
 
+  async function sendDiffDocument(entry, changes, threadExtra) {
+    try {
+      await bot.telegram.sendDocument(
+        entry.chatId,
+        {
+          source: Buffer.from(buildDiffDocument(changes), 'utf8'),
+          filename: `approval-${entry.requestId}.diff`,
+        },
+        {
+          ...threadExtra,
+          ...(entry.messageId ? { reply_to_message_id: entry.messageId } : {}),
+        }
+      );
+    } catch (err) {
+      logger.warn('Failed to send approval diff:', err);
+    }
+  }
+
+  // The app-server only takes one decision per request, so the request is
+  // accepted once every file is approved and declined as soon as one is not.
+  async function handleFileDecision(ctx, entry, action, index) {
+    const change = getFileChanges(entry.request)[index];
+    if (!change) {
+      await ctx.answerCbQuery('Archivo desconocido.');
+      return;
+    }
+    const name = getChangeName(change);
+    if (action === 'decline') {
+      settleEntry(entry, 'decline', `rechazada (${change.path})`);
+      await ctx.answerCbQuery(`Rechazado: ${name}`);
+      return;
+    }
+    entry.fileDecisions.add(index);
+    const total = getFileChanges(entry.request).length;
+    if (entry.fileDecisions.size >= total) {
+      settleEntry(entry, 'accept', 'aprobada (archivo por archivo)');
+      await ctx.answerCbQuery(`Aprobado: ${name}. Approval completa.`);
+      return;
+    }
+    persistPending();
+    await editApprovalMessage(
+      entry,
+      formatApprovalText(entry.request, entry),
+      buildInlineKeyboard(entry.token, entry)
+    );
+    await ctx.answerCbQuery(`Aprobado: ${name} (${entry.fileDecisions.size}/${total})`);
+  }
+
   async function requestApproval(request, context = {}) {
     const threadExtra = buildTelegramThreadExtra({
       forceTopic: true,
@@ -196,11 +473,17 @@ function createApprovalService(options) {
     const token = randomUUID().replace(/-/g, '').slice(0, 12);
     const entry = {
       chatId: context.chatId,
+      diffMode: null,
+      fileDecisions: new Set(),
       messageId: null,
+      reminderTimer: null,
+      remindersSent: 0,
       request,
       requestId: request.requestId,
       resolveDecision: null,
       settled: false,
+      timeout: null,
+      timeoutTimer: null,
       threadId: request.threadId,
       token,
       topicId: context.topicId,
@@ -211,18 +494,23 @@ function createApprovalService(options) {
     pendingByToken.set(token, entry);
     pendingByRequest.set(buildRequestKey(entry.threadId, entry.requestId), entry);
 
+    const rendered = request.kind === 'file_change'
+      ? renderFileChangeApproval(request, entry)
+      : { diffMode: null, text: formatApprovalText(request, entry) };
+    entry.diffMode = rendered.diffMode;
     try {
       const message = await bot.telegram.sendMessage(
         context.chatId,
-        formatApprovalText(request),
+        rendered.text,
         {
           parse_mode: 'HTML',
           disable_web_page_preview: true,
-          reply_markup: buildInlineKeyboard(token),
+          reply_markup: buildInlineKeyboard(token, entry),
           ...threadExtra,
         }
       );
       entry.messageId = message?.message_id || null;
+      persistPending();
     } catch (err) {
       pendingByToken.delete(token);
       pendingByRequest.delete(buildRequestKey(entry.threadId, entry.requestId));
@@ -230,6 +518,10 @@ function createApprovalService(options) {
       return 'cancel';
     }
 
+    if (entry.diffMode === 'document') {
+      await sendDiffDocument(entry, getFileChanges(request), threadExtra);
+    }
+    scheduleTimeout(entry);
     return decisionPromise;
   }
 
@@ -253,19 +545,20 @@ function createApprovalService(options) {
       return true;
     }
 
+    const fileAction = action.match(/^file_(accept|decline)_(\d+)$/);
+    if (fileAction) {
+      await handleFileDecision(ctx, entry, fileAction[1], Number(fileAction[2]));
+      return true;
+    }
+
     const decision = mapDecision(action);
-    const labelMap = {
-      accept: 'aprobada',
-      acceptForSession: 'aprobada para la sesion',
-      cancel: 'cancelada',
-      decline: 'rechazada',
-    };
-    settleEntry(entry, decision, labelMap[decision] || 'resuelta');
-    await ctx.answerCbQuery(`Decision: ${labelMap[decision] || decision}`);
+    settleEntry(entry, decision, DECISION_LABELS[decision] || 'resuelta');
+    await ctx.answerCbQuery(`Decision: ${DECISION_LABELS[decision] || decision}`);
     return true;
   }
 
   function shutdown() {
+    shuttingDown = true;
     for (const entry of pendingByToken.values()) {
       settleEntry(entry, null, 'expirada');
     }
@@ -277,6 +570,7 @@ function createApprovalService(options) {
     handleCallbackQuery,
     requestApproval,
     resolveServerRequest,
+    restorePending,
     shutdown,
   };
 }
@@ -0,0 +1,81 @@
+const MAX_TRACKED_THREADS = 500;
+
+// Hands out codex app-server instances: the shared default one, plus one
+// lazily started instance per workspace that asks for a dedicated server.
+// Threads remember the instance that last ran them so steering, interrupts,
+// and timelines reach the same process.
+function createCodexAppServerPool(options) {
+  const {
+    createInstance,
+    defaultInstance,
+    logger = console,
+  } = options;
+
+  const dedicated = new Map();
+  const threadInstances = new Map();
+
+  function stopInstance(instance, label) {
+    instance.supervisor?.stop();
+    return Promise.resolve(instance.client.shutdown()).catch((err) => {
+      logger.warn(`Failed to stop codex app-server for ${label}:`, err);
+    });
+  }
+
+  function getInstance(workspace) {
+    if (!workspace?.dedicatedServer) return defaultInstance;
+    const existing = dedicated.get(workspace.id);
+    if (existing && existing.cwd === workspace.cwd) return existing.instance;
+    if (existing) {
+      dedicated.delete(workspace.id);
+      for (const [threadId, instance] of threadInstances.entries()) {
+        if (instance === existing.instance) threadInstances.delete(threadId);
+      }
+      void stopInstance(existing.instance, workspace.id);
+    }
+    logger.info(`codex_app_server_instance workspace=${workspace.id} cwd=${workspace.cwd}`);
+    const instance = createInstance(workspace);
+    dedicated.set(workspace.id, { cwd: workspace.cwd, instance });
+    return instance;
+  }
+
+  function trackThread(threadId, instance) {
+    if (!threadId) return;
+    const key = String(threadId);
+    threadInstances.delete(key);
+    threadInstances.set(key, instance);
+    while (threadInstances.size > MAX_TRACKED_THREADS) {
+      threadInstances.delete(threadInstances.keys().next().value);
+    }
+  }
+
+  function getThreadInstance(threadId) {
+    return threadInstances.get(String(threadId || '')) || defaultInstance;
+  }
+
+  function getWorkspaceStatus(workspace) {
+    if (!workspace?.dedicatedServer) return defaultInstance.supervisor.getStatus();
+    const existing = dedicated.get(workspace.id);
+    return existing && existing.cwd === workspace.cwd
+      ? existing.instance.supervisor.getStatus()
+      : null;
+  }
+
+  async function shutdown() {
+    const entries = Array.from(dedicated.entries());
+    dedicated.clear();
+    threadInstances.clear();
+    await Promise.all(entries.map(([id, entry]) => stopInstance(entry.instance, id)));
+  }
+
+  return {
+    getInstance,
+    getThreadInstance,
+    getWorkspaceStatus,
+    shutdown,
+    trackThread,
+  };
+}
+
+module.exports = {
+  createCodexAppServerPool,
+};
@@ -1,10 +1,15 @@
 const cp = require('child_process');
-const readline = require('node:readline');
+const {
+  createTurnTimeline,
+  summarizeVerboseItem,
+} = require('./codex-app-timeline');
+const { createJsonRpcStdioConnection } = require('./jsonrpc-stdio');
 
 const SERVER_COMMAND = 'codex';
 const SERVER_ARGS = ['app-server'];
 const ORIGINATOR_OVERRIDE_ENV = 'CODEX_INTERNAL_ORIGINATOR_OVERRIDE';
 const ORIGINATOR_OVERRIDE_VALUE = 'aipal';
+const MAX_TURN_TIMELINES = 50;
 const CLIENT_INFO = {
   name: 'aipal',
   title: 'Aipal',
@@ -165,19 +170,18 @@ function createCodexAppServerClient(options = {}) {
     cwd = process.cwd(),
     defaultPersonality = null,
     logger = console,
+    onExit,
     serverArgs = SERVER_ARGS,
     serverCommand = SERVER_COMMAND,
     spawnProcess = cp.spawn,
   } = options;
 
-  let proc = null;
-  let lineReader = null;
-  let nextRequestId = 1;
   let startPromise = null;
   let initialized = false;
-  const pendingResponses = new Map();
+  let startedAt = null;
   const activeTurns = new Map();
   const pendingServerRequests = new Map();
+  const turnTimelines = new Map();
 
   function createError(message, details = {}) {
     const err = new Error(message);
@@ -185,43 +189,14 @@ function createCodexAppServerClient(options = {}) {
     return err;
   }
 
-  function buildResponseError(error) {
-    if (!error || typeof error !== 'object') {
-      return createError('Codex app-server request failed');
-    }
-    const message = error.message || 'Codex app-server request failed';
-    return createError(message, {
-      code: error.code,
-      data: error.data,
-    });
-  }
-
-  function buildLineParseError(line, err) {
-    return createError('Failed to parse app-server message', {
-      cause: err,
-      line,
-    });
-  }
-
-  function buildProcessExitError(reason) {
-    return createError(`Codex app-server exited${reason ? `: ${reason}` : ''}`);
-  }
-
   function omitUndefined(obj) {
     return Object.fromEntries(
       Object.entries(obj).filter(([, value]) => value !== undefined)
     );
   }
 
-  function normalizeResponse(result) {
-    return result === undefined ? {} : result;
-  }
-
   function sendRaw(message) {
-    if (!proc || proc.killed || !proc.stdin || proc.stdin.destroyed) {
-      throw createError('Codex app-server is not running');
-    }
-    proc.stdin.write(`${JSON.stringify(message)}\n`);
+    connection.send(message);
   }
 
   function createDeferred() {
@@ -234,13 +209,6 @@ function createCodexAppServerClient(options = {}) {
     return { promise, resolve, reject };
   }
 
-  function rejectPendingResponses(error) {
-    for (const pending of pendingResponses.values()) {
-      pending.reject(error);
-    }
-    pendingResponses.clear();
-  }
-
   function failActiveTurns(error) {
     for (const context of activeTurns.values()) {
       context.fail(error);
@@ -248,15 +216,6 @@ function createCodexAppServerClient(options = {}) {
     activeTurns.clear();
   }
 
-  function clearProcessState() {
-    initialized = false;
-    proc = null;
-    if (lineReader) {
-      lineReader.close();
-      lineReader = null;
-    }
-  }
-
   function cleanupServerRequestsForThread(threadId) {
     for (const [requestId, pending] of pendingServerRequests.entries()) {
       if (pending.threadId !== threadId) continue;
@@ -267,6 +226,7 @@ function createCodexAppServerClient(options = {}) {
 
   function createTurnContext({
     includeAgentDeltas = true,
+    metadata,
     onApprovalResolved,
     onServerRequestResolved,
     onFinalResponse,
@@ -274,9 +234,12 @@ function createCodexAppServerClient(options = {}) {
     onProgressUpdate,
     requestApproval,
     requestElicitation,
+    resolveApprovalPolicy,
     threadId,
+    verbose = false,
   }) {
     const deferred = createDeferred();
+    const timeline = createTurnTimeline({ threadId });
     const progressOrder = [];
     const progressTexts = new Map();
     const finalTexts = new Map();
@@ -289,6 +252,11 @@ function createCodexAppServerClient(options = {}) {
       const type = String(item.type || '').trim();
       if (!type || type === 'agentMessage') return '';
 
+      if (verbose) {
+        const summary = summarizeVerboseItem(item, source);
+        if (summary !== null) return summary;
+      }
+
       if (type === 'reasoning') {
         return '';
       }
@@ -327,13 +295,16 @@ function createCodexAppServerClient(options = {}) {
       finalEmitted: false,
       includeAgentDeltas,
       lastAgentText: '',
+      metadata,
       onServerRequestResolved: onServerRequestResolved || onApprovalResolved,
       onFinalResponse,
       onTurnStarted,
       onProgressUpdate,
       requestApproval,
       requestElicitation,
+      resolveApprovalPolicy,
       threadId,
+      timeline,
       turnId: null,
       notifyTurnStarted() {
         if (
@@ -399,6 +370,7 @@ function createCodexAppServerClient(options = {}) {
         }
       },
       handleItem(item, source) {
+        timeline.entries.push({ at: Date.now(), item, source });
         const itemId = item?.id ? String(item.id) : null;
         if (itemId) {
           itemsById.set(itemId, item);
@@ -448,14 +420,21 @@ function createCodexAppServerClient(options = {}) {
         if (explicitFinal) return explicitFinal;
         return String(context.lastAgentText || '').trim();
       },
+      finishTimeline(status) {
+        timeline.completedAt = Date.now();
+        timeline.status = status;
+        timeline.turnId = timeline.turnId || context.turnId;
+      },
       resolve(result) {
         if (context.completed) return;
         context.completed = true;
+        context.finishTimeline('completed');
         deferred.resolve(result);
       },
       fail(error) {
         if (context.completed) return;
         context.completed = true;
+        context.finishTimeline(error?.code === 'ERR_RUN_INTERRUPTED' ? 'interrupted' : 'failed');
         deferred.reject(error);
       },
     };
@@ -463,6 +442,27 @@ function createCodexAppServerClient(options = {}) {
     return context;
   }
 
+  // Only the latest turn per thread is kept, and only for the most recent
+  // threads, so long-lived bots do not accumulate item payloads.
+  function rememberTurnTimeline(threadId, timeline) {
+    turnTimelines.delete(threadId);
+    turnTimelines.set(threadId, timeline);
+    while (turnTimelines.size > MAX_TURN_TIMELINES) {
+      turnTimelines.delete(turnTimelines.keys().next().value);
+    }
+  }
+
+  function getTurnTimeline(threadId) {
+    const timeline = turnTimelines.get(String(threadId || ''));
+    if (!timeline) return null;
+    const context = activeTurns.get(timeline.threadId);
+    return {
+      ...timeline,
+      entries: [...timeline.entries],
+      turnId: timeline.turnId || context?.turnId || null,
+    };
+  }
+
   function getActiveContext(threadId, turnId = null) {
     const context = activeTurns.get(threadId);
     if (!context) return null;
@@ -594,13 +594,19 @@ function createCodexAppServerClient(options = {}) {
             requestId,
           });
         }
-      } else if (typeof context.requestApproval === 'function') {
-        decision = await context.requestApproval({
+      } else {
+        const approvalRequest = {
           ...params,
           kind,
           item: approvalItem,
           requestId,
-        });
+        };
+        if (typeof context.resolveApprovalPolicy === 'function') {
+          decision = await context.resolveApprovalPolicy(approvalRequest);
+        }
+        if (!decision && typeof context.requestApproval === 'function') {
+          decision = await context.requestApproval(approvalRequest);
+        }
       }
     } catch (err) {
       logger.warn('Approval callback failed:', err);
@@ -690,9 +696,29 @@ function createCodexAppServerClient(options = {}) {
       return;
     }
 
+    if (method === 'thread/tokenUsage/updated') {
+      const last = params.tokenUsage?.last || {};
+      const current = context.usage || {
+        inputTokens: 0,
+        cachedInputTokens: 0,
+        outputTokens: 0,
+        reasoningTokens: 0,
+      };
+      context.usage = {
+        inputTokens: current.inputTokens + (Number(last.inputTokens) || 0),
+        cachedInputTokens:
+          current.cachedInputTokens + (Number(last.cachedInputTokens) || 0),
+        outputTokens: current.outputTokens + (Number(last.outputTokens) || 0),
+        reasoningTokens:
+          current.reasoningTokens + (Number(last.reasoningOutputTokens) || 0),
+      };
+      return;
+    }
+
     if (method === 'turn/completed') {
       const turn = params.turn || {};
       const status = String(turn.status || '');
+      if (turn.id) context.timeline.turnId = String(turn.id);
       const resultText = context.getResultText();
       if (resultText) {
         context.emitFinal(resultText);
@@ -717,73 +743,55 @@ function createCodexAppServerClient(options = {}) {
         );
         return;
       }
-      context.resolve({
+      context.resolve(omitUndefined({
         text: resultText,
         threadId,
         turnId: turn.id ? String(turn.id) : context.turnId,
-      });
-    }
-  }
-
-  function handleMessage(line) {
-    if (!line) return;
-    let message;
-    try {
-      message = JSON.parse(line);
-    } catch (err) {
-      logger.warn(buildLineParseError(line, err));
-      return;
-    }
-
-    if (message && Object.hasOwn(message, 'id') && !Object.hasOwn(message, 'method')) {
-      const pending = pendingResponses.get(message.id);
-      if (!pending) return;
-      pendingResponses.delete(message.id);
-      if (message.error) {
-        pending.reject(buildResponseError(message.error));
-      } else {
-        pending.resolve(normalizeResponse(message.result));
-      }
-      return;
-    }
-
-    if (message && Object.hasOwn(message, 'id') && Object.hasOwn(message, 'method')) {
-      void handleServerRequest(message);
-      return;
-    }
-
-    if (message && Object.hasOwn(message, 'method')) {
-      handleNotification(message);
+        usage: context.usage,
+      }));
     }
   }
 
-  function handleProcessExit(reason) {
-    clearProcessState();
-    const error = buildProcessExitError(reason);
-    rejectPendingResponses(error);
+  // Reports which turns were cut short so a supervisor can resume their
+  // threads once a new process is up.
+  function handleProcessExit(error) {
+    const wasInitialized = initialized;
+    const interruptedTurns = Array.from(activeTurns.values()).map((context) => ({
+      metadata: context.metadata,
+      threadId: context.threadId,
+      turnId: context.turnId,
+    }));
+    initialized = false;
+    startedAt = null;
     failActiveTurns(error);
     for (const pending of pendingServerRequests.values()) {
       pending.resolved = true;
     }
     pendingServerRequests.clear();
     startPromise = null;
-  }
-
-  function requestInternal(method, params) {
-    const requestId = nextRequestId++;
-    const deferred = createDeferred();
-    pendingResponses.set(requestId, deferred);
-    try {
-      sendRaw(omitUndefined({ method, id: requestId, params }));
-    } catch (err) {
-      pendingResponses.delete(requestId);
-      deferred.reject(err);
+    if (typeof onExit === 'function') {
+      onExit({ error, interruptedTurns, wasInitialized });
     }
-    return deferred.promise;
   }
 
+  const connection = createJsonRpcStdioConnection({
+    args: serverArgs,
+    command: serverCommand,
+    cwd,
+    env: { [ORIGINATOR_OVERRIDE_ENV]: ORIGINATOR_OVERRIDE_VALUE },
+    label: 'Codex app-server',
+    logPrefix: '[codex-app-server]',
+    logger,
+    onExit: handleProcessExit,
+    onNotification: handleNotification,
+    onRequest: (message) => {
+      void handleServerRequest(message);
+    },
+    spawnProcess,
+  });
+
   async function start() {
-    if (initialized && proc && !proc.killed) {
+    if (initialized && connection.isRunning()) {
       return;
     }
     if (startPromise) {
@@ -792,46 +800,14 @@ function createCodexAppServerClient(options = {}) {
     }
 
     startPromise = (async () => {
-      proc = spawnProcess(serverCommand, serverArgs, {
-        cwd,
-        env: {
-          ...process.env,
-          [ORIGINATOR_OVERRIDE_ENV]: ORIGINATOR_OVERRIDE_VALUE,
-        },
-        stdio: ['pipe', 'pipe', 'pipe'],
-      });
-      if (proc.stdout && typeof proc.stdout.setEncoding === 'function') {
-        proc.stdout.setEncoding('utf8');
-      }
-      if (proc.stderr && typeof proc.stderr.setEncoding === 'function') {
-        proc.stderr.setEncoding('utf8');
-      }
-
-      lineReader = readline.createInterface({ input: proc.stdout });
-      lineReader.on('line', handleMessage);
-
-      if (proc.stderr) {
-        proc.stderr.on('data', (chunk) => {
-          const text = String(chunk || '').trim();
-          if (text) {
-            logger.warn(`[codex-app-server] ${text}`);
-          }
-        });
-      }
-
-      proc.once('error', (err) => {
-        handleProcessExit(err.message || err.code || 'error');
-      });
-      proc.once('close', (code, signal) => {
-        handleProcessExit(signal || `exit code ${code}`);
-      });
-
-      await requestInternal('initialize', {
+      connection.start();
+      await connection.request('initialize', {
         capabilities: { experimentalApi: true },
         clientInfo,
       });
       sendRaw({ method: 'initialized', params: {} });
       initialized = true;
+      startedAt = Date.now();
     })();
 
     try {
@@ -844,7 +820,7 @@ function createCodexAppServerClient(options = {}) {
 
   async function request(method, params) {
     await start();
-    return requestInternal(method, params);
+    return connection.request(method, params);
   }
 
   async function createThread(
@@ -856,6 +832,7 @@ function createCodexAppServerClient(options = {}) {
   ) {
     const {
       baseInstructions,
+      cwd: threadCwd,
       developerInstructions,
     } = threadOptions;
     if (threadId) {
@@ -869,6 +846,7 @@ function createCodexAppServerClient(options = {}) {
     }
     const result = await request('thread/start', omitUndefined({
       baseInstructions,
+      cwd: threadCwd,
       developerInstructions,
       model,
       personality,
@@ -889,6 +867,7 @@ function createCodexAppServerClient(options = {}) {
       effort,
       includeAgentDeltas = true,
       input,
+      metadata,
       model,
       onApprovalResolved,
       onServerRequestResolved,
@@ -900,9 +879,11 @@ function createCodexAppServerClient(options = {}) {
       developerInstructions,
       requestApproval,
       requestElicitation,
+      resolveApprovalPolicy,
       serviceTier,
       sandboxPolicy = { type: 'dangerFullAccess' },
       threadId,
+      verbose = false,
     } = options;
 
     const resolvedThreadId = await createThread(
@@ -912,11 +893,13 @@ function createCodexAppServerClient(options = {}) {
       serviceTier,
       {
         baseInstructions,
+        cwd: turnCwd,
         developerInstructions,
       }
     );
     const context = createTurnContext({
       includeAgentDeltas,
+      metadata,
       onApprovalResolved,
       onServerRequestResolved,
       onFinalResponse,
@@ -924,9 +907,12 @@ function createCodexAppServerClient(options = {}) {
       onProgressUpdate,
       requestApproval,
       requestElicitation,
+      resolveApprovalPolicy,
       threadId: resolvedThreadId,
+      verbose,
     });
     activeTurns.set(resolvedThreadId, context);
+    rememberTurnTimeline(resolvedThreadId, context.timeline);
 
     try {
       const result = await request('turn/start', omitUndefined({
@@ -948,6 +934,7 @@ function createCodexAppServerClient(options = {}) {
     } catch (err) {
       cleanupServerRequestsForThread(resolvedThreadId);
       activeTurns.delete(resolvedThreadId);
+      if (!context.completed) context.finishTimeline('failed');
       throw err;
     }
   }
@@ -1050,9 +1037,37 @@ function createCodexAppServerClient(options = {}) {
     });
   }
 
+  function getStatus() {
+    const running = initialized && connection.isRunning();
+    return {
+      running,
+      startedAt: running ? startedAt : null,
+    };
+  }
+
+  // Liveness probe: any response, including a JSON-RPC error, proves the
+  // process is still reading stdin. Never starts a stopped server.
+  async function ping() {
+    if (!initialized || !connection.isRunning()) {
+      throw createError('Codex app-server is not running');
+    }
+    try {
+      await connection.request('thread/list', { limit: 1 });
+    } catch (err) {
+      if (typeof err?.code !== 'number') throw err;
+    }
+  }
+
+  // Treats an unresponsive process as crashed: active turns fail and onExit
+  // fires exactly as if it had exited on its own.
+  function terminate(error = createError('Codex app-server terminated')) {
+    if (!connection.isRunning()) return;
+    handleProcessExit(error);
+    connection.stop(error);
+  }
+
   async function shutdown() {
     const error = createError('Codex app-server client shut down');
-    rejectPendingResponses(error);
     failActiveTurns(error);
     for (const pending of pendingServerRequests.values()) {
       pending.resolved = true;
@@ -1060,27 +1075,26 @@ function createCodexAppServerClient(options = {}) {
     pendingServerRequests.clear();
     startPromise = null;
     initialized = false;
-    if (!proc) {
-      clearProcessState();
-      return;
-    }
-    try {
-      proc.kill('SIGTERM');
-    } catch {}
-    clearProcessState();
+    startedAt = null;
+    connection.stop(error);
   }
 
   return {
     forkThread,
+    getStatus,
+    getTurnTimeline,
     interruptTurn,
     listModels,
     listThreads,
+    ping,
     readThreadState,
     runChatTurn,
     runOneShot,
     setThreadName,
     shutdown,
+    start,
     steerTurn,
+    terminate,
   };
 }
 
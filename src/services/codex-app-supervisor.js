@@ -0,0 +1,188 @@
+const DEFAULT_HEARTBEAT_INTERVAL_MS = 30000;
+const DEFAULT_HEARTBEAT_TIMEOUT_MS = 10000;
+const DEFAULT_RESTART_BASE_DELAY_MS = 1000;
+const DEFAULT_RESTART_MAX_DELAY_MS = 60000;
+
+function createError(message, details = {}) {
+  const err = new Error(message);
+  Object.assign(err, details);
+  return err;
+}
+
+// Keeps the shared codex app-server alive: pings it while it runs, restarts
+// it with exponential backoff after a crash or a missed heartbeat, and
+// resumes the threads whose turns were cut short.
+function createCodexAppServerSupervisor(options) {
+  const {
+    client,
+    clearTimer = clearTimeout,
+    heartbeatIntervalMs = DEFAULT_HEARTBEAT_INTERVAL_MS,
+    heartbeatTimeoutMs = DEFAULT_HEARTBEAT_TIMEOUT_MS,
+    logger = console,
+    notifyThreadRecovered,
+    now = Date.now,
+    restartBaseDelayMs = DEFAULT_RESTART_BASE_DELAY_MS,
+    restartMaxDelayMs = DEFAULT_RESTART_MAX_DELAY_MS,
+    setTimer = setTimeout,
+  } = options;
+
+  const interruptedThreads = new Map();
+  let consecutiveFailures = 0;
+  let heartbeatTimer = null;
+  let lastExit = null;
+  let lastRestartAt = null;
+  let restartCount = 0;
+  let restartTimer = null;
+  let restarting = false;
+  let started = false;
+
+  function getRestartDelay() {
+    const exponent = Math.max(0, consecutiveFailures - 1);
+    return Math.min(restartBaseDelayMs * 2 ** exponent, restartMaxDelayMs);
+  }
+
+  function scheduleRestart() {
+    if (!started || restartTimer) return;
+    const delayMs = getRestartDelay();
+    logger.info(
+      `codex_app_server_restart_scheduled delay_ms=${delayMs} failures=${consecutiveFailures}`
+    );
+    restartTimer = setTimer(() => {
+      restartTimer = null;
+      return restart();
+    }, delayMs);
+  }
+
+  async function notifyRecovered(entry, error) {
+    if (typeof notifyThreadRecovered !== 'function') return;
+    try {
+      await notifyThreadRecovered({
+        error,
+        metadata: entry.metadata,
+        threadId: entry.threadId,
+      });
+    } catch (err) {
+      logger.warn('Failed to notify recovered codex-app thread:', err);
+    }
+  }
+
+  async function resumeInterruptedThreads() {
+    const entries = Array.from(interruptedThreads.values());
+    interruptedThreads.clear();
+    for (const entry of entries) {
+      let resumeError = null;
+      try {
+        await client.readThreadState({ threadId: entry.threadId });
+      } catch (err) {
+        resumeError = err;
+        logger.warn(`Failed to resume codex-app thread ${entry.threadId}:`, err?.message || err);
+      }
+      await notifyRecovered(entry, resumeError);
+    }
+  }
+
+  async function restart() {
+    if (!started) return;
+    restarting = true;
+    try {
+      await client.start();
+    } catch (err) {
+      restarting = false;
+      consecutiveFailures += 1;
+      logger.warn('Codex app-server restart failed:', err?.message || err);
+      scheduleRestart();
+      return;
+    }
+    restarting = false;
+    restartCount += 1;
+    lastRestartAt = now();
+    logger.info(`codex_app_server_restarted count=${restartCount}`);
+    await resumeInterruptedThreads();
+  }
+
+  function handleExit({ error, interruptedTurns = [], wasInitialized = false } = {}) {
+    if (!started) return;
+    for (const turn of interruptedTurns) {
+      if (!turn?.threadId) continue;
+      interruptedThreads.set(turn.threadId, turn);
+    }
+    if (restarting) return;
+    // A server that never finished starting is started again on demand by
+    // the next request; restarting it here would just spin on a bad install.
+    if (!wasInitialized) return;
+    consecutiveFailures += 1;
+    lastExit = { at: now(), reason: String(error?.message || 'unknown') };
+    logger.warn(`Codex app-server crashed: ${lastExit.reason}`);
+    scheduleRestart();
+  }
+
+  function withTimeout(promise, timeoutMs) {
+    let timer = null;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimer(() => {
+        reject(createError(`Codex app-server heartbeat timed out after ${timeoutMs} ms`));
+      }, timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimer(timer));
+  }
+
+  async function heartbeat() {
+    if (!started || restarting || !client.getStatus().running) return;
+    try {
+      await withTimeout(client.ping(), heartbeatTimeoutMs);
+      consecutiveFailures = 0;
+    } catch (err) {
+      if (!client.getStatus().running) return;
+      logger.warn('Codex app-server heartbeat failed:', err?.message || err);
+      client.terminate(err);
+    }
+  }
+
+  function scheduleHeartbeat() {
+    if (!started) return;
+    heartbeatTimer = setTimer(async () => {
+      heartbeatTimer = null;
+      await heartbeat();
+      scheduleHeartbeat();
+    }, heartbeatIntervalMs);
+  }
+
+  function start() {
+    if (started) return;
+    started = true;
+    scheduleHeartbeat();
+  }
+
+  function stop() {
+    started = false;
+    if (heartbeatTimer) clearTimer(heartbeatTimer);
+    if (restartTimer) clearTimer(restartTimer);
+    heartbeatTimer = null;
+    restartTimer = null;
+    interruptedThreads.clear();
+  }
+
+  function getStatus() {
+    const { running, startedAt } = client.getStatus();
+    return {
+      lastExit,
+      lastRestartAt,
+      restartCount,
+      restartPending: Boolean(restartTimer) || restarting,
+      running,
+      uptimeMs: running && startedAt ? Math.max(0, now() - startedAt) : null,
+    };
+  }
+
+  return {
+    getStatus,
+    handleExit,
+    heartbeat,
+    start,
+    stop,
+  };
+}
+
+module.exports = {
+  createCodexAppServerSupervisor,
+};
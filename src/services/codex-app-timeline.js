@@ -0,0 +1,153 @@
+const MAX_LISTED_FILES = 6;
+const MAX_ARGUMENTS_LENGTH = 200;
+const MAX_REASONING_LENGTH = 300;
+
+function truncateText(value, maxLength) {
+  const text = String(value || '').replace(/\s+/g, ' ').trim();
+  if (text.length <= maxLength) return text;
+  return `${text.slice(0, maxLength - 1)}…`;
+}
+
+function formatDuration(durationMs) {
+  const value = Number(durationMs);
+  if (!Number.isFinite(value) || value < 0) return '';
+  if (value < 1000) return `${Math.round(value)} ms`;
+  return `${(value / 1000).toFixed(1)} s`;
+}
+
+function formatCommand(item) {
+  const command = Array.isArray(item.command) ? item.command.join(' ') : item.command;
+  return truncateText(command || '(comando)', MAX_ARGUMENTS_LENGTH);
+}
+
+function formatArguments(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return truncateText(text, MAX_ARGUMENTS_LENGTH);
+}
+
+function getChangeKind(change) {
+  const kind = change?.kind;
+  if (typeof kind === 'string') return kind;
+  return kind?.type || 'update';
+}
+
+function summarizeCommandExecution(item, source) {
+  const command = `\`${formatCommand(item)}\``;
+  if (source === 'started') return `Ejecutando: ${command}`;
+  if (item.status === 'declined') return `Comando rechazado: ${command}`;
+  const details = [];
+  if (item.exitCode !== undefined && item.exitCode !== null) {
+    details.push(`exit ${item.exitCode}`);
+  }
+  const duration = formatDuration(item.durationMs);
+  if (duration) details.push(duration);
+  const suffix = details.length > 0 ? ` (${details.join(', ')})` : '';
+  const prefix = item.status === 'failed' || Number(item.exitCode) > 0 ? 'Fallo' : 'Comando';
+  return `${prefix}: ${command}${suffix}`;
+}
+
+function summarizeFileChange(item, source) {
+  const changes = Array.isArray(item.changes) ? item.changes : [];
+  if (source === 'started') {
+    const suffix = changes.length > 0 ? ` (${changes.length})` : '';
+    return `Preparando cambios de archivos${suffix}...`;
+  }
+  if (changes.length === 0) return '';
+  const visible = changes
+    .slice(0, MAX_LISTED_FILES)
+    .map((change) => `${change.path || '(sin path)'} (${getChangeKind(change)})`);
+  if (changes.length > visible.length) {
+    visible.push(`…y ${changes.length - visible.length} mas`);
+  }
+  const label = item.status === 'declined' ? 'Cambios rechazados' : 'Archivos';
+  return `${label}: ${visible.join(', ')}`;
+}
+
+function summarizeMcpToolCall(item, source) {
+  const name = [item.server, item.tool].filter(Boolean).join('.') || 'herramienta';
+  const args = formatArguments(item.arguments);
+  const call = args ? `${name} ${args}` : name;
+  if (source === 'started') return `MCP: ${call}`;
+  const duration = formatDuration(item.durationMs);
+  const durationSuffix = duration ? ` (${duration})` : '';
+  if (item.error || item.status === 'failed') {
+    const message = truncateText(item.error?.message || item.error || 'error', 120);
+    return `MCP: ${call} -> error: ${message}${durationSuffix}`;
+  }
+  return `MCP: ${call} -> ok${durationSuffix}`;
+}
+
+function summarizeReasoning(item, source) {
+  if (source === 'started') return '';
+  const summary = Array.isArray(item.summary) ? item.summary.join(' ') : item.summary;
+  const text = truncateText(summary, MAX_REASONING_LENGTH);
+  return text ? `Razonamiento: ${text}` : '';
+}
+
+// Returns null for item types without a verbose summary so the caller can
+// fall back to the compact one.
+function summarizeVerboseItem(item, source) {
+  if (!item || typeof item !== 'object') return null;
+  switch (item.type) {
+    case 'commandExecution':
+      return summarizeCommandExecution(item, source);
+    case 'fileChange':
+      return summarizeFileChange(item, source);
+    case 'mcpToolCall':
+      return summarizeMcpToolCall(item, source);
+    case 'reasoning':
+      return summarizeReasoning(item, source);
+    case 'webSearch':
+      return item.query ? `Buscando: ${truncateText(item.query, MAX_ARGUMENTS_LENGTH)}` : null;
+    default:
+      return null;
+  }
+}
+
+function createTurnTimeline({ now = Date.now, threadId } = {}) {
+  return {
+    completedAt: null,
+    entries: [],
+    startedAt: now(),
+    status: 'running',
+    threadId: threadId ? String(threadId) : null,
+    turnId: null,
+  };
+}
+
+function formatTurnTimeline(timeline) {
+  const lines = [
+    `thread: ${timeline.threadId || '-'}`,
+    `turn: ${timeline.turnId || '-'}`,
+    `status: ${timeline.status}`,
+    `started: ${new Date(timeline.startedAt).toISOString()}`,
+  ];
+  if (timeline.completedAt) {
+    lines.push(`completed: ${new Date(timeline.completedAt).toISOString()}`);
+  }
+  lines.push(`items: ${timeline.entries.length}`, '');
+  for (const entry of timeline.entries) {
+    const offset = formatDuration(entry.at - timeline.startedAt) || '0 ms';
+    const item = entry.item || {};
+    const summary = summarizeVerboseItem(item, entry.source);
+    lines.push(
+      `[+${offset}] ${entry.source} ${item.type || 'unknown'} ${item.id || ''}`.trimEnd()
+    );
+    if (summary) lines.push(`  ${summary.replace(/`/g, '')}`);
+    lines.push(
+      JSON.stringify(item, null, 2)
+        .split('\n')
+        .map((line) => `  ${line}`)
+        .join('\n'),
+      ''
+    );
+  }
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+module.exports = {
+  createTurnTimeline,
+  formatTurnTimeline,
+  summarizeVerboseItem,
+};
@@ -18,6 +18,7 @@ function createCronHandler(options) {
     const {
       jobId,
       agent,
+      fallback = false,
       topicId,
       notifyFailure = true,
       attempt = 1,
@@ -65,6 +66,7 @@ function createCronHandler(options) {
         const response = await runAgentForChat(chatId, prompt, {
           agentId: agent,
           contextKey,
+          fallback,
           topicId,
           restrictMemoryToThread: true,
           onFinalResponse: async (partialResponse) => {
@@ -12,10 +12,103 @@ function escapeHtml(value) {
     .replace(/>/g, '&gt;');
 }
 
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function getEnumOptions(schema) {
+  if (Array.isArray(schema.oneOf)) {
+    return schema.oneOf
+      .filter((option) => option && Object.hasOwn(option, 'const'))
+      .map((option) => ({ label: String(option.title ?? option.const), value: option.const }));
+  }
+  if (!Array.isArray(schema.enum)) return null;
+  const names = Array.isArray(schema.enumNames) ? schema.enumNames : [];
+  return schema.enum.map((value, index) => ({ label: String(names[index] ?? value), value }));
+}
+
+function parseFormFields(schema) {
+  const properties =
+    schema?.properties && typeof schema.properties === 'object' && !Array.isArray(schema.properties)
+      ? schema.properties
+      : {};
+  const required = new Set(Array.isArray(schema?.required) ? schema.required : []);
+  return Object.entries(properties).map(([name, rawSchema]) => {
+    const fieldSchema = rawSchema && typeof rawSchema === 'object' ? rawSchema : {};
+    const options = getEnumOptions(fieldSchema);
+    let type = options ? 'enum' : String(fieldSchema.type || 'string');
+    if (!['enum', 'boolean', 'number', 'integer', 'string'].includes(type)) type = 'string';
+    return {
+      name,
+      options,
+      required: required.has(name),
+      schema: fieldSchema,
+      type,
+    };
+  });
+}
+
+function parseFieldInput(field, text) {
+  const raw = String(text || '').trim();
+  const { schema } = field;
+  if (field.type === 'number' || field.type === 'integer') {
+    const value = Number(raw.replace(',', '.'));
+    if (!raw || !Number.isFinite(value)) return { error: 'Tiene que ser un numero.' };
+    if (field.type === 'integer' && !Number.isInteger(value)) {
+      return { error: 'Tiene que ser un numero entero.' };
+    }
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+      return { error: `Tiene que ser mayor o igual que ${schema.minimum}.` };
+    }
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+      return { error: `Tiene que ser menor o igual que ${schema.maximum}.` };
+    }
+    return { value };
+  }
+  if (typeof schema.minLength === 'number' && raw.length < schema.minLength) {
+    return { error: `Tiene que tener al menos ${schema.minLength} caracteres.` };
+  }
+  if (typeof schema.maxLength === 'number' && raw.length > schema.maxLength) {
+    return { error: `Tiene que tener como maximo ${schema.maxLength} caracteres.` };
+  }
+  if (schema.format === 'email' && !EMAIL_PATTERN.test(raw)) {
+    return { error: 'Tiene que ser un email.' };
+  }
+  if (schema.format === 'uri') {
+    try {
+      new URL(raw);
+    } catch {
+      return { error: 'Tiene que ser una URL.' };
+    }
+  }
+  if (schema.format === 'date' && !DATE_PATTERN.test(raw)) {
+    return { error: 'Tiene que ser una fecha AAAA-MM-DD.' };
+  }
+  if (schema.format === 'date-time' && Number.isNaN(Date.parse(raw))) {
+    return { error: 'Tiene que ser una fecha y hora ISO 8601.' };
+  }
+  if (typeof schema.pattern === 'string') {
+    try {
+      if (!new RegExp(schema.pattern).test(raw)) {
+        return { error: `No cumple el formato ${schema.pattern}.` };
+      }
+    } catch {}
+  }
+  return { value: raw };
+}
+
+function formatFieldValue(field, value) {
+  if (value === undefined) return '(sin valor)';
+  if (field.type === 'boolean') return value ? 'si' : 'no';
+  const option = field.options?.find((entry) => entry.value === value);
+  return option ? option.label : String(value);
+}
+
 function createElicitationService(options) {
-  const { bot, logger = console } = options;
+  const { bot, logger = console, pendingStore = null } = options;
   const pendingByToken = new Map();
   const pendingByRequest = new Map();
+  let restoring = null;
+  let shuttingDown = false;
 
   function buildRequestKey(threadId, requestId) {
     return `${String(threadId)}:${String(requestId)}`;
@@ -68,7 +161,7 @@ function createElicitationService(options) {
     return fields.map((field) => `• <code>${escapeHtml(field)}</code>`).join('\n');
   }
 
-  function formatElicitationText(request) {
+  function formatElicitationText(request, form = null) {
     const lines = ['<b>Accion requerida del conector</b>'];
     if (request.serverName) {
       lines.push('', `<b>Servidor:</b> ${escapeHtml(request.serverName)}`);
@@ -79,23 +172,70 @@ function createElicitationService(options) {
     if (request.mode === 'url' && request.url) {
       lines.push(`<b>URL:</b> ${escapeHtml(request.url)}`);
     }
-    if (request.mode === 'form') {
+    if (request.mode === 'form' && !form) {
       const summary = formatSchemaSummary(request.requestedSchema);
       if (summary) {
         lines.push('', '<b>Campos solicitados:</b>', summary);
-        lines.push('', 'Aipal todavia no soporta responder este formulario desde Telegram.');
       }
     }
+    const formLines = form ? formatFormLines(form) : [];
+    if (formLines.length > 0) {
+      lines.push('', ...formLines);
+    }
     return lines.join('\n');
   }
 
+  function formatFormLines(form) {
+    const lines = [];
+    const filled = form.fields.filter((field) => Object.hasOwn(form.values, field.name));
+    if (filled.length > 0) {
+      lines.push('<b>Respuestas:</b>');
+      for (const field of filled) {
+        lines.push(
+          `• <code>${escapeHtml(field.name)}</code>: ${escapeHtml(formatFieldValue(field, form.values[field.name]))}`
+        );
+      }
+    }
+    const field = form.fields[form.index];
+    if (form.resolved) return lines;
+    if (!field) {
+      if (lines.length > 0) lines.push('');
+      lines.push('Revisa las respuestas y pulsa Enviar.');
+      return lines;
+    }
+    if (lines.length > 0) lines.push('');
+    const title = field.schema.title ? ` ${escapeHtml(field.schema.title)}` : '';
+    lines.push(
+      `<b>Campo ${form.index + 1}/${form.fields.length}:</b> <code>${escapeHtml(field.name)}</code>${title}${field.required ? ' (obligatorio)' : ''}`
+    );
+    if (field.schema.description) {
+      lines.push(escapeHtml(field.schema.description));
+    }
+    if (field.type === 'boolean') {
+      lines.push(`Valor actual: ${formatFieldValue(field, form.draft)}`);
+    } else if (field.type !== 'enum') {
+      const hint = field.type === 'string' ? 'el texto' : 'el numero';
+      lines.push(`<i>Responde con ${hint} en el proximo mensaje.</i>`);
+    }
+    if (form.error) {
+      lines.push(`<b>Error:</b> ${escapeHtml(form.error)}`);
+    }
+    return lines;
+  }
+
   function buildInlineKeyboard(entry) {
     const rows = [];
     if (entry.request.mode === 'url' && entry.request.url) {
       rows.push([{ text: 'Abrir enlace', url: entry.request.url }]);
     }
+    if (entry.form && !entry.settled) {
+      rows.push(...buildFormRows(entry));
+    }
     const actions = [];
-    if (entry.canAcceptDirectly) {
+    if (entry.form) {
+      actions.push({ text: 'Rechazar', callback_data: buildCallbackData(entry.token, 'decline') });
+      actions.push({ text: 'Cancelar', callback_data: buildCallbackData(entry.token, 'cancel') });
+    } else if (entry.canAcceptDirectly) {
       actions.push({ text: 'Aceptar', callback_data: buildCallbackData(entry.token, 'accept') });
       if (supportsPersistMode(entry.request, 'always')) {
         actions.push({
@@ -112,7 +252,145 @@ function createElicitationService(options) {
     return { inline_keyboard: rows };
   }
 
-  async function editElicitationMessage(entry, text) {
+  function buildFormRows(entry) {
+    const { form, token } = entry;
+    const field = form.fields[form.index];
+    if (!field) {
+      return [
+        [
+          { text: 'Enviar', callback_data: buildCallbackData(token, 'submit') },
+          { text: 'Empezar de nuevo', callback_data: buildCallbackData(token, 'restart') },
+        ],
+      ];
+    }
+    const rows = [];
+    if (field.type === 'enum') {
+      field.options.forEach((option, index) => {
+        rows.push([{ text: option.label, callback_data: buildCallbackData(token, `opt_${index}`) }]);
+      });
+    }
+    if (field.type === 'boolean') {
+      rows.push([
+        {
+          text: form.draft ? 'Si (cambiar a no)' : 'No (cambiar a si)',
+          callback_data: buildCallbackData(token, 'toggle'),
+        },
+        { text: 'Siguiente', callback_data: buildCallbackData(token, 'next') },
+      ]);
+    }
+    const extra = [];
+    if (field.type !== 'boolean' && field.schema.default !== undefined) {
+      extra.push({
+        text: `Usar ${formatFieldValue(field, field.schema.default)}`,
+        callback_data: buildCallbackData(token, 'default'),
+      });
+    }
+    if (!field.required) {
+      extra.push({ text: 'Omitir', callback_data: buildCallbackData(token, 'skip') });
+    }
+    if (extra.length > 0) rows.push(extra);
+    return rows;
+  }
+
+  function startField(form) {
+    const field = form.fields[form.index];
+    form.error = null;
+    form.draft =
+      field?.type === 'boolean'
+        ? Boolean(form.values[field.name] ?? field.schema.default ?? false)
+        : undefined;
+  }
+
+  function advanceForm(form, value) {
+    const field = form.fields[form.index];
+    if (value === undefined) {
+      delete form.values[field.name];
+    } else {
+      form.values[field.name] = value;
+    }
+    form.index += 1;
+    startField(form);
+  }
+
+  async function refreshFormMessage(entry) {
+    persistPending();
+    await editElicitationMessage(
+      entry,
+      formatElicitationText(entry.request, entry.form),
+      buildInlineKeyboard(entry)
+    );
+  }
+
+  async function handleFormAction(ctx, entry, action) {
+    const { form } = entry;
+    const field = form.fields[form.index];
+    if (action === 'submit' && !field) {
+      settleEntry(entry, { action: 'accept', content: { ...form.values } });
+      await ctx.answerCbQuery('Accion: enviada');
+      return;
+    }
+    if (action === 'restart') {
+      form.index = 0;
+      form.values = {};
+      startField(form);
+    } else if (!field) {
+      await ctx.answerCbQuery('El formulario ya esta completo.');
+      return;
+    } else if (action === 'toggle' && field.type === 'boolean') {
+      form.draft = !form.draft;
+    } else if (action === 'next' && field.type === 'boolean') {
+      advanceForm(form, form.draft);
+    } else if (action === 'skip' && !field.required) {
+      advanceForm(form, undefined);
+    } else if (action === 'default' && field.schema.default !== undefined) {
+      advanceForm(form, field.schema.default);
+    } else if (action.startsWith('opt_') && field.type === 'enum') {
+      const option = field.options[Number(action.slice(4))];
+      if (!option) {
+        await ctx.answerCbQuery('Opcion desconocida.');
+        return;
+      }
+      advanceForm(form, option.value);
+    } else {
+      await ctx.answerCbQuery('Esta opcion no aplica a este campo.');
+      return;
+    }
+    await refreshFormMessage(entry);
+    await ctx.answerCbQuery();
+  }
+
+  function findTextInputEntry(chatId, topicId) {
+    for (const entry of pendingByToken.values()) {
+      const field = entry.form?.fields[entry.form.index];
+      if (!field || field.type === 'enum' || field.type === 'boolean') continue;
+      if (String(entry.chatId) !== String(chatId)) continue;
+      if (String(entry.topicId ?? '') !== String(topicId ?? '')) continue;
+      return entry;
+    }
+    return null;
+  }
+
+  async function handleTextInput(ctx) {
+    const text = String(ctx.message?.text || '');
+    if (!text.trim() || text.trim().startsWith('/')) return false;
+    const entry = findTextInputEntry(ctx.chat?.id, ctx.message?.message_thread_id);
+    if (!entry) return false;
+
+    const { form } = entry;
+    const field = form.fields[form.index];
+    const result = parseFieldInput(field, text);
+    if (result.error) {
+      form.error = result.error;
+      await refreshFormMessage(entry);
+      await ctx.reply(`Valor no valido para ${field.name}: ${result.error}`);
+      return true;
+    }
+    advanceForm(form, result.value);
+    await refreshFormMessage(entry);
+    return true;
+  }
+
+  async function editElicitationMessage(entry, text, replyMarkup = { inline_keyboard: [] }) {
     if (!entry.messageId) return;
     try {
       await bot.telegram.editMessageText(
@@ -123,7 +401,7 @@ function createElicitationService(options) {
         {
           parse_mode: 'HTML',
           disable_web_page_preview: true,
-          reply_markup: { inline_keyboard: [] },
+          reply_markup: replyMarkup,
         }
       );
     } catch (err) {
@@ -135,6 +413,63 @@ function createElicitationService(options) {
     }
   }
 
+  // Pending requests die with the app-server on restart; only their cards are
+  // kept so the next startup can mark them as expired. Saves wait for that
+  // restore so cards opened during startup survive it.
+  function persistPending() {
+    if (!pendingStore || shuttingDown) return;
+    const records = Array.from(pendingByToken.values())
+      .filter((entry) => entry.messageId)
+      .map((entry) => ({
+        chatId: entry.chatId,
+        messageId: entry.messageId,
+        requestId: entry.requestId,
+        text: formatElicitationText(
+          entry.request,
+          entry.form ? { ...entry.form, resolved: true } : null
+        ),
+        threadId: entry.threadId,
+        token: entry.token,
+        topicId: entry.topicId,
+      }));
+    ensureRestored()
+      .then(() => pendingStore.save('elicitations', records))
+      .catch((err) => {
+        logger.warn('Failed to persist pending elicitations:', err);
+      });
+  }
+
+  async function expireRestoredCards() {
+    const records = await pendingStore.load('elicitations');
+    let restored = 0;
+    for (const record of records) {
+      if (!record?.chatId || !record?.messageId) continue;
+      await editElicitationMessage(
+        record,
+        `${record.text || '<b>Accion requerida del conector</b>'}\n\n<b>Estado:</b> expirada (bot reiniciado)`
+      );
+      restored += 1;
+    }
+    return restored;
+  }
+
+  function ensureRestored() {
+    if (!restoring) {
+      restoring = expireRestoredCards().catch((err) => {
+        logger.warn('Failed to restore pending elicitations:', err);
+        return 0;
+      });
+    }
+    return restoring;
+  }
+
+  async function restorePending() {
+    if (!pendingStore) return 0;
+    const restored = await ensureRestored();
+    persistPending();
+    return restored;
+  }
+
   function formatResolvedText(entry, response) {
     const persistAlways =
       response?._meta && typeof response._meta === 'object' && !Array.isArray(response._meta)
@@ -149,7 +484,8 @@ function createElicitationService(options) {
       persistAlways && response?.action === 'accept'
         ? 'aceptada siempre'
         : labels[response?.action] || response?.action;
-    return `${formatElicitationText(entry.request)}\n\n<b>Estado:</b> ${escapeHtml(label)}`;
+    const form = entry.form ? { ...entry.form, resolved: true } : null;
+    return `${formatElicitationText(entry.request, form)}\n\n<b>Estado:</b> ${escapeHtml(label)}`;
   }
 
   function settleEntry(entry, response) {
@@ -158,6 +494,7 @@ function createElicitationService(options) {
     pendingByToken.delete(entry.token);
     pendingByRequest.delete(buildRequestKey(entry.threadId, entry.requestId));
     entry.resolveResponse(response);
+    persistPending();
     void editElicitationMessage(entry, formatResolvedText(entry, response));
   }
 
@@ -167,9 +504,13 @@ function createElicitationService(options) {
       topicId: context.topicId,
     });
     const token = randomUUID().replace(/-/g, '').slice(0, 12);
+    const fields = request.mode === 'form' ? parseFormFields(request.requestedSchema) : [];
+    const form = fields.length > 0 ? { fields, index: 0, values: {} } : null;
+    if (form) startField(form);
     const entry = {
       canAcceptDirectly: canAcceptDirectly(request),
       chatId: context.chatId,
+      form,
       messageId: null,
       request,
       requestId: request.requestId,
@@ -188,7 +529,7 @@ function createElicitationService(options) {
     try {
       const message = await bot.telegram.sendMessage(
         context.chatId,
-        formatElicitationText(request),
+        formatElicitationText(request, form),
         {
           parse_mode: 'HTML',
           disable_web_page_preview: true,
@@ -197,6 +538,7 @@ function createElicitationService(options) {
         }
       );
       entry.messageId = message?.message_id || null;
+      persistPending();
     } catch (err) {
       pendingByToken.delete(token);
       pendingByRequest.delete(buildRequestKey(entry.threadId, entry.requestId));
@@ -227,8 +569,13 @@ function createElicitationService(options) {
       return true;
     }
 
+    if (entry.form && !['decline', 'cancel'].includes(action)) {
+      await handleFormAction(ctx, entry, action);
+      return true;
+    }
+
     if (action === 'accept' && !entry.canAcceptDirectly) {
-      await ctx.answerCbQuery('Este formulario todavia no se puede responder desde Telegram.', {
+      await ctx.answerCbQuery('Este formulario no se puede aceptar sin completarlo.', {
         show_alert: false,
       });
       return true;
@@ -261,6 +608,7 @@ function createElicitationService(options) {
   }
 
   function shutdown() {
+    shuttingDown = true;
     for (const entry of pendingByToken.values()) {
       settleEntry(entry, { action: 'cancel', content: null });
     }
@@ -270,8 +618,10 @@ function createElicitationService(options) {
 
   return {
     handleCallbackQuery,
+    handleTextInput,
     requestElicitation,
     resolveServerRequest,
+    restorePending,
     shutdown,
   };
 }
@@ -279,4 +629,6 @@ function createElicitationService(options) {
 module.exports = {
   CALLBACK_PREFIX,
   createElicitationService,
+  parseFieldInput,
+  parseFormFields,
 };
@@ -2,6 +2,7 @@ const fs = require('fs/promises');
 const os = require('os');
 const path = require('path');
 const { randomUUID } = require('crypto');
+const { fileURLToPath } = require('url');
 
 function createFileService(options) {
   const {
@@ -28,11 +29,16 @@ function createFileService(options) {
     } = downloadOptions;
     const link = await ctx.telegram.getFileLink(payload.fileId);
     const url = typeof link === 'string' ? link : link.href;
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Failed to download ${errorLabel} (${response.status})`);
+    let buffer;
+    if (url.startsWith('file:')) {
+      buffer = await fs.readFile(fileURLToPath(url));
+    } else {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Failed to download ${errorLabel} (${response.status})`);
+      }
+      buffer = Buffer.from(await response.arrayBuffer());
     }
-    const buffer = Buffer.from(await response.arrayBuffer());
     await fs.mkdir(dir, { recursive: true });
     const extFromName = payload.fileName ? path.extname(payload.fileName) : '';
     const ext =
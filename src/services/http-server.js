@@ -0,0 +1,195 @@
+const http = require('http');
+const { timingSafeEqual } = require('crypto');
+
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+
+function createHttpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function readOptionalId(value, label) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'number' && Number.isInteger(value)) return value;
+  const raw = String(value).trim();
+  if (/^-?\d+$/.test(raw)) return Number(raw);
+  throw createHttpError(400, `Invalid ${label}`);
+}
+
+function isAuthorized(req, authToken) {
+  if (!authToken) return true;
+  const header = String(req.headers?.authorization || '');
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+  const provided = Buffer.from(match[1].trim(), 'utf8');
+  const expected = Buffer.from(String(authToken), 'utf8');
+  if (provided.length !== expected.length) return false;
+  return timingSafeEqual(provided, expected);
+}
+
+function readJsonBody(req, maxBodyBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let aborted = false;
+    req.on('data', (chunk) => {
+      if (aborted) return;
+      size += chunk.length;
+      if (size > maxBodyBytes) {
+        aborted = true;
+        reject(createHttpError(413, 'Request body too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (aborted) return;
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (!raw.trim()) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(raw));
+      } catch {
+        reject(createHttpError(400, 'Invalid JSON body'));
+      }
+    });
+    req.on('error', (err) => {
+      if (aborted) return;
+      aborted = true;
+      reject(err);
+    });
+  });
+}
+
+function matchRoute(routes, method, pathname) {
+  let pathMatched = false;
+  for (const route of routes) {
+    const params = {};
+    if (typeof route.path === 'string') {
+      if (route.path !== pathname) continue;
+    } else if (route.path instanceof RegExp) {
+      const match = pathname.match(route.path);
+      if (!match) continue;
+      for (const [key, value] of Object.entries(match.groups || {})) {
+        try {
+          params[key] = decodeURIComponent(value);
+        } catch {
+          throw createHttpError(400, `Invalid ${key} in path`);
+        }
+      }
+    } else {
+      continue;
+    }
+    pathMatched = true;
+    if (route.method === method) {
+      return { route, params };
+    }
+  }
+  return { route: null, pathMatched };
+}
+
+function sendJson(res, status, payload) {
+  const body = JSON.stringify(payload ?? {});
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+function createHttpServer(options) {
+  const {
+    authToken,
+    host = '127.0.0.1',
+    maxBodyBytes = DEFAULT_MAX_BODY_BYTES,
+    port,
+    routes = [],
+  } = options;
+  let server = null;
+
+  async function handleRequest(req, res) {
+    const url = new URL(req.url || '/', 'http://localhost');
+    const method = String(req.method || 'GET').toUpperCase();
+    try {
+      const { route, params, pathMatched } = matchRoute(
+        routes,
+        method,
+        url.pathname
+      );
+      if (!route) {
+        throw pathMatched
+          ? createHttpError(405, 'Method not allowed')
+          : createHttpError(404, 'Not found');
+      }
+      if (!isAuthorized(req, authToken)) {
+        throw createHttpError(401, 'Unauthorized');
+      }
+      const body =
+        method === 'GET' || method === 'HEAD'
+          ? {}
+          : await readJsonBody(req, maxBodyBytes);
+      const result = await route.handler({
+        body,
+        headers: req.headers,
+        params,
+        query: Object.fromEntries(url.searchParams),
+      });
+      sendJson(res, result?.status || 200, result?.body);
+    } catch (err) {
+      const status = Number(err?.status) || 500;
+      if (status >= 500) {
+        console.error(`HTTP ${method} ${url.pathname} failed:`, err);
+      }
+      sendJson(res, status, {
+        ok: false,
+        error: status >= 500 ? 'Internal server error' : err.message,
+      });
+    }
+  }
+
+  function start() {
+    if (server) return Promise.resolve(server.address());
+    server = http.createServer((req, res) => {
+      handleRequest(req, res);
+    });
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        const address = server.address();
+        console.info(
+          `HTTP API listening on ${address.address}:${address.port}${authToken ? '' : ' (no auth token)'}`
+        );
+        resolve(address);
+      });
+    });
+  }
+
+  function stop() {
+    if (!server) return Promise.resolve();
+    const current = server;
+    server = null;
+    return new Promise((resolve) => {
+      current.close(() => resolve());
+      if (typeof current.closeAllConnections === 'function') {
+        current.closeAllConnections();
+      }
+    });
+  }
+
+  return {
+    handleRequest,
+    start,
+    stop,
+  };
+}
+
+module.exports = {
+  createHttpError,
+  createHttpServer,
+  isAuthorized,
+  readOptionalId,
+};
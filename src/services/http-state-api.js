@@ -0,0 +1,238 @@
+const { createHttpError, readOptionalId } = require('./http-server');
+
+function readRequiredChatId(value) {
+  const chatId = readOptionalId(value, 'chatId');
+  if (chatId === undefined) {
+    throw createHttpError(400, 'Missing chatId');
+  }
+  return chatId;
+}
+
+function splitTopicKey(key) {
+  const raw = String(key || '');
+  const separator = raw.indexOf(':');
+  if (separator === -1) return { chatId: raw, topicId: 'root' };
+  return {
+    chatId: raw.slice(0, separator),
+    topicId: raw.slice(separator + 1),
+  };
+}
+
+function splitThreadKey(key) {
+  const raw = String(key || '');
+  const lastSeparator = raw.lastIndexOf(':');
+  const firstSeparator = raw.indexOf(':');
+  if (firstSeparator === -1 || lastSeparator === firstSeparator) {
+    return { chatId: raw, topicId: 'root', agentId: null };
+  }
+  return {
+    chatId: raw.slice(0, firstSeparator),
+    topicId: raw.slice(firstSeparator + 1, lastSeparator),
+    agentId: raw.slice(lastSeparator + 1),
+  };
+}
+
+function createHttpStateApi(options) {
+  const {
+    buildCronInspection,
+    buildCronTriggerPayload,
+    buildTopicKey,
+    clearThreadForAgent,
+    curateMemory,
+    getAgentOverrides,
+    getCronDefaultChatId,
+    getThreads,
+    handleCronTrigger,
+    isKnownAgent,
+    listActiveRuns,
+    listScheduledRuns,
+    loadCronJobs,
+    loadCronState,
+    loadScheduledRuns,
+    normalizeAgent,
+    persistMemory,
+    persistThreads,
+    resolveEffectiveAgentId,
+    setMemoryEventsSinceCurate,
+    stopActiveRun,
+    threadTurns,
+  } = options;
+
+  function readOptionalAgent(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    if (!isKnownAgent(String(value))) {
+      throw createHttpError(400, `Unknown agent: ${value}`);
+    }
+    return normalizeAgent(String(value));
+  }
+
+  async function findCronJob(jobId) {
+    const jobs = await loadCronJobs();
+    const job = jobs.find((item) => item.id === jobId);
+    if (!job) {
+      throw createHttpError(404, `Cron job "${jobId}" not found`);
+    }
+    return job;
+  }
+
+  async function handleListThreads() {
+    const threads = Array.from(getThreads().entries()).map(([key, threadId]) => ({
+      key,
+      ...splitThreadKey(key),
+      threadId,
+    }));
+    return { body: { ok: true, threads } };
+  }
+
+  async function handleListAgentOverrides() {
+    const overrides = Array.from(getAgentOverrides().entries()).map(
+      ([key, agentId]) => ({
+        key,
+        ...splitTopicKey(key),
+        agentId,
+      })
+    );
+    return { body: { ok: true, overrides } };
+  }
+
+  async function handleListActiveRuns() {
+    return { body: { ok: true, runs: listActiveRuns() } };
+  }
+
+  async function handleListCronJobs() {
+    const [jobs, cronState] = await Promise.all([loadCronJobs(), loadCronState()]);
+    return {
+      body: {
+        ok: true,
+        jobs: jobs.map((job) => buildCronInspection({ job, cronState })),
+      },
+    };
+  }
+
+  async function handleInspectCronJob({ params }) {
+    const [job, cronState] = await Promise.all([
+      findCronJob(params.jobId),
+      loadCronState(),
+    ]);
+    return { body: { ok: true, job: buildCronInspection({ job, cronState }) } };
+  }
+
+  async function handleRunCronJob({ params, body }) {
+    const job = await findCronJob(params.jobId);
+    const defaultChatId =
+      readOptionalId(body?.chatId, 'chatId') ?? getCronDefaultChatId();
+    if (!job.chatId && !defaultChatId) {
+      throw createHttpError(
+        400,
+        'Missing chatId (job has no target and no cronChatId configured)'
+      );
+    }
+    const payload = buildCronTriggerPayload(job, defaultChatId, {
+      triggerReason: 'manual',
+    });
+    const pending = Promise.resolve(
+      handleCronTrigger(payload.chatId, payload.prompt, payload.options)
+    );
+    if (body?.wait !== true) {
+      pending.catch((err) => {
+        console.error(`HTTP cron run for ${job.id} failed:`, err);
+      });
+      return {
+        status: 202,
+        body: { ok: true, queued: true, jobId: job.id, chatId: payload.chatId },
+      };
+    }
+    const result = await pending;
+    if (result && result.ok === false) {
+      return {
+        status: 502,
+        body: {
+          ok: false,
+          jobId: job.id,
+          error: result.error?.message || 'Cron run failed',
+        },
+      };
+    }
+    return {
+      body: {
+        ok: true,
+        jobId: job.id,
+        response: result?.response,
+        silent: Boolean(result?.silent),
+      },
+    };
+  }
+
+  async function handleListScheduledRuns({ query }) {
+    const state = await loadScheduledRuns();
+    const includeAll = query?.all === '1' || query?.all === 'true';
+    const runs = listScheduledRuns(state.runs).filter(
+      (run) =>
+        includeAll
+        || !['succeeded', 'dead_letter', 'cancelled'].includes(run.status)
+    );
+    return { body: { ok: true, runs } };
+  }
+
+  async function handleStop({ body }) {
+    const chatId = readRequiredChatId(body?.chatId);
+    const topicId = readOptionalId(body?.topicId, 'topicId');
+    const agentId = resolveEffectiveAgentId(
+      chatId,
+      topicId,
+      readOptionalAgent(body?.agent)
+    );
+    const result = await stopActiveRun(chatId, topicId, agentId);
+    return { body: { ok: true, agentId, status: result.status } };
+  }
+
+  async function handleReset({ body }) {
+    const chatId = readRequiredChatId(body?.chatId);
+    const topicId = readOptionalId(body?.topicId, 'topicId');
+    const agentId = resolveEffectiveAgentId(
+      chatId,
+      topicId,
+      readOptionalAgent(body?.agent)
+    );
+    const cleared = clearThreadForAgent(chatId, topicId, agentId);
+    threadTurns.delete(`${buildTopicKey(chatId, topicId)}:${agentId}`);
+    persistThreads().catch((err) =>
+      console.warn('Failed to persist threads after reset:', err)
+    );
+    let memoryCurated = true;
+    try {
+      await persistMemory(() => curateMemory({ chatId, topicId }));
+      setMemoryEventsSinceCurate(0);
+    } catch (err) {
+      console.warn('Failed to curate memory on reset:', err);
+      memoryCurated = false;
+    }
+    return { body: { ok: true, agentId, cleared: Boolean(cleared), memoryCurated } };
+  }
+
+  return {
+    routes: [
+      { method: 'GET', path: '/api/threads', handler: handleListThreads },
+      { method: 'GET', path: '/api/agent-overrides', handler: handleListAgentOverrides },
+      { method: 'GET', path: '/api/runs/active', handler: handleListActiveRuns },
+      { method: 'GET', path: '/api/cron', handler: handleListCronJobs },
+      {
+        method: 'GET',
+        path: /^\/api\/cron\/(?<jobId>[^/]+)$/,
+        handler: handleInspectCronJob,
+      },
+      {
+        method: 'POST',
+        path: /^\/api\/cron\/(?<jobId>[^/]+)\/run$/,
+        handler: handleRunCronJob,
+      },
+      { method: 'GET', path: '/api/later', handler: handleListScheduledRuns },
+      { method: 'POST', path: '/api/stop', handler: handleStop },
+      { method: 'POST', path: '/api/reset', handler: handleReset },
+    ],
+  };
+}
+
+module.exports = {
+  createHttpStateApi,
+};
@@ -0,0 +1,218 @@
+const cp = require('child_process');
+const readline = require('node:readline');
+
+function createError(message, details = {}) {
+  const err = new Error(message);
+  Object.assign(err, details);
+  return err;
+}
+
+function omitUndefined(obj) {
+  return Object.fromEntries(
+    Object.entries(obj).filter(([, value]) => value !== undefined)
+  );
+}
+
+function createDeferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+// Newline-delimited JSON-RPC over a child process's stdio, shared by the
+// long-lived agent servers (codex app-server, ACP agents). Protocol clients
+// own the handshake and everything above request/response plumbing.
+function createJsonRpcStdioConnection(options) {
+  const {
+    args = [],
+    command,
+    cwd = process.cwd(),
+    env = {},
+    label = 'Agent server',
+    logPrefix = '[agent-server]',
+    logger = console,
+    onExit,
+    onNotification,
+    onRequest,
+    spawnProcess = cp.spawn,
+  } = options;
+
+  let proc = null;
+  let lineReader = null;
+  let nextRequestId = 1;
+  const pendingResponses = new Map();
+
+  function isRunning() {
+    return Boolean(proc && !proc.killed);
+  }
+
+  function send(message) {
+    if (!proc || proc.killed || !proc.stdin || proc.stdin.destroyed) {
+      throw createError(`${label} is not running`);
+    }
+    proc.stdin.write(`${JSON.stringify(message)}\n`);
+  }
+
+  function rejectPendingResponses(error) {
+    for (const pending of pendingResponses.values()) {
+      pending.reject(error);
+    }
+    pendingResponses.clear();
+  }
+
+  function detach() {
+    proc = null;
+    if (lineReader) {
+      lineReader.close();
+      lineReader = null;
+    }
+  }
+
+  function buildResponseError(error) {
+    if (!error || typeof error !== 'object') {
+      return createError(`${label} request failed`);
+    }
+    return createError(error.message || `${label} request failed`, {
+      code: error.code,
+      data: error.data,
+    });
+  }
+
+  function handleLine(line) {
+    if (!line) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (err) {
+      logger.warn(createError(`Failed to parse ${label} message`, { cause: err, line }));
+      return;
+    }
+    if (!message || typeof message !== 'object') return;
+
+    const hasId = Object.hasOwn(message, 'id');
+    const hasMethod = Object.hasOwn(message, 'method');
+    if (hasId && !hasMethod) {
+      const pending = pendingResponses.get(message.id);
+      if (!pending) return;
+      pendingResponses.delete(message.id);
+      if (message.error) {
+        pending.reject(buildResponseError(message.error));
+      } else {
+        pending.resolve(message.result === undefined ? {} : message.result);
+      }
+      return;
+    }
+    if (hasId && hasMethod) {
+      if (typeof onRequest === 'function') {
+        onRequest(message);
+      } else {
+        respondError(message.id, -32601, `Unsupported method: ${message.method}`);
+      }
+      return;
+    }
+    if (hasMethod && typeof onNotification === 'function') {
+      onNotification(message);
+    }
+  }
+
+  function handleExit(child, reason) {
+    if (child !== proc) return;
+    detach();
+    const error = createError(`${label} exited${reason ? `: ${reason}` : ''}`);
+    rejectPendingResponses(error);
+    if (typeof onExit === 'function') {
+      onExit(error);
+    }
+  }
+
+  function start() {
+    if (isRunning()) return;
+    const child = spawnProcess(command, args, {
+      cwd,
+      env: { ...process.env, ...env },
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+    proc = child;
+    if (child.stdout && typeof child.stdout.setEncoding === 'function') {
+      child.stdout.setEncoding('utf8');
+    }
+    if (child.stderr && typeof child.stderr.setEncoding === 'function') {
+      child.stderr.setEncoding('utf8');
+    }
+
+    lineReader = readline.createInterface({ input: child.stdout });
+    lineReader.on('line', handleLine);
+
+    if (child.stderr) {
+      child.stderr.on('data', (chunk) => {
+        const text = String(chunk || '').trim();
+        if (text) {
+          logger.warn(`${logPrefix} ${text}`);
+        }
+      });
+    }
+
+    child.once('error', (err) => {
+      handleExit(child, err.message || err.code || 'error');
+    });
+    child.once('close', (code, signal) => {
+      handleExit(child, signal || `exit code ${code}`);
+    });
+  }
+
+  function request(method, params) {
+    const requestId = nextRequestId++;
+    const deferred = createDeferred();
+    pendingResponses.set(requestId, deferred);
+    try {
+      send(omitUndefined({ method, id: requestId, params }));
+    } catch (err) {
+      pendingResponses.delete(requestId);
+      deferred.reject(err);
+    }
+    return deferred.promise;
+  }
+
+  function notify(method, params) {
+    send(omitUndefined({ method, params }));
+  }
+
+  function respond(id, result) {
+    send({ id, result });
+  }
+
+  function respondError(id, code, message) {
+    send({ id, error: { code, message } });
+  }
+
+  // Stopping on purpose does not report an exit: the caller already knows.
+  function stop(error = createError(`${label} stopped`)) {
+    rejectPendingResponses(error);
+    const child = proc;
+    detach();
+    if (!child) return;
+    try {
+      child.kill('SIGTERM');
+    } catch {}
+  }
+
+  return {
+    isRunning,
+    notify,
+    request,
+    respond,
+    respondError,
+    send,
+    start,
+    stop,
+  };
+}
+
+module.exports = {
+  createJsonRpcStdioConnection,
+  omitUndefined,
+};
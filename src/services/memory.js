@@ -1,6 +1,7 @@
 function createMemoryService(options) {
   const {
     appendMemoryEvent,
+    buildFactsContext,
     buildThreadBootstrap,
     configPath,
     curateMemory,
@@ -8,14 +9,21 @@ function createMemoryService(options) {
     extractDocumentTokens,
     extractImageTokens,
     extractScheduleOnceTokens,
+    getMemoryPolicy = () => 'open',
     imageDir,
+    isMemoryCaptureEnabled,
     memoryCurateEvery,
+    memoryMaxThreadBytes = 0,
     memoryPath,
+    memoryRetentionDays = 0,
+    memoryRetentionIntervalMs = 60 * 60 * 1000,
     persistMemory,
+    pruneMemory,
     readMemory,
     readSoul,
     readTools,
     soulPath,
+    stripAutoMemorySection,
     toolsPath,
     getMemoryEventsSinceCurate,
     setMemoryEventsSinceCurate,
@@ -31,7 +39,7 @@ function createMemoryService(options) {
     return String(cleanedText || '').trim();
   }
 
-  function maybeAutoCurateMemory() {
+  function maybeAutoCurateMemory(event) {
     const nextCount = getMemoryEventsSinceCurate() + 1;
     setMemoryEventsSinceCurate(nextCount);
     if (nextCount < memoryCurateEvery) return;
@@ -39,7 +47,10 @@ function createMemoryService(options) {
 
     persistMemory(async () => {
       try {
-        const result = await curateMemory();
+        const result = await curateMemory({
+          chatId: event?.chatId,
+          topicId: event?.topicId,
+        });
         console.info(
           `Auto-curated memory events=${result.eventsProcessed} bytes=${result.bytes}`
         );
@@ -52,25 +63,74 @@ function createMemoryService(options) {
   }
 
   async function captureMemoryEvent(event) {
+    if (
+      typeof isMemoryCaptureEnabled === 'function'
+      && !isMemoryCaptureEnabled(event?.chatId, event?.topicId)
+    ) {
+      return;
+    }
     try {
       await appendMemoryEvent(event);
-      maybeAutoCurateMemory();
+      maybeAutoCurateMemory(event);
     } catch (err) {
       console.warn('Failed to append memory event:', err);
     }
   }
 
+  async function runMemoryRetention() {
+    try {
+      const result = await pruneMemory({
+        maxAgeDays: memoryRetentionDays,
+        maxThreadBytes: memoryMaxThreadBytes,
+      });
+      if (result.prunedEvents > 0) {
+        console.info(
+          `memory_retention pruned=${result.prunedEvents} threads=${result.threadFiles} removed_files=${result.removedFiles}`
+        );
+      }
+      return result;
+    } catch (err) {
+      console.warn('Memory retention failed:', err);
+      return null;
+    }
+  }
+
+  function startMemoryRetention() {
+    if (typeof pruneMemory !== 'function') return;
+    if (!(memoryRetentionDays > 0) && !(memoryMaxThreadBytes > 0)) return;
+    void runMemoryRetention();
+    if (memoryRetentionIntervalMs > 0) {
+      const timer = setInterval(runMemoryRetention, memoryRetentionIntervalMs);
+      if (typeof timer.unref === 'function') {
+        timer.unref();
+      }
+    }
+  }
+
+  // The auto section of memory.md is curated from every chat's events, DMs
+  // included, so only chats with the `open` isolation policy get it.
+  async function readMemoryForChat(chatId) {
+    const memory = await readMemory();
+    if (chatId == null || !memory.content || getMemoryPolicy(chatId) === 'open') {
+      return memory;
+    }
+    return { ...memory, content: stripAutoMemorySection(memory.content) };
+  }
+
   async function buildBootstrapContext(contextOptions = {}) {
     const {
+      chatId,
+      includeFacts = true,
       includeMemory = true,
       includeSoul = true,
       includeThreadMemory = true,
       includeTools = true,
       threadKey,
+      topicId,
     } = contextOptions;
     const soul = await readSoul();
     const tools = await readTools();
-    const memory = await readMemory();
+    const memory = await readMemoryForChat(chatId);
     const lines = [
       'Bootstrap config:',
       `Config JSON: ${configPath}`,
@@ -93,6 +153,21 @@ function createMemoryService(options) {
       lines.push(memory.content);
       lines.push('End of memory.');
     }
+    if (includeFacts && chatId != null && typeof buildFactsContext === 'function') {
+      try {
+        const facts = await buildFactsContext({
+          chatId,
+          policy: getMemoryPolicy(chatId),
+          topicId,
+        });
+        if (facts) {
+          lines.push(facts);
+          lines.push('End of facts.');
+        }
+      } catch (err) {
+        console.warn('Failed to load memory facts:', err);
+      }
+    }
     if (includeThreadMemory && threadKey) {
       const threadBootstrap = await buildThreadBootstrap(threadKey);
       if (threadBootstrap) {
@@ -103,10 +178,10 @@ function createMemoryService(options) {
     return lines.join('\n');
   }
 
-  async function buildCodexAppThreadInstructions() {
+  async function buildCodexAppThreadInstructions({ chatId } = {}) {
     const soul = await readSoul();
     const tools = await readTools();
-    const memory = await readMemory();
+    const memory = await readMemoryForChat(chatId);
     const lines = [
       'Output style for Telegram: keep the final answer as the final user-facing answer. Brief execution progress/commentary is allowed before the final answer. Do not include chain-of-thought, hidden reasoning, or private internal deliberation.',
     ];
@@ -136,6 +211,8 @@ function createMemoryService(options) {
     captureMemoryEvent,
     extractMemoryText,
     maybeAutoCurateMemory,
+    runMemoryRetention,
+    startMemoryRetention,
   };
 }
 
@@ -0,0 +1,67 @@
+const { randomUUID } = require('crypto');
+const path = require('path');
+const fs = require('fs/promises');
+const { CONFIG_DIR } = require('../config-store');
+
+const PENDING_REQUESTS_PATH = path.join(CONFIG_DIR, 'pending-requests.json');
+
+function createPendingRequestStore(options = {}) {
+  const { filePath = PENDING_REQUESTS_PATH, logger = console } = options;
+  let state = null;
+  let loading = null;
+  let writeChain = Promise.resolve();
+
+  async function readState() {
+    try {
+      const raw = await fs.readFile(filePath, 'utf8');
+      const parsed = raw.trim() ? JSON.parse(raw) : {};
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (err) {
+      if (err && err.code !== 'ENOENT') {
+        logger.warn('Failed to load pending-requests.json:', err);
+      }
+      return {};
+    }
+  }
+
+  async function ensureLoaded() {
+    if (state) return state;
+    if (!loading) {
+      loading = readState().then((loaded) => {
+        state = loaded;
+        return state;
+      });
+    }
+    return loading;
+  }
+
+  async function load(section) {
+    const current = await ensureLoaded();
+    return Array.isArray(current[section]) ? current[section] : [];
+  }
+
+  async function save(section, records) {
+    const current = await ensureLoaded();
+    current[section] = records;
+    const snapshot = JSON.stringify(current, null, 2);
+    writeChain = writeChain
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.${randomUUID()}.tmp`;
+        await fs.writeFile(tmpPath, snapshot);
+        await fs.rename(tmpPath, filePath);
+      });
+    return writeChain;
+  }
+
+  return {
+    load,
+    save,
+  };
+}
+
+module.exports = {
+  PENDING_REQUESTS_PATH,
+  createPendingRequestStore,
+};
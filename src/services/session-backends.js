@@ -0,0 +1,73 @@
+// Resolves the long-lived client behind a session-backed agent: the codex
+// app-server that owns the thread for codex-app, one lazily started ACP
+// client per custom agent declared with "protocol": "acp".
+function createSessionBackends(options) {
+  const {
+    codexAppAgentId = 'codex-app',
+    createAcpClient,
+    getAgent,
+    getCodexAppClient,
+    logger = console,
+  } = options;
+
+  const acpClients = new Map();
+
+  function stopAcpClient(agentId) {
+    const entry = acpClients.get(agentId);
+    if (!entry) return;
+    acpClients.delete(agentId);
+    Promise.resolve(entry.client.shutdown()).catch((err) => {
+      logger.warn(`Failed to stop ACP agent ${agentId}:`, err);
+    });
+  }
+
+  function getAcpClient(agent) {
+    const existing = acpClients.get(agent.id);
+    if (existing && existing.command === agent.command) return existing.client;
+    if (existing) stopAcpClient(agent.id);
+    const client = createAcpClient({
+      args: ['-lc', `exec ${agent.command}`],
+      command: 'bash',
+      label: agent.label || agent.id,
+      logger,
+    });
+    acpClients.set(agent.id, { client, command: agent.command });
+    return client;
+  }
+
+  function getClient(agentId, { threadId } = {}) {
+    if (agentId === codexAppAgentId) return getCodexAppClient({ threadId });
+    const agent = getAgent(agentId);
+    if (agent?.id === agentId && agent.protocol === 'acp') {
+      return getAcpClient(agent);
+    }
+    throw new Error(`Unsupported session-backed agent: ${agentId}`);
+  }
+
+  function isAcpAgent(agentId) {
+    const agent = getAgent(agentId);
+    return Boolean(agent?.id === agentId && agent.protocol === 'acp');
+  }
+
+  async function shutdown() {
+    const entries = Array.from(acpClients.entries());
+    acpClients.clear();
+    await Promise.allSettled(
+      entries.map(([agentId, entry]) =>
+        Promise.resolve(entry.client.shutdown()).catch((err) => {
+          logger.warn(`Failed to stop ACP agent ${agentId}:`, err);
+        })
+      )
+    );
+  }
+
+  return {
+    getClient,
+    isAcpAgent,
+    shutdown,
+  };
+}
+
+module.exports = {
+  createSessionBackends,
+};
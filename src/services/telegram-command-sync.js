@@ -1,3 +1,4 @@
+const { filterCommandsForRole } = require('../roles');
 const { BOT_COMMANDS } = require('../telegram-commands');
 
 const COMMAND_SCOPES = [
@@ -6,17 +7,60 @@ const COMMAND_SCOPES = [
   { type: 'all_group_chats' },
 ];
 
-async function syncTelegramCommands(bot, logger = console) {
+function buildCommandKey(commands) {
+  return commands.map((entry) => entry.command).join(',');
+}
+
+function buildUserCommandScopes(access) {
+  const defaultKey = buildCommandKey(
+    filterCommandsForRole(BOT_COMMANDS, access, access.defaultRole)
+  );
+  const scopes = [];
+  for (const [userId, user] of access.users) {
+    const privateCommands = filterCommandsForRole(BOT_COMMANDS, access, user.role);
+    if (buildCommandKey(privateCommands) !== defaultKey) {
+      scopes.push({
+        commands: privateCommands,
+        scope: { type: 'chat', chat_id: Number(userId) },
+      });
+    }
+    for (const [chatKey, role] of Object.entries(user.chats)) {
+      if (!/^-\d+$/.test(chatKey)) continue;
+      scopes.push({
+        commands: filterCommandsForRole(BOT_COMMANDS, access, role),
+        scope: { type: 'chat_member', chat_id: Number(chatKey), user_id: Number(userId) },
+      });
+    }
+  }
+  return scopes;
+}
+
+async function syncTelegramCommands(bot, logger = console, options = {}) {
   if (!bot?.telegram || typeof bot.telegram.setMyCommands !== 'function') {
     return;
   }
 
+  const { access } = options;
+  const defaultCommands = access?.enabled
+    ? filterCommandsForRole(BOT_COMMANDS, access, access.defaultRole)
+    : BOT_COMMANDS;
   for (const scope of COMMAND_SCOPES) {
-    await bot.telegram.setMyCommands(BOT_COMMANDS, { scope });
+    await bot.telegram.setMyCommands(defaultCommands, { scope });
     logger.info(
-      `Synced ${BOT_COMMANDS.length} bot command(s) for Telegram scope=${scope.type}`
+      `Synced ${defaultCommands.length} bot command(s) for Telegram scope=${scope.type}`
     );
   }
+  if (!access?.enabled) return;
+
+  for (const { commands, scope } of buildUserCommandScopes(access)) {
+    try {
+      await bot.telegram.setMyCommands(commands, { scope });
+    } catch (err) {
+      logger.warn(
+        `Failed to sync commands for Telegram scope=${scope.type} chat=${scope.chat_id}: ${err?.message || err}`
+      );
+    }
+  }
 }
 
 module.exports = {
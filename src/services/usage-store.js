@@ -0,0 +1,258 @@
+const { randomUUID } = require('crypto');
+const path = require('path');
+const fs = require('fs/promises');
+const { CONFIG_DIR } = require('../config-store');
+
+const USAGE_PATH = path.join(CONFIG_DIR, 'usage.jsonl');
+const TOKEN_FIELDS = ['inputTokens', 'cachedInputTokens', 'outputTokens', 'reasoningTokens'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Monthly budgets count every run since the 1st, so retention never drops
+// records from the current month.
+const MIN_RETENTION_DAYS = 32;
+const DEFAULT_RETENTION_INTERVAL_MS = DAY_MS;
+
+let usageWrite = Promise.resolve();
+
+function normalizeCount(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? Math.round(parsed) : 0;
+}
+
+function normalizeUsageRecord(record) {
+  if (!record || typeof record !== 'object' || !record.agentId) return null;
+  const createdAt = new Date(record.createdAt || Date.now());
+  const normalized = {
+    id: String(record.id || randomUUID()),
+    createdAt: Number.isNaN(createdAt.getTime())
+      ? new Date().toISOString()
+      : createdAt.toISOString(),
+    agentId: String(record.agentId),
+    chatId: record.chatId === undefined || record.chatId === null ? null : String(record.chatId),
+    topicId: record.topicId === undefined || record.topicId === null ? null : String(record.topicId),
+    userId: record.userId === undefined || record.userId === null ? null : String(record.userId),
+    contextKey: record.contextKey ? String(record.contextKey) : null,
+    model: record.model ? String(record.model) : null,
+    serviceTier: record.serviceTier ? String(record.serviceTier) : null,
+    status: typeof record.status === 'string' ? record.status : 'succeeded',
+    durationMs: normalizeCount(record.durationMs),
+  };
+  for (const field of TOKEN_FIELDS) {
+    normalized[field] = normalizeCount(record[field]);
+  }
+  const costUsd = Number(record.costUsd);
+  normalized.costUsd = Number.isFinite(costUsd) && costUsd > 0 ? costUsd : 0;
+  return normalized;
+}
+
+async function appendUsageRecord(record) {
+  const entry = normalizeUsageRecord(record);
+  if (!entry) return null;
+  usageWrite = usageWrite
+    .catch(() => {})
+    .then(async () => {
+      await fs.mkdir(CONFIG_DIR, { recursive: true });
+      await fs.appendFile(USAGE_PATH, `${JSON.stringify(entry)}\n`, 'utf8');
+    });
+  await usageWrite;
+  return entry;
+}
+
+async function loadUsageRecords() {
+  let raw = '';
+  try {
+    raw = await fs.readFile(USAGE_PATH, 'utf8');
+  } catch (err) {
+    if (err && err.code === 'ENOENT') return [];
+    console.warn('Failed to load usage.jsonl:', err);
+    return [];
+  }
+  const records = [];
+  for (const line of raw.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      const record = normalizeUsageRecord(JSON.parse(line));
+      if (record) records.push(record);
+    } catch {}
+  }
+  return records;
+}
+
+// Rewrites usage.jsonl without the records older than maxAgeDays. Runs in the
+// same queue as appends so no record written meanwhile is lost.
+async function pruneUsageRecords(options = {}) {
+  const maxAgeDays = Math.max(MIN_RETENTION_DAYS, Number(options.maxAgeDays) || 0);
+  const now = options.now ? new Date(options.now).getTime() : Date.now();
+  const cutoff = now - maxAgeDays * DAY_MS;
+  let result = { kept: 0, removed: 0 };
+  usageWrite = usageWrite
+    .catch(() => {})
+    .then(async () => {
+      let raw = '';
+      try {
+        raw = await fs.readFile(USAGE_PATH, 'utf8');
+      } catch (err) {
+        if (err && err.code === 'ENOENT') return;
+        throw err;
+      }
+      const kept = [];
+      let removed = 0;
+      for (const line of raw.split(/\r?\n/)) {
+        if (!line.trim()) continue;
+        let record = null;
+        try {
+          record = normalizeUsageRecord(JSON.parse(line));
+        } catch {}
+        if (record && new Date(record.createdAt).getTime() >= cutoff) {
+          kept.push(line);
+        } else {
+          removed += 1;
+        }
+      }
+      result = { kept: kept.length, removed };
+      if (removed === 0) return;
+      const tmpPath = `${USAGE_PATH}.${process.pid}.tmp`;
+      await fs.writeFile(tmpPath, kept.length ? `${kept.join('\n')}\n` : '', 'utf8');
+      await fs.rename(tmpPath, USAGE_PATH);
+    });
+  await usageWrite;
+  return result;
+}
+
+function startUsageRetention(options = {}) {
+  const {
+    intervalMs = DEFAULT_RETENTION_INTERVAL_MS,
+    logger = console,
+    maxAgeDays,
+  } = options;
+  const run = () =>
+    pruneUsageRecords({ maxAgeDays })
+      .then(({ removed }) => {
+        if (removed > 0) logger.info(`usage_pruned removed=${removed}`);
+      })
+      .catch((err) => logger.warn('Failed to prune usage.jsonl:', err));
+  void run();
+  if (intervalMs > 0) {
+    const timer = setInterval(run, intervalMs);
+    if (typeof timer.unref === 'function') {
+      timer.unref();
+    }
+  }
+}
+
+function getCronJobIdFromContextKey(contextKey) {
+  const match = String(contextKey || '').match(/^cron:(.+)$/);
+  return match ? match[1] : null;
+}
+
+function filterUsageRecords(records, filters = {}) {
+  const since = filters.since ? new Date(filters.since).getTime() : null;
+  return records.filter((record) => {
+    if (since !== null && new Date(record.createdAt).getTime() < since) return false;
+    if (filters.chatId !== undefined && record.chatId !== String(filters.chatId)) {
+      return false;
+    }
+    if (
+      Object.hasOwn(filters, 'topicId')
+      && (record.topicId ?? 'root') !== String(filters.topicId ?? 'root')
+    ) {
+      return false;
+    }
+    if (
+      filters.jobId !== undefined
+      && getCronJobIdFromContextKey(record.contextKey) !== String(filters.jobId)
+    ) {
+      return false;
+    }
+    return true;
+  });
+}
+
+function createEmptyTotals() {
+  return {
+    runs: 0,
+    failedRuns: 0,
+    durationMs: 0,
+    inputTokens: 0,
+    cachedInputTokens: 0,
+    outputTokens: 0,
+    reasoningTokens: 0,
+    costUsd: 0,
+  };
+}
+
+function addToTotals(totals, record) {
+  totals.runs += 1;
+  if (record.status !== 'succeeded') totals.failedRuns += 1;
+  totals.durationMs += record.durationMs;
+  for (const field of TOKEN_FIELDS) {
+    totals[field] += record[field];
+  }
+  totals.costUsd += record.costUsd;
+}
+
+function summarizeUsage(records) {
+  const totals = createEmptyTotals();
+  const groups = new Map();
+  for (const record of records) {
+    addToTotals(totals, record);
+    const key = [record.agentId, record.model || '', record.serviceTier || ''].join('|');
+    if (!groups.has(key)) {
+      groups.set(key, {
+        agentId: record.agentId,
+        model: record.model,
+        serviceTier: record.serviceTier,
+        ...createEmptyTotals(),
+      });
+    }
+    addToTotals(groups.get(key), record);
+  }
+  const byAgent = Array.from(groups.values()).sort(
+    (a, b) =>
+      b.inputTokens + b.outputTokens - (a.inputTokens + a.outputTokens)
+      || b.runs - a.runs
+  );
+  return { ...totals, byAgent };
+}
+
+function formatTokenCount(value) {
+  const count = Number(value) || 0;
+  if (count >= 1_000_000) return `${(count / 1_000_000).toFixed(1)}M`;
+  if (count >= 10_000) return `${Math.round(count / 1000)}k`;
+  if (count >= 1000) return `${(count / 1000).toFixed(1)}k`;
+  return String(count);
+}
+
+function formatUsageTotals(totals) {
+  const parts = [
+    `${totals.runs} run${totals.runs === 1 ? '' : 's'}`,
+    `in ${formatTokenCount(totals.inputTokens)}`,
+    `out ${formatTokenCount(totals.outputTokens)}`,
+  ];
+  if (totals.cachedInputTokens > 0) {
+    parts.push(`cached ${formatTokenCount(totals.cachedInputTokens)}`);
+  }
+  if (totals.runs > 0) {
+    parts.push(`avg ${(totals.durationMs / totals.runs / 1000).toFixed(1)}s`);
+  }
+  if (totals.costUsd > 0) {
+    parts.push(`$${totals.costUsd.toFixed(2)}`);
+  }
+  if (totals.failedRuns > 0) {
+    parts.push(`${totals.failedRuns} failed`);
+  }
+  return parts.join(' · ');
+}
+
+module.exports = {
+  USAGE_PATH,
+  appendUsageRecord,
+  filterUsageRecords,
+  formatTokenCount,
+  formatUsageTotals,
+  getCronJobIdFromContextKey,
+  loadUsageRecords,
+  normalizeUsageRecord,
+  pruneUsageRecords,
+  startUsageRetention,
+  summarizeUsage,
+};
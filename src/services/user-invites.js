@@ -0,0 +1,207 @@
+const { randomUUID } = require('crypto');
+
+const CALLBACK_PREFIX = 'invite';
+const ACTIONS = ['allow', 'readonly', 'deny'];
+
+function escapeHtml(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function formatRequester({ userId, username, firstName, lastName }) {
+  const name = [firstName, lastName].filter(Boolean).join(' ');
+  const handle = username ? `@${username}` : '';
+  return [name, handle].filter(Boolean).join(' ') || String(userId);
+}
+
+function createUserInviteService(options) {
+  const {
+    bot,
+    getAdminIds,
+    isDenied = () => false,
+    logger = console,
+    onDecision,
+  } = options;
+  const pendingByToken = new Map();
+  const pendingByUser = new Map();
+
+  function buildCallbackData(token, action) {
+    return `${CALLBACK_PREFIX}:${token}:${action}`;
+  }
+
+  function buildInlineKeyboard(token) {
+    return {
+      inline_keyboard: [
+        [
+          { text: 'Allow', callback_data: buildCallbackData(token, 'allow') },
+          {
+            text: 'Allow read-only',
+            callback_data: buildCallbackData(token, 'readonly'),
+          },
+        ],
+        [{ text: 'Deny', callback_data: buildCallbackData(token, 'deny') }],
+      ],
+    };
+  }
+
+  function formatInviteText(entry) {
+    return [
+      '<b>Access request</b>',
+      '',
+      `<b>User:</b> ${escapeHtml(formatRequester(entry))}`,
+      `<b>ID:</b> <code>${escapeHtml(entry.userId)}</code>`,
+    ].join('\n');
+  }
+
+  async function editInviteMessages(entry, status) {
+    const text = `${formatInviteText(entry)}\n\n<b>Status:</b> ${escapeHtml(status)}`;
+    for (const message of entry.messages) {
+      try {
+        await bot.telegram.editMessageText(message.chatId, message.messageId, undefined, text, {
+          parse_mode: 'HTML',
+          reply_markup: { inline_keyboard: [] },
+        });
+      } catch (err) {
+        const detail = String(err?.message || err || '');
+        if (detail.includes('message is not modified')) continue;
+        logger.warn('Failed to update access request message:', err);
+      }
+    }
+  }
+
+  async function notifyRequester(entry, text) {
+    if (!entry.chatId) return;
+    try {
+      await bot.telegram.sendMessage(entry.chatId, text);
+    } catch (err) {
+      logger.warn('Failed to notify access requester:', err);
+    }
+  }
+
+  function forgetEntry(entry) {
+    entry.settled = true;
+    pendingByToken.delete(entry.token);
+    pendingByUser.delete(entry.userId);
+  }
+
+  async function requestInvite(request) {
+    const userId = String(request?.userId ?? '');
+    if (!userId || request.chatType !== 'private') return false;
+    if (pendingByUser.has(userId) || isDenied(userId)) return false;
+    const adminIds = Array.from(getAdminIds() || []);
+    if (adminIds.length === 0) {
+      logger.warn(`No admins to review the access request from user ID ${userId}`);
+      return false;
+    }
+
+    const token = randomUUID().replace(/-/g, '').slice(0, 12);
+    const entry = {
+      chatId: request.chatId,
+      firstName: request.firstName,
+      lastName: request.lastName,
+      messages: [],
+      settled: false,
+      token,
+      userId,
+      username: request.username,
+    };
+    pendingByToken.set(token, entry);
+    pendingByUser.set(userId, entry);
+
+    for (const adminId of adminIds) {
+      try {
+        const message = await bot.telegram.sendMessage(adminId, formatInviteText(entry), {
+          parse_mode: 'HTML',
+          reply_markup: buildInlineKeyboard(token),
+        });
+        if (message?.message_id) {
+          entry.messages.push({ chatId: adminId, messageId: message.message_id });
+        }
+      } catch (err) {
+        logger.warn(`Failed to send access request to admin ${adminId}:`, err);
+      }
+    }
+    if (entry.messages.length === 0) {
+      forgetEntry(entry);
+      return false;
+    }
+    await notifyRequester(entry, 'Your access request was sent to the admins.');
+    return true;
+  }
+
+  async function handleCallbackQuery(ctx) {
+    const data = String(ctx.callbackQuery?.data || '');
+    const match = data.match(/^invite:([^:]+):([^:]+)$/);
+    if (!match || !ACTIONS.includes(match[2])) return false;
+
+    const [, token, action] = match;
+    const adminId = String(ctx.from?.id ?? '');
+    if (!new Set(Array.from(getAdminIds() || [], String)).has(adminId)) {
+      await ctx.answerCbQuery('Only admins can answer access requests.');
+      return true;
+    }
+    const entry = pendingByToken.get(token);
+    if (!entry || entry.settled) {
+      await ctx.answerCbQuery('This access request is no longer active.');
+      return true;
+    }
+
+    forgetEntry(entry);
+    const decidedBy = ctx.from?.username ? `@${ctx.from.username}` : adminId;
+    let role = null;
+    try {
+      role = await onDecision({
+        action,
+        adminId,
+        firstName: entry.firstName,
+        userId: entry.userId,
+        username: entry.username,
+      });
+    } catch (err) {
+      logger.warn('Failed to apply access decision:', err);
+      await ctx.answerCbQuery('Failed to save the decision.');
+      pendingByToken.set(token, entry);
+      pendingByUser.set(entry.userId, entry);
+      entry.settled = false;
+      return true;
+    }
+
+    if (role) {
+      await editInviteMessages(entry, `allowed as ${role} by ${decidedBy}`);
+      await notifyRequester(entry, `Access granted (${role}). Send /help to get started.`);
+      await ctx.answerCbQuery(`Allowed as ${role}`);
+    } else {
+      await editInviteMessages(entry, `denied by ${decidedBy}`);
+      await notifyRequester(entry, 'Your access request was denied.');
+      await ctx.answerCbQuery('Denied');
+    }
+    return true;
+  }
+
+  function hasPendingInvite(userId) {
+    return pendingByUser.has(String(userId));
+  }
+
+  function shutdown() {
+    for (const entry of pendingByToken.values()) {
+      entry.settled = true;
+      void editInviteMessages(entry, 'expired');
+    }
+    pendingByToken.clear();
+    pendingByUser.clear();
+  }
+
+  return {
+    handleCallbackQuery,
+    hasPendingInvite,
+    requestInvite,
+    shutdown,
+  };
+}
+
+module.exports = {
+  CALLBACK_PREFIX,
+  createUserInviteService,
+};
@@ -0,0 +1,193 @@
+const { createHttpError, readOptionalId } = require('./http-server');
+const { buildTelegramThreadExtra } = require('./telegram-topics');
+
+function createWebhookIngress(options) {
+  const {
+    bot,
+    buildMemoryThreadKey,
+    buildTopicKey,
+    captureMemoryEvent,
+    enqueue,
+    extractMemoryText,
+    formatError = (err) => String(err?.message || err),
+    getDefaultChatId,
+    isKnownAgent,
+    normalizeAgent,
+    registerReplyContext,
+    resolveEffectiveAgentId,
+    runAgentForChat,
+    sendResponseToChat,
+  } = options;
+
+  function parseMessageRequest(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw createHttpError(400, 'Expected a JSON object');
+    }
+    const text = String(body.text || '').trim();
+    if (!text) {
+      throw createHttpError(400, 'Missing text');
+    }
+    const chatId =
+      readOptionalId(body.chatId, 'chatId') ?? getDefaultChatId?.() ?? undefined;
+    if (chatId === undefined || chatId === null) {
+      throw createHttpError(
+        400,
+        'Missing chatId (and no cronChatId configured as default)'
+      );
+    }
+    const topicId = readOptionalId(body.topicId, 'topicId');
+    let agent;
+    if (body.agent !== undefined && body.agent !== null && body.agent !== '') {
+      if (!isKnownAgent(String(body.agent))) {
+        throw createHttpError(400, `Unknown agent: ${body.agent}`);
+      }
+      agent = normalizeAgent(String(body.agent));
+    }
+    const contextKey = String(body.contextKey || '').trim();
+    return {
+      agent,
+      chatId,
+      contextKey: contextKey ? `webhook:${contextKey}` : '',
+      source: String(body.source || '').trim() || 'webhook',
+      text,
+      topicId,
+      wait: body.wait === true,
+    };
+  }
+
+  // Callers that did not wait already got a 202, so the chat is the only
+  // place left to report the failure.
+  async function notifyRunFailed(request, err) {
+    if (!bot) return;
+    const { chatId, source, topicId } = request;
+    try {
+      await bot.telegram.sendMessage(
+        chatId,
+        `Error processing ${source} message.\n${formatError(err)}`.trim(),
+        buildTelegramThreadExtra({ forceTopic: true, topicId })
+      );
+    } catch (notifyErr) {
+      console.warn(`Failed to report webhook failure to chat ${chatId}:`, notifyErr);
+    }
+  }
+
+  function runMessage(request) {
+    const { agent, chatId, contextKey, source, text, topicId, wait } = request;
+    const effectiveAgentId = resolveEffectiveAgentId(chatId, topicId, agent);
+    const memoryThreadKey = buildMemoryThreadKey(
+      chatId,
+      topicId,
+      effectiveAgentId,
+      contextKey
+    );
+    const onMessageSent = (message) => {
+      registerReplyContext?.({
+        agentId: effectiveAgentId,
+        chatId,
+        contextKey,
+        messageId: message?.message_id,
+        topicId,
+      });
+    };
+
+    return enqueue(buildTopicKey(chatId, topicId), async () => {
+      console.info(
+        `Webhook message executing for chat ${chatId} topic=${topicId || 'none'} agent=${effectiveAgentId} source=${source}`
+      );
+      try {
+        let responseSent = false;
+        await captureMemoryEvent({
+          threadKey: memoryThreadKey,
+          chatId,
+          topicId,
+          agentId: effectiveAgentId,
+          role: 'user',
+          kind: 'webhook',
+          text,
+        });
+        const response = await runAgentForChat(chatId, text, {
+          agentId: agent,
+          contextKey: contextKey || undefined,
+          topicId,
+          onFinalResponse: async (partialResponse) => {
+            if (responseSent) return;
+            responseSent = true;
+            await sendResponseToChat(chatId, partialResponse, {
+              topicId,
+              agentId: effectiveAgentId,
+              onMessageSent,
+            });
+          },
+        });
+        await captureMemoryEvent({
+          threadKey: memoryThreadKey,
+          chatId,
+          topicId,
+          agentId: effectiveAgentId,
+          role: 'assistant',
+          kind: 'text',
+          text: extractMemoryText(response),
+        });
+        if (!responseSent) {
+          await sendResponseToChat(chatId, response, {
+            topicId,
+            agentId: effectiveAgentId,
+            onMessageSent,
+          });
+        }
+        return { ok: true, agentId: effectiveAgentId, response };
+      } catch (err) {
+        console.error(`Webhook message for chat ${chatId} failed:`, err);
+        if (!wait) await notifyRunFailed(request, err);
+        return { ok: false, agentId: effectiveAgentId, error: err };
+      }
+    });
+  }
+
+  async function handleMessageRequest({ body }) {
+    const request = parseMessageRequest(body);
+    const pending = runMessage(request);
+    if (!request.wait) {
+      return {
+        status: 202,
+        body: {
+          ok: true,
+          queued: true,
+          chatId: request.chatId,
+          topicId: request.topicId ?? null,
+        },
+      };
+    }
+    const result = await pending;
+    if (!result?.ok) {
+      return {
+        status: 502,
+        body: {
+          ok: false,
+          agentId: result?.agentId,
+          error: result?.error?.message || 'Agent run failed',
+        },
+      };
+    }
+    return {
+      status: 200,
+      body: {
+        ok: true,
+        agentId: result.agentId,
+        response: result.response,
+      },
+    };
+  }
+
+  return {
+    handleMessageRequest,
+    parseMessageRequest,
+    routes: [
+      { method: 'POST', path: '/api/messages', handler: handleMessageRequest },
+    ],
+  };
+}
+
+module.exports = {
+  createWebhookIngress,
+};
@@ -1,6 +1,7 @@
 const BOT_COMMANDS = [
   { command: 'start', description: 'Start the bot' },
   { command: 'agent', description: 'Switch agent backend' },
+  { command: 'fallback', description: 'Set fallback agents for failed runs' },
   { command: 'thinking', description: 'Set reasoning effort' },
   { command: 'fast', description: 'Toggle codex-app fast/default tier' },
   { command: 'model', description: 'View or change the current model' },
@@ -8,11 +9,17 @@ const BOT_COMMANDS = [
   { command: 'send_to_codex', description: 'Fork the current session into Codex App' },
   { command: 'status', description: 'Show current topic session status' },
   { command: 'stop', description: 'Interrupt the active run' },
+  { command: 'verbose', description: 'Toggle detailed codex-app progress' },
+  { command: 'trace', description: 'Send the last codex-app turn timeline' },
+  { command: 'workspace', description: 'Bind this topic to a workspace' },
+  { command: 'compare', description: 'Ask several agents the same prompt' },
   { command: 'memory', description: 'Inspect and curate memory' },
   { command: 'reset', description: 'Reset the current agent session' },
   { command: 'cron', description: 'Manage cron jobs' },
   { command: 'later', description: 'Schedule a one-shot future run' },
   { command: 'runs', description: 'Show recent cron executions' },
+  { command: 'usage', description: 'Show token usage and latency' },
+  { command: 'users', description: 'Manage users and roles' },
   { command: 'help', description: 'Show help and scripts' },
   {
     command: 'document_scripts',
@@ -24,6 +31,7 @@ function buildHelpCommandLines() {
   return [
     '/start - Hello world',
     '/agent <name> - Switch agent (codex, codex-app, claude, gemini, opencode)',
+    '/fallback [agent...|off|default] - Agents to retry with when the current one fails',
     '/thinking <level> - Set reasoning effort',
     '/fast - Toggle codex-app service tier between fast and default',
     '/model [model_id|reset] - View/set/reset model for current agent',
@@ -31,11 +39,19 @@ function buildHelpCommandLines() {
     '/send_to_codex - Fork the current codex-app session into Codex App under a selected project',
     '/status - Show the current topic status and codex-app binding',
     '/stop - Interrupt the active run in this topic',
+    '/verbose [on|off] - Show codex-app commands, files and tool calls in progress updates for this topic',
+    '/trace - Send the item timeline of the last codex-app turn in this topic as a file',
+    '/workspace [name|default] - Run codex-app turns in this topic inside a configured workspace',
+    '/compare <agent,agent> [--single] <prompt> - Run a prompt on several agents side by side',
     '/memory [query|status|tail|search|curate] - Manual memory retrieval + curation',
+    '/memory remember|forget|facts - Manage saved facts for this chat/topic',
+    '/memory on|off - Turn memory capture on or off for this topic',
     '/reset - Reset current agent session',
     '/cron [list|reload|chatid|assign|unassign|run|inspect] - Manage cron jobs',
     '/later <ISO> | <prompt> - Schedule a one-shot future run',
     '/runs [jobId] [n] - Show recent cron executions',
+    '/usage [today|week|job <id>|topic] - Token, cost and latency totals per agent',
+    '/users [list|add|remove|role] - Manage who can use the bot and their roles (admin)',
     '/help - Show this help',
     '/document_scripts confirm - Auto-document available scripts (requires ALLOWED_USERS)',
   ];
@@ -0,0 +1,36 @@
+const { createLocalTransport } = require('./local');
+const { createTelegramTransport } = require('./telegram');
+
+// Every transport returns a Telegraf-compatible bot: handlers and commands
+// use Telegraf's ctx and bot.telegram API directly. `local` emulates the
+// subset of that API the bot uses so it can run without Telegram; it is not a
+// transport-neutral interface.
+const TRANSPORT_LOCAL = 'local';
+const TRANSPORT_TELEGRAM = 'telegram';
+
+const TRANSPORTS = {
+  [TRANSPORT_LOCAL]: createLocalTransport,
+  [TRANSPORT_TELEGRAM]: createTelegramTransport,
+};
+
+function isKnownTransport(name) {
+  return Object.hasOwn(TRANSPORTS, String(name || '').trim().toLowerCase());
+}
+
+function createTransport(name, options = {}) {
+  const normalized = String(name || TRANSPORT_TELEGRAM).trim().toLowerCase();
+  const factory = TRANSPORTS[normalized];
+  if (!factory) {
+    throw new Error(
+      `Unknown transport: ${name}. Use ${Object.keys(TRANSPORTS).join('|')}.`
+    );
+  }
+  return factory(options);
+}
+
+module.exports = {
+  TRANSPORT_LOCAL,
+  TRANSPORT_TELEGRAM,
+  createTransport,
+  isKnownTransport,
+};
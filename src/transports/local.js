@@ -0,0 +1,375 @@
+const path = require('path');
+const readline = require('readline');
+const { pathToFileURL } = require('url');
+
+const MIME_BY_EXTENSION = {
+  '.gif': 'image/gif',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.m4a': 'audio/mp4',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.txt': 'text/plain',
+  '.wav': 'audio/wav',
+  '.webp': 'image/webp',
+};
+
+const LOCAL_HELP = [
+  'Local transport controls:',
+  '  <text>                    send a message (slash commands work as usual)',
+  '  !topic <id|root>          switch the current topic',
+  '  !tap [messageId] <n>      press button n of the last (or given) inline keyboard',
+  '  !file <path> [| caption]  send a document',
+  '  !photo <path> [| caption] send a photo',
+  '  !voice <path>             send a voice note',
+  '  !help                     show this help',
+].join('\n');
+
+function stripHtml(text) {
+  return String(text ?? '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function guessMimeType(filePath) {
+  return MIME_BY_EXTENSION[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+function parseCommand(text) {
+  const match = String(text || '').match(/^\/([A-Za-z0-9_]+)(?:@\S+)?(?:\s|$)/);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function matchesUpdateType(update, type) {
+  if (type === 'callback_query') return Boolean(update.callback_query);
+  const message = update.message;
+  if (!message) return false;
+  if (type === 'message') return true;
+  return message[type] !== undefined;
+}
+
+function createLocalTransport(options = {}) {
+  const {
+    chatId = 1,
+    chatType = 'private',
+    input = process.stdin,
+    output = process.stdout,
+    userId = 1,
+    username = 'local',
+  } = options;
+  const middlewares = [];
+  const messages = new Map();
+  const files = new Map();
+  let catchHandler = null;
+  let currentTopicId = null;
+  let lastKeyboardMessageId = null;
+  let nextMessageId = 1;
+  let nextUpdateId = 1;
+  let rl = null;
+
+  function write(line) {
+    output.write(`${line}\n`);
+  }
+
+  function renderText(text, extra) {
+    return extra?.parse_mode === 'HTML' ? stripHtml(text) : String(text ?? '');
+  }
+
+  function formatTarget(extra) {
+    const topicId = extra?.message_thread_id;
+    return topicId ? ` topic=${topicId}` : '';
+  }
+
+  function flattenKeyboard(replyMarkup) {
+    const rows = Array.isArray(replyMarkup?.inline_keyboard)
+      ? replyMarkup.inline_keyboard
+      : [];
+    return rows.flat().filter(Boolean);
+  }
+
+  function printKeyboard(messageId, replyMarkup) {
+    const buttons = flattenKeyboard(replyMarkup);
+    if (buttons.length === 0) return;
+    lastKeyboardMessageId = messageId;
+    write(
+      buttons
+        .map((button, index) =>
+          button.url
+            ? `  [${index + 1}] ${button.text} (${button.url})`
+            : `  [${index + 1}] ${button.text}`
+        )
+        .join('\n')
+    );
+  }
+
+  function recordMessage(targetChatId, text, extra = {}) {
+    const messageId = nextMessageId;
+    nextMessageId += 1;
+    const message = {
+      message_id: messageId,
+      chat: { id: targetChatId, type: chatType },
+      date: Math.floor(Date.now() / 1000),
+      text,
+      message_thread_id: extra.message_thread_id,
+      reply_markup: extra.reply_markup,
+    };
+    messages.set(messageId, message);
+    return message;
+  }
+
+  function registerFile(filePath) {
+    const fileId = `local-${files.size + 1}`;
+    files.set(fileId, path.resolve(filePath));
+    return fileId;
+  }
+
+  const telegram = {
+    async sendMessage(targetChatId, text, extra = {}) {
+      const message = recordMessage(targetChatId, text, extra);
+      write(`[bot #${message.message_id}${formatTarget(extra)}] ${renderText(text, extra)}`);
+      printKeyboard(message.message_id, extra.reply_markup);
+      return message;
+    },
+    async editMessageText(_targetChatId, messageId, _inlineMessageId, text, extra = {}) {
+      const message = messages.get(Number(messageId));
+      if (message) {
+        message.text = text;
+        message.reply_markup = extra.reply_markup;
+      }
+      write(`[edit #${messageId}] ${renderText(text, extra)}`);
+      printKeyboard(Number(messageId), extra.reply_markup);
+      return message || true;
+    },
+    async deleteMessage(_targetChatId, messageId) {
+      messages.delete(Number(messageId));
+      write(`[deleted #${messageId}]`);
+      return true;
+    },
+    async sendChatAction() {
+      return true;
+    },
+    async sendPhoto(targetChatId, photo, extra = {}) {
+      const source = photo?.source || photo;
+      const message = recordMessage(targetChatId, '', extra);
+      write(`[bot #${message.message_id}${formatTarget(extra)}] [photo] ${source}`);
+      return message;
+    },
+    async sendDocument(targetChatId, document, extra = {}) {
+      const source = document?.filename || document?.source || document;
+      const message = recordMessage(targetChatId, '', extra);
+      write(`[bot #${message.message_id}${formatTarget(extra)}] [document] ${source}`);
+      return message;
+    },
+    async getFileLink(fileId) {
+      const filePath = files.get(String(fileId));
+      if (!filePath) {
+        throw new Error(`Unknown local file id: ${fileId}`);
+      }
+      return pathToFileURL(filePath);
+    },
+    async setMyCommands() {
+      return true;
+    },
+    async answerCbQuery(_callbackQueryId, text) {
+      if (text) write(`[notice] ${text}`);
+      return true;
+    },
+  };
+
+  function createContext(update) {
+    const callbackQuery = update.callback_query;
+    const message = update.message || callbackQuery?.message;
+    const chat = message?.chat || { id: chatId, type: chatType };
+    const threadExtra = message?.message_thread_id
+      ? { message_thread_id: message.message_thread_id }
+      : {};
+    return {
+      update,
+      telegram,
+      chat,
+      from: update.message?.from || callbackQuery?.from,
+      message: update.message,
+      callbackQuery,
+      reply: (text, extra = {}) =>
+        telegram.sendMessage(chat.id, text, { ...threadExtra, ...extra }),
+      replyWithPhoto: (photo, extra = {}) =>
+        telegram.sendPhoto(chat.id, photo, { ...threadExtra, ...extra }),
+      replyWithDocument: (document, extra = {}) =>
+        telegram.sendDocument(chat.id, document, { ...threadExtra, ...extra }),
+      sendChatAction: (action, extra) => telegram.sendChatAction(chat.id, action, extra),
+      editMessageText: (text, extra) =>
+        telegram.editMessageText(chat.id, message?.message_id, undefined, text, extra),
+      answerCbQuery: (text) => telegram.answerCbQuery(callbackQuery?.id, text),
+    };
+  }
+
+  async function handleUpdate(update) {
+    const ctx = createContext(update);
+    const dispatch = async (index) => {
+      const middleware = middlewares[index];
+      if (!middleware) return;
+      await middleware(ctx, () => dispatch(index + 1));
+    };
+    try {
+      await dispatch(0);
+    } catch (err) {
+      if (catchHandler) {
+        await catchHandler(err, ctx);
+      } else {
+        console.error('Local transport error', err);
+      }
+    }
+  }
+
+  function buildMessage(fields) {
+    const message = {
+      message_id: nextMessageId,
+      chat: { id: chatId, type: chatType },
+      date: Math.floor(Date.now() / 1000),
+      from: { id: userId, username, is_bot: false },
+      ...fields,
+    };
+    nextMessageId += 1;
+    if (currentTopicId) {
+      message.message_thread_id = currentTopicId;
+      message.is_topic_message = true;
+    }
+    return message;
+  }
+
+  function sendText(text) {
+    return handleUpdate({
+      update_id: nextUpdateId++,
+      message: buildMessage({ text }),
+    });
+  }
+
+  function sendFile(kind, filePath, caption) {
+    const fileId = registerFile(filePath);
+    const mimeType = guessMimeType(filePath);
+    const fileName = path.basename(filePath);
+    const fields = caption ? { caption } : {};
+    if (kind === 'photo') {
+      fields.photo = [{ file_id: fileId, file_unique_id: fileId }];
+    } else if (kind === 'voice') {
+      fields.voice = { file_id: fileId, mime_type: mimeType };
+    } else {
+      fields.document = { file_id: fileId, file_name: fileName, mime_type: mimeType };
+    }
+    return handleUpdate({
+      update_id: nextUpdateId++,
+      message: buildMessage(fields),
+    });
+  }
+
+  function tapButton(messageId, buttonIndex) {
+    const message = messages.get(Number(messageId));
+    const button = flattenKeyboard(message?.reply_markup)[buttonIndex - 1];
+    if (!button) {
+      write(`[error] No button ${buttonIndex} on message #${messageId}`);
+      return Promise.resolve();
+    }
+    if (button.url) {
+      write(`[open] ${button.url}`);
+      return Promise.resolve();
+    }
+    return handleUpdate({
+      update_id: nextUpdateId++,
+      callback_query: {
+        id: String(nextUpdateId),
+        data: button.callback_data,
+        from: { id: userId, username, is_bot: false },
+        message,
+      },
+    });
+  }
+
+  function processLine(line) {
+    const raw = String(line || '').trim();
+    if (!raw) return Promise.resolve();
+    if (!raw.startsWith('!')) return sendText(raw);
+
+    const [control, ...rest] = raw.slice(1).split(/\s+/);
+    const args = rest.join(' ');
+    const [target, caption] = args.split('|').map((part) => part.trim());
+    switch (control.toLowerCase()) {
+      case 'topic':
+        currentTopicId = !args || args === 'root' ? null : Number(args) || args;
+        write(`[topic] ${currentTopicId || 'root'}`);
+        return Promise.resolve();
+      case 'tap': {
+        const numbers = rest.map((value) => Number(value));
+        const [messageId, buttonIndex] =
+          numbers.length >= 2 ? numbers : [lastKeyboardMessageId, numbers[0]];
+        return tapButton(messageId, buttonIndex);
+      }
+      case 'file':
+        return sendFile('document', target, caption);
+      case 'photo':
+        return sendFile('photo', target, caption);
+      case 'voice':
+        return sendFile('voice', target, caption);
+      default:
+        write(LOCAL_HELP);
+        return Promise.resolve();
+    }
+  }
+
+  return {
+    telegram,
+    use(middleware) {
+      middlewares.push(middleware);
+    },
+    on(types, handler) {
+      const list = Array.isArray(types) ? types : [types];
+      middlewares.push((ctx, next) =>
+        list.some((type) => matchesUpdateType(ctx.update, type))
+          ? handler(ctx, next)
+          : next()
+      );
+    },
+    command(names, handler) {
+      const list = (Array.isArray(names) ? names : [names]).map((name) =>
+        String(name).toLowerCase()
+      );
+      middlewares.push((ctx, next) => {
+        const command = parseCommand(ctx.update.message?.text);
+        return command && list.includes(command) ? handler(ctx, next) : next();
+      });
+    },
+    start(handler) {
+      this.command('start', handler);
+    },
+    catch(handler) {
+      catchHandler = handler;
+    },
+    async launch() {
+      if (!input) return;
+      rl = readline.createInterface({ input, terminal: false });
+      rl.on('line', (line) => {
+        processLine(line).catch((err) => console.error('Local transport error', err));
+      });
+      write(`Local transport ready (chat ${chatId}). Type !help for controls.`);
+    },
+    stop() {
+      if (rl) {
+        rl.close();
+        rl = null;
+      }
+    },
+    handleUpdate,
+    processLine,
+  };
+}
+
+module.exports = {
+  createLocalTransport,
+  stripHtml,
+};
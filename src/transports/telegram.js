@@ -0,0 +1,13 @@
+const { Telegraf } = require('telegraf');
+
+function createTelegramTransport(options = {}) {
+  const { token } = options;
+  if (!token) {
+    throw new Error('Missing TELEGRAM_BOT_TOKEN');
+  }
+  return new Telegraf(token);
+}
+
+module.exports = {
+  createTelegramTransport,
+};
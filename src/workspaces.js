@@ -0,0 +1,100 @@
+const os = require('os');
+const path = require('path');
+const { buildTopicKey } = require('./thread-store');
+
+const WORKSPACE_ID_REGEX = /^[a-z0-9][a-z0-9_-]*$/;
+const SANDBOX_MODES = ['danger-full-access', 'workspace-write', 'read-only'];
+
+function expandHome(value) {
+  if (value === '~') return os.homedir();
+  if (value.startsWith('~/')) return path.join(os.homedir(), value.slice(2));
+  return value;
+}
+
+function normalizeWorkspace(id, definition) {
+  const normalizedId = String(id || '').trim().toLowerCase();
+  if (!WORKSPACE_ID_REGEX.test(normalizedId)) {
+    throw new Error(`invalid workspace id "${id}"`);
+  }
+  const raw = typeof definition === 'string' ? { cwd: definition } : definition;
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('expected an object or a path');
+  }
+  const cwd = String(raw.cwd || '').trim();
+  if (!cwd) {
+    throw new Error('missing "cwd"');
+  }
+  const sandbox = String(raw.sandbox || 'danger-full-access').trim().toLowerCase();
+  if (!SANDBOX_MODES.includes(sandbox)) {
+    throw new Error(`unsupported sandbox "${raw.sandbox}"`);
+  }
+  return {
+    cwd: path.resolve(expandHome(cwd)),
+    dedicatedServer: Boolean(raw.dedicatedServer),
+    id: normalizedId,
+    networkAccess: Boolean(raw.networkAccess),
+    sandbox,
+  };
+}
+
+function normalizeWorkspaces(value, logger = console) {
+  const workspaces = new Map();
+  if (!value || typeof value !== 'object') return workspaces;
+  for (const [id, definition] of Object.entries(value)) {
+    try {
+      const workspace = normalizeWorkspace(id, definition);
+      workspaces.set(workspace.id, workspace);
+    } catch (err) {
+      logger.warn(`Ignoring workspace "${id}": ${err.message}`);
+    }
+  }
+  return workspaces;
+}
+
+function normalizeWorkspaceBindings(value, workspaces, logger = console) {
+  const bindings = new Map();
+  if (!value || typeof value !== 'object') return bindings;
+  for (const [topicKey, workspaceId] of Object.entries(value)) {
+    const normalizedId = String(workspaceId || '').trim().toLowerCase();
+    if (!workspaces.has(normalizedId)) {
+      logger.warn(`Ignoring workspace binding for ${topicKey}: unknown workspace "${workspaceId}"`);
+      continue;
+    }
+    bindings.set(String(topicKey), normalizedId);
+  }
+  return bindings;
+}
+
+function resolveWorkspace(workspaces, bindings, chatId, topicId) {
+  const workspaceId = bindings.get(buildTopicKey(chatId, topicId));
+  return (workspaceId && workspaces.get(workspaceId)) || null;
+}
+
+function buildSandboxPolicy(workspace) {
+  if (!workspace || workspace.sandbox === 'danger-full-access') {
+    return { type: 'dangerFullAccess' };
+  }
+  if (workspace.sandbox === 'read-only') {
+    return { type: 'readOnly' };
+  }
+  return {
+    networkAccess: workspace.networkAccess,
+    type: 'workspaceWrite',
+    writableRoots: [workspace.cwd],
+  };
+}
+
+function formatWorkspace(workspace) {
+  const details = [workspace.sandbox];
+  if (workspace.dedicatedServer) details.push('dedicated app-server');
+  return `${workspace.id} (${workspace.cwd}, ${details.join(', ')})`;
+}
+
+module.exports = {
+  SANDBOX_MODES,
+  buildSandboxPolicy,
+  formatWorkspace,
+  normalizeWorkspaceBindings,
+  normalizeWorkspaces,
+  resolveWorkspace,
+};
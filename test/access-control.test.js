@@ -3,8 +3,10 @@ const test = require('node:test');
 
 const {
   createAccessControlMiddleware,
+  createRoleMiddleware,
   parseAllowedUsersEnv,
 } = require('../src/access-control');
+const { normalizeAccessConfig } = require('../src/roles');
 
 test('parseAllowedUsersEnv parses comma-separated user IDs', () => {
   const allowed = parseAllowedUsersEnv(' 123, ,456 ,789 ');
@@ -68,3 +70,159 @@ test('access control middleware handles missing ctx.from', async () => {
   assert.deepEqual(unauthorizedPayload, { userId: '', username: undefined });
 });
 
+
+test('access control middleware resolves allowed users lazily and passes when open', async () => {
+  let allowed = null;
+  let calledNext = 0;
+  const middleware = createAccessControlMiddleware(() => allowed, {
+    ready: Promise.resolve(),
+  });
+
+  await middleware({ from: { id: 3 } }, async () => {
+    calledNext += 1;
+  });
+  allowed = new Set(['4']);
+  await middleware({ from: { id: 3 } }, async () => {
+    calledNext += 1;
+  });
+
+  assert.equal(calledNext, 1);
+});
+
+test('role middleware enforces command, script and message permissions', async () => {
+  const access = normalizeAccessConfig({
+    users: {
+      1: 'admin',
+      2: 'operator',
+      3: { role: 'read-only', chats: { '-100': 'chatter' } },
+    },
+    scripts: { deploy: 'admin' },
+  });
+  const denied = [];
+  const middleware = createRoleMiddleware({
+    getAccessConfig: () => access,
+    onDenied: (payload) => denied.push(payload),
+  });
+
+  async function send(userId, text, chatId = userId) {
+    const replies = [];
+    let passed = false;
+    await middleware(
+      {
+        chat: { id: chatId },
+        from: { id: userId },
+        message: { text, chat: { id: chatId } },
+        reply: async (message) => replies.push(message),
+      },
+      async () => {
+        passed = true;
+      }
+    );
+    return { passed, replies };
+  }
+
+  assert.equal((await send(1, '/cron reload')).passed, true);
+  assert.deepEqual(await send(2, '/cron reload'), {
+    passed: false,
+    replies: ['/cron reload requires the admin role (you are operator).'],
+  });
+  assert.equal((await send(2, '/cron list')).passed, true);
+  assert.equal((await send(2, '/deploy now')).passed, false);
+  assert.equal((await send(2, '/weather')).passed, true);
+  assert.deepEqual(await send(3, 'hola'), {
+    passed: false,
+    replies: ['sending prompts requires the chatter role (you are read-only).'],
+  });
+  assert.equal((await send(3, 'hola', -100)).passed, true);
+  assert.equal((await send(3, '/status')).passed, true);
+  assert.deepEqual(await send(9, '/status'), { passed: false, replies: [] });
+  assert.deepEqual(
+    denied.map(({ userId, required }) => `${userId}:${required}`),
+    ['2:admin', '2:admin', '3:chatter', '9:read-only']
+  );
+});
+
+test('role middleware gives inline buttons the role of the command that sent them', async () => {
+  const access = normalizeAccessConfig({
+    users: { 1: 'operator', 2: 'chatter' },
+    commands: { approvals: 'admin' },
+  });
+  const middleware = createRoleMiddleware({ getAccessConfig: () => access });
+
+  async function press(userId, data) {
+    const notices = [];
+    let passed = false;
+    await middleware(
+      {
+        from: { id: userId },
+        callbackQuery: { data, message: { chat: { id: -100 } } },
+        answerCbQuery: async (text) => notices.push(text),
+      },
+      async () => {
+        passed = true;
+      }
+    );
+    return { passed, notices };
+  }
+
+  assert.deepEqual(await press(2, 'resume_thread:abc'), {
+    passed: false,
+    notices: ['this action requires the operator role (you are chatter).'],
+  });
+  assert.equal((await press(2, 'resume_page:p1:2')).passed, false);
+  assert.equal((await press(2, 'send_to_codex_project:abc')).passed, false);
+  assert.equal((await press(2, 'send_to_codex_project_page:p1:2')).passed, false);
+  assert.equal((await press(2, 'invite:abc:allow')).passed, false);
+  assert.deepEqual(await press(1, 'approval:abc:accept'), {
+    passed: false,
+    notices: ['this action requires the admin role (you are operator).'],
+  });
+  assert.equal((await press(1, 'elicitation:abc:accept')).passed, false);
+  assert.equal((await press(1, 'resume_thread:abc')).passed, true);
+  assert.equal((await press(2, 'unknown:abc')).passed, true);
+});
+
+test('approval buttons default to the operator role', async () => {
+  const middleware = createRoleMiddleware({
+    getAccessConfig: () => normalizeAccessConfig({ users: { 1: 'operator', 2: 'chatter' } }),
+  });
+  const passed = [];
+  for (const userId of [1, 2]) {
+    await middleware(
+      {
+        from: { id: userId },
+        callbackQuery: { data: 'approval:abc:accept', message: { chat: { id: -100 } } },
+        answerCbQuery: async () => {},
+      },
+      async () => {
+        passed.push(userId);
+      }
+    );
+  }
+  assert.deepEqual(passed, [1]);
+});
+
+test('role middleware answers denied button presses and is a no-op without roles', async () => {
+  const notices = [];
+  const restricted = createRoleMiddleware({
+    getAccessConfig: () => normalizeAccessConfig({ users: { 3: 'read-only' } }),
+  });
+  await restricted(
+    {
+      from: { id: 3 },
+      callbackQuery: { message: { chat: { id: 3 } } },
+      answerCbQuery: async (text) => notices.push(text),
+    },
+    async () => {
+      throw new Error('should not pass');
+    }
+  );
+  assert.deepEqual(notices, ['this action requires the chatter role (you are read-only).']);
+
+  let passed = false;
+  const open = createRoleMiddleware({ getAccessConfig: () => normalizeAccessConfig() });
+  await open({ from: { id: 3 }, message: { text: '/cron reload' } }, async () => {
+    passed = true;
+  });
+  assert.equal(passed, true);
+});
@@ -0,0 +1,55 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const {
+  createEmptyAccessUsers,
+  denyAccessUser,
+  isAccessUserDenied,
+  mergeAccessUsers,
+  normalizeAccessUsers,
+  removeAccessUser,
+  setAccessUser,
+  setAccessUserChatRole,
+} = require('../src/access-users');
+
+test('normalizeAccessUsers drops entries with unknown roles', () => {
+  const state = normalizeAccessUsers({
+    users: { 1: { role: 'Operator' }, 2: { role: 'root' } },
+    denied: { 3: { username: 'spam' } },
+  });
+  assert.deepEqual(state.users, { 1: { role: 'operator' } });
+  assert.deepEqual(state.denied, { 3: { username: 'spam' } });
+  assert.deepEqual(normalizeAccessUsers(null), createEmptyAccessUsers());
+});
+
+test('setAccessUser keeps addedAt, clears denials and supports chat roles', () => {
+  const state = createEmptyAccessUsers();
+  denyAccessUser(state, 5, { deniedBy: '1' });
+  assert.equal(isAccessUserDenied(state, '5'), true);
+
+  const entry = setAccessUser(state, 5, 'chatter', { addedBy: '1' });
+  const { addedAt } = entry;
+  assert.equal(isAccessUserDenied(state, 5), false);
+  setAccessUser(state, '5', 'operator');
+  assert.equal(state.users['5'].addedAt, addedAt);
+  assert.equal(state.users['5'].addedBy, '1');
+
+  setAccessUserChatRole(state, 5, '-100:7', 'read-only');
+  assert.deepEqual(state.users['5'].chats, { '-100:7': 'read-only' });
+  assert.equal(setAccessUserChatRole(state, 9, '-100', 'admin'), null);
+
+  assert.equal(removeAccessUser(state, 5), true);
+  assert.equal(removeAccessUser(state, 5), false);
+});
+
+test('mergeAccessUsers lets runtime users override config users', () => {
+  const state = createEmptyAccessUsers();
+  setAccessUser(state, 2, 'admin');
+  const merged = mergeAccessUsers(
+    { defaultRole: 'read-only', users: { 1: 'operator', 2: 'chatter' } },
+    state
+  );
+  assert.equal(merged.defaultRole, 'read-only');
+  assert.deepEqual(merged.users, { 1: 'operator', 2: { role: 'admin', chats: {} } });
+  assert.deepEqual(mergeAccessUsers(undefined, createEmptyAccessUsers()), { users: {} });
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  clearAgentFallbacks,
+  getAgentFallbacks,
+  parseFallbackAgentIds,
+  resolveFallbackChain,
+  setAgentFallbacks,
+} = require('../src/agent-fallbacks');
+
+test('agent-fallbacks management', () => {
+  const fallbacks = new Map();
+  const chatId = 111;
+  const topicId = 222;
+
+  assert.strictEqual(getAgentFallbacks(fallbacks, chatId, topicId), undefined);
+
+  setAgentFallbacks(fallbacks, chatId, topicId, ['claude', 'gemini']);
+  assert.deepStrictEqual(getAgentFallbacks(fallbacks, chatId, topicId), ['claude', 'gemini']);
+
+  clearAgentFallbacks(fallbacks, chatId, topicId);
+  assert.strictEqual(getAgentFallbacks(fallbacks, chatId, topicId), undefined);
+});
+
+test('agent-fallbacks - parses space and comma separated lists', () => {
+  assert.deepStrictEqual(
+    parseFallbackAgentIds('Claude, gemini  claude opencode'),
+    ['claude', 'gemini', 'opencode']
+  );
+  assert.deepStrictEqual(parseFallbackAgentIds(''), []);
+});
+
+test('agent-fallbacks - topic chain wins over the global chain, even when empty', () => {
+  const fallbacks = new Map();
+  const globalFallbacks = ['claude'];
+
+  assert.deepStrictEqual(resolveFallbackChain(fallbacks, 1, 2, globalFallbacks), ['claude']);
+
+  setAgentFallbacks(fallbacks, 1, 2, ['gemini']);
+  assert.deepStrictEqual(resolveFallbackChain(fallbacks, 1, 2, globalFallbacks), ['gemini']);
+
+  setAgentFallbacks(fallbacks, 1, 2, []);
+  assert.deepStrictEqual(resolveFallbackChain(fallbacks, 1, 2, globalFallbacks), []);
+  assert.deepStrictEqual(resolveFallbackChain(fallbacks, 1, 3, globalFallbacks), ['claude']);
+});
@@ -1,7 +1,13 @@
 const assert = require('node:assert/strict');
 const test = require('node:test');
 
-const { getAgent } = require('../src/agents');
+const {
+  getAgent,
+  isKnownAgent,
+  listAgentIds,
+  normalizeAgent,
+  registerCustomAgents,
+} = require('../src/agents');
 
 test('buildAgentCommand uses exec resume with thread id', () => {
   const agent = getAgent('codex');
@@ -193,7 +199,7 @@ test('buildAgentCommand builds claude headless command with resume', () => {
   });
   assert.match(command, /^claude /);
   assert.match(command, /-p 'hello'/);
-  assert.match(command, /--output-format json/);
+  assert.match(command, /--output-format stream-json --verbose/);
   assert.match(command, /--dangerously-skip-permissions/);
   assert.match(command, /--resume '550e8400-e29b-41d4-a716-446655440000'/);
 });
@@ -248,6 +254,75 @@ test('parseStreamingOutput ignores incomplete Claude JSON', () => {
   assert.equal(parsed.text, '');
 });
 
+test('parseStreamingOutput reports Claude tool use and commentary from stream-json', () => {
+  const agent = getAgent('claude');
+  const sessionId = '550e8400-e29b-41d4-a716-446655440000';
+  const events = [
+    { type: 'system', subtype: 'init', session_id: sessionId },
+    {
+      type: 'assistant',
+      session_id: sessionId,
+      message: {
+        content: [
+          { type: 'text', text: 'Voy a correr los tests.' },
+          { type: 'tool_use', id: 't1', name: 'Bash', input: { command: 'npm test' } },
+        ],
+      },
+    },
+    {
+      type: 'user',
+      session_id: sessionId,
+      message: { content: [{ type: 'tool_result', tool_use_id: 't1', content: 'ok' }] },
+    },
+    {
+      type: 'assistant',
+      session_id: sessionId,
+      message: { content: [{ type: 'text', text: 'Todo pasa.' }] },
+    },
+  ].map((event) => JSON.stringify(event));
+
+  const partial = agent.parseStreamingOutput(events.join('\n'));
+  assert.equal(partial.threadId, sessionId);
+  assert.equal(partial.sawFinal, false);
+  assert.deepEqual(partial.commentaryMessages, [
+    'Voy a correr los tests.',
+    'Usando herramienta: Bash (npm test)',
+  ]);
+
+  const output = [
+    ...events,
+    JSON.stringify({
+      type: 'result',
+      subtype: 'success',
+      result: 'Todo pasa.',
+      session_id: sessionId,
+      total_cost_usd: 0.02,
+      usage: { input_tokens: 10, output_tokens: 5 },
+    }),
+  ].join('\r\n');
+  const finished = agent.parseStreamingOutput(output);
+  assert.equal(finished.sawFinal, true);
+  assert.equal(finished.text, 'Todo pasa.');
+
+  const parsed = agent.parseOutput(output);
+  assert.equal(parsed.text, 'Todo pasa.');
+  assert.equal(parsed.threadId, sessionId);
+  assert.equal(parsed.usage.costUsd, 0.02);
+});
+
+test('parseAgentOutput falls back to the last Claude text when the result is missing', () => {
+  const agent = getAgent('claude');
+  const parsed = agent.parseOutput(
+    JSON.stringify({
+      type: 'assistant',
+      session_id: '550e8400-e29b-41d4-a716-446655440000',
+      message: { content: [{ type: 'text', text: 'a medias' }] },
+    })
+  );
+  assert.equal(parsed.sawJson, true);
+  assert.equal(parsed.text, 'a medias');
+});
+
 test('buildAgentCommand builds gemini headless command', () => {
   const agent = getAgent('gemini');
   const command = agent.buildCommand({ prompt: 'hello', threadId: 'session-3' });
@@ -323,8 +398,257 @@ test('parseAgentOutput extracts opencode ndjson result', () => {
   assert.equal(parsed.sawJson, true);
 });
 
+test('parseStreamingOutput separates opencode tool steps from the final answer', () => {
+  const agent = getAgent('opencode');
+  const events = [
+    { type: 'step_start', sessionID: 'sess-1', part: {} },
+    { type: 'text', sessionID: 'sess-1', part: { text: 'Miro el repo.' } },
+    {
+      type: 'tool_use',
+      sessionID: 'sess-1',
+      part: { tool: 'bash', state: { status: 'completed', input: { command: 'ls' } } },
+    },
+    { type: 'step_finish', sessionID: 'sess-1', part: { reason: 'tool-calls', tokens: { input: 5 } } },
+    { type: 'text', sessionID: 'sess-1', part: { text: 'Hay dos ' } },
+    { type: 'text', sessionID: 'sess-1', part: { text: 'archivos.' } },
+  ].map((event) => JSON.stringify(event));
+
+  const partial = agent.parseStreamingOutput(events.join('\n'));
+  assert.equal(partial.threadId, 'sess-1');
+  assert.equal(partial.sawFinal, false);
+  assert.equal(partial.text, '');
+  assert.deepEqual(partial.commentaryMessages, [
+    'Miro el repo.',
+    'Usando herramienta: bash (ls)',
+  ]);
+
+  const output = [
+    ...events,
+    JSON.stringify({ type: 'step_finish', sessionID: 'sess-1', part: { reason: 'stop', tokens: { input: 7 } } }),
+  ].join('\n');
+  const finished = agent.parseStreamingOutput(output);
+  assert.equal(finished.sawFinal, true);
+  assert.equal(finished.text, 'Hay dos archivos.');
+  assert.equal(agent.parseOutput(output).text, 'Hay dos archivos.');
+});
+
 test('listModelsCommand builds opencode models command', () => {
   const agent = getAgent('opencode');
   const command = agent.listModelsCommand();
   assert.match(command, /opencode models/);
 });
+
+test('registerCustomAgents exposes config-defined agents to lookup helpers', (t) => {
+  t.after(() => registerCustomAgents({}));
+  const warnings = [];
+  const registered = registerCustomAgents(
+    {
+      Aider: {
+        command: 'aider --message {prompt} {resume} {modelFlag}',
+        resumeFlag: '--restore {threadId}',
+        modelFlag: '--model {model}',
+      },
+      codex: { command: 'evil' },
+      broken: {},
+    },
+    { warn: (message) => warnings.push(message) }
+  );
+
+  assert.deepEqual(registered, ['aider']);
+  assert.equal(warnings.length, 2);
+  assert.equal(isKnownAgent('aider'), true);
+  assert.equal(normalizeAgent('AIDER'), 'aider');
+  assert.ok(listAgentIds().includes('aider'));
+  assert.equal(getAgent('codex').custom, undefined);
+
+  const command = getAgent('aider').buildCommand({
+    prompt: 'hola',
+    promptExpression: '"$PROMPT"',
+    threadId: 's-1',
+    model: 'gpt-5',
+  });
+  assert.equal(command, `aider --message "$PROMPT" --restore 's-1' --model 'gpt-5'`);
+
+  registerCustomAgents({});
+  assert.equal(isKnownAgent('aider'), false);
+});
+
+test('custom agent appends missing placeholders and parses plain output with a session regex', (t) => {
+  t.after(() => registerCustomAgents({}));
+  registerCustomAgents({
+    local: {
+      command: 'my-agent run',
+      resumeFlag: '--session {threadId}',
+      sessionId: { regex: 'session: ([\\w-]+)' },
+    },
+  });
+  const agent = getAgent('local');
+
+  assert.equal(
+    agent.buildCommand({ prompt: 'hi', threadId: 'abc' }),
+    "my-agent run --session 'abc' 'hi'"
+  );
+  const parsed = agent.parseOutput('\x1B[32mhello\x1B[0m\nsession: abc-1\n');
+  assert.equal(parsed.text, 'hello\nsession: abc-1');
+  assert.equal(parsed.threadId, 'abc-1');
+  assert.equal(parsed.sawJson, false);
+});
+
+test('custom agent parses json output with text and session paths', (t) => {
+  t.after(() => registerCustomAgents({}));
+  registerCustomAgents({
+    jsonagent: {
+      command: 'json-agent {prompt}',
+      output: { format: 'json', textPath: 'result.messages.-1' },
+      sessionId: { path: 'meta.session' },
+    },
+  });
+  const parsed = getAgent('jsonagent').parseOutput(
+    `log line\n${JSON.stringify({ result: { messages: ['a', 'b'] }, meta: { session: 's-9' } })}`
+  );
+  assert.deepEqual(parsed, { text: 'b', threadId: 's-9', sawJson: true });
+});
+
+test('custom agent parses jsonl event streams filtered by event type', (t) => {
+  t.after(() => registerCustomAgents({}));
+  registerCustomAgents({
+    streamer: {
+      command: 'streamer {prompt}',
+      output: {
+        format: 'jsonl',
+        typePath: 'type',
+        textType: 'text',
+        textPath: 'part.text',
+        join: '',
+      },
+      sessionId: { path: 'sessionID', listCommand: 'streamer sessions', regex: '\\[(\\w+)\\]' },
+    },
+  });
+  const agent = getAgent('streamer');
+  const parsed = agent.parseOutput(
+    [
+      JSON.stringify({ type: 'step_start', sessionID: 'sess-1' }),
+      JSON.stringify({ type: 'text', part: { text: 'hi ' } }),
+      JSON.stringify({ type: 'tool', part: { text: 'ignored' } }),
+      JSON.stringify({ type: 'text', part: { text: 'there' } }),
+    ].join('\n')
+  );
+  assert.deepEqual(parsed, { text: 'hi there', threadId: 'sess-1', sawJson: true });
+  assert.equal(agent.listSessionsCommand(), 'streamer sessions');
+  assert.equal(agent.parseSessionList('[old]\n[latest]'), 'latest');
+});
+
+test('custom agents declared with the acp protocol are session-backed', (t) => {
+  t.after(() => registerCustomAgents({}));
+  const warnings = [];
+  registerCustomAgents(
+    {
+      gemini_acp: { command: 'gemini --experimental-acp', label: 'Gemini ACP', protocol: 'ACP' },
+      weird: { command: 'weird', protocol: 'grpc' },
+    },
+    { warn: (message) => warnings.push(message) }
+  );
+
+  assert.deepEqual(getAgent('gemini_acp'), {
+    id: 'gemini_acp',
+    label: 'Gemini ACP',
+    custom: true,
+    backend: 'app-server',
+    protocol: 'acp',
+    command: 'gemini --experimental-acp',
+  });
+  assert.equal(isKnownAgent('weird'), false);
+  assert.match(warnings[0], /unsupported protocol: grpc/);
+});
+
+test('parseAgentOutput reports codex and claude token usage when present', () => {
+  const codex = getAgent('codex').parseOutput(
+    [
+      JSON.stringify({ type: 'item.completed', item: { type: 'message', text: 'ok' } }),
+      JSON.stringify({
+        type: 'turn.completed',
+        usage: {
+          input_tokens: 500,
+          cached_input_tokens: 200,
+          output_tokens: 40,
+          reasoning_output_tokens: 10,
+        },
+      }),
+    ].join('\n')
+  );
+  assert.deepEqual(codex.usage, {
+    inputTokens: 500,
+    cachedInputTokens: 200,
+    outputTokens: 40,
+    reasoningTokens: 10,
+  });
+
+  const claude = getAgent('claude').parseOutput(
+    JSON.stringify({
+      result: 'hola',
+      session_id: '550e8400-e29b-41d4-a716-446655440000',
+      total_cost_usd: 0.0123,
+      usage: {
+        input_tokens: 10,
+        cache_read_input_tokens: 300,
+        cache_creation_input_tokens: 50,
+        output_tokens: 25,
+      },
+      modelUsage: { 'claude-sonnet-4-5': {} },
+    })
+  );
+  assert.deepEqual(claude.usage, {
+    inputTokens: 360,
+    cachedInputTokens: 300,
+    outputTokens: 25,
+    reasoningTokens: 0,
+    costUsd: 0.0123,
+    model: 'claude-sonnet-4-5',
+  });
+  assert.equal(getAgent('claude').parseOutput(JSON.stringify({ result: 'x' })).usage, undefined);
+});
+
+test('parseAgentOutput reports gemini and opencode token usage when present', () => {
+  const gemini = getAgent('gemini').parseOutput(
+    JSON.stringify({
+      response: 'hola',
+      stats: {
+        models: {
+          'gemini-2.5-pro': {
+            tokens: { prompt: 900, cached: 100, candidates: 60, thoughts: 30 },
+          },
+        },
+      },
+    })
+  );
+  assert.deepEqual(gemini.usage, {
+    inputTokens: 900,
+    cachedInputTokens: 100,
+    outputTokens: 60,
+    reasoningTokens: 30,
+    model: 'gemini-2.5-pro',
+  });
+
+  const opencode = getAgent('opencode').parseOutput(
+    [
+      JSON.stringify({ type: 'text', sessionID: 's', part: { text: 'hi' } }),
+      JSON.stringify({
+        type: 'step_finish',
+        sessionID: 's',
+        part: { cost: 0.5, tokens: { input: 100, output: 20, reasoning: 5, cache: { read: 50 } } },
+      }),
+      JSON.stringify({
+        type: 'step_finish',
+        sessionID: 's',
+        part: { cost: 0.25, tokens: { input: 10, output: 2, reasoning: 0, cache: { read: 0 } } },
+      }),
+    ].join('\n')
+  );
+  assert.deepEqual(opencode.usage, {
+    inputTokens: 160,
+    cachedInputTokens: 50,
+    outputTokens: 22,
+    reasoningTokens: 5,
+    costUsd: 0.75,
+  });
+});
@@ -0,0 +1,43 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const {
+  normalizeApprovalTimeouts,
+  resolveApprovalTimeout,
+} = require('../src/approval-timeouts');
+
+test('approval timeouts are off unless configured', () => {
+  const config = normalizeApprovalTimeouts(undefined);
+  assert.equal(resolveApprovalTimeout(config, 'command_execution'), null);
+  assert.equal(resolveApprovalTimeout(config, 'permissions'), null);
+});
+
+test('per-kind approval timeouts inherit from default', () => {
+  const warnings = [];
+  const config = normalizeApprovalTimeouts(
+    {
+      default: { timeoutSeconds: 600, reminderSeconds: 120 },
+      file_change: { decision: 'cancel', reminderSeconds: 0 },
+      permissions: { timeoutSeconds: 60, reminderSeconds: 90, decision: 'maybe' },
+      elicitation: { timeoutSeconds: 5 },
+    },
+    { warn: (message) => warnings.push(message) }
+  );
+
+  assert.deepEqual(resolveApprovalTimeout(config, 'command_execution'), {
+    decision: 'decline',
+    reminderMs: 120_000,
+    timeoutMs: 600_000,
+  });
+  assert.deepEqual(resolveApprovalTimeout(config, 'file_change'), {
+    decision: 'cancel',
+    reminderMs: null,
+    timeoutMs: 600_000,
+  });
+  assert.deepEqual(resolveApprovalTimeout(config, 'permissions'), {
+    decision: 'decline',
+    reminderMs: null,
+    timeoutMs: 60_000,
+  });
+  assert.equal(warnings.length, 2);
+});
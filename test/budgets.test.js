@@ -0,0 +1,167 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const {
+  createBudgetCounters,
+  evaluateBudgetLimit,
+  getBudgetPeriodStart,
+  normalizeBudgetConfig,
+  resolveBudgetDecision,
+} = require('../src/budgets');
+const { normalizeUsageRecord } = require('../src/services/usage-store');
+
+const NOW = new Date('2026-03-15T12:00:00');
+
+function buildRecords(entries) {
+  return entries.map((entry) =>
+    normalizeUsageRecord({ agentId: 'codex', createdAt: NOW, ...entry })
+  );
+}
+
+test('normalizeBudgetConfig keeps valid limits and skips invalid ones', () => {
+  const warnings = [];
+  const config = normalizeBudgetConfig(
+    {
+      downgradeModels: { 'Codex-App': 'gpt-5-mini', claude: '' },
+      limits: [
+        { scope: 'chat', id: -100, maxTokens: 1000 },
+        { scope: 'user', period: 'month', maxRuns: '20', action: 'downgrade' },
+        { scope: 'galaxy', maxRuns: 1 },
+        { scope: 'job', id: 'daily' },
+        { scope: 'topic', maxRuns: 1, action: 'explode' },
+      ],
+    },
+    { warn: (message) => warnings.push(message) }
+  );
+
+  assert.deepEqual(config.limits, [
+    { scope: 'chat', id: '-100', period: 'day', action: 'block', maxRuns: null, maxTokens: 1000 },
+    { scope: 'user', id: '*', period: 'month', action: 'downgrade', maxRuns: 20, maxTokens: null },
+  ]);
+  assert.deepEqual(config.downgradeModels, { 'codex-app': 'gpt-5-mini' });
+  assert.equal(warnings.length, 3);
+  assert.deepEqual(normalizeBudgetConfig(undefined), { limits: [], downgradeModels: {} });
+});
+
+test('getBudgetPeriodStart returns local midnight or the first of the month', () => {
+  assert.equal(getBudgetPeriodStart('day', NOW).getTime(), new Date('2026-03-15T00:00:00').getTime());
+  assert.equal(getBudgetPeriodStart('month', NOW).getTime(), new Date('2026-03-01T00:00:00').getTime());
+});
+
+test('evaluateBudgetLimit counts runs and tokens per scope value within the period', () => {
+  const records = buildRecords([
+    { chatId: 1, topicId: 5, userId: 7, inputTokens: 400, outputTokens: 100 },
+    { chatId: 1, topicId: 5, userId: 8, inputTokens: 300, outputTokens: 0 },
+    { chatId: 1, userId: 7, contextKey: 'cron:daily', inputTokens: 50 },
+    { chatId: 1, userId: 7, createdAt: '2026-03-14T23:00:00', inputTokens: 9999 },
+  ]);
+  const [perUser] = normalizeBudgetConfig({
+    limits: [{ scope: 'user', maxRuns: 2 }],
+  }).limits;
+  const userUsage = evaluateBudgetLimit(perUser, records, { chatId: 1, userId: 7 }, NOW);
+  assert.equal(userUsage.runs, 2);
+  assert.equal(userUsage.tokens, 550);
+  assert.equal(userUsage.exceeded, true);
+  assert.equal(
+    evaluateBudgetLimit(perUser, records, { chatId: 1, userId: 8 }, NOW).exceeded,
+    false
+  );
+  assert.equal(evaluateBudgetLimit(perUser, records, { chatId: 1 }, NOW), null);
+
+  const [topic] = normalizeBudgetConfig({
+    limits: [{ scope: 'topic', id: '1:5', maxTokens: 900 }],
+  }).limits;
+  assert.equal(evaluateBudgetLimit(topic, records, { chatId: 1, topicId: 5 }, NOW).tokens, 800);
+  assert.equal(evaluateBudgetLimit(topic, records, { chatId: 1 }, NOW), null);
+
+  const [job] = normalizeBudgetConfig({
+    limits: [{ scope: 'job', id: 'daily', maxRuns: 1 }],
+  }).limits;
+  assert.equal(
+    evaluateBudgetLimit(job, records, { chatId: 1, contextKey: 'cron:daily' }, NOW).exceeded,
+    true
+  );
+});
+
+test('resolveBudgetDecision prefers blocking limits over downgrades', () => {
+  const records = buildRecords([{ chatId: 1, inputTokens: 1000 }]);
+  const downgradeOnly = normalizeBudgetConfig({
+    downgradeModels: { codex: 'gpt-5-mini' },
+    limits: [{ scope: 'chat', maxTokens: 500, action: 'downgrade' }],
+  });
+  const decision = resolveBudgetDecision(downgradeOnly, records, { chatId: 1 }, NOW);
+  assert.equal(decision.action, 'downgrade');
+  assert.deepEqual(decision.models, { codex: 'gpt-5-mini' });
+  assert.equal(decision.summary, 'chat 1: 1000/500 tokens today');
+
+  const withBlock = normalizeBudgetConfig({
+    limits: [
+      { scope: 'chat', maxTokens: 500, action: 'downgrade' },
+      { scope: 'chat', period: 'month', maxRuns: 1 },
+    ],
+  });
+  const blocked = resolveBudgetDecision(withBlock, records, { chatId: 1 }, NOW);
+  assert.equal(blocked.action, 'block');
+  assert.equal(blocked.summary, 'chat 1: 1/1 runs this month');
+  assert.equal(resolveBudgetDecision(withBlock, records, { chatId: 2 }, NOW), null);
+});
+
+test('createBudgetCounters loads usage once and counts recorded runs in memory', async () => {
+  let loads = 0;
+  let now = NOW;
+  const counters = createBudgetCounters({
+    loadRecords: async () => {
+      loads += 1;
+      return buildRecords([
+        { id: 'a', chatId: 1, inputTokens: 300 },
+        { id: 'b', chatId: 1, createdAt: '2026-03-02T09:00:00', inputTokens: 200 },
+        { id: 'c', chatId: 1, createdAt: '2026-02-27T09:00:00', inputTokens: 9999 },
+      ]);
+    },
+    now: () => now,
+  });
+  const config = normalizeBudgetConfig({
+    limits: [
+      { scope: 'chat', maxRuns: 2 },
+      { scope: 'chat', period: 'month', maxTokens: 1000, action: 'downgrade' },
+    ],
+  });
+
+  assert.equal(await counters.resolveDecision(config, { chatId: 1 }), null);
+  assert.deepEqual(counters.getTotals('chat', '1', 'month'), { runs: 2, tokens: 500 });
+
+  counters.record(buildRecords([{ id: 'd', chatId: 1, userId: 7, outputTokens: 600 }])[0]);
+  const decision = await counters.resolveDecision(config, { chatId: 1 });
+  assert.equal(decision.action, 'block');
+  assert.equal(decision.summary, 'chat 1: 2/2 runs today');
+  assert.deepEqual(counters.getTotals('user', '7', 'day'), { runs: 1, tokens: 600 });
+  assert.equal(loads, 1);
+
+  now = new Date('2026-04-01T08:00:00');
+  assert.deepEqual(counters.getTotals('chat', '1', 'month'), { runs: 0, tokens: 0 });
+});
+
+test('createBudgetCounters merges runs recorded while the log is loading', async () => {
+  let finishLoad;
+  const counters = createBudgetCounters({
+    loadRecords: () =>
+      new Promise((resolve) => {
+        finishLoad = resolve;
+      }),
+    now: () => NOW,
+  });
+  const [early, late] = buildRecords([
+    { id: 'early', chatId: 1 },
+    { id: 'late', chatId: 1 },
+  ]);
+
+  counters.record(early);
+  const loading = counters.load();
+  counters.record(early);
+  counters.record(late);
+  await new Promise((resolve) => setImmediate(resolve));
+  finishLoad([early]);
+  await loading;
+
+  assert.deepEqual(counters.getTotals('chat', '1', 'day'), { runs: 2, tokens: 0 });
+});
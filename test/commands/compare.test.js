@@ -0,0 +1,121 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { getAgent, isKnownAgent, normalizeAgent } = require('../../src/agents');
+const { parseCompareArgs, registerCompareCommand } = require('../../src/commands/compare');
+const { extractCommandValue } = require('../../src/message-utils');
+const { buildThreadKey, buildTopicKey } = require('../../src/thread-store');
+
+function setupCompare(overrides = {}) {
+  const handlers = new Map();
+  const replies = [];
+  const responses = [];
+  const runCalls = [];
+  const threads = new Map([['1:77:codex', 'topic-session']]);
+
+  registerCompareCommand({
+    bot: {
+      command(name, handler) {
+        handlers.set(name, handler);
+      },
+    },
+    buildThreadKey,
+    buildTopicKey,
+    enqueue: (_key, fn) => fn(),
+    extractCommandValue,
+    getAgentLabel: (agentId) => getAgent(agentId).label,
+    getThreads: () => threads,
+    getTopicId: (ctx) => ctx.message.message_thread_id,
+    isKnownAgent,
+    normalizeAgent,
+    persistThreads: async () => {},
+    replyWithError: async () => {},
+    replyWithResponse: async (_ctx, text) => {
+      responses.push(text);
+    },
+    runAgentForChat: async (chatId, prompt, options) => {
+      runCalls.push({ chatId, prompt, ...options });
+      threads.set(buildThreadKey(chatId, options.topicId, options.agentId, options.contextKey), 'tmp');
+      if (options.agentId === 'gemini') {
+        throw new Error('gemini exploded');
+      }
+      return `${options.agentId} says hi`;
+    },
+    startTyping: () => () => {},
+    ...overrides,
+  });
+
+  const send = (text) =>
+    handlers.get('compare')({
+      chat: { id: 1 },
+      message: { text, message_thread_id: 77 },
+      reply: async (message, extra) => {
+        replies.push({ message, extra });
+      },
+    });
+
+  return { replies, responses, runCalls, send, threads };
+}
+
+test('parseCompareArgs splits agents, flags and prompt', () => {
+  assert.deepEqual(parseCompareArgs('codex,Claude --single hola mundo'), {
+    agentIds: ['codex', 'claude'],
+    prompt: 'hola mundo',
+    single: true,
+  });
+  assert.equal(parseCompareArgs('codex,claude'), null);
+  assert.equal(parseCompareArgs(''), null);
+});
+
+test('/compare fans out to each agent in an isolated context and labels the answers', async () => {
+  const { responses, runCalls, send, threads } = setupCompare();
+
+  await send('/compare codex,claude,gemini ¿Qué hora es?');
+
+  assert.deepEqual(
+    runCalls.map(({ agentId, prompt, topicId, fallback }) => ({ agentId, prompt, topicId, fallback })),
+    [
+      { agentId: 'codex', prompt: '¿Qué hora es?', topicId: 77, fallback: false },
+      { agentId: 'claude', prompt: '¿Qué hora es?', topicId: 77, fallback: false },
+      { agentId: 'gemini', prompt: '¿Qué hora es?', topicId: 77, fallback: false },
+    ]
+  );
+  const contextKeys = new Set(runCalls.map((call) => call.contextKey));
+  assert.equal(contextKeys.size, 1);
+  assert.match([...contextKeys][0], /^compare:/);
+
+  assert.equal(responses.length, 3);
+  assert.match(responses[0], /^\*\*codex · \d+\.\ds\*\*\n\ncodex says hi$/);
+  assert.match(responses[1], /^\*\*claude · \d+\.\ds\*\*\n\nclaude says hi$/);
+  assert.match(responses[2], /^\*\*gemini · failed after \d+\.\ds\*\*\n\ngemini exploded$/);
+
+  assert.deepEqual([...threads.entries()], [['1:77:codex', 'topic-session']]);
+});
+
+test('/compare --single posts one message with expandable sections', async () => {
+  const { replies, responses, send } = setupCompare();
+
+  await send('/compare codex,claude --single <hola>');
+
+  assert.equal(responses.length, 0);
+  assert.equal(replies.length, 1);
+  assert.equal(replies[0].extra.parse_mode, 'HTML');
+  assert.match(
+    replies[0].message,
+    /<b>codex · \d+\.\ds<\/b>\n<blockquote expandable>codex says hi<\/blockquote>/
+  );
+  assert.match(replies[0].message, /<b>claude · \d+\.\ds<\/b>/);
+});
+
+test('/compare rejects unknown agents and single-agent comparisons', async () => {
+  const { replies, runCalls, send } = setupCompare();
+
+  await send('/compare codex,nope hola');
+  await send('/compare codex,CODEX hola');
+  await send('/compare');
+
+  assert.equal(runCalls.length, 0);
+  assert.match(replies[0].message, /Unknown agent: nope/);
+  assert.match(replies[1].message, /at least two different agents/);
+  assert.match(replies[2].message, /^Usage: \/compare/);
+});
@@ -19,7 +19,7 @@ test('/model uses the effective topic agent when listing models', async () => {
     clearAgentOverride: () => {},
     clearModelOverride: (models) => ({ hadOverride: false, nextModels: models }),
     clearThreadForAgent: () => {},
-    curateMemory: async () => {},
+    curateMemoryOnReset: async () => {},
     execLocal: async () => {
       throw new Error('execLocal should not be used when listAgentModels is provided');
     },
@@ -87,7 +87,7 @@ test('/thinking lists codex-app reasoning efforts from app-server metadata', asy
     clearAgentOverride: () => {},
     clearModelOverride: (models) => ({ hadOverride: false, nextModels: models }),
     clearThreadForAgent: () => {},
-    curateMemory: async () => {},
+    curateMemoryOnReset: async () => {},
     execLocal: async () => '',
     extractCommandValue: () => '',
     getAgent,
@@ -157,7 +157,7 @@ test('/thinking persists the selected reasoning effort', async () => {
     clearAgentOverride: () => {},
     clearModelOverride: (models) => ({ hadOverride: false, nextModels: models }),
     clearThreadForAgent: () => {},
-    curateMemory: async () => {},
+    curateMemoryOnReset: async () => {},
     execLocal: async () => '',
     extractCommandValue: () => 'high',
     getAgent,
@@ -225,7 +225,7 @@ test('/fast toggles codex-app service tier between fast and default', async () =
     clearAgentOverride: () => {},
     clearModelOverride: (models) => ({ hadOverride: false, nextModels: models }),
     clearThreadForAgent: () => {},
-    curateMemory: async () => {},
+    curateMemoryOnReset: async () => {},
     execLocal: async () => '',
     extractCommandValue: () => '',
     getAgent,
@@ -293,7 +293,7 @@ test('/fast rejects agents other than codex-app', async () => {
     clearAgentOverride: () => {},
     clearModelOverride: (models) => ({ hadOverride: false, nextModels: models }),
     clearThreadForAgent: () => {},
-    curateMemory: async () => {},
+    curateMemoryOnReset: async () => {},
     execLocal: async () => '',
     extractCommandValue: () => '',
     getAgent,
@@ -338,3 +338,89 @@ test('/fast rejects agents other than codex-app', async () => {
 
   assert.match(replies[0], /only supported for codex-app/i);
 });
+
+test('/fallback stores a per-topic chain and rejects unknown agents', async () => {
+  const handlers = new Map();
+  const replies = [];
+  const topicFallbacks = new Map();
+  let persisted = 0;
+  const { extractCommandValue } = require('../../src/message-utils');
+  const { isKnownAgent, normalizeAgent } = require('../../src/agents');
+  const { parseFallbackAgentIds } = require('../../src/agent-fallbacks');
+
+  registerSettingsCommands({
+    bot: {
+      command(name, handler) {
+        handlers.set(name, handler);
+      },
+    },
+    buildTopicKey: () => '1:77',
+    clearAgentFallbacks: (_chatId, topicId) => topicFallbacks.delete(topicId),
+    clearAgentOverride: () => {},
+    clearModelOverride: (models) => ({ hadOverride: false, nextModels: models }),
+    clearThreadForAgent: () => {},
+    curateMemoryOnReset: async () => {},
+    execLocal: async () => '',
+    extractCommandValue,
+    getAgent,
+    getAgentFallbacks: (_chatId, topicId) => topicFallbacks.get(topicId),
+    getAgentLabel: (agentId) => getAgent(agentId).label,
+    getAgentOverride: () => 'codex',
+    getGlobalAgent: () => 'codex',
+    getGlobalFallbackAgents: () => ['gemini'],
+    getGlobalModels: () => ({}),
+    getGlobalServiceTiers: () => ({}),
+    getGlobalThinking: () => null,
+    getTopicId: (ctx) => ctx.message.message_thread_id,
+    isKnownAgent,
+    isModelResetCommand: () => false,
+    normalizeAgent,
+    normalizeTopicId: (value) => value || 'root',
+    parseFallbackAgentIds,
+    persistAgentFallbacks: async () => {
+      persisted += 1;
+    },
+    persistAgentOverrides: async () => {},
+    persistMemory: async () => {},
+    persistThreads: async () => {},
+    replyWithError: async () => {},
+    setAgentFallbacks: (_chatId, topicId, agentIds) => {
+      topicFallbacks.set(topicId, agentIds);
+    },
+    setAgentOverride: () => {},
+    setGlobalAgent: () => {},
+    setGlobalFallbackAgents: () => {},
+    setGlobalModels: () => {},
+    setGlobalServiceTiers: () => {},
+    setGlobalThinking: () => {},
+    setMemoryEventsSinceCurate: () => {},
+    startTyping: () => () => {},
+    threadTurns: new Map(),
+    updateConfig: async () => {},
+    wrapCommandWithPty: (value) => value,
+  });
+
+  const handler = handlers.get('fallback');
+  const send = (text) =>
+    handler({
+      chat: { id: 1 },
+      message: { text, message_thread_id: 77 },
+      reply: async (message) => {
+        replies.push(message);
+      },
+    });
+
+  await send('/fallback');
+  await send('/fallback claude, opencode');
+  await send('/fallback nope');
+  await send('/fallback off');
+  await send('/fallback default');
+
+  assert.match(replies[0], /Fallback agents \(global\): gemini/);
+  assert.match(replies[1], /set to claude → opencode/);
+  assert.match(replies[2], /Unknown agent: nope/);
+  assert.match(replies[3], /set to disabled/);
+  assert.match(replies[4], /Now using global fallback agents: gemini/);
+  assert.equal(topicFallbacks.has(77), false);
+  assert.equal(persisted, 3);
+});
@@ -0,0 +1,90 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { extractCommandValue } = require('../../src/message-utils');
+const { registerTraceCommands } = require('../../src/commands/trace');
+
+function setup(overrides = {}) {
+  const handlers = new Map();
+  const verboseTopics = new Set();
+  registerTraceCommands({
+    bot: {
+      command(name, handler) {
+        handlers.set(name, handler);
+      },
+    },
+    extractCommandValue,
+    getCodexAppThreadId: () => 'thread-1',
+    getCodexTurnTimeline: () => null,
+    getTopicId: (ctx) => ctx.message.message_thread_id,
+    isVerboseTopic: (chatId, topicId) => verboseTopics.has(`${chatId}:${topicId}`),
+    replyWithError: async () => {},
+    setVerboseTopic: async (chatId, topicId, enabled) => {
+      if (enabled) verboseTopics.add(`${chatId}:${topicId}`);
+      else verboseTopics.delete(`${chatId}:${topicId}`);
+    },
+    ...overrides,
+  });
+  return { handlers, verboseTopics };
+}
+
+function createCtx(text, replies, documents = []) {
+  return {
+    chat: { id: 1 },
+    message: { text, message_thread_id: 7 },
+    reply: async (value) => {
+      replies.push(value);
+    },
+    replyWithDocument: async (document) => {
+      documents.push(document);
+    },
+  };
+}
+
+test('/verbose toggles verbose progress for the current topic', async () => {
+  const { handlers, verboseTopics } = setup();
+  const replies = [];
+
+  await handlers.get('verbose')(createCtx('/verbose on', replies));
+  assert.deepEqual([...verboseTopics], ['1:7']);
+  await handlers.get('verbose')(createCtx('/verbose', replies));
+  await handlers.get('verbose')(createCtx('/verbose off', replies));
+  await handlers.get('verbose')(createCtx('/verbose maybe', replies));
+
+  assert.equal(verboseTopics.size, 0);
+  assert.match(replies[0], /Verbose progress on/);
+  assert.equal(replies[1], 'Verbose progress is on for this topic. Use /verbose on|off.');
+  assert.equal(replies[2], 'Verbose progress off for this topic.');
+  assert.equal(replies[3], 'Use /verbose on|off.');
+});
+
+test('/trace sends the last turn timeline as a document', async () => {
+  const { handlers } = setup({
+    getCodexTurnTimeline: (threadId) => ({
+      completedAt: 2000,
+      entries: [{ at: 1500, item: { id: 'cmd-1', type: 'commandExecution', command: 'ls' }, source: 'started' }],
+      startedAt: 1000,
+      status: 'completed',
+      threadId,
+      turnId: 'turn-9',
+    }),
+  });
+  const replies = [];
+  const documents = [];
+
+  await handlers.get('trace')(createCtx('/trace', replies, documents));
+
+  assert.deepEqual(replies, []);
+  assert.equal(documents.length, 1);
+  assert.equal(documents[0].filename, 'trace-turn-9.txt');
+  assert.match(documents[0].source.toString('utf8'), /started commandExecution cmd-1/);
+});
+
+test('/trace explains when no turn was recorded', async () => {
+  const { handlers } = setup();
+  const replies = [];
+
+  await handlers.get('trace')(createCtx('/trace', replies));
+
+  assert.deepEqual(replies, ['No codex-app turn recorded for this topic since the bot started.']);
+});
@@ -0,0 +1,100 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { parseUsageArgs, registerUsageCommand } = require('../../src/commands/usage');
+const { extractCommandValue } = require('../../src/message-utils');
+const { normalizeUsageRecord } = require('../../src/services/usage-store');
+
+function setupUsage(records) {
+  const handlers = new Map();
+  const replies = [];
+
+  registerUsageCommand({
+    bot: {
+      command(name, handler) {
+        handlers.set(name, handler);
+      },
+    },
+    extractCommandValue,
+    getAgentLabel: (agentId) => agentId,
+    getTopicId: (ctx) => ctx.message.message_thread_id,
+    loadUsageRecords: async () => records.map(normalizeUsageRecord),
+    replyWithError: async () => {},
+  });
+
+  const send = (text, topicId) =>
+    handlers.get('usage')({
+      chat: { id: 1 },
+      message: { text, message_thread_id: topicId },
+      reply: async (message) => {
+        replies.push(message);
+      },
+    });
+
+  return { replies, send };
+}
+
+test('parseUsageArgs understands today, week, job and topic scopes', () => {
+  const now = new Date('2026-03-10T15:00:00');
+  const today = parseUsageArgs('', now);
+  assert.equal(today.scope, 'today');
+  assert.equal(today.filters.since.getHours(), 0);
+  assert.equal(today.filters.since.getDate(), 10);
+  assert.equal(
+    parseUsageArgs('week', now).filters.since.getTime(),
+    now.getTime() - 7 * 24 * 60 * 60 * 1000
+  );
+  assert.deepEqual(parseUsageArgs('job daily', now), {
+    scope: 'job',
+    jobId: 'daily',
+    filters: { jobId: 'daily' },
+  });
+  assert.deepEqual(parseUsageArgs('topic', now), { scope: 'topic', filters: {} });
+  assert.equal(parseUsageArgs('job', now), null);
+  assert.equal(parseUsageArgs('forever', now), null);
+});
+
+test('/usage reports per-agent totals for the chosen scope', async () => {
+  const { replies, send } = setupUsage([
+    {
+      agentId: 'codex',
+      chatId: 1,
+      topicId: 5,
+      model: 'gpt-5',
+      serviceTier: 'fast',
+      contextKey: 'cron:daily',
+      inputTokens: 2000,
+      outputTokens: 100,
+      durationMs: 3000,
+    },
+    { agentId: 'claude', chatId: 1, inputTokens: 50, durationMs: 1000 },
+    { agentId: 'gemini', chatId: 2, inputTokens: 50, durationMs: 1000 },
+    { agentId: 'codex', chatId: 3, contextKey: 'cron:elsewhere', inputTokens: 70, durationMs: 1000 },
+  ]);
+
+  await send('/usage job daily');
+  assert.equal(
+    replies.at(-1),
+    [
+      'Usage (cron job daily)',
+      'Total: 1 run · in 2.0k · out 100 · avg 3.0s',
+      '- codex / gpt-5 / fast: 1 run · in 2.0k · out 100 · avg 3.0s',
+    ].join('\n')
+  );
+
+  await send('/usage topic', 5);
+  assert.match(replies.at(-1), /^Usage \(this topic\)\nTotal: 1 run/);
+
+  await send('/usage topic');
+  assert.match(replies.at(-1), /- claude: 1 run · in 50/);
+  assert.doesNotMatch(replies.at(-1), /gemini/);
+
+  await send('/usage job elsewhere');
+  assert.match(replies.at(-1), /^Usage \(cron job elsewhere\)\nTotal: 1 run · in 70/);
+
+  await send('/usage job missing');
+  assert.equal(replies.at(-1), 'Usage (cron job missing)\nNo runs recorded.');
+
+  await send('/usage nope');
+  assert.match(replies.at(-1), /^Usage: \/usage/);
+});
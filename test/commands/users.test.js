@@ -0,0 +1,108 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { createEmptyAccessUsers, mergeAccessUsers } = require('../../src/access-users');
+const { registerUsersCommand } = require('../../src/commands/users');
+const { extractCommandValue } = require('../../src/message-utils');
+const { normalizeAccessConfig } = require('../../src/roles');
+const { buildTopicKey } = require('../../src/thread-store');
+
+function setupUsers({ configAccess = {}, envUserIds = new Set() } = {}) {
+  const handlers = new Map();
+  const replies = [];
+  const persisted = [];
+  const state = createEmptyAccessUsers();
+  let access = normalizeAccessConfig(configAccess, { allowedUserIds: envUserIds });
+
+  registerUsersCommand({
+    bot: {
+      command(name, handler) {
+        handlers.set(name, handler);
+      },
+    },
+    buildTopicKey,
+    extractCommandValue,
+    getAccessConfig: () => access,
+    getAccessSources: () => ({
+      configUserIds: new Set(Object.keys(configAccess.users || {})),
+      envUserIds,
+    }),
+    getAccessUsers: () => state,
+    getTopicId: (ctx) => ctx.message.message_thread_id,
+    persistAccessUsers: async ({ actorId }) => {
+      persisted.push(actorId);
+      access = normalizeAccessConfig(mergeAccessUsers(configAccess, state), {
+        allowedUserIds: envUserIds,
+      });
+    },
+    replyWithError: async () => {},
+  });
+
+  const send = (text, { chatId = 1, topicId } = {}) =>
+    handlers.get('users')({
+      chat: { id: chatId },
+      from: { id: 1 },
+      message: { text, message_thread_id: topicId },
+      reply: async (message) => {
+        replies.push(message);
+      },
+    });
+
+  return { persisted, replies, send, state };
+}
+
+test('/users add and role persist runtime users', async () => {
+  const { persisted, replies, send, state } = setupUsers({
+    configAccess: { users: { 1: 'admin' } },
+  });
+
+  await send('/users add 42');
+  await send('/users role 42 operator');
+  await send('/users role 42 read-only here', { chatId: -100, topicId: 7 });
+
+  assert.deepEqual(replies, [
+    'User 42 added as chatter.',
+    'User 42 is now operator.',
+    'User 42 is now read-only in -100:7.',
+  ]);
+  assert.equal(state.users['42'].role, 'operator');
+  assert.deepEqual(state.users['42'].chats, { '-100:7': 'read-only' });
+  assert.deepEqual(persisted, ['1', '1', '1']);
+
+  await send('/users');
+  assert.match(replies.at(-1), /- 1 admin \(config\.json\)/);
+  assert.match(replies.at(-1), /- 42 operator, -100:7: read-only \(runtime\)/);
+});
+
+test('/users remove reports users that still have access elsewhere', async () => {
+  const { replies, send } = setupUsers({
+    configAccess: { users: { 1: 'admin' } },
+    envUserIds: new Set(['42']),
+  });
+
+  await send('/users remove 42');
+  await send('/users add 42 operator');
+  await send('/users remove 42');
+  await send('/users remove 1');
+
+  assert.deepEqual(replies, [
+    'User 42 was not added with /users (source: ALLOWED_USERS).',
+    'User 42 added as operator.',
+    'User 42 removed from users.json, but still has access through ALLOWED_USERS.',
+    'You cannot remove or change your own role.',
+  ]);
+});
+
+test('/users rejects unknown subcommands and roles', async () => {
+  const { persisted, replies, send } = setupUsers();
+
+  await send('/users promote 42');
+  await send('/users add 42 root');
+  await send('/users');
+
+  assert.match(replies[0], /^Usage:/);
+  assert.match(replies[1], /^Unknown role: root\./);
+  assert.match(replies[2], /Role checks are off/);
+  assert.match(replies[2], /open to everyone/);
+  assert.deepEqual(persisted, []);
+});
@@ -0,0 +1,72 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { extractCommandValue } = require('../../src/message-utils');
+const { registerWorkspaceCommand } = require('../../src/commands/workspace');
+
+const WORKSPACES = [
+  { cwd: '/srv/api', dedicatedServer: true, id: 'api', sandbox: 'workspace-write' },
+  { cwd: '/srv/web', dedicatedServer: false, id: 'web', sandbox: 'danger-full-access' },
+];
+
+function setup(workspaces = WORKSPACES) {
+  const handlers = new Map();
+  const bindings = new Map();
+  registerWorkspaceCommand({
+    bot: {
+      command(name, handler) {
+        handlers.set(name, handler);
+      },
+    },
+    extractCommandValue,
+    getTopicId: (ctx) => ctx.message.message_thread_id,
+    getTopicWorkspace: (chatId, topicId) =>
+      workspaces.find((entry) => entry.id === bindings.get(`${chatId}:${topicId}`)) || null,
+    listWorkspaces: () => workspaces,
+    replyWithError: async () => {},
+    setTopicWorkspace: async (chatId, topicId, workspaceId) => {
+      if (workspaceId) bindings.set(`${chatId}:${topicId}`, workspaceId);
+      else bindings.delete(`${chatId}:${topicId}`);
+    },
+  });
+  return { bindings, handler: handlers.get('workspace') };
+}
+
+function createCtx(text, replies) {
+  return {
+    chat: { id: 1 },
+    message: { text, message_thread_id: 7 },
+    reply: async (value) => {
+      replies.push(value);
+    },
+  };
+}
+
+test('/workspace binds, shows, and clears the topic workspace', async () => {
+  const { bindings, handler } = setup();
+  const replies = [];
+
+  await handler(createCtx('/workspace', replies));
+  await handler(createCtx('/workspace API', replies));
+  await handler(createCtx('/workspace', replies));
+  await handler(createCtx('/workspace nope', replies));
+  await handler(createCtx('/workspace default', replies));
+
+  assert.match(replies[0], /^This topic uses the default workspace\./);
+  assert.match(replies[0], /- api \(\/srv\/api, workspace-write, dedicated app-server\)/);
+  assert.equal(
+    replies[1],
+    'Workspace for this topic set to api (/srv/api, workspace-write, dedicated app-server). New codex-app turns run there.'
+  );
+  assert.match(replies[2], /^Workspace for this topic: api/);
+  assert.equal(replies[3], 'Unknown workspace "nope". Available: api, web.');
+  assert.equal(replies[4], 'This topic now uses the default workspace.');
+  assert.equal(bindings.size, 0);
+});
+
+test('/workspace explains how to configure workspaces when none exist', async () => {
+  const { handler } = setup([]);
+  const replies = [];
+  await handler(createCtx('/workspace api', replies));
+  assert.deepEqual(replies, ['No workspaces configured. Add them under "workspaces" in config.json.']);
+});
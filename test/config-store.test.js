@@ -112,3 +112,12 @@ test('saveThreads writes and loadThreads reads threads', async () => {
   const raw = await fs.readFile(THREADS_PATH, 'utf8');
   assert.deepEqual(JSON.parse(raw), { 123: 'thread-123', '-456': 'thread-456' });
 });
+
+test('saveUsers persists runtime users next to config.json', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipal-config-'));
+  const { CONFIG_PATH, USERS_PATH, loadUsers, saveUsers } = loadConfigStore(dir);
+  assert.deepEqual(await loadUsers(), {});
+  await saveUsers({ users: { 42: { role: 'chatter' } }, denied: {} });
+  assert.equal(path.dirname(USERS_PATH), path.dirname(CONFIG_PATH));
+  assert.deepEqual(await loadUsers(), { users: { 42: { role: 'chatter' } }, denied: {} });
+});
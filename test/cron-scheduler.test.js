@@ -106,6 +106,7 @@ test('buildCronTriggerPayload mirrors scheduler delivery fields', async () => {
     options: {
       jobId: 'nightly-interests',
       agent: 'codex',
+      fallback: false,
       topicId: 2801,
       scheduledAt: '2026-03-10T10:00:00.000Z',
       attempt: 2,
@@ -113,6 +114,23 @@ test('buildCronTriggerPayload mirrors scheduler delivery fields', async () => {
   });
 });
 
+test('buildCronTriggerPayload only enables the fallback chain when the job opts in', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipal-cron-'));
+  const { buildCronTriggerPayload } = loadCronScheduler(dir);
+
+  const optedIn = buildCronTriggerPayload(
+    { id: 'flaky', prompt: 'run', fallback: true },
+    123456
+  );
+  const truthyString = buildCronTriggerPayload(
+    { id: 'flaky', prompt: 'run', fallback: 'yes' },
+    123456
+  );
+
+  assert.equal(optedIn.options.fallback, true);
+  assert.equal(truthyString.options.fallback, false);
+});
+
 test('scheduler triggers the current slot on a fresh start', async () => {
   const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipal-cron-'));
   const { saveCronJobs, startCronScheduler } = loadCronScheduler(dir);
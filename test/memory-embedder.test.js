@@ -0,0 +1,96 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { createMemoryEmbedder, normalizeVector } = require('../src/memory-embedder');
+
+function createLogger() {
+  const warnings = [];
+  return { warn: (message) => warnings.push(message), warnings };
+}
+
+test('createMemoryEmbedder returns null when disabled or misconfigured', () => {
+  const logger = createLogger();
+  assert.equal(createMemoryEmbedder({ provider: 'off' }), null);
+  assert.equal(createMemoryEmbedder({ logger, provider: 'command' }), null);
+  assert.equal(createMemoryEmbedder({ logger, provider: 'magic' }), null);
+  assert.equal(logger.warnings.length, 2);
+});
+
+test('command embedder sends texts on stdin and normalizes the vectors', async () => {
+  const script = [
+    "let input = '';",
+    "process.stdin.on('data', (chunk) => { input += chunk; });",
+    "process.stdin.on('end', () => {",
+    '  const { texts } = JSON.parse(input);',
+    '  console.log(JSON.stringify({ vectors: texts.map((text) => [text.length, 0]) }));',
+    '});',
+  ].join('\n');
+  const embedder = createMemoryEmbedder({
+    command: `'${process.execPath}' -e "${script.replace(/"/g, '\\"')}"`,
+    provider: 'command',
+  });
+
+  assert.match(embedder.id, /^command:/);
+  const vectors = await embedder.embed(['deploy', 'go']);
+  assert.deepEqual(vectors, [
+    [1, 0],
+    [1, 0],
+  ]);
+});
+
+test('command embedder rejects output that does not match the inputs', async () => {
+  const embedder = createMemoryEmbedder({
+    command: "echo '[[1, 2]]'",
+    provider: 'command',
+  });
+  await assert.rejects(embedder.embed(['a', 'b']), /returned 1 vectors for 2 texts/);
+});
+
+test('local embedder loads the transformers pipeline once', async () => {
+  const imports = [];
+  const embedder = createMemoryEmbedder({
+    importModule: async (specifier) => {
+      imports.push(specifier);
+      return {
+        pipeline: async (task, model) => {
+          assert.equal(task, 'feature-extraction');
+          assert.equal(model, 'tiny-model');
+          return async (texts) => ({ tolist: () => texts.map(() => [3, 4]) });
+        },
+      };
+    },
+    model: 'tiny-model',
+    provider: 'local',
+    resolveModule: () => '/fake/transformers.js',
+  });
+
+  assert.equal(embedder.id, 'local:tiny-model');
+  assert.deepEqual(await embedder.embed(['uno']), [[0.6, 0.8]]);
+  await embedder.embed(['dos']);
+  assert.deepEqual(imports, ['@huggingface/transformers']);
+});
+
+test('local embedder is disabled at startup when transformers is not installed', () => {
+  const logger = createLogger();
+  const embedder = createMemoryEmbedder({
+    importModule: async () => {
+      throw new Error('should not import');
+    },
+    logger,
+    provider: 'local',
+    resolveModule: (specifier) => {
+      throw Object.assign(new Error(`Cannot find module '${specifier}'`), {
+        code: 'MODULE_NOT_FOUND',
+      });
+    },
+  });
+
+  assert.equal(embedder, null);
+  assert.equal(logger.warnings.length, 1);
+  assert.match(logger.warnings[0], /npm install @huggingface\/transformers/);
+});
+
+test('normalizeVector rejects non-numeric values', () => {
+  assert.throws(() => normalizeVector(['x']), /invalid vector/);
+  assert.throws(() => normalizeVector([]), /invalid vector/);
+});
@@ -0,0 +1,162 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+function loadModules(configHome) {
+  process.env.XDG_CONFIG_HOME = configHome;
+  for (const name of ['config-store', 'memory-index', 'memory-facts']) {
+    delete require.cache[require.resolve(path.join(__dirname, '..', 'src', `${name}.js`))];
+  }
+  return require(path.join(__dirname, '..', 'src', 'memory-facts.js'));
+}
+
+test('facts are visible by scope from each chat and topic', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipal-facts-'));
+  const facts = loadModules(dir);
+
+  await facts.rememberFact({ chatId: 1, scope: 'global', text: 'The user is called Ana' });
+  await facts.rememberFact({ chatId: 1, scope: 'chat', text: 'This chat is about billing' });
+  await facts.rememberFact({
+    chatId: 1,
+    kind: 'decision',
+    scope: 'topic',
+    sourceEventId: 'telegram:1:55',
+    text: 'Deploys run on Fridays',
+    topicId: 7,
+  });
+
+  const inTopic = await facts.listFacts({ chatId: 1, topicId: 7 });
+  assert.deepEqual(
+    inTopic.map((fact) => fact.scope),
+    ['topic', 'chat', 'global']
+  );
+  assert.equal(inTopic[0].kind, 'decision');
+  assert.equal(inTopic[0].sourceEventId, 'telegram:1:55');
+  assert.equal(inTopic[0].confidence, 1);
+
+  const rootOfChat = await facts.listFacts({ chatId: 1 });
+  assert.deepEqual(rootOfChat.map((fact) => fact.scope), ['chat', 'global']);
+
+  const otherChat = await facts.listFacts({ chatId: 2, topicId: 7 });
+  assert.deepEqual(otherChat.map((fact) => fact.text), ['The user is called Ana']);
+
+  const onlyChat = await facts.listFacts({ chatId: 1, scope: 'chat', topicId: 7 });
+  assert.equal(onlyChat.length, 1);
+
+  const context = await facts.buildFactsContext({ chatId: 1, topicId: 7 });
+  assert.match(context, /^Known facts/);
+  assert.match(context, /\(topic, decision\) Deploys run on Fridays/);
+});
+
+test('rememberFact updates duplicates and hides expired facts', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipal-facts-'));
+  const facts = loadModules(dir);
+
+  const first = await facts.rememberFact({ chatId: 1, text: 'Prefers short answers' });
+  const again = await facts.rememberFact({ chatId: 1, text: 'prefers short answers!' });
+  assert.equal(first.updated, false);
+  assert.equal(again.updated, true);
+  assert.equal(again.fact.id, first.fact.id);
+
+  await facts.rememberFact({
+    chatId: 1,
+    expiresAt: '2000-01-01T00:00:00.000Z',
+    text: 'Temporary note',
+  });
+  const visible = await facts.listFacts({ chatId: 1 });
+  assert.deepEqual(visible.map((fact) => fact.text), ['prefers short answers!']);
+});
+
+test('rememberFact masks secrets before storing and injecting facts', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipal-facts-'));
+  const facts = loadModules(dir);
+
+  const { fact } = await facts.rememberFact({
+    chatId: 1,
+    scope: 'chat',
+    text: 'my key is sk-proj-abcdefghijklmnopqrstuvwxyz012345',
+  });
+  assert.equal(fact.text, 'my key is [REDACTED:token]');
+
+  const stored = await facts.listFacts({ chatId: 1 });
+  assert.doesNotMatch(stored.map((entry) => entry.text).join('\n'), /sk-proj/);
+  const context = await facts.buildFactsContext({ chatId: 1 });
+  assert.doesNotMatch(context, /sk-proj/);
+  assert.match(context, /\[REDACTED:token\]/);
+});
+
+test('forgetFacts removes by id or unique query and reports ambiguous matches', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipal-facts-'));
+  const facts = loadModules(dir);
+
+  const { fact: staging } = await facts.rememberFact({ chatId: 1, text: 'Staging runs on port 8080' });
+  await facts.rememberFact({ chatId: 1, text: 'Production runs on port 443' });
+  await facts.rememberFact({ chatId: 2, text: 'Other chat runs on port 22' });
+
+  const ambiguous = await facts.forgetFacts({ chatId: 1, target: 'runs on port' });
+  assert.equal(ambiguous.matches.length, 2);
+  assert.equal(ambiguous.removed.length, 0);
+
+  const foreign = await facts.forgetFacts({ chatId: 2, target: String(staging.id) });
+  assert.equal(foreign.removed.length, 0);
+
+  const byId = await facts.forgetFacts({ chatId: 1, target: `#${staging.id}` });
+  assert.equal(byId.removed[0].text, 'Staging runs on port 8080');
+
+  const byQuery = await facts.forgetFacts({ chatId: 1, target: 'production' });
+  assert.equal(byQuery.removed.length, 1);
+  assert.deepEqual(await facts.listFacts({ chatId: 1 }), []);
+});
+
+test('isolation policies hide global facts saved in other chats', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipal-facts-'));
+  const facts = loadModules(dir);
+
+  await facts.rememberFact({ chatId: 42, scope: 'global', text: 'Private phone plan' });
+  const { fact: shared } = await facts.rememberFact({
+    chatId: 42,
+    scope: 'global',
+    shareable: true,
+    text: 'Team standup is at 10',
+  });
+  assert.equal(shared.shareable, true);
+  assert.equal(shared.originChatId, '42');
+
+  const open = await facts.listFacts({ chatId: -100 });
+  assert.equal(open.length, 2);
+
+  const group = await facts.listFacts({ chatId: -100, policy: 'shared' });
+  assert.deepEqual(group.map((fact) => fact.text), ['Team standup is at 10']);
+
+  const forgotten = await facts.forgetFacts({
+    chatId: -100,
+    policy: 'shared',
+    target: 'phone plan',
+  });
+  assert.equal(forgotten.removed.length, 0);
+
+  const context = await facts.buildFactsContext({ chatId: -100, policy: 'shared' });
+  assert.match(context, /\(global, shareable\) Team standup/);
+  assert.doesNotMatch(context, /phone plan/);
+
+  const ownChat = await facts.listFacts({ chatId: 42, policy: 'chat' });
+  assert.equal(ownChat.length, 2);
+});
+
+test('forgetFacts keeps global facts when allowGlobal is false', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipal-facts-'));
+  const facts = loadModules(dir);
+
+  const { fact } = await facts.rememberFact({ chatId: 1, scope: 'global', text: 'Owner is Ana' });
+  await facts.rememberFact({ chatId: 1, scope: 'chat', text: 'Chat runs billing' });
+
+  const denied = await facts.forgetFacts({ allowGlobal: false, chatId: 1, target: `#${fact.id}` });
+  assert.equal(denied.denied, true);
+  assert.equal(denied.removed.length, 0);
+  assert.equal((await facts.listFacts({ chatId: 1 })).length, 2);
+
+  const local = await facts.forgetFacts({ allowGlobal: false, chatId: 1, target: 'billing' });
+  assert.equal(local.removed.length, 1);
+});
@@ -0,0 +1,60 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const {
+  isChatRestricted,
+  isFactAllowed,
+  isRetrievalAllowed,
+  normalizeMemoryIsolation,
+  resolveMemoryPolicy,
+} = require('../src/memory-isolation');
+
+test('normalizeMemoryIsolation applies defaults and per-chat overrides', () => {
+  const warnings = [];
+  const logger = { warn: (message) => warnings.push(message) };
+  const isolation = normalizeMemoryIsolation(
+    { chats: { '-100': 'thread', '-200': 'nope' }, group: 'chat' },
+    logger
+  );
+
+  assert.equal(isolation.private, 'open');
+  assert.equal(isolation.group, 'chat');
+  assert.equal(resolveMemoryPolicy(isolation, -100), 'thread');
+  assert.equal(resolveMemoryPolicy(isolation, -300), 'chat');
+  assert.equal(resolveMemoryPolicy(isolation, 42), 'open');
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /-200/);
+
+  const defaults = normalizeMemoryIsolation(undefined, logger);
+  assert.equal(resolveMemoryPolicy(defaults, -1), 'shared');
+  assert.equal(normalizeMemoryIsolation({ group: 'bogus' }, logger).group, 'shared');
+});
+
+test('isRetrievalAllowed keeps DM memory out of shared chats', () => {
+  assert.equal(isRetrievalAllowed('open', { chatId: '42', scope: 'global' }), true);
+  assert.equal(isRetrievalAllowed('shared', { chatId: '42', scope: 'global' }), false);
+  assert.equal(isRetrievalAllowed('shared', { chatId: '-100', scope: 'global' }), true);
+  assert.equal(isRetrievalAllowed('chat', { chatId: '-100', scope: 'global' }), false);
+  assert.equal(isRetrievalAllowed('chat', { chatId: '-100', scope: 'same-chat' }), true);
+  assert.equal(isRetrievalAllowed('topic', { chatId: '-100', scope: 'same-chat' }), false);
+  assert.equal(isRetrievalAllowed('thread', { chatId: '-100', scope: 'same-topic' }), false);
+  assert.equal(isChatRestricted('shared'), false);
+  assert.equal(isChatRestricted('topic'), true);
+});
+
+test('isFactAllowed only lets global facts cross chats when shareable', () => {
+  const fromDm = { originChatId: '42', scope: 'global', shareable: false };
+  const fromGroup = { originChatId: '-200', scope: 'global', shareable: false };
+  const shareable = { originChatId: '42', scope: 'global', shareable: true };
+
+  assert.equal(isFactAllowed('open', { chatId: '-100', fact: fromDm }), true);
+  assert.equal(isFactAllowed('shared', { chatId: '-100', fact: fromDm }), false);
+  assert.equal(isFactAllowed('shared', { chatId: '-100', fact: fromGroup }), true);
+  assert.equal(isFactAllowed('chat', { chatId: '-100', fact: fromGroup }), false);
+  assert.equal(isFactAllowed('chat', { chatId: '-200', fact: fromGroup }), true);
+  assert.equal(isFactAllowed('thread', { chatId: '-100', fact: shareable }), true);
+  assert.equal(
+    isFactAllowed('thread', { chatId: '-100', fact: { chatId: '-100', scope: 'chat' } }),
+    true
+  );
+});
@@ -14,9 +14,10 @@ function loadModules(configHome) {
   delete require.cache[require.resolve(memoryIndexPath)];
   delete require.cache[require.resolve(memoryStorePath)];
   delete require.cache[require.resolve(retrievalPath)];
+  const memoryIndex = require(memoryIndexPath);
   const memoryStore = require(memoryStorePath);
   const retrieval = require(retrievalPath);
-  return { memoryStore, retrieval };
+  return { memoryIndex, memoryStore, retrieval };
 }
 
 test('searchMemory ranks same-thread and lexical matches first', async () => {
@@ -163,3 +164,91 @@ test('searchMemory can restrict hits to the active thread', async () => {
   assert.match(hits[0].text, /Digest con noticias/i);
   assert.equal(hits[0].scope, 'same-thread');
 });
+
+test('searchMemory finds paraphrases through the vector index', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipal-retrieval-'));
+  const { memoryIndex, memoryStore, retrieval } = loadModules(dir);
+  const concepts = [/deploy|release|despliegue/i, /cocina|receta/i];
+  memoryIndex.setMemoryEmbedder({
+    id: 'test:concepts',
+    embed: async (texts) =>
+      texts.map((text) => concepts.map((pattern) => (pattern.test(text) ? 1 : 0)).concat(0.1)),
+  });
+
+  await memoryStore.appendMemoryEvent({
+    threadKey: '2:root:codex',
+    chatId: '2',
+    topicId: 'root',
+    agentId: 'codex',
+    role: 'user',
+    text: 'El release de billing sale los martes',
+  });
+  await memoryStore.appendMemoryEvent({
+    threadKey: '2:root:codex',
+    chatId: '2',
+    topicId: 'root',
+    agentId: 'codex',
+    role: 'user',
+    text: 'Una receta de cocina con arroz',
+  });
+  await memoryIndex.backfillMemoryEmbeddings();
+
+  const status = await memoryIndex.getMemoryIndexStatus();
+  assert.equal(status.embedder, 'test:concepts');
+  assert.equal(status.embeddedEvents, 2);
+
+  const hits = await retrieval.searchMemory({
+    query: 'cuando hacemos deploy',
+    chatId: '1',
+    topicId: 'root',
+    agentId: 'codex',
+    limit: 5,
+  });
+
+  assert.equal(hits.length, 1);
+  assert.match(hits[0].text, /release de billing/);
+  assert.equal(hits[0].scope, 'global');
+  memoryIndex.setMemoryEmbedder(null);
+});
+
+test('searchMemory applies the chat isolation policy', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipal-retrieval-'));
+  const { memoryStore, retrieval } = loadModules(dir);
+
+  const events = [
+    { chatId: '42', topicId: 'root', text: 'Deploy notes from my private chat' },
+    { chatId: '-200', topicId: 'root', text: 'Deploy notes from the ops group' },
+    { chatId: '-100', topicId: 'root', text: 'Deploy notes from this group root' },
+    { chatId: '-100', topicId: '7', text: 'Deploy notes from this group topic' },
+  ];
+  for (const event of events) {
+    await memoryStore.appendMemoryEvent({
+      ...event,
+      agentId: 'codex',
+      role: 'user',
+      threadKey: `${event.chatId}:${event.topicId}:codex`,
+    });
+  }
+
+  const search = (policy) =>
+    retrieval.searchMemory({
+      agentId: 'codex',
+      chatId: '-100',
+      limit: 10,
+      policy,
+      query: 'deploy notes',
+      topicId: '7',
+    }).then((hits) => hits.map((hit) => hit.text).sort());
+
+  assert.equal((await search('open')).length, 4);
+  assert.deepEqual(await search('shared'), [
+    'Deploy notes from the ops group',
+    'Deploy notes from this group root',
+    'Deploy notes from this group topic',
+  ]);
+  assert.deepEqual(await search('chat'), [
+    'Deploy notes from this group root',
+    'Deploy notes from this group topic',
+  ]);
+  assert.deepEqual(await search('topic'), ['Deploy notes from this group topic']);
+});
@@ -135,3 +135,143 @@ test('getMemoryStatus summarizes stored events and curation state', async () =>
   assert.equal(status.eventsToday, 1);
   assert.match(status.lastCuratedAt, /^\d{4}-\d{2}-\d{2}T/);
 });
+
+test('parseCuratedFacts reads fenced JSON and rejects unrelated output', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipal-memory-'));
+  const { memoryStore } = loadModules(dir);
+
+  const curated = memoryStore.parseCuratedFacts(
+    'Here you go:\n```json\n{"facts": ["Vive en Madrid", 3], "preferences": ["Respuestas cortas"]}\n```'
+  );
+  assert.deepEqual(curated, {
+    decisions: [],
+    facts: ['Vive en Madrid'],
+    preferences: ['Respuestas cortas'],
+  });
+  assert.equal(memoryStore.parseCuratedFacts('no json here'), null);
+  assert.equal(memoryStore.parseCuratedFacts('{"summary": "nada"}'), null);
+});
+
+test('curateMemory merges agent-extracted facts with dedup across runs', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipal-memory-'));
+  const { configStore, memoryStore } = loadModules(dir);
+
+  await fs.mkdir(path.dirname(configStore.MEMORY_PATH), { recursive: true });
+  await fs.writeFile(configStore.MEMORY_PATH, '# Memoria manual\n\n- Usa pnpm\n', 'utf8');
+  await memoryStore.appendMemoryEvent({
+    threadKey: 'chat:root:codex',
+    role: 'user',
+    text: 'Trabajo en el repo billing y quiero respuestas cortas.',
+  });
+
+  const prompts = [];
+  const responses = [
+    JSON.stringify({
+      decisions: [],
+      facts: ['Trabaja en el repo billing.'],
+      preferences: ['Quiere respuestas cortas.', 'Usa pnpm'],
+    }),
+    JSON.stringify({
+      decisions: ['Migrar billing a Postgres.'],
+      facts: ['trabaja en el repo billing'],
+      preferences: [],
+    }),
+  ];
+  const runAgentOneShot = async (prompt) => {
+    prompts.push(prompt);
+    return responses.shift();
+  };
+
+  const first = await memoryStore.curateMemory({ runAgentOneShot });
+  assert.equal(first.curator, 'agent');
+  assert.match(prompts[0], /Usa pnpm/);
+  assert.match(prompts[0], /user: Trabajo en el repo billing/);
+
+  await memoryStore.curateMemory({ runAgentOneShot });
+  const content = await fs.readFile(configStore.MEMORY_PATH, 'utf8');
+  assert.match(content, /### Hechos duraderos\n- trabaja en el repo billing\n/);
+  assert.match(content, /### Preferencias\n- Quiere respuestas cortas\.\n/);
+  assert.match(content, /### Decisiones\n- Migrar billing a Postgres\./);
+  assert.equal(content.match(/Usa pnpm/g).length, 1);
+  assert.doesNotMatch(content, /Preferencias detectadas/);
+
+  const status = await memoryStore.getMemoryStatus();
+  assert.equal(status.lastCurator, 'agent');
+});
+
+test('curateMemory falls back to keyword curation when the agent fails', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipal-memory-'));
+  const { configStore, memoryStore } = loadModules(dir);
+
+  await memoryStore.appendMemoryEvent({
+    threadKey: 'chat:root:codex',
+    role: 'user',
+    text: 'Prefiero que siempre uses TypeScript.',
+  });
+
+  const result = await memoryStore.curateMemory({
+    runAgentOneShot: async () => {
+      throw new Error('agent unavailable');
+    },
+  });
+  assert.equal(result.curator, 'keywords');
+  const content = await fs.readFile(configStore.MEMORY_PATH, 'utf8');
+  assert.match(content, /### Preferencias detectadas\n- Prefiero que siempre uses TypeScript\./);
+});
+
+test('appendMemoryEvent redacts secrets before writing', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipal-memory-'));
+  const { memoryStore } = loadModules(dir);
+
+  await memoryStore.appendMemoryEvent({
+    threadKey: 'chat:root:codex',
+    role: 'user',
+    text: 'Usa OPENAI_API_KEY=sk-abcdefghijklmnopqrstuvwxyz0123 y escribe a ana@example.com',
+  });
+
+  const raw = await fs.readFile(memoryStore.threadFilePath('chat:root:codex'), 'utf8');
+  assert.doesNotMatch(raw, /sk-abcdef|ana@example\.com/);
+  assert.match(raw, /OPENAI_API_KEY=\[REDACTED:token\]/);
+  assert.match(raw, /\[REDACTED:email\]/);
+});
+
+test('pruneMemory applies age and per-thread size retention to files and the index', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipal-memory-'));
+  const { memoryStore } = loadModules(dir);
+  const memoryIndex = require(path.join(__dirname, '..', 'src', 'memory-index.js'));
+  const now = Date.parse('2026-10-19T12:00:00.000Z');
+  const daysAgo = (days) => new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+
+  await memoryStore.appendMemoryEvent({
+    threadKey: 'old:root:codex',
+    role: 'user',
+    createdAt: daysAgo(40),
+    text: 'evento muy antiguo',
+  });
+  for (let i = 0; i < 5; i += 1) {
+    await memoryStore.appendMemoryEvent({
+      threadKey: 'busy:root:codex',
+      role: 'user',
+      createdAt: daysAgo(5 - i),
+      text: `mensaje numero ${i} ${'x'.repeat(200)}`,
+    });
+  }
+  assert.equal((await memoryIndex.getMemoryIndexStatus()).totalEvents, 6);
+  const busyRaw = await fs.readFile(memoryStore.threadFilePath('busy:root:codex'), 'utf8');
+  const lineBytes = Buffer.byteLength(busyRaw.split('\n')[0], 'utf8') + 1;
+
+  const result = await memoryStore.pruneMemory({
+    maxAgeDays: 30,
+    maxThreadBytes: lineBytes * 3 + 10,
+    now,
+  });
+  assert.deepEqual(result, { prunedEvents: 3, removedFiles: 1, threadFiles: 2 });
+
+  await assert.rejects(fs.stat(memoryStore.threadFilePath('old:root:codex')), { code: 'ENOENT' });
+  const tail = await memoryStore.getThreadTail('busy:root:codex', { limit: 10 });
+  assert.deepEqual(
+    tail.map((event) => event.text.slice(0, 16)),
+    ['mensaje numero 2', 'mensaje numero 3', 'mensaje numero 4']
+  );
+  assert.equal((await memoryIndex.getMemoryIndexStatus()).totalEvents, 3);
+});
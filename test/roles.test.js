@@ -0,0 +1,75 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const {
+  filterCommandsForRole,
+  getCommandRole,
+  getScriptRole,
+  hasRole,
+  normalizeAccessConfig,
+  normalizeRole,
+  resolveUserRole,
+} = require('../src/roles');
+
+test('normalizeRole accepts known roles in loose spellings', () => {
+  assert.equal(normalizeRole('Admin'), 'admin');
+  assert.equal(normalizeRole('read_only'), 'read-only');
+  assert.equal(normalizeRole('readonly'), 'read-only');
+  assert.equal(normalizeRole('root'), null);
+  assert.equal(hasRole('operator', 'chatter'), true);
+  assert.equal(hasRole('chatter', 'operator'), false);
+  assert.equal(hasRole(null, 'read-only'), false);
+});
+
+test('normalizeAccessConfig stays disabled without users and adds ALLOWED_USERS with the default role', () => {
+  assert.equal(normalizeAccessConfig(undefined).enabled, false);
+  assert.equal(
+    normalizeAccessConfig(undefined, { allowedUserIds: new Set(['9']) }).users.size,
+    0
+  );
+
+  const warnings = [];
+  const access = normalizeAccessConfig(
+    {
+      defaultRole: 'read-only',
+      users: { 1: 'admin', 2: { role: 'chatter', chats: { '-100': 'operator', '-100:7': 'ghost' } }, 3: 'boss' },
+      commands: { later: 'operator' },
+      scripts: { deploy: 'admin', '*': 'chatter' },
+    },
+    { allowedUserIds: new Set(['1', '4']), logger: { warn: (message) => warnings.push(message) } }
+  );
+
+  assert.equal(access.enabled, true);
+  assert.deepEqual(Array.from(access.users.keys()), ['1', '2', '4']);
+  assert.equal(access.users.get('4').role, 'read-only');
+  assert.deepEqual(access.users.get('2').chats, { '-100': 'operator' });
+  assert.equal(warnings.length, 2);
+  assert.equal(getCommandRole(access, 'later'), 'operator');
+  assert.equal(getScriptRole(access, 'deploy'), 'admin');
+  assert.equal(getScriptRole(access, 'weather'), 'chatter');
+});
+
+test('resolveUserRole prefers topic, then chat, then the user role', () => {
+  const access = normalizeAccessConfig({
+    users: {
+      5: { role: 'chatter', chats: { '-100': 'operator', '-100:42': 'read-only' } },
+    },
+  });
+  assert.equal(resolveUserRole(access, { userId: 5, chatId: -100, topicId: 42 }), 'read-only');
+  assert.equal(resolveUserRole(access, { userId: 5, chatId: -100, topicId: 43 }), 'operator');
+  assert.equal(resolveUserRole(access, { userId: 5, chatId: 5 }), 'chatter');
+  assert.equal(resolveUserRole(access, { userId: 6, chatId: 5 }), null);
+});
+
+test('command roles fall back from subcommands to commands', () => {
+  const access = normalizeAccessConfig({ users: { 1: 'admin' } });
+  assert.equal(getCommandRole(access, 'cron', 'reload'), 'admin');
+  assert.equal(getCommandRole(access, 'cron', 'list'), 'read-only');
+  assert.equal(getCommandRole(access, 'cron', 'run'), 'operator');
+  assert.equal(getCommandRole(access, 'weather'), null);
+  const commands = [{ command: 'status' }, { command: 'agent' }, { command: 'document_scripts' }];
+  assert.deepEqual(
+    filterCommandsForRole(commands, access, 'operator').map((entry) => entry.command),
+    ['status', 'agent']
+  );
+});
@@ -0,0 +1,413 @@
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { PassThrough } = require('node:stream');
+const test = require('node:test');
+
+const {
+  buildApprovalRequest,
+  buildPermissionOutcome,
+  createAcpClient,
+  toPromptBlocks,
+} = require('../../src/services/acp-client');
+
+function createSpawnHarness(onMessage) {
+  const spawns = [];
+
+  function spawnProcess(cmd, args, opts) {
+    const proc = new EventEmitter();
+    const stdin = new PassThrough();
+    const stdout = new PassThrough();
+    const stderr = new PassThrough();
+
+    proc.stdin = stdin;
+    proc.stdout = stdout;
+    proc.stderr = stderr;
+    proc.killed = false;
+    proc.kill = (signal = 'SIGTERM') => {
+      proc.killed = true;
+      proc.emit('close', null, signal);
+    };
+
+    const state = {
+      args,
+      cmd,
+      messages: [],
+      opts,
+      proc,
+      send(payload) {
+        stdout.write(`${JSON.stringify(payload)}\n`);
+      },
+    };
+    spawns.push(state);
+
+    let buffer = '';
+    stdin.on('data', (chunk) => {
+      buffer += String(chunk || '');
+      while (buffer.includes('\n')) {
+        const newlineIndex = buffer.indexOf('\n');
+        const line = buffer.slice(0, newlineIndex);
+        buffer = buffer.slice(newlineIndex + 1);
+        if (!line.trim()) continue;
+        const message = JSON.parse(line);
+        state.messages.push(message);
+        onMessage(state, message);
+      }
+    });
+
+    return proc;
+  }
+
+  return {
+    spawnProcess,
+    spawns,
+  };
+}
+
+function sendUpdate(state, sessionId, update) {
+  state.send({ method: 'session/update', params: { sessionId, update } });
+}
+
+test('acp client initializes, opens a session, streams progress, and returns final text', async () => {
+  const progressUpdates = [];
+  const finalResponses = [];
+  const started = [];
+  const harness = createSpawnHarness((state, message) => {
+    if (message.method === 'initialize') {
+      state.send({ id: message.id, result: { protocolVersion: 1, agentCapabilities: {} } });
+      return;
+    }
+    if (message.method === 'session/new') {
+      state.send({ id: message.id, result: { sessionId: 'sess-1' } });
+      return;
+    }
+    if (message.method === 'session/prompt') {
+      sendUpdate(state, 'sess-1', {
+        sessionUpdate: 'agent_message_chunk',
+        content: { type: 'text', text: 'Voy a mirar.' },
+      });
+      sendUpdate(state, 'sess-1', {
+        sessionUpdate: 'tool_call',
+        toolCallId: 'call-1',
+        title: 'Read README.md',
+        kind: 'read',
+        status: 'pending',
+      });
+      sendUpdate(state, 'sess-1', {
+        sessionUpdate: 'tool_call_update',
+        toolCallId: 'call-1',
+        status: 'completed',
+      });
+      sendUpdate(state, 'sess-1', {
+        sessionUpdate: 'agent_message_chunk',
+        content: { type: 'text', text: 'Hola ' },
+      });
+      sendUpdate(state, 'sess-1', {
+        sessionUpdate: 'agent_message_chunk',
+        content: { type: 'text', text: 'mundo' },
+      });
+      state.send({ id: message.id, result: { stopReason: 'end_turn' } });
+    }
+  });
+
+  const client = createAcpClient({
+    command: 'gemini',
+    args: ['--experimental-acp'],
+    cwd: '/tmp/project',
+    logger: { warn() {} },
+    spawnProcess: harness.spawnProcess,
+  });
+
+  const result = await client.runChatTurn({
+    input: [
+      { type: 'text', text: 'hola' },
+      { type: 'localImage', path: '/tmp/images/cat.png' },
+    ],
+    onFinalResponse: (text) => finalResponses.push(text),
+    onProgressUpdate: (payload) => progressUpdates.push(payload),
+    onTurnStarted: (payload) => started.push(payload),
+  });
+
+  assert.deepEqual(result, { text: 'Hola mundo', threadId: 'sess-1', turnId: 'acp-turn-1' });
+  assert.deepEqual(started, [{ threadId: 'sess-1', turnId: 'acp-turn-1' }]);
+  assert.deepEqual(finalResponses, ['Hola mundo']);
+  assert.deepEqual(progressUpdates.at(-1), {
+    mode: 'raw',
+    text: 'Voy a mirar.\n\nUsando herramienta: Read README.md\n\nHola mundo',
+  });
+
+  const [spawn] = harness.spawns;
+  assert.equal(spawn.cmd, 'gemini');
+  assert.deepEqual(spawn.args, ['--experimental-acp']);
+  const initialize = spawn.messages.find((message) => message.method === 'initialize');
+  assert.equal(initialize.params.protocolVersion, 1);
+  assert.equal(initialize.params.clientCapabilities.terminal, false);
+  const newSession = spawn.messages.find((message) => message.method === 'session/new');
+  assert.deepEqual(newSession.params, { cwd: '/tmp/project', mcpServers: [] });
+  const prompt = spawn.messages.find((message) => message.method === 'session/prompt');
+  assert.deepEqual(prompt.params, {
+    prompt: [
+      { type: 'text', text: 'hola' },
+      { type: 'resource_link', name: 'cat.png', uri: 'file:///tmp/images/cat.png' },
+    ],
+    sessionId: 'sess-1',
+  });
+});
+
+test('acp client loads stored sessions and skips replayed history', async () => {
+  const progressUpdates = [];
+  const harness = createSpawnHarness((state, message) => {
+    if (message.method === 'initialize') {
+      state.send({
+        id: message.id,
+        result: { protocolVersion: 1, agentCapabilities: { loadSession: true } },
+      });
+      return;
+    }
+    if (message.method === 'session/load') {
+      sendUpdate(state, 'sess-old', {
+        sessionUpdate: 'agent_message_chunk',
+        content: { type: 'text', text: 'old answer' },
+      });
+      state.send({ id: message.id, result: {} });
+      return;
+    }
+    if (message.method === 'session/prompt') {
+      sendUpdate(state, 'sess-old', {
+        sessionUpdate: 'agent_message_chunk',
+        content: { type: 'text', text: 'new answer' },
+      });
+      state.send({ id: message.id, result: { stopReason: 'end_turn' } });
+    }
+  });
+  const client = createAcpClient({
+    command: 'agent',
+    logger: { warn() {} },
+    spawnProcess: harness.spawnProcess,
+  });
+
+  const first = await client.runChatTurn({
+    input: [{ type: 'text', text: 'again' }],
+    onProgressUpdate: (payload) => progressUpdates.push(payload),
+    threadId: 'sess-old',
+  });
+  await client.runChatTurn({ input: [{ type: 'text', text: 'more' }], threadId: 'sess-old' });
+
+  assert.equal(first.text, 'new answer');
+  assert.equal(first.threadId, 'sess-old');
+  assert.deepEqual(progressUpdates, [{ mode: 'raw', text: 'new answer' }]);
+  const methods = harness.spawns[0].messages.map((message) => message.method);
+  assert.deepEqual(methods, [
+    'initialize',
+    'session/load',
+    'session/prompt',
+    'session/prompt',
+  ]);
+});
+
+test('acp client sends queued steers as follow-up prompts', async () => {
+  let client;
+  let promptCount = 0;
+  const harness = createSpawnHarness((state, message) => {
+    if (message.method === 'initialize') {
+      state.send({ id: message.id, result: { protocolVersion: 1 } });
+      return;
+    }
+    if (message.method === 'session/new') {
+      state.send({ id: message.id, result: { sessionId: 'sess-1' } });
+      return;
+    }
+    if (message.method === 'session/prompt') {
+      promptCount += 1;
+      const text = promptCount === 1 ? 'primera' : 'ajustada';
+      sendUpdate(state, 'sess-1', {
+        sessionUpdate: 'agent_message_chunk',
+        content: { type: 'text', text },
+      });
+      if (promptCount === 1) {
+        client
+          .steerTurn({
+            expectedTurnId: 'acp-turn-1',
+            input: [{ type: 'text', text: 'mejor en ingles' }],
+            threadId: 'sess-1',
+          })
+          .then(() => state.send({ id: message.id, result: { stopReason: 'end_turn' } }));
+        return;
+      }
+      state.send({ id: message.id, result: { stopReason: 'end_turn' } });
+    }
+  });
+  client = createAcpClient({
+    command: 'agent',
+    logger: { warn() {} },
+    spawnProcess: harness.spawnProcess,
+  });
+
+  const result = await client.runChatTurn({ input: [{ type: 'text', text: 'hola' }] });
+
+  assert.equal(result.text, 'ajustada');
+  const prompts = harness.spawns[0].messages.filter(
+    (message) => message.method === 'session/prompt'
+  );
+  assert.deepEqual(prompts[1].params.prompt, [{ type: 'text', text: 'mejor en ingles' }]);
+});
+
+test('acp client maps permission requests through approval callbacks', async () => {
+  const approvalRequests = [];
+  const harness = createSpawnHarness((state, message) => {
+    if (message.method === 'initialize') {
+      state.send({ id: message.id, result: { protocolVersion: 1 } });
+      return;
+    }
+    if (message.method === 'session/new') {
+      state.send({ id: message.id, result: { sessionId: 'sess-1' } });
+      return;
+    }
+    if (message.method === 'session/prompt') {
+      state.promptId = message.id;
+      state.send({
+        id: 'perm-1',
+        method: 'session/request_permission',
+        params: {
+          sessionId: 'sess-1',
+          toolCall: {
+            toolCallId: 'call-1',
+            title: 'Run tests',
+            kind: 'execute',
+            rawInput: { command: 'npm test' },
+          },
+          options: [
+            { optionId: 'yes', name: 'Allow', kind: 'allow_once' },
+            { optionId: 'always', name: 'Always', kind: 'allow_always' },
+            { optionId: 'no', name: 'Reject', kind: 'reject_once' },
+          ],
+        },
+      });
+      return;
+    }
+    if (message.id === 'perm-1') {
+      state.send({ id: state.promptId, result: { stopReason: 'end_turn' } });
+    }
+  });
+  const client = createAcpClient({
+    command: 'agent',
+    label: 'Gemini',
+    logger: { warn() {} },
+    spawnProcess: harness.spawnProcess,
+  });
+
+  await client.runChatTurn({
+    input: [{ type: 'text', text: 'run tests' }],
+    requestApproval: async (request) => {
+      approvalRequests.push(request);
+      return 'acceptForSession';
+    },
+    resolveApprovalPolicy: async () => null,
+  });
+
+  assert.deepEqual(approvalRequests, [
+    {
+      command: 'npm test',
+      cwd: undefined,
+      kind: 'command_execution',
+      reason: 'Gemini: Run tests',
+      requestId: 'perm-1',
+      threadId: 'sess-1',
+      toolCallId: 'call-1',
+    },
+  ]);
+  const answer = harness.spawns[0].messages.find((message) => message.id === 'perm-1');
+  assert.deepEqual(answer.result, { outcome: { outcome: 'selected', optionId: 'always' } });
+});
+
+test('acp client interrupts turns and cancels pending permission requests', async () => {
+  const resolved = [];
+  const harness = createSpawnHarness((state, message) => {
+    if (message.method === 'initialize') {
+      state.send({ id: message.id, result: { protocolVersion: 1 } });
+      return;
+    }
+    if (message.method === 'session/new') {
+      state.send({ id: message.id, result: { sessionId: 'sess-1' } });
+      return;
+    }
+    if (message.method === 'session/prompt') {
+      state.promptId = message.id;
+      state.send({
+        id: 9,
+        method: 'session/request_permission',
+        params: {
+          sessionId: 'sess-1',
+          toolCall: { toolCallId: 'call-1', title: 'Edit file', kind: 'edit' },
+          options: [{ optionId: 'yes', kind: 'allow_once' }],
+        },
+      });
+      return;
+    }
+    if (message.method === 'session/cancel') {
+      state.send({ id: state.promptId, result: { stopReason: 'cancelled' } });
+    }
+  });
+  const client = createAcpClient({
+    command: 'agent',
+    logger: { warn() {} },
+    spawnProcess: harness.spawnProcess,
+  });
+
+  const turn = client.runChatTurn({
+    input: [{ type: 'text', text: 'edit' }],
+    onServerRequestResolved: (payload) => resolved.push(payload),
+    onTurnStarted: () => {},
+    requestApproval: () => new Promise(() => {}),
+  });
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  await client.interruptTurn({ threadId: 'sess-1', turnId: 'acp-turn-1' });
+
+  await assert.rejects(turn, (err) => err.code === 'ERR_RUN_INTERRUPTED');
+  assert.deepEqual(resolved, [{ requestId: 9, threadId: 'sess-1' }]);
+  const messages = harness.spawns[0].messages;
+  assert.deepEqual(
+    messages.find((message) => message.id === 9).result,
+    { outcome: { outcome: 'cancelled' } }
+  );
+  assert.ok(messages.some((message) => message.method === 'session/cancel'));
+});
+
+test('buildApprovalRequest maps file tools to file changes', () => {
+  const request = buildApprovalRequest(
+    {
+      sessionId: 's-1',
+      toolCall: {
+        toolCallId: 't-1',
+        title: 'Write config',
+        kind: 'edit',
+        locations: [{ path: '/repo/config.json' }],
+      },
+    },
+    4,
+    'Agent'
+  );
+  assert.equal(request.kind, 'file_change');
+  assert.deepEqual(request.item, { changes: [{ kind: 'update', path: '/repo/config.json' }] });
+});
+
+test('buildPermissionOutcome falls back to cancelled when no option matches', () => {
+  assert.deepEqual(
+    buildPermissionOutcome([{ optionId: 'no', kind: 'reject_always' }], 'decline'),
+    { outcome: { outcome: 'selected', optionId: 'no' } }
+  );
+  assert.deepEqual(
+    buildPermissionOutcome([{ optionId: 'no', kind: 'reject_once' }], 'accept'),
+    { outcome: { outcome: 'cancelled' } }
+  );
+  assert.deepEqual(buildPermissionOutcome([], 'cancel'), { outcome: { outcome: 'cancelled' } });
+});
+
+test('toPromptBlocks percent-encodes image paths in resource links', () => {
+  assert.deepEqual(toPromptBlocks([{ type: 'localImage', path: '/tmp/my images/50% #1.png' }]), [
+    {
+      type: 'resource_link',
+      name: '50% #1.png',
+      uri: 'file:///tmp/my%20images/50%25%20%231.png',
+    },
+  ]);
+});
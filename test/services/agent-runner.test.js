@@ -534,6 +534,55 @@ test('runAgentOneShot uses the session-backed codex-app backend', async () => {
   ]);
 });
 
+test('runAgentOneShot records usage for the target and honours blocking budgets', async () => {
+  const records = [];
+  const budgetTargets = [];
+  let blocked = false;
+  const { runner } = buildRunner({
+    checkBudget: async (target) => {
+      budgetTargets.push(target);
+      return blocked ? { action: 'block', summary: 'chat 5: 10/10 runs today' } : null;
+    },
+    getGlobalAgent: () => 'codex-app',
+    getGlobalModels: () => ({ 'codex-app': 'gpt-5.4-codex' }),
+    recordUsage: async (record) => {
+      records.push(record);
+    },
+    runSessionBackedOneShot: async () => ({
+      text: '{"facts": []}',
+      usage: { inputTokens: 120, outputTokens: 30 },
+    }),
+  });
+
+  await runner.runAgentOneShot('cura la memoria', {
+    chatId: 5,
+    contextKey: 'memory-curation',
+    topicId: 7,
+    userId: 9,
+  });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.deepEqual(budgetTargets, [
+    { chatId: 5, contextKey: 'memory-curation', topicId: 7, userId: 9 },
+  ]);
+  assert.equal(records.length, 1);
+  assert.equal(records[0].agentId, 'codex-app');
+  assert.equal(records[0].chatId, 5);
+  assert.equal(records[0].topicId, 7);
+  assert.equal(records[0].userId, 9);
+  assert.equal(records[0].contextKey, 'memory-curation');
+  assert.equal(records[0].status, 'succeeded');
+  assert.equal(records[0].inputTokens, 120);
+  assert.equal(records[0].outputTokens, 30);
+
+  blocked = true;
+  await assert.rejects(
+    runner.runAgentOneShot('cura la memoria', { chatId: 5 }),
+    (err) => err.code === 'ERR_BUDGET_EXCEEDED'
+  );
+  assert.equal(records.length, 1);
+});
+
 test('stopActiveRun interrupts an active codex-app session-backed turn', async () => {
   let resolveTurn;
   const turnDone = new Promise((resolve) => {
@@ -666,6 +715,43 @@ test('getActiveRunState reports codex-app activity for the topic', async () => {
   assert.equal(idleState.active, false);
 });
 
+test('listActiveRuns reports every unsettled run with its target', async () => {
+  let resolveTurn;
+  const turnDone = new Promise((resolve) => {
+    resolveTurn = resolve;
+  });
+
+  const { runner } = buildRunner({
+    getGlobalAgent: () => 'codex-app',
+    resolveEffectiveAgentId: (_chatId, _topicId, overrideAgentId) =>
+      overrideAgentId || 'codex-app',
+    runSessionBackedChatTurn: async (options) => {
+      options.onTurnStarted({ threadId: 'thread-list', turnId: 'turn-list' });
+      await turnDone;
+      return { text: 'ok', threadId: 'thread-list', turnId: 'turn-list' };
+    },
+  });
+
+  const runPromise = runner.runAgentForChat(131, 'hola', {
+    agentId: 'codex-app',
+    topicId: 7,
+  });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  const runs = runner.listActiveRuns();
+  assert.equal(runs.length, 1);
+  assert.equal(runs[0].chatId, 131);
+  assert.equal(runs[0].topicId, 7);
+  assert.equal(runs[0].agentId, 'codex-app');
+  assert.equal(runs[0].threadId, 'thread-list');
+  assert.equal(typeof runs[0].startedAt, 'string');
+
+  resolveTurn();
+  await runPromise;
+
+  assert.deepEqual(runner.listActiveRuns(), []);
+});
+
 test('steerActiveRun sends steer requests to an active codex-app turn', async () => {
   let resolveTurn;
   const turnDone = new Promise((resolve) => {
@@ -772,3 +858,205 @@ test('steerActiveRun queues steer input until the codex-app turn is ready', asyn
     },
   ]);
 });
+
+test('runAgentForChat retries the fallback chain and labels the agent that answered', async () => {
+  const commands = [];
+  const settled = [];
+  const { runner } = buildRunner({
+    execLocal: async (_cmd, args) => {
+      const command = args[1];
+      commands.push(command);
+      if (command.includes('codex exec')) {
+        throw Object.assign(new Error('Command failed'), { code: 1, stdout: '' });
+      }
+      if (command.includes('gemini -p')) {
+        throw Object.assign(new Error('Command timed out'), { code: 'ETIMEDOUT' });
+      }
+      return 'respuesta de claude';
+    },
+    resolveFallbackAgentIds: () => ['codex', 'gemini', 'claude'],
+  });
+
+  const response = await runner.runAgentForChat(41, 'hola', {
+    onSettled: (payload) => {
+      settled.push(payload);
+    },
+  });
+
+  assert.equal(commands.length, 3);
+  assert.equal(
+    response,
+    '_Answered by claude (fallback after codex: exit code 1; gemini: timed out)_\n\nrespuesta de claude'
+  );
+  assert.deepEqual(
+    settled.map(({ agentId, status }) => ({ agentId, status })),
+    [{ agentId: 'claude', status: 'succeeded' }]
+  );
+});
+
+test('runAgentForChat skips the fallback chain when the caller opts out', async () => {
+  const commands = [];
+  const settled = [];
+  const { runner } = buildRunner({
+    execLocal: async (_cmd, args) => {
+      commands.push(args[1]);
+      throw Object.assign(new Error('Command failed'), { code: 1, stdout: '' });
+    },
+    resolveFallbackAgentIds: () => ['claude'],
+  });
+
+  await assert.rejects(
+    runner.runAgentForChat(41, 'hola', {
+      fallback: false,
+      onSettled: (payload) => {
+        settled.push(payload.status);
+      },
+    }),
+    /Command failed/
+  );
+  assert.equal(commands.length, 1);
+  assert.deepEqual(settled, ['failed']);
+});
+
+test('runAgentForChat does not fall back after a user interruption', async () => {
+  const calls = [];
+  const { runner } = buildRunner({
+    resolveEffectiveAgentId: (_chatId, _topicId, overrideAgentId) =>
+      overrideAgentId || 'codex-app',
+    resolveFallbackAgentIds: () => ['claude'],
+    execLocal: async () => {
+      calls.push('claude');
+      return 'should not run';
+    },
+    runSessionBackedChatTurn: async () => {
+      calls.push('codex-app');
+      throw Object.assign(new Error('Run interrupted'), { code: 'ERR_RUN_INTERRUPTED' });
+    },
+  });
+
+  await assert.rejects(
+    runner.runAgentForChat(41, 'hola', {}),
+    (err) => err.code === 'ERR_RUN_INTERRUPTED'
+  );
+  assert.deepEqual(calls, ['codex-app']);
+});
+
+test('runAgentForChat records token usage and latency for each run', async () => {
+  const records = [];
+  const { runner } = buildRunner({
+    getGlobalModels: () => ({ codex: 'gpt-5.2' }),
+    execLocal: async () =>
+      [
+        JSON.stringify({ type: 'thread.started', thread_id: 'thread-usage' }),
+        JSON.stringify({
+          type: 'item.completed',
+          item: { type: 'message', text: 'hecho' },
+        }),
+        JSON.stringify({
+          type: 'turn.completed',
+          usage: { input_tokens: 1200, cached_input_tokens: 800, output_tokens: 90 },
+        }),
+      ].join('\n'),
+    recordUsage: async (record) => {
+      records.push(record);
+    },
+    resolveServiceTier: () => 'fast',
+  });
+
+  const response = await runner.runAgentForChat(41, 'hola', {
+    contextKey: 'cron:daily',
+    topicId: 9,
+  });
+
+  assert.equal(response, 'hecho');
+  assert.equal(records.length, 1);
+  const [record] = records;
+  assert.equal(record.agentId, 'codex');
+  assert.equal(record.chatId, 41);
+  assert.equal(record.topicId, 9);
+  assert.equal(record.contextKey, 'cron:daily');
+  assert.equal(record.model, 'gpt-5.2');
+  assert.equal(record.serviceTier, 'fast');
+  assert.equal(record.status, 'succeeded');
+  assert.equal(record.inputTokens, 1200);
+  assert.equal(record.cachedInputTokens, 800);
+  assert.equal(record.outputTokens, 90);
+  assert.equal(typeof record.durationMs, 'number');
+});
+
+test('runAgentForChat records failed runs and tolerates usage store errors', async () => {
+  const statuses = [];
+  const { runner } = buildRunner({
+    execLocal: async () => {
+      throw Object.assign(new Error('Command failed'), { code: 1, stdout: '' });
+    },
+    recordUsage: async (record) => {
+      statuses.push(record.status);
+      throw new Error('disk full');
+    },
+  });
+
+  await assert.rejects(runner.runAgentForChat(41, 'hola', {}), /Command failed/);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(statuses, ['failed']);
+});
+
+test('runAgentForChat refuses to run when a blocking budget is exceeded', async () => {
+  const budgetTargets = [];
+  const commands = [];
+  const { runner } = buildRunner({
+    checkBudget: async (target) => {
+      budgetTargets.push(target);
+      return { action: 'block', summary: 'user 7: 5/5 runs today' };
+    },
+    execLocal: async (_cmd, args) => {
+      commands.push(args[1]);
+      return 'should not run';
+    },
+  });
+
+  await assert.rejects(
+    runner.runAgentForChat(41, 'hola', { topicId: 3, userId: 7 }),
+    (err) =>
+      err.code === 'ERR_BUDGET_EXCEEDED'
+      && err.message === 'Budget exceeded: user 7: 5/5 runs today.'
+  );
+  assert.deepEqual(budgetTargets, [
+    { chatId: 41, contextKey: undefined, topicId: 3, userId: 7 },
+  ]);
+  assert.equal(commands.length, 0);
+});
+
+test('runAgentForChat downgrades tier and model when a downgrade budget is exceeded', async () => {
+  const sessionCalls = [];
+  const records = [];
+  const { runner } = buildRunner({
+    checkBudget: async () => ({
+      action: 'downgrade',
+      models: { 'codex-app': 'gpt-5-mini' },
+      summary: 'chat 41: 900/500 tokens today',
+    }),
+    getGlobalModels: () => ({ 'codex-app': 'gpt-5.2' }),
+    recordUsage: async (record) => {
+      records.push(record);
+    },
+    resolveEffectiveAgentId: (_chatId, _topicId, overrideAgentId) =>
+      overrideAgentId || 'codex-app',
+    resolveServiceTier: () => 'fast',
+    runSessionBackedChatTurn: async (options) => {
+      sessionCalls.push(options);
+      return { text: 'respuesta barata', threadId: 'thread-budget', turnId: 'turn-1' };
+    },
+  });
+
+  const response = await runner.runAgentForChat(41, 'hola', {});
+
+  assert.equal(sessionCalls[0].model, 'gpt-5-mini');
+  assert.equal(sessionCalls[0].serviceTier, undefined);
+  assert.equal(
+    response,
+    '_Budget reached (chat 41: 900/500 tokens today); running on the default tier and gpt-5-mini_\n\nrespuesta barata'
+  );
+  assert.equal(records[0].model, 'gpt-5-mini');
+  assert.equal(records[0].serviceTier, undefined);
+});
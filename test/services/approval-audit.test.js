@@ -0,0 +1,50 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+function loadApprovalAudit(configHome) {
+  process.env.XDG_CONFIG_HOME = configHome;
+  for (const name of ['config-store.js', 'services/approval-audit.js']) {
+    const modulePath = path.join(__dirname, '..', '..', 'src', name);
+    delete require.cache[require.resolve(modulePath)];
+  }
+  return require(path.join(__dirname, '..', '..', 'src', 'services', 'approval-audit.js'));
+}
+
+test('appendApprovalAudit appends one jsonl line per automatic decision', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipal-approval-audit-'));
+  const { APPROVAL_AUDIT_PATH, appendApprovalAudit } = loadApprovalAudit(dir);
+
+  await Promise.all([
+    appendApprovalAudit({
+      action: 'allow',
+      chatId: 1,
+      command: 'npm test',
+      decision: 'accept',
+      kind: 'command_execution',
+      requestId: 7,
+      rule: 'npm',
+    }),
+    appendApprovalAudit({
+      action: 'deny',
+      decision: 'decline',
+      kind: 'file_change',
+      paths: ['.env'],
+      rule: 'secrets',
+    }),
+  ]);
+
+  const lines = (await fs.readFile(APPROVAL_AUDIT_PATH, 'utf8')).trim().split('\n');
+  const [first, second] = lines.map((line) => JSON.parse(line));
+  assert.equal(lines.length, 2);
+  assert.equal(first.chatId, '1');
+  assert.equal(first.requestId, '7');
+  assert.equal(first.command, 'npm test');
+  assert.deepEqual(first.paths, []);
+  assert.equal(second.decision, 'decline');
+  assert.equal(second.chatId, null);
+  assert.deepEqual(second.paths, ['.env']);
+  assert.match(second.createdAt, /^\d{4}-\d{2}-\d{2}T/);
+});
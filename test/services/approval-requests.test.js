@@ -8,6 +8,7 @@ const {
 function createBotRecorder() {
   const sentMessages = [];
   const editedMessages = [];
+  const sentDocuments = [];
 
   return {
     bot: {
@@ -15,6 +16,10 @@ function createBotRecorder() {
         editMessageText: async (chatId, messageId, inlineMessageId, text, options) => {
           editedMessages.push({ chatId, messageId, inlineMessageId, text, options });
         },
+        sendDocument: async (chatId, document, options) => {
+          sentDocuments.push({ chatId, document, options });
+          return { message_id: 778 };
+        },
         sendMessage: async (chatId, text, options) => {
           sentMessages.push({ chatId, text, options });
           return { message_id: 777 };
@@ -22,6 +27,7 @@ function createBotRecorder() {
       },
     },
     editedMessages,
+    sentDocuments,
     sentMessages,
   };
 }
@@ -176,3 +182,353 @@ test('approval service renders permission approvals with requested scopes', asyn
 
   service.shutdown();
 });
+
+function createManualTimers() {
+  const timers = new Map();
+  let nextId = 0;
+  return {
+    timers,
+    setTimer(fn, delay) {
+      const handle = { id: ++nextId };
+      timers.set(handle.id, { fn, delay });
+      return handle;
+    },
+    clearTimer(handle) {
+      if (handle?.id) timers.delete(handle.id);
+    },
+    fire(delay) {
+      for (const [id, timer] of timers) {
+        if (timer.delay !== delay) continue;
+        timers.delete(id);
+        timer.fn();
+        return;
+      }
+      throw new Error(`No timer with delay ${delay}`);
+    },
+  };
+}
+
+test('approval service sends reminders and applies the default decision on timeout', async () => {
+  const { bot, editedMessages, sentMessages } = createBotRecorder();
+  const timers = createManualTimers();
+  const timeoutKinds = [];
+  const service = createApprovalService({
+    bot,
+    clearTimer: timers.clearTimer,
+    getTimeout: (kind) => {
+      timeoutKinds.push(kind);
+      return { decision: 'decline', reminderMs: 300_000, timeoutMs: 900_000 };
+    },
+    logger: { warn() {} },
+    setTimer: timers.setTimer,
+  });
+
+  const decisionPromise = service.requestApproval(
+    { command: 'npm publish', kind: 'command_execution', requestId: 7, threadId: 'thread-7' },
+    { chatId: 123, topicId: 77 }
+  );
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.deepEqual(timeoutKinds, ['command_execution']);
+  timers.fire(300_000);
+  timers.fire(300_000);
+  await Promise.resolve();
+  assert.equal(timers.timers.size, 1);
+  assert.deepEqual(
+    sentMessages.slice(1).map((message) => message.text),
+    [
+      'Recordatorio: hay una approval pendiente. Se dara por rechazada en 10 min.',
+      'Recordatorio: hay una approval pendiente. Se dara por rechazada en 5 min.',
+    ]
+  );
+  assert.equal(sentMessages[1].options.message_thread_id, 77);
+  assert.equal(sentMessages[1].options.reply_to_message_id, 777);
+
+  timers.fire(900_000);
+  assert.equal(await decisionPromise, 'decline');
+  assert.match(editedMessages[0].text, /Estado:<\/b> expirada \(rechazada automaticamente\)/);
+  assert.equal(timers.timers.size, 0);
+});
+
+test('approval service clears timers when someone answers in time', async () => {
+  const { bot, sentMessages } = createBotRecorder();
+  const timers = createManualTimers();
+  const service = createApprovalService({
+    bot,
+    clearTimer: timers.clearTimer,
+    getTimeout: () => ({ decision: 'accept', reminderMs: null, timeoutMs: 60_000 }),
+    logger: { warn() {} },
+    setTimer: timers.setTimer,
+  });
+
+  const decisionPromise = service.requestApproval(
+    { kind: 'file_change', requestId: 8, threadId: 'thread-8' },
+    { chatId: 123 }
+  );
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(timers.timers.size, 1);
+
+  const callbackData = sentMessages[0].options.reply_markup.inline_keyboard[1][1].callback_data;
+  await service.handleCallbackQuery({
+    answerCbQuery: async () => {},
+    callbackQuery: { data: callbackData },
+  });
+  assert.equal(await decisionPromise, 'cancel');
+  assert.equal(timers.timers.size, 0);
+});
+
+function createCallback(data, answers) {
+  return {
+    answerCbQuery: async (text) => {
+      answers.push(text);
+    },
+    callbackQuery: { data },
+  };
+}
+
+test('approval service renders short file diffs inline', async () => {
+  const { bot, sentDocuments, sentMessages } = createBotRecorder();
+  const service = createApprovalService({ bot, logger: { warn() {} } });
+
+  void service.requestApproval(
+    {
+      item: {
+        changes: [
+          { path: 'src/a.js', kind: { type: 'update' }, diff: '@@ -1 +1 @@\n-a < b\n+a <= b\n' },
+        ],
+      },
+      kind: 'file_change',
+      requestId: 10,
+      threadId: 'thread-10',
+    },
+    { chatId: 456 }
+  );
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.match(sentMessages[0].text, /<code>src\/a\.js<\/code> update/);
+  assert.match(
+    sentMessages[0].text,
+    /<pre><code class="language-diff">@@ -1 \+1 @@\n-a &lt; b\n\+a &lt;= b<\/code><\/pre>/
+  );
+  assert.equal(sentMessages[0].options.reply_markup.inline_keyboard.length, 2);
+  assert.equal(sentDocuments.length, 0);
+  service.shutdown();
+});
+
+test('approval service attaches diffs whose escaped card would not fit in one message', async () => {
+  const { bot, editedMessages, sentDocuments, sentMessages } = createBotRecorder();
+  const service = createApprovalService({ bot, logger: { warn() {} } });
+  const markup = '+<a href="?x=1&y=2">&amp;</a>\n'.repeat(80);
+  const diff = `@@ -0,0 +1,80 @@\n${markup}`;
+  assert.ok(diff.length <= 2500);
+
+  void service.requestApproval(
+    {
+      item: { changes: [{ path: 'src/page.jsx', kind: { type: 'add' }, diff }] },
+      kind: 'file_change',
+      requestId: 12,
+      threadId: 'thread-12',
+    },
+    { chatId: 456 }
+  );
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.ok(sentMessages[0].text.length <= 4096);
+  assert.doesNotMatch(sentMessages[0].text, /<pre>/);
+  assert.match(sentMessages[0].text, /adjunto como \.diff/);
+  assert.equal(sentDocuments.length, 1);
+  assert.match(sentDocuments[0].document.source.toString('utf8'), /<a href="\?x=1&y=2">/);
+
+  service.resolveServerRequest({ requestId: 12, threadId: 'thread-12' });
+  assert.match(editedMessages[0].text, /adjunto como \.diff/);
+  service.shutdown();
+});
+
+test('approval service attaches long diffs and settles per-file decisions', async () => {
+  const { bot, editedMessages, sentDocuments, sentMessages } = createBotRecorder();
+  const service = createApprovalService({ bot, logger: { warn() {} } });
+  const longDiff = `@@ -1,200 +1,200 @@\n${'+line\n'.repeat(600)}`;
+  const answers = [];
+
+  const decisionPromise = service.requestApproval(
+    {
+      item: {
+        changes: [
+          { path: 'src/a.js', kind: { type: 'add' }, diff: longDiff },
+          { path: 'src/b.js', kind: { type: 'update' }, diff: '@@ -1 +1 @@\n-x\n+y' },
+        ],
+      },
+      kind: 'file_change',
+      requestId: 11,
+      threadId: 'thread-11',
+    },
+    { chatId: 456, topicId: 5 }
+  );
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.doesNotMatch(sentMessages[0].text, /<pre>/);
+  assert.match(sentMessages[0].text, /adjunto como \.diff/);
+  assert.equal(sentDocuments.length, 1);
+  assert.equal(sentDocuments[0].document.filename, 'approval-11.diff');
+  assert.equal(sentDocuments[0].options.reply_to_message_id, 777);
+  assert.equal(sentDocuments[0].options.message_thread_id, 5);
+  const diffText = sentDocuments[0].document.source.toString('utf8');
+  assert.match(diffText, /^--- \/dev\/null\n\+\+\+ b\/src\/a\.js\n@@/);
+  assert.match(diffText, /--- a\/src\/b\.js\n\+\+\+ b\/src\/b\.js\n@@ -1 \+1 @@\n-x\n\+y\n$/);
+
+  const keyboard = sentMessages[0].options.reply_markup.inline_keyboard;
+  assert.deepEqual(
+    keyboard.slice(0, 2).map((row) => row.map((button) => button.text)),
+    [
+      ['Aprobar a.js', 'Rechazar a.js'],
+      ['Aprobar b.js', 'Rechazar b.js'],
+    ]
+  );
+
+  await service.handleCallbackQuery(createCallback(keyboard[1][0].callback_data, answers));
+  assert.equal(answers[0], 'Aprobado: b.js (1/2)');
+  assert.match(editedMessages[0].text, /b\.js<\/code> update \(aprobado\)/);
+  assert.equal(editedMessages[0].options.reply_markup.inline_keyboard.length, 3);
+
+  await service.handleCallbackQuery(createCallback(keyboard[0][0].callback_data, answers));
+  assert.equal(await decisionPromise, 'accept');
+  assert.match(editedMessages.at(-1).text, /Estado:<\/b> aprobada \(archivo por archivo\)/);
+});
+
+test('rejecting one file declines the whole file change request', async () => {
+  const { bot, editedMessages, sentMessages } = createBotRecorder();
+  const service = createApprovalService({ bot, logger: { warn() {} } });
+  const answers = [];
+
+  const decisionPromise = service.requestApproval(
+    {
+      item: { changes: [{ path: 'a.js' }, { path: 'b.js' }] },
+      kind: 'file_change',
+      requestId: 12,
+      threadId: 'thread-12',
+    },
+    { chatId: 456 }
+  );
+  await new Promise((resolve) => setImmediate(resolve));
+
+  const keyboard = sentMessages[0].options.reply_markup.inline_keyboard;
+  await service.handleCallbackQuery(createCallback(keyboard[0][1].callback_data, answers));
+  assert.equal(await decisionPromise, 'decline');
+  assert.deepEqual(answers, ['Rechazado: a.js']);
+  assert.match(editedMessages[0].text, /Estado:<\/b> rechazada \(a\.js\)/);
+});
+
+function createMemoryPendingStore(initial = {}) {
+  const sections = { ...initial };
+  return {
+    load: async (section) => sections[section] || [],
+    save: async (section, records) => {
+      sections[section] = records;
+    },
+    sections,
+  };
+}
+
+test('approval service persists open cards and expires them after a restart', async () => {
+  const pendingStore = createMemoryPendingStore();
+  const first = createBotRecorder();
+  const service = createApprovalService({
+    bot: first.bot,
+    logger: { warn() {} },
+    pendingStore,
+  });
+
+  void service.requestApproval(
+    { command: 'npm test', kind: 'command_execution', requestId: 8, threadId: 'thread-8' },
+    { chatId: 123, topicId: 77 }
+  );
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.equal(pendingStore.sections.approvals.length, 1);
+  assert.equal(pendingStore.sections.approvals[0].messageId, 777);
+  assert.equal(pendingStore.sections.approvals[0].topicId, 77);
+  assert.match(pendingStore.sections.approvals[0].text, /npm test/);
+
+  service.shutdown();
+  assert.equal(pendingStore.sections.approvals.length, 1);
+
+  const second = createBotRecorder();
+  const restarted = createApprovalService({
+    bot: second.bot,
+    logger: { warn() {} },
+    pendingStore,
+  });
+  assert.equal(await restarted.restorePending(), 1);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(second.editedMessages.length, 1);
+  assert.equal(second.editedMessages[0].chatId, 123);
+  assert.equal(second.editedMessages[0].messageId, 777);
+  assert.match(second.editedMessages[0].text, /npm test/);
+  assert.match(second.editedMessages[0].text, /Estado:<\/b> expirada \(bot reiniciado\)/);
+  assert.deepEqual(second.editedMessages[0].options.reply_markup, { inline_keyboard: [] });
+  assert.deepEqual(pendingStore.sections.approvals, []);
+});
+
+test('approval service keeps cards opened while the restart restore is still running', async () => {
+  const pendingStore = createMemoryPendingStore({
+    approvals: [{ chatId: 123, messageId: 500, text: '<b>Approval solicitada</b>' }],
+  });
+  const { bot, editedMessages } = createBotRecorder();
+  let finishEdit;
+  const editDone = new Promise((resolve) => {
+    finishEdit = resolve;
+  });
+  const recordEdit = bot.telegram.editMessageText;
+  bot.telegram.editMessageText = async (...args) => {
+    await editDone;
+    return recordEdit(...args);
+  };
+  const service = createApprovalService({ bot, logger: { warn() {} }, pendingStore });
+
+  const restored = service.restorePending();
+  void service.requestApproval(
+    { command: 'npm test', kind: 'command_execution', requestId: 10, threadId: 'thread-10' },
+    { chatId: 123 }
+  );
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(
+    pendingStore.sections.approvals.map((record) => record.messageId),
+    [500]
+  );
+
+  finishEdit();
+  assert.equal(await restored, 1);
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.deepEqual(
+    editedMessages.map((entry) => entry.messageId),
+    [500]
+  );
+  assert.deepEqual(
+    pendingStore.sections.approvals.map((record) => record.messageId),
+    [777]
+  );
+});
+
+test('approval service drops settled approvals from the persisted cards', async () => {
+  const pendingStore = createMemoryPendingStore();
+  const { bot, sentMessages } = createBotRecorder();
+  const service = createApprovalService({ bot, logger: { warn() {} }, pendingStore });
+
+  const decisionPromise = service.requestApproval(
+    { command: 'ls', kind: 'command_execution', requestId: 9, threadId: 'thread-9' },
+    { chatId: 123 }
+  );
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(pendingStore.sections.approvals.length, 1);
+
+  await service.handleCallbackQuery({
+    answerCbQuery: async () => {},
+    callbackQuery: {
+      data: sentMessages[0].options.reply_markup.inline_keyboard[1][0].callback_data,
+    },
+  });
+
+  assert.equal(await decisionPromise, 'decline');
+  assert.deepEqual(pendingStore.sections.approvals, []);
+});
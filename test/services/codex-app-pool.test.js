@@ -0,0 +1,77 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { createCodexAppServerPool } = require('../../src/services/codex-app-pool');
+
+function createInstance(name) {
+  const instance = {
+    client: {
+      name,
+      shutdownCalls: 0,
+      async shutdown() {
+        instance.client.shutdownCalls += 1;
+      },
+    },
+    supervisor: {
+      stopped: false,
+      getStatus: () => ({ name, restartCount: 0, running: true }),
+      stop() {
+        instance.supervisor.stopped = true;
+      },
+    },
+  };
+  return instance;
+}
+
+test('pool shares the default instance and lazily creates dedicated ones', async () => {
+  const defaultInstance = createInstance('default');
+  const created = [];
+  const infos = [];
+  const pool = createCodexAppServerPool({
+    createInstance: (workspace) => {
+      const instance = createInstance(workspace.id);
+      created.push(workspace);
+      return instance;
+    },
+    defaultInstance,
+    logger: { info: (message) => infos.push(message), warn() {} },
+  });
+  const shared = { cwd: '/srv/web', dedicatedServer: false, id: 'web' };
+  const api = { cwd: '/srv/api', dedicatedServer: true, id: 'api' };
+
+  assert.equal(pool.getInstance(null), defaultInstance);
+  assert.equal(pool.getInstance(shared), defaultInstance);
+  assert.equal(pool.getWorkspaceStatus(api), null);
+  const apiInstance = pool.getInstance(api);
+  assert.equal(pool.getInstance(api), apiInstance);
+  assert.deepEqual(created, [api]);
+  assert.deepEqual(infos, ['codex_app_server_instance workspace=api cwd=/srv/api']);
+  assert.equal(pool.getWorkspaceStatus(api).name, 'api');
+  assert.equal(pool.getWorkspaceStatus(shared).name, 'default');
+
+  pool.trackThread('thread-1', apiInstance);
+  assert.equal(pool.getThreadInstance('thread-1'), apiInstance);
+  assert.equal(pool.getThreadInstance('thread-2'), defaultInstance);
+
+  await pool.shutdown();
+  assert.equal(apiInstance.client.shutdownCalls, 1);
+  assert.equal(apiInstance.supervisor.stopped, true);
+  assert.equal(defaultInstance.client.shutdownCalls, 0);
+  assert.equal(pool.getThreadInstance('thread-1'), defaultInstance);
+});
+
+test('pool replaces a dedicated instance when the workspace cwd changes', async () => {
+  const defaultInstance = createInstance('default');
+  const pool = createCodexAppServerPool({
+    createInstance: (workspace) => createInstance(workspace.cwd),
+    defaultInstance,
+  });
+  const first = pool.getInstance({ cwd: '/srv/a', dedicatedServer: true, id: 'api' });
+  pool.trackThread('thread-1', first);
+  const second = pool.getInstance({ cwd: '/srv/b', dedicatedServer: true, id: 'api' });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.notEqual(first, second);
+  assert.equal(first.client.shutdownCalls, 1);
+  assert.equal(pool.getThreadInstance('thread-1'), defaultInstance);
+});
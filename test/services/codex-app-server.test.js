@@ -726,6 +726,73 @@ test('codex app server client routes approval requests and resolution events', a
   await client.shutdown();
 });
 
+test('codex app server client answers approvals from the policy before asking', async () => {
+  const approvals = [];
+  const policyRequests = [];
+  let approvalResponse = null;
+  const harness = createSpawnHarness((state, message) => {
+    if (message.method === 'initialize') {
+      state.send({ id: message.id, result: {} });
+      return;
+    }
+    if (message.method === 'thread/start') {
+      state.send({ id: message.id, result: { thread: { id: 'thread-policy' } } });
+      return;
+    }
+    if (message.method === 'turn/start') {
+      state.send({ id: message.id, result: { turn: { id: 'turn-policy' } } });
+      queueMicrotask(() => {
+        state.send({
+          id: 92,
+          method: 'item/commandExecution/requestApproval',
+          params: { threadId: 'thread-policy', itemId: 'cmd-2', command: 'rm -rf /' },
+        });
+      });
+      return;
+    }
+    if (message.id === 92 && message.result) {
+      approvalResponse = message;
+      state.send({
+        method: 'item/completed',
+        params: {
+          threadId: 'thread-policy',
+          turnId: 'turn-policy',
+          item: { id: 'msg-final', type: 'agentMessage', phase: 'final_answer', text: 'ok' },
+        },
+      });
+      state.send({
+        method: 'turn/completed',
+        params: { threadId: 'thread-policy', turn: { id: 'turn-policy', status: 'completed' } },
+      });
+    }
+  });
+
+  const client = createCodexAppServerClient({
+    logger: { warn() {} },
+    spawnProcess: harness.spawnProcess,
+  });
+
+  await client.runChatTurn({
+    input: [{ type: 'text', text: 'limpia' }],
+    requestApproval: async (request) => {
+      approvals.push(request);
+      return 'accept';
+    },
+    resolveApprovalPolicy: async (request) => {
+      policyRequests.push(request);
+      return 'decline';
+    },
+  });
+
+  assert.equal(policyRequests.length, 1);
+  assert.equal(policyRequests[0].command, 'rm -rf /');
+  assert.equal(policyRequests[0].kind, 'command_execution');
+  assert.equal(approvals.length, 0);
+  assert.equal(approvalResponse.result.decision, 'decline');
+
+  await client.shutdown();
+});
+
 test('codex app server client routes permissions approvals and grants the approved subset', async () => {
   const approvals = [];
   const resolvedRequests = [];
@@ -1256,6 +1323,65 @@ test('codex app server client respawns after the server exits', async () => {
   await client.shutdown();
 });
 
+test('codex app server client reports interrupted turns when the server exits', async () => {
+  const exits = [];
+  const harness = createSpawnHarness((state, message) => {
+    if (message.method === 'initialize') {
+      state.send({ id: message.id, result: {} });
+      return;
+    }
+    if (message.method === 'thread/start') {
+      state.send({ id: message.id, result: { thread: { id: 'thread-1' } } });
+      return;
+    }
+    if (message.method === 'turn/start') {
+      state.send({ id: message.id, result: { turn: { id: 'turn-1' } } });
+      return;
+    }
+    if (message.method === 'thread/list') {
+      state.send({ id: message.id, error: { code: -32600, message: 'bad request' } });
+    }
+  });
+
+  const client = createCodexAppServerClient({
+    logger: { warn() {} },
+    onExit: (event) => exits.push(event),
+    spawnProcess: harness.spawnProcess,
+  });
+
+  assert.equal(client.getStatus().running, false);
+  await assert.rejects(client.ping(), /not running/);
+
+  const turn = client.runChatTurn({
+    input: [{ type: 'text', text: 'hola' }],
+    metadata: { chatId: 5, topicId: 9 },
+    onTurnStarted: () => {},
+  });
+  while (!harness.spawns[0]?.messages.some((message) => message.method === 'turn/start')) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  await new Promise((resolve) => setImmediate(resolve));
+
+  const status = client.getStatus();
+  assert.equal(status.running, true);
+  assert.equal(typeof status.startedAt, 'number');
+  await client.ping();
+
+  client.terminate(new Error('heartbeat timed out'));
+  await assert.rejects(turn, /heartbeat timed out/);
+  assert.equal(exits.length, 1);
+  assert.equal(exits[0].error.message, 'heartbeat timed out');
+  assert.equal(exits[0].wasInitialized, true);
+  assert.deepEqual(exits[0].interruptedTurns, [
+    { metadata: { chatId: 5, topicId: 9 }, threadId: 'thread-1', turnId: 'turn-1' },
+  ]);
+  assert.equal(harness.spawns[0].proc.killed, true);
+  assert.deepEqual(client.getStatus(), { running: false, startedAt: null });
+
+  await client.shutdown();
+  assert.equal(exits.length, 1);
+});
+
 test('codex app server client exposes interruptTurn', async () => {
   const logger = { warn() {} };
   const harness = createSpawnHarness((state, message) => {
@@ -1316,3 +1442,149 @@ test('codex app server client exposes steerTurn', async () => {
 
   await client.shutdown();
 });
+
+test('codex app server client sums token usage updates into the turn result', async () => {
+  const harness = createSpawnHarness((state, message) => {
+    if (message.method === 'initialize') {
+      state.send({ id: message.id, result: {} });
+      return;
+    }
+    if (message.method === 'thread/start') {
+      state.send({ id: message.id, result: { thread: { id: 'thread-usage' } } });
+      return;
+    }
+    if (message.method === 'turn/start') {
+      state.send({ id: message.id, result: { turn: { id: 'turn-usage' } } });
+      queueMicrotask(() => {
+        for (const last of [
+          { inputTokens: 1000, cachedInputTokens: 600, outputTokens: 50, reasoningOutputTokens: 20 },
+          { inputTokens: 200, cachedInputTokens: 0, outputTokens: 30, reasoningOutputTokens: 0 },
+        ]) {
+          state.send({
+            method: 'thread/tokenUsage/updated',
+            params: {
+              threadId: 'thread-usage',
+              turnId: 'turn-usage',
+              tokenUsage: { last, total: last },
+            },
+          });
+        }
+        state.send({
+          method: 'item/completed',
+          params: {
+            threadId: 'thread-usage',
+            turnId: 'turn-usage',
+            item: { id: 'msg-1', type: 'agentMessage', phase: 'final_answer', text: 'listo' },
+          },
+        });
+        state.send({
+          method: 'turn/completed',
+          params: {
+            threadId: 'thread-usage',
+            turn: { id: 'turn-usage', status: 'completed' },
+          },
+        });
+      });
+    }
+  });
+
+  const client = createCodexAppServerClient({
+    logger: { warn() {} },
+    spawnProcess: harness.spawnProcess,
+  });
+
+  const result = await client.runChatTurn({
+    cwd: '/tmp/demo',
+    input: [{ type: 'text', text: 'hola' }],
+  });
+
+  assert.equal(result.text, 'listo');
+  assert.deepEqual(result.usage, {
+    inputTokens: 1200,
+    cachedInputTokens: 600,
+    outputTokens: 80,
+    reasoningTokens: 20,
+  });
+
+  await client.shutdown();
+});
+
+test('codex app server client shows command details in verbose mode and keeps the turn timeline', async () => {
+  const progressUpdates = [];
+  const harness = createSpawnHarness((state, message) => {
+    if (message.method === 'initialize') {
+      state.send({ id: message.id, result: {} });
+      return;
+    }
+    if (message.method === 'thread/start') {
+      state.send({ id: message.id, result: { thread: { id: 'thread-v' } } });
+      return;
+    }
+    if (message.method === 'turn/start') {
+      state.send({ id: message.id, result: { turn: { id: 'turn-v' } } });
+      queueMicrotask(() => {
+        const params = { threadId: 'thread-v', turnId: 'turn-v' };
+        state.send({
+          method: 'item/started',
+          params: {
+            ...params,
+            item: { id: 'cmd-1', type: 'commandExecution', command: 'npm test', status: 'inProgress' },
+          },
+        });
+        state.send({
+          method: 'item/completed',
+          params: {
+            ...params,
+            item: {
+              id: 'cmd-1',
+              type: 'commandExecution',
+              command: 'npm test',
+              durationMs: 1500,
+              exitCode: 0,
+              status: 'completed',
+            },
+          },
+        });
+        state.send({
+          method: 'item/completed',
+          params: {
+            ...params,
+            item: { id: 'msg-1', type: 'agentMessage', phase: 'final_answer', text: 'listo' },
+          },
+        });
+        state.send({
+          method: 'turn/completed',
+          params: { threadId: 'thread-v', turn: { id: 'turn-v', status: 'completed' } },
+        });
+      });
+    }
+  });
+
+  const client = createCodexAppServerClient({
+    logger: { warn() {} },
+    spawnProcess: harness.spawnProcess,
+  });
+
+  await client.runChatTurn({
+    input: [{ type: 'text', text: 'hola' }],
+    onProgressUpdate: (payload) => {
+      progressUpdates.push(payload.text);
+    },
+    verbose: true,
+  });
+
+  assert.deepEqual(progressUpdates, [
+    'Ejecutando: `npm test`',
+    'Comando: `npm test` (exit 0, 1.5 s)',
+  ]);
+  const timeline = client.getTurnTimeline('thread-v');
+  assert.equal(timeline.status, 'completed');
+  assert.equal(timeline.turnId, 'turn-v');
+  assert.deepEqual(
+    timeline.entries.map((entry) => `${entry.source}:${entry.item.id}`),
+    ['started:cmd-1', 'completed:cmd-1', 'completed:msg-1']
+  );
+  assert.equal(client.getTurnTimeline('thread-other'), null);
+
+  await client.shutdown();
+});
@@ -0,0 +1,188 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { createCodexAppServerSupervisor } = require('../../src/services/codex-app-supervisor');
+
+function createTimers() {
+  const timers = new Map();
+  let nextId = 1;
+  return {
+    clearTimer(id) {
+      timers.delete(id);
+    },
+    pending() {
+      return Array.from(timers.values());
+    },
+    async runNext(predicate = () => true) {
+      const [id, timer] = Array.from(timers.entries()).find(([, entry]) => predicate(entry)) || [];
+      if (!id) throw new Error('no pending timer');
+      timers.delete(id);
+      await timer.fn();
+    },
+    setTimer(fn, delayMs) {
+      const id = nextId++;
+      timers.set(id, { delayMs, fn });
+      return id;
+    },
+  };
+}
+
+function createFakeClient() {
+  const client = {
+    pingResult: Promise.resolve(),
+    resumed: [],
+    running: true,
+    startCalls: 0,
+    startError: null,
+    terminated: [],
+    getStatus() {
+      return { running: client.running, startedAt: client.running ? 1000 : null };
+    },
+    ping() {
+      return client.pingResult;
+    },
+    async readThreadState({ threadId }) {
+      if (threadId === 'thread-missing') throw new Error('no rollout found');
+      client.resumed.push(threadId);
+      return { threadId };
+    },
+    async start() {
+      client.startCalls += 1;
+      if (client.startError) throw client.startError;
+      client.running = true;
+    },
+    terminate(error) {
+      client.terminated.push(error.message);
+      client.running = false;
+    },
+  };
+  return client;
+}
+
+function flush() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+test('supervisor restarts a crashed app-server and resumes interrupted threads', async () => {
+  const timers = createTimers();
+  const client = createFakeClient();
+  const notified = [];
+  const infos = [];
+  const supervisor = createCodexAppServerSupervisor({
+    client,
+    clearTimer: timers.clearTimer,
+    heartbeatIntervalMs: 30000,
+    logger: { info: (message) => infos.push(message), warn() {} },
+    notifyThreadRecovered: async (payload) => notified.push(payload),
+    now: () => 61000,
+    setTimer: timers.setTimer,
+  });
+  supervisor.start();
+
+  client.running = false;
+  supervisor.handleExit({
+    error: new Error('Codex app-server exited: exit code 1'),
+    interruptedTurns: [
+      { metadata: { chatId: 1, topicId: 7 }, threadId: 'thread-1', turnId: 'turn-1' },
+      { metadata: { chatId: 2 }, threadId: 'thread-missing', turnId: 'turn-2' },
+    ],
+    wasInitialized: true,
+  });
+
+  assert.equal(supervisor.getStatus().restartPending, true);
+  assert.deepEqual(
+    timers.pending().map((timer) => timer.delayMs).sort((a, b) => a - b),
+    [1000, 30000]
+  );
+  await timers.runNext((timer) => timer.delayMs === 1000);
+
+  assert.equal(client.startCalls, 1);
+  assert.deepEqual(client.resumed, ['thread-1']);
+  assert.ok(infos.includes('codex_app_server_restarted count=1'));
+  assert.equal(notified.length, 2);
+  assert.deepEqual(notified[0], { error: null, metadata: { chatId: 1, topicId: 7 }, threadId: 'thread-1' });
+  assert.match(notified[1].error.message, /no rollout found/);
+
+  const status = supervisor.getStatus();
+  assert.equal(status.running, true);
+  assert.equal(status.restartCount, 1);
+  assert.equal(status.uptimeMs, 60000);
+  assert.equal(status.lastExit.reason, 'Codex app-server exited: exit code 1');
+  supervisor.stop();
+  assert.deepEqual(timers.pending(), []);
+});
+
+test('supervisor backs off exponentially while restarts keep failing', async () => {
+  const timers = createTimers();
+  const client = createFakeClient();
+  const supervisor = createCodexAppServerSupervisor({
+    client,
+    clearTimer: timers.clearTimer,
+    heartbeatIntervalMs: 30000,
+    logger: { info() {}, warn() {} },
+    restartBaseDelayMs: 1000,
+    restartMaxDelayMs: 5000,
+    setTimer: timers.setTimer,
+  });
+  supervisor.start();
+  client.running = false;
+  client.startError = new Error('spawn failed');
+  supervisor.handleExit({ error: new Error('boom'), wasInitialized: true });
+
+  const delays = [];
+  for (let attempt = 0; attempt < 4; attempt += 1) {
+    const timer = timers.pending().find((entry) => entry.delayMs !== 30000);
+    delays.push(timer.delayMs);
+    await timers.runNext((entry) => entry === timer);
+  }
+  assert.deepEqual(delays, [1000, 2000, 4000, 5000]);
+  assert.equal(supervisor.getStatus().restartCount, 0);
+
+  client.startError = null;
+  await timers.runNext((entry) => entry.delayMs === 5000);
+  assert.equal(supervisor.getStatus().restartCount, 1);
+  supervisor.stop();
+});
+
+test('supervisor ignores exits of servers that never initialized or after stop', () => {
+  const timers = createTimers();
+  const client = createFakeClient();
+  const supervisor = createCodexAppServerSupervisor({
+    client,
+    clearTimer: timers.clearTimer,
+    logger: { info() {}, warn() {} },
+    setTimer: timers.setTimer,
+  });
+
+  supervisor.handleExit({ error: new Error('early'), wasInitialized: true });
+  assert.deepEqual(timers.pending(), []);
+
+  supervisor.start();
+  supervisor.handleExit({ error: new Error('spawn ENOENT'), wasInitialized: false });
+  assert.equal(timers.pending().length, 1);
+  assert.equal(supervisor.getStatus().restartPending, false);
+  supervisor.stop();
+});
+
+test('supervisor terminates the app-server when a heartbeat times out', async () => {
+  const timers = createTimers();
+  const client = createFakeClient();
+  const supervisor = createCodexAppServerSupervisor({
+    client,
+    clearTimer: timers.clearTimer,
+    heartbeatIntervalMs: 30000,
+    heartbeatTimeoutMs: 5000,
+    logger: { info() {}, warn() {} },
+    setTimer: timers.setTimer,
+  });
+  supervisor.start();
+
+  client.pingResult = new Promise(() => {});
+  const heartbeat = supervisor.heartbeat();
+  await flush();
+  await timers.runNext((entry) => entry.delayMs === 5000);
+  await heartbeat;
+
+  assert.deepEqual(client.terminated, ['Codex app-server heartbeat timed out after 5000 ms']);
+  supervisor.stop();
+});
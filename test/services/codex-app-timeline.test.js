@@ -0,0 +1,84 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const {
+  createTurnTimeline,
+  formatTurnTimeline,
+  summarizeVerboseItem,
+} = require('../../src/services/codex-app-timeline');
+
+test('summarizeVerboseItem describes commands with exit code and duration', () => {
+  const item = { type: 'commandExecution', command: 'npm test', status: 'inProgress' };
+  assert.equal(summarizeVerboseItem(item, 'started'), 'Ejecutando: `npm test`');
+  assert.equal(
+    summarizeVerboseItem(
+      { ...item, durationMs: 320, exitCode: 1, status: 'failed' },
+      'completed'
+    ),
+    'Fallo: `npm test` (exit 1, 320 ms)'
+  );
+  assert.equal(
+    summarizeVerboseItem({ ...item, status: 'declined' }, 'completed'),
+    'Comando rechazado: `npm test`'
+  );
+});
+
+test('summarizeVerboseItem lists touched files and MCP calls', () => {
+  assert.equal(
+    summarizeVerboseItem(
+      {
+        type: 'fileChange',
+        changes: [
+          { path: 'src/a.js', kind: { type: 'update' } },
+          { path: 'src/b.js', kind: 'add' },
+        ],
+        status: 'completed',
+      },
+      'completed'
+    ),
+    'Archivos: src/a.js (update), src/b.js (add)'
+  );
+  const call = {
+    type: 'mcpToolCall',
+    server: 'notion',
+    tool: 'search',
+    arguments: { query: 'roadmap' },
+  };
+  assert.equal(summarizeVerboseItem(call, 'started'), 'MCP: notion.search {"query":"roadmap"}');
+  assert.equal(
+    summarizeVerboseItem({ ...call, durationMs: 800, status: 'completed' }, 'completed'),
+    'MCP: notion.search {"query":"roadmap"} -> ok (800 ms)'
+  );
+  assert.equal(
+    summarizeVerboseItem({ ...call, error: { message: 'timeout' }, status: 'failed' }, 'completed'),
+    'MCP: notion.search {"query":"roadmap"} -> error: timeout'
+  );
+});
+
+test('summarizeVerboseItem shows reasoning summaries and skips unknown items', () => {
+  assert.equal(
+    summarizeVerboseItem({ type: 'reasoning', summary: ['Leer', 'el test'] }, 'completed'),
+    'Razonamiento: Leer el test'
+  );
+  assert.equal(summarizeVerboseItem({ type: 'reasoning' }, 'started'), '');
+  assert.equal(summarizeVerboseItem({ type: 'somethingElse' }, 'started'), null);
+});
+
+test('formatTurnTimeline renders offsets, summaries, and raw items', () => {
+  const timeline = createTurnTimeline({ now: () => 1000, threadId: 'thread-1' });
+  timeline.turnId = 'turn-1';
+  timeline.status = 'completed';
+  timeline.completedAt = 4000;
+  timeline.entries.push({
+    at: 3500,
+    item: { id: 'cmd-1', type: 'commandExecution', command: 'ls', exitCode: 0 },
+    source: 'completed',
+  });
+
+  const text = formatTurnTimeline(timeline);
+  assert.match(text, /^thread: thread-1\nturn: turn-1\nstatus: completed\n/);
+  assert.match(text, /items: 1/);
+  assert.match(text, /\[\+2\.5 s\] completed commandExecution cmd-1/);
+  assert.match(text, / {2}Comando: ls \(exit 0\)/);
+  assert.match(text, /"command": "ls"/);
+});
@@ -3,6 +3,8 @@ const test = require('node:test');
 
 const {
   createElicitationService,
+  parseFieldInput,
+  parseFormFields,
 } = require('../../src/services/elicitation-requests');
 
 function createBotRecorder() {
@@ -129,7 +131,7 @@ test('elicitation service exposes accept always when the request supports persis
   service.shutdown();
 });
 
-test('elicitation service limits unsupported forms to decline or cancel', async () => {
+test('elicitation service lets forms be declined without filling them', async () => {
   const { bot, editedMessages, sentMessages } = createBotRecorder();
   const service = createElicitationService({ bot, logger: { warn() {} } });
   const answers = [];
@@ -156,15 +158,17 @@ test('elicitation service limits unsupported forms to decline or cancel', async
   await Promise.resolve();
 
   assert.equal(sentMessages.length, 1);
-  assert.match(sentMessages[0].text, /todavia no soporta responder este formulario/);
-  assert.equal(sentMessages[0].options.reply_markup.inline_keyboard[0].length, 2);
-  const callbackData =
-    sentMessages[0].options.reply_markup.inline_keyboard[0][0].callback_data;
+  assert.match(sentMessages[0].text, /Campo 1\/1:<\/b> <code>workspace<\/code>/);
+  const keyboard = sentMessages[0].options.reply_markup.inline_keyboard;
+  assert.deepEqual(
+    keyboard.map((row) => row.map((button) => button.text)),
+    [['Omitir'], ['Rechazar', 'Cancelar']]
+  );
   const handled = await service.handleCallbackQuery({
     answerCbQuery: async (text, options) => {
       answers.push({ options, text });
     },
-    callbackQuery: { data: callbackData },
+    callbackQuery: { data: keyboard[1][0].callback_data },
   });
 
   assert.equal(handled, true);
@@ -176,3 +180,152 @@ test('elicitation service limits unsupported forms to decline or cancel', async
 
   service.shutdown();
 });
+
+function createCallback(data, answers) {
+  return {
+    answerCbQuery: async (text) => {
+      answers.push(text);
+    },
+    callbackQuery: { data },
+  };
+}
+
+function createTextMessage(text, replies, { chatId = 456, topicId = 88 } = {}) {
+  return {
+    chat: { id: chatId },
+    message: { text, message_thread_id: topicId },
+    reply: async (message) => {
+      replies.push(message);
+    },
+  };
+}
+
+test('elicitation service walks through form fields and returns the filled object', async () => {
+  const { bot, editedMessages, sentMessages } = createBotRecorder();
+  const service = createElicitationService({ bot, logger: { warn() {} } });
+  const answers = [];
+  const replies = [];
+
+  const responsePromise = service.requestElicitation(
+    {
+      threadId: 'thread-3',
+      requestId: 33,
+      serverName: 'Linear',
+      mode: 'form',
+      message: 'Crear issue',
+      requestedSchema: {
+        type: 'object',
+        properties: {
+          priority: { type: 'string', enum: ['low', 'high'], enumNames: ['Baja', 'Alta'] },
+          urgent: { type: 'boolean', default: false },
+          estimate: { type: 'integer', minimum: 1, maximum: 8 },
+          title: { type: 'string', title: 'Titulo', minLength: 3 },
+          note: { type: 'string' },
+        },
+        required: ['priority', 'estimate', 'title'],
+      },
+    },
+    { chatId: 456, topicId: 88 }
+  );
+  await Promise.resolve();
+
+  const lastKeyboard = () =>
+    (editedMessages.at(-1) || sentMessages[0]).options.reply_markup.inline_keyboard;
+
+  assert.deepEqual(
+    lastKeyboard().map((row) => row.map((button) => button.text)),
+    [['Baja'], ['Alta'], ['Rechazar', 'Cancelar']]
+  );
+  assert.equal(await service.handleTextInput(createTextMessage('alta', replies)), false);
+  await service.handleCallbackQuery(createCallback(lastKeyboard()[1][0].callback_data, answers));
+
+  assert.equal(lastKeyboard()[0][0].text, 'No (cambiar a si)');
+  await service.handleCallbackQuery(createCallback(lastKeyboard()[0][0].callback_data, answers));
+  assert.equal(lastKeyboard()[0][0].text, 'Si (cambiar a no)');
+  await service.handleCallbackQuery(createCallback(lastKeyboard()[0][1].callback_data, answers));
+
+  assert.match(editedMessages.at(-1).text, /Campo 3\/5:<\/b> <code>estimate<\/code> \(obligatorio\)/);
+  assert.equal(await service.handleTextInput(createTextMessage('3', replies, { topicId: 1 })), false);
+  assert.equal(await service.handleTextInput(createTextMessage('12', replies)), true);
+  assert.deepEqual(replies, ['Valor no valido para estimate: Tiene que ser menor o igual que 8.']);
+  assert.equal(await service.handleTextInput(createTextMessage('3', replies)), true);
+  assert.equal(await service.handleTextInput(createTextMessage('Arreglar login', replies)), true);
+
+  assert.deepEqual(
+    lastKeyboard().map((row) => row.map((button) => button.text)),
+    [['Omitir'], ['Rechazar', 'Cancelar']]
+  );
+  await service.handleCallbackQuery(createCallback(lastKeyboard()[0][0].callback_data, answers));
+  assert.match(editedMessages.at(-1).text, /<code>priority<\/code>: Alta/);
+  assert.match(editedMessages.at(-1).text, /<code>urgent<\/code>: si/);
+  assert.match(editedMessages.at(-1).text, /Revisa las respuestas/);
+  await service.handleCallbackQuery(createCallback(lastKeyboard()[0][0].callback_data, answers));
+
+  assert.deepEqual(await responsePromise, {
+    action: 'accept',
+    content: { estimate: 3, priority: 'high', title: 'Arreglar login', urgent: true },
+  });
+  assert.equal(answers.at(-1), 'Accion: enviada');
+  assert.match(editedMessages.at(-1).text, /Estado:<\/b> aceptada/);
+  assert.doesNotMatch(editedMessages.at(-1).text, /Revisa las respuestas/);
+  assert.equal(await service.handleTextInput(createTextMessage('otra cosa', replies)), false);
+});
+
+test('parseFieldInput validates strings and numbers against the schema', () => {
+  const [email, when, count] = parseFormFields({
+    properties: {
+      email: { type: 'string', format: 'email' },
+      when: { type: 'string', format: 'date' },
+      count: { type: 'number' },
+    },
+  });
+  assert.deepEqual(parseFieldInput(email, ' a@b.co '), { value: 'a@b.co' });
+  assert.ok(parseFieldInput(email, 'nope').error);
+  assert.ok(parseFieldInput(when, '10/03/2026').error);
+  assert.deepEqual(parseFieldInput(count, '2,5'), { value: 2.5 });
+  assert.ok(parseFieldInput(count, 'dos').error);
+});
+
+test('elicitation service expires cards left open by a previous run', async () => {
+  const sections = {};
+  const pendingStore = {
+    load: async (section) => sections[section] || [],
+    save: async (section, records) => {
+      sections[section] = records;
+    },
+  };
+  const first = createBotRecorder();
+  const service = createElicitationService({
+    bot: first.bot,
+    logger: { warn() {} },
+    pendingStore,
+  });
+
+  void service.requestElicitation(
+    {
+      message: 'Conecta tu cuenta',
+      mode: 'url',
+      requestId: 41,
+      serverName: 'Notion',
+      threadId: 'thread-41',
+      url: 'https://example.com/auth',
+    },
+    { chatId: 123, topicId: 5 }
+  );
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(sections.elicitations.length, 1);
+  service.shutdown();
+
+  const second = createBotRecorder();
+  const restarted = createElicitationService({
+    bot: second.bot,
+    logger: { warn() {} },
+    pendingStore,
+  });
+  assert.equal(await restarted.restorePending(), 1);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(second.editedMessages[0].messageId, 778);
+  assert.match(second.editedMessages[0].text, /Notion/);
+  assert.match(second.editedMessages[0].text, /Estado:<\/b> expirada \(bot reiniciado\)/);
+  assert.deepEqual(sections.elicitations, []);
+});
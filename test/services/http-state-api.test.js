@@ -0,0 +1,165 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { createHttpStateApi } = require('../../src/services/http-state-api');
+
+function buildApi(overrides = {}) {
+  const calls = [];
+  const threads = new Map([
+    ['123:root:codex', 'thread-a'],
+    ['123:42:codex-app', 'thread-b'],
+  ]);
+  const threadTurns = new Map([['123:42:codex-app', 3]]);
+  const job = { id: 'daily', enabled: true, cron: '0 9 * * *', prompt: 'resumen' };
+  const api = createHttpStateApi({
+    buildCronInspection: ({ job: inspected }) => ({ jobId: inspected.id }),
+    buildCronTriggerPayload: (cronJob, defaultChatId, extra) => ({
+      chatId: cronJob.chatId || defaultChatId,
+      prompt: cronJob.prompt,
+      options: { jobId: cronJob.id, ...extra },
+    }),
+    buildTopicKey: (chatId, topicId) => `${chatId}:${topicId || 'root'}`,
+    clearThreadForAgent: (chatId, topicId, agentId) => {
+      calls.push(['clear', chatId, topicId, agentId]);
+      return threads.delete(`${chatId}:${topicId || 'root'}:${agentId}`);
+    },
+    curateMemory: async () => {
+      calls.push(['curate']);
+    },
+    getAgentOverrides: () => new Map([['123:42', 'codex-app']]),
+    getCronDefaultChatId: () => 999,
+    getThreads: () => threads,
+    handleCronTrigger: async (chatId, prompt, options) => {
+      calls.push(['cron', chatId, prompt, options.jobId]);
+      return { ok: true, response: 'hecho', silent: false };
+    },
+    isKnownAgent: (value) => ['codex', 'codex-app'].includes(value),
+    listActiveRuns: () => [{ chatId: 123, topicId: 42, agentId: 'codex-app' }],
+    listScheduledRuns: (runs) => runs,
+    loadCronJobs: async () => [job],
+    loadCronState: async () => ({ jobs: {} }),
+    loadScheduledRuns: async () => ({
+      runs: [
+        { id: 'once-1', status: 'pending' },
+        { id: 'once-2', status: 'succeeded' },
+      ],
+    }),
+    normalizeAgent: (value) => value,
+    persistMemory: (task) => task(),
+    persistThreads: async () => {},
+    resolveEffectiveAgentId: (_chatId, topicId, agent) =>
+      agent || (String(topicId) === '42' ? 'codex-app' : 'codex'),
+    setMemoryEventsSinceCurate: (value) => {
+      calls.push(['curateCounter', value]);
+    },
+    stopActiveRun: async (chatId, topicId, agentId) => {
+      calls.push(['stop', chatId, topicId, agentId]);
+      return { status: 'stopping', agentId };
+    },
+    threadTurns,
+    ...overrides,
+  });
+  const route = (method, path) => {
+    for (const entry of api.routes) {
+      if (entry.method !== method) continue;
+      if (typeof entry.path === 'string' && entry.path === path) {
+        return (input = {}) => entry.handler({ params: {}, query: {}, body: {}, ...input });
+      }
+      if (entry.path instanceof RegExp) {
+        const match = path.match(entry.path);
+        if (match) {
+          return (input = {}) =>
+            entry.handler({ params: { ...match.groups }, query: {}, body: {}, ...input });
+        }
+      }
+    }
+    throw new Error(`No route for ${method} ${path}`);
+  };
+  return { calls, route, threadTurns, threads };
+}
+
+test('state api lists thread bindings and agent overrides', async () => {
+  const { route } = buildApi();
+
+  const threads = await route('GET', '/api/threads')();
+  assert.deepEqual(threads.body.threads[1], {
+    key: '123:42:codex-app',
+    chatId: '123',
+    topicId: '42',
+    agentId: 'codex-app',
+    threadId: 'thread-b',
+  });
+
+  const overrides = await route('GET', '/api/agent-overrides')();
+  assert.deepEqual(overrides.body.overrides, [
+    { key: '123:42', chatId: '123', topicId: '42', agentId: 'codex-app' },
+  ]);
+
+  const runs = await route('GET', '/api/runs/active')();
+  assert.equal(runs.body.runs.length, 1);
+});
+
+test('state api exposes cron inspection and pending one-shot runs', async () => {
+  const { route } = buildApi();
+
+  const jobs = await route('GET', '/api/cron')();
+  assert.deepEqual(jobs.body.jobs, [{ jobId: 'daily' }]);
+
+  const inspected = await route('GET', '/api/cron/daily')();
+  assert.deepEqual(inspected.body.job, { jobId: 'daily' });
+
+  await assert.rejects(route('GET', '/api/cron/missing')(), (err) => err.status === 404);
+
+  const pending = await route('GET', '/api/later')();
+  assert.deepEqual(pending.body.runs.map((run) => run.id), ['once-1']);
+  const all = await route('GET', '/api/later')({ query: { all: '1' } });
+  assert.equal(all.body.runs.length, 2);
+});
+
+test('state api runs cron jobs like /cron run', async () => {
+  const { calls, route } = buildApi();
+
+  const result = await route('POST', '/api/cron/daily/run')({ body: { wait: true } });
+
+  assert.deepEqual(result.body, { ok: true, jobId: 'daily', response: 'hecho', silent: false });
+  assert.deepEqual(calls, [['cron', 999, 'resumen', 'daily']]);
+});
+
+test('state api cron runs prefer the chatId from the request over cronChatId', async () => {
+  const { calls, route } = buildApi();
+
+  const result = await route('POST', '/api/cron/daily/run')({
+    body: { chatId: '-100555', wait: true },
+  });
+
+  assert.equal(result.body.ok, true);
+  assert.deepEqual(calls, [['cron', -100555, 'resumen', 'daily']]);
+});
+
+test('state api mirrors /stop and /reset for a topic', async () => {
+  const { calls, route, threadTurns, threads } = buildApi();
+
+  const stopped = await route('POST', '/api/stop')({ body: { chatId: '123', topicId: 42 } });
+  assert.deepEqual(stopped.body, { ok: true, agentId: 'codex-app', status: 'stopping' });
+
+  const reset = await route('POST', '/api/reset')({ body: { chatId: 123, topicId: '42' } });
+  assert.deepEqual(reset.body, {
+    ok: true,
+    agentId: 'codex-app',
+    cleared: true,
+    memoryCurated: true,
+  });
+  assert.equal(threads.has('123:42:codex-app'), false);
+  assert.equal(threadTurns.size, 0);
+  assert.deepEqual(calls.slice(1), [
+    ['clear', 123, 42, 'codex-app'],
+    ['curate'],
+    ['curateCounter', 0],
+  ]);
+
+  await assert.rejects(route('POST', '/api/stop')({ body: {} }), (err) => err.status === 400);
+  await assert.rejects(
+    route('POST', '/api/reset')({ body: { chatId: 1, agent: 'nope' } }),
+    (err) => err.status === 400
+  );
+});
@@ -0,0 +1,140 @@
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { PassThrough } = require('node:stream');
+const test = require('node:test');
+
+const { createJsonRpcStdioConnection } = require('../../src/services/jsonrpc-stdio');
+
+function createFakeProcess() {
+  const proc = new EventEmitter();
+  proc.stdin = new PassThrough();
+  proc.stdout = new PassThrough();
+  proc.stderr = new PassThrough();
+  proc.killed = false;
+  proc.kill = (signal = 'SIGTERM') => {
+    proc.killed = true;
+    proc.emit('close', null, signal);
+  };
+  proc.written = [];
+  proc.stdin.on('data', (chunk) => {
+    for (const line of String(chunk).split('\n')) {
+      if (line.trim()) proc.written.push(JSON.parse(line));
+    }
+  });
+  proc.send = (payload) => proc.stdout.write(`${JSON.stringify(payload)}\n`);
+  return proc;
+}
+
+function flush() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+test('jsonrpc stdio connection spawns the server and correlates responses', async () => {
+  let spawned;
+  const connection = createJsonRpcStdioConnection({
+    args: ['serve'],
+    command: 'agent',
+    cwd: '/tmp/work',
+    env: { EXTRA: '1' },
+    spawnProcess: (command, args, opts) => {
+      spawned = { args, command, opts, proc: createFakeProcess() };
+      return spawned.proc;
+    },
+  });
+
+  connection.start();
+  assert.equal(spawned.command, 'agent');
+  assert.deepEqual(spawned.args, ['serve']);
+  assert.equal(spawned.opts.cwd, '/tmp/work');
+  assert.equal(spawned.opts.env.EXTRA, '1');
+  assert.equal(connection.isRunning(), true);
+
+  const first = connection.request('ping', { value: 1 });
+  const second = connection.request('fail', undefined);
+  await flush();
+  assert.deepEqual(spawned.proc.written, [
+    { method: 'ping', id: 1, params: { value: 1 } },
+    { method: 'fail', id: 2 },
+  ]);
+
+  spawned.proc.send({ id: 2, error: { code: -32000, message: 'nope' } });
+  spawned.proc.send({ id: 1, result: { pong: true } });
+  assert.deepEqual(await first, { pong: true });
+  await assert.rejects(second, (err) => err.message === 'nope' && err.code === -32000);
+});
+
+test('jsonrpc stdio connection routes server requests and notifications', async () => {
+  const requests = [];
+  const notifications = [];
+  let proc;
+  const connection = createJsonRpcStdioConnection({
+    command: 'agent',
+    onNotification: (message) => notifications.push(message),
+    onRequest: (message) => requests.push(message),
+    spawnProcess: () => {
+      proc = createFakeProcess();
+      return proc;
+    },
+  });
+  connection.start();
+
+  proc.send({ method: 'update', params: { n: 1 } });
+  proc.send({ id: 'srv-1', method: 'ask', params: {} });
+  proc.stdout.write('not json\n');
+  await flush();
+
+  assert.deepEqual(notifications, [{ method: 'update', params: { n: 1 } }]);
+  assert.equal(requests[0].id, 'srv-1');
+
+  connection.respond('srv-1', { ok: true });
+  connection.respondError(7, -32601, 'Unsupported');
+  connection.notify('cancel', { id: 1 });
+  await flush();
+  assert.deepEqual(proc.written, [
+    { id: 'srv-1', result: { ok: true } },
+    { id: 7, error: { code: -32601, message: 'Unsupported' } },
+    { method: 'cancel', params: { id: 1 } },
+  ]);
+});
+
+test('jsonrpc stdio connection rejects pending requests when the process exits', async () => {
+  const exits = [];
+  let proc;
+  const connection = createJsonRpcStdioConnection({
+    command: 'agent',
+    label: 'Test server',
+    onExit: (error) => exits.push(error.message),
+    spawnProcess: () => {
+      proc = createFakeProcess();
+      return proc;
+    },
+  });
+  connection.start();
+  const pending = connection.request('slow', {});
+  proc.emit('close', 1, null);
+
+  await assert.rejects(pending, /Test server exited: exit code 1/);
+  assert.deepEqual(exits, ['Test server exited: exit code 1']);
+  assert.equal(connection.isRunning(), false);
+  await assert.rejects(connection.request('again', {}), /Test server is not running/);
+});
+
+test('jsonrpc stdio connection stop kills the process without reporting an exit', async () => {
+  const exits = [];
+  let proc;
+  const connection = createJsonRpcStdioConnection({
+    command: 'agent',
+    onExit: (error) => exits.push(error),
+    spawnProcess: () => {
+      proc = createFakeProcess();
+      return proc;
+    },
+  });
+  connection.start();
+  const pending = connection.request('slow', {});
+  connection.stop(new Error('bye'));
+
+  await assert.rejects(pending, /bye/);
+  assert.equal(proc.killed, true);
+  assert.deepEqual(exits, []);
+});
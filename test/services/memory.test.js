@@ -1,6 +1,11 @@
 const assert = require('node:assert/strict');
 const test = require('node:test');
 
+const {
+  AUTO_MEMORY_END,
+  AUTO_MEMORY_START,
+  stripAutoMemorySection,
+} = require('../../src/memory-store');
 const { createMemoryService } = require('../../src/services/memory');
 
 test('buildCodexAppThreadInstructions includes the Telegram output style once at thread level', async () => {
@@ -36,3 +41,118 @@ test('buildCodexAppThreadInstructions includes the Telegram output style once at
   assert.match(instructions, /Tools \(tools\.md\):/);
   assert.match(instructions, /Memory \(memory\.md\):/);
 });
+
+test('buildBootstrapContext injects the facts visible from the chat and topic', async () => {
+  const factCalls = [];
+  const service = createMemoryService({
+    appendMemoryEvent: async () => {},
+    buildFactsContext: async (params) => {
+      factCalls.push(params);
+      return 'Known facts (/memory facts):\n- #1 (topic) Deploys run on Fridays';
+    },
+    buildThreadBootstrap: async () => '',
+    configPath: '/tmp/config.json',
+    curateMemory: async () => ({ eventsProcessed: 0, bytes: 0 }),
+    documentDir: '/tmp/documents',
+    extractDocumentTokens: (value) => ({ cleanedText: value, documentPaths: [] }),
+    extractImageTokens: (value) => ({ cleanedText: value, imagePaths: [] }),
+    extractScheduleOnceTokens: (value) => ({ cleanedText: value, schedules: [], errors: [] }),
+    getMemoryEventsSinceCurate: () => 0,
+    getMemoryPolicy: () => 'chat',
+    imageDir: '/tmp/images',
+    memoryCurateEvery: 100,
+    memoryPath: '/tmp/memory.md',
+    persistMemory: async (fn) => fn(),
+    readMemory: async () => ({ exists: false, content: '' }),
+    readSoul: async () => ({ exists: false, content: '' }),
+    readTools: async () => ({ exists: false, content: '' }),
+    setMemoryEventsSinceCurate: () => {},
+    soulPath: '/tmp/soul.md',
+    toolsPath: '/tmp/tools.md',
+  });
+
+  const bootstrap = await service.buildBootstrapContext({ chatId: 10, topicId: 7 });
+  assert.deepEqual(factCalls, [{ chatId: 10, policy: 'chat', topicId: 7 }]);
+  assert.match(bootstrap, /#1 \(topic\) Deploys run on Fridays\nEnd of facts\./);
+
+  const withoutFacts = await service.buildBootstrapContext({
+    chatId: 10,
+    includeFacts: false,
+  });
+  assert.doesNotMatch(withoutFacts, /Known facts/);
+});
+
+test('group chats without the open policy do not get the auto memory section', async () => {
+  const memoryContent = [
+    'Manual note: reply in Spanish.',
+    '',
+    AUTO_MEMORY_START,
+    '### Actividad reciente',
+    '- [2026-04-07 10:00] (user, root) My DM bank pin is 4321',
+    AUTO_MEMORY_END,
+  ].join('\n');
+  const service = createMemoryService({
+    appendMemoryEvent: async () => {},
+    buildThreadBootstrap: async () => '',
+    configPath: '/tmp/config.json',
+    curateMemory: async () => ({ eventsProcessed: 0, bytes: 0 }),
+    documentDir: '/tmp/documents',
+    extractDocumentTokens: (value) => ({ cleanedText: value, documentPaths: [] }),
+    extractImageTokens: (value) => ({ cleanedText: value, imagePaths: [] }),
+    extractScheduleOnceTokens: (value) => ({ cleanedText: value, schedules: [], errors: [] }),
+    getMemoryEventsSinceCurate: () => 0,
+    getMemoryPolicy: (chatId) => (chatId > 0 ? 'open' : 'shared'),
+    imageDir: '/tmp/images',
+    memoryCurateEvery: 100,
+    memoryPath: '/tmp/memory.md',
+    persistMemory: async (fn) => fn(),
+    readMemory: async () => ({ exists: true, content: memoryContent }),
+    readSoul: async () => ({ exists: false, content: '' }),
+    readTools: async () => ({ exists: false, content: '' }),
+    setMemoryEventsSinceCurate: () => {},
+    soulPath: '/tmp/soul.md',
+    stripAutoMemorySection,
+    toolsPath: '/tmp/tools.md',
+  });
+
+  const group = await service.buildBootstrapContext({ chatId: -100, includeFacts: false });
+  assert.match(group, /Manual note: reply in Spanish\./);
+  assert.doesNotMatch(group, /bank pin/);
+
+  const groupThread = await service.buildCodexAppThreadInstructions({ chatId: -100 });
+  assert.doesNotMatch(groupThread, /bank pin/);
+
+  const dm = await service.buildBootstrapContext({ chatId: 42, includeFacts: false });
+  assert.match(dm, /bank pin/);
+});
+
+test('captureMemoryEvent skips topics that opted out of memory capture', async () => {
+  const appended = [];
+  const service = createMemoryService({
+    appendMemoryEvent: async (event) => appended.push(event),
+    buildThreadBootstrap: async () => '',
+    configPath: '/tmp/config.json',
+    curateMemory: async () => ({ eventsProcessed: 0, bytes: 0 }),
+    documentDir: '/tmp/documents',
+    extractDocumentTokens: (value) => ({ cleanedText: value, documentPaths: [] }),
+    extractImageTokens: (value) => ({ cleanedText: value, imagePaths: [] }),
+    extractScheduleOnceTokens: (value) => ({ cleanedText: value, schedules: [], errors: [] }),
+    getMemoryEventsSinceCurate: () => 0,
+    imageDir: '/tmp/images',
+    isMemoryCaptureEnabled: (_chatId, topicId) => topicId !== 'private',
+    memoryCurateEvery: 100,
+    memoryPath: '/tmp/memory.md',
+    persistMemory: async (fn) => fn(),
+    readMemory: async () => ({ exists: false, content: '' }),
+    readSoul: async () => ({ exists: false, content: '' }),
+    readTools: async () => ({ exists: false, content: '' }),
+    setMemoryEventsSinceCurate: () => {},
+    soulPath: '/tmp/soul.md',
+    toolsPath: '/tmp/tools.md',
+  });
+
+  await service.captureMemoryEvent({ chatId: 1, text: 'hidden', topicId: 'private' });
+  await service.captureMemoryEvent({ chatId: 1, text: 'kept', topicId: 'public' });
+
+  assert.deepEqual(appended.map((event) => event.text), ['kept']);
+});
@@ -0,0 +1,44 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const { createPendingRequestStore } = require('../../src/services/pending-requests');
+
+test('pending request store keeps sections separate and survives reloads', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipal-pending-requests-'));
+  const filePath = path.join(dir, 'pending-requests.json');
+  const store = createPendingRequestStore({ filePath });
+
+  assert.deepEqual(await store.load('approvals'), []);
+  await Promise.all([
+    store.save('approvals', [{ chatId: 1, messageId: 10 }]),
+    store.save('elicitations', [{ chatId: 2, messageId: 20 }]),
+  ]);
+
+  const reloaded = createPendingRequestStore({ filePath });
+  assert.deepEqual(await reloaded.load('approvals'), [{ chatId: 1, messageId: 10 }]);
+  assert.deepEqual(await reloaded.load('elicitations'), [{ chatId: 2, messageId: 20 }]);
+
+  await reloaded.save('approvals', []);
+  const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  assert.deepEqual(saved, {
+    approvals: [],
+    elicitations: [{ chatId: 2, messageId: 20 }],
+  });
+});
+
+test('pending request store ignores unreadable files', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipal-pending-requests-'));
+  const filePath = path.join(dir, 'pending-requests.json');
+  await fs.writeFile(filePath, '{not json');
+  const warnings = [];
+  const store = createPendingRequestStore({
+    filePath,
+    logger: { warn: (...args) => warnings.push(args) },
+  });
+
+  assert.deepEqual(await store.load('approvals'), []);
+  assert.equal(warnings.length, 1);
+});
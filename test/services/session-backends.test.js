@@ -0,0 +1,67 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { createSessionBackends } = require('../../src/services/session-backends');
+
+function createHarness() {
+  const agents = {
+    'codex-app': { id: 'codex-app', backend: 'app-server' },
+    gemini: { id: 'gemini', label: 'Gemini', backend: 'app-server', protocol: 'acp', command: 'gemini --acp' },
+    aider: { id: 'aider', custom: true },
+  };
+  const created = [];
+  const codexAppServerClient = { name: 'codex' };
+  const codexLookups = [];
+  const backends = createSessionBackends({
+    createAcpClient: (options) => {
+      const client = {
+        options,
+        shutdownCalls: 0,
+        async shutdown() {
+          client.shutdownCalls += 1;
+        },
+      };
+      created.push(client);
+      return client;
+    },
+    getAgent: (id) => agents[id] || agents['codex-app'],
+    getCodexAppClient: (lookup) => {
+      codexLookups.push(lookup);
+      return codexAppServerClient;
+    },
+    logger: { warn() {} },
+  });
+  return { agents, backends, codexAppServerClient, codexLookups, created };
+}
+
+test('session backends resolve codex-app and lazily start one ACP client per agent', () => {
+  const { backends, codexAppServerClient, codexLookups, created } = createHarness();
+
+  assert.equal(backends.getClient('codex-app', { threadId: 'thread-1' }), codexAppServerClient);
+  assert.deepEqual(codexLookups, [{ threadId: 'thread-1' }]);
+  const client = backends.getClient('gemini');
+  assert.equal(backends.getClient('gemini'), client);
+  assert.equal(created.length, 1);
+  assert.deepEqual(client.options.args, ['-lc', 'exec gemini --acp']);
+  assert.equal(client.options.command, 'bash');
+  assert.equal(client.options.label, 'Gemini');
+  assert.equal(backends.isAcpAgent('gemini'), true);
+  assert.equal(backends.isAcpAgent('aider'), false);
+  assert.throws(() => backends.getClient('aider'), /Unsupported session-backed agent: aider/);
+  assert.throws(() => backends.getClient('missing'), /Unsupported session-backed agent/);
+});
+
+test('session backends restart ACP clients when the command changes and stop them on shutdown', async () => {
+  const { agents, backends, created } = createHarness();
+  const first = backends.getClient('gemini');
+  agents.gemini = { ...agents.gemini, command: 'gemini --acp --yolo' };
+  const second = backends.getClient('gemini');
+
+  assert.notEqual(first, second);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(first.shutdownCalls, 1);
+
+  await backends.shutdown();
+  assert.equal(second.shutdownCalls, 1);
+  assert.equal(created.length, 2);
+});
@@ -6,6 +6,7 @@ const {
   COMMAND_SCOPES,
   syncTelegramCommands,
 } = require('../../src/services/telegram-command-sync');
+const { normalizeAccessConfig } = require('../../src/roles');
 
 test('syncTelegramCommands publishes commands for default, private, and group scopes', async () => {
   const calls = [];
@@ -42,3 +43,46 @@ test('syncTelegramCommands publishes commands for default, private, and group sc
 test('syncTelegramCommands is a no-op when setMyCommands is unavailable', async () => {
   await syncTelegramCommands({}, console);
 });
+
+test('syncTelegramCommands hides higher-role commands behind per-user scopes', async () => {
+  const calls = [];
+  const warnings = [];
+  const bot = {
+    telegram: {
+      setMyCommands: async (commands, options) => {
+        if (options.scope.chat_id === 3) throw new Error('chat not found');
+        calls.push({ commands: commands.map((entry) => entry.command), scope: options.scope });
+      },
+    },
+  };
+  const access = normalizeAccessConfig({
+    users: {
+      1: 'admin',
+      2: { role: 'chatter', chats: { '-100': 'operator', '-100:5': 'admin' } },
+      3: 'operator',
+    },
+  });
+
+  await syncTelegramCommands(bot, { info() {}, warn: (message) => warnings.push(message) }, { access });
+
+  const defaultCalls = calls.filter((entry) => !entry.scope.chat_id);
+  assert.equal(defaultCalls.length, 3);
+  for (const entry of defaultCalls) {
+    assert.ok(entry.commands.includes('status'));
+    assert.ok(!entry.commands.includes('agent'));
+    assert.ok(!entry.commands.includes('document_scripts'));
+  }
+  const scoped = calls.filter((entry) => entry.scope.chat_id);
+  assert.deepEqual(
+    scoped.map((entry) => entry.scope),
+    [
+      { type: 'chat', chat_id: 1 },
+      { type: 'chat_member', chat_id: -100, user_id: 2 },
+    ]
+  );
+  assert.ok(scoped[0].commands.includes('document_scripts'));
+  assert.ok(scoped[1].commands.includes('agent'));
+  assert.ok(!scoped[1].commands.includes('document_scripts'));
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /scope=chat chat=3/);
+});
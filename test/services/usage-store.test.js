@@ -0,0 +1,102 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+function loadUsageStore(configHome) {
+  process.env.XDG_CONFIG_HOME = configHome;
+  for (const name of ['config-store.js', 'services/usage-store.js']) {
+    const modulePath = path.join(__dirname, '..', '..', 'src', name);
+    delete require.cache[require.resolve(modulePath)];
+  }
+  return require(path.join(__dirname, '..', '..', 'src', 'services', 'usage-store.js'));
+}
+
+test('appendUsageRecord writes jsonl entries that loadUsageRecords reads back', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipal-usage-'));
+  const { USAGE_PATH, appendUsageRecord, loadUsageRecords } = loadUsageStore(dir);
+
+  assert.deepEqual(await loadUsageRecords(), []);
+  await Promise.all([
+    appendUsageRecord({ agentId: 'codex', chatId: 1, inputTokens: 10, outputTokens: 2 }),
+    appendUsageRecord({ agentId: 'claude', chatId: 1, topicId: 5, status: 'failed' }),
+    appendUsageRecord({ chatId: 1 }),
+  ]);
+  await fs.appendFile(USAGE_PATH, 'not json\n');
+
+  const records = await loadUsageRecords();
+  assert.equal(records.length, 2);
+  assert.equal(records[0].agentId, 'codex');
+  assert.equal(records[0].chatId, '1');
+  assert.equal(records[0].topicId, null);
+  assert.equal(records[0].inputTokens, 10);
+  assert.equal(records[1].status, 'failed');
+  assert.equal(records[1].topicId, '5');
+});
+
+test('pruneUsageRecords drops records older than the retention window', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipal-usage-'));
+  const { appendUsageRecord, loadUsageRecords, pruneUsageRecords } = loadUsageStore(dir);
+  const now = new Date('2026-06-15T12:00:00.000Z');
+
+  await appendUsageRecord({ agentId: 'codex', createdAt: '2026-01-10T00:00:00.000Z' });
+  await appendUsageRecord({ agentId: 'codex', createdAt: '2026-05-20T00:00:00.000Z' });
+  await appendUsageRecord({ agentId: 'codex', createdAt: '2026-06-14T00:00:00.000Z' });
+
+  assert.deepEqual(await pruneUsageRecords({ maxAgeDays: 90, now }), { kept: 2, removed: 1 });
+  assert.equal((await loadUsageRecords()).length, 2);
+
+  // Shorter windows are raised to keep the current month for budgets.
+  assert.deepEqual(await pruneUsageRecords({ maxAgeDays: 1, now }), { kept: 2, removed: 0 });
+});
+
+test('filterUsageRecords narrows by time, topic and cron job', () => {
+  const { filterUsageRecords, normalizeUsageRecord } = loadUsageStore(os.tmpdir());
+  const records = [
+    { agentId: 'codex', chatId: 1, createdAt: '2026-01-01T10:00:00Z' },
+    { agentId: 'codex', chatId: 1, topicId: 7, createdAt: '2026-01-02T10:00:00Z' },
+    {
+      agentId: 'claude',
+      chatId: 1,
+      contextKey: 'cron:daily',
+      createdAt: '2026-01-03T10:00:00Z',
+    },
+    { agentId: 'codex', chatId: 2, createdAt: '2026-01-03T10:00:00Z' },
+  ].map(normalizeUsageRecord);
+
+  assert.equal(filterUsageRecords(records, { since: '2026-01-02T00:00:00Z' }).length, 3);
+  assert.equal(filterUsageRecords(records, { chatId: 1, topicId: undefined }).length, 2);
+  assert.equal(filterUsageRecords(records, { chatId: 1, topicId: 7 }).length, 1);
+  assert.deepEqual(
+    filterUsageRecords(records, { jobId: 'daily' }).map((record) => record.agentId),
+    ['claude']
+  );
+});
+
+test('summarizeUsage groups totals by agent, model and tier', () => {
+  const { formatUsageTotals, normalizeUsageRecord, summarizeUsage } =
+    loadUsageStore(os.tmpdir());
+  const summary = summarizeUsage(
+    [
+      { agentId: 'codex', model: 'gpt-5', inputTokens: 1000, outputTokens: 100, durationMs: 2000 },
+      { agentId: 'codex', model: 'gpt-5', inputTokens: 3000, outputTokens: 300, durationMs: 4000 },
+      { agentId: 'claude', costUsd: 0.5, durationMs: 1000, status: 'failed' },
+    ].map(normalizeUsageRecord)
+  );
+
+  assert.equal(summary.runs, 3);
+  assert.equal(summary.failedRuns, 1);
+  assert.equal(summary.inputTokens, 4000);
+  assert.equal(summary.byAgent.length, 2);
+  assert.equal(summary.byAgent[0].agentId, 'codex');
+  assert.equal(summary.byAgent[0].runs, 2);
+  assert.equal(
+    formatUsageTotals(summary.byAgent[0]),
+    '2 runs · in 4.0k · out 400 · avg 3.0s'
+  );
+  assert.equal(
+    formatUsageTotals(summary.byAgent[1]),
+    '1 run · in 0 · out 0 · avg 1.0s · $0.50 · 1 failed'
+  );
+});
@@ -0,0 +1,139 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { createUserInviteService } = require('../../src/services/user-invites');
+
+function createBotRecorder() {
+  const sentMessages = [];
+  const editedMessages = [];
+  let nextMessageId = 100;
+
+  return {
+    bot: {
+      telegram: {
+        editMessageText: async (chatId, messageId, _inlineMessageId, text, options) => {
+          editedMessages.push({ chatId, messageId, text, options });
+        },
+        sendMessage: async (chatId, text, options) => {
+          sentMessages.push({ chatId, text, options });
+          nextMessageId += 1;
+          return { message_id: nextMessageId };
+        },
+      },
+    },
+    editedMessages,
+    sentMessages,
+  };
+}
+
+function createCallbackContext(data, fromId, answers) {
+  return {
+    answerCbQuery: async (text) => {
+      answers.push(text);
+    },
+    callbackQuery: { data },
+    from: { id: fromId, username: `user${fromId}` },
+  };
+}
+
+const REQUEST = {
+  chatId: 55,
+  chatType: 'private',
+  firstName: 'Ana',
+  userId: 55,
+  username: 'ana',
+};
+
+test('requestInvite sends one card per admin and dedupes pending requests', async () => {
+  const { bot, sentMessages } = createBotRecorder();
+  const service = createUserInviteService({
+    bot,
+    getAdminIds: () => new Set(['1', '2']),
+    logger: { warn() {} },
+    onDecision: async () => null,
+  });
+
+  assert.equal(await service.requestInvite(REQUEST), true);
+  assert.equal(await service.requestInvite(REQUEST), false);
+  assert.equal(await service.requestInvite({ ...REQUEST, userId: 56, chatType: 'group' }), false);
+
+  assert.deepEqual(
+    sentMessages.map((message) => message.chatId),
+    ['1', '2', 55]
+  );
+  assert.match(sentMessages[0].text, /Ana @ana/);
+  const buttons = sentMessages[0].options.reply_markup.inline_keyboard.flat();
+  assert.deepEqual(
+    buttons.map((button) => button.text),
+    ['Allow', 'Allow read-only', 'Deny']
+  );
+  assert.equal(service.hasPendingInvite(55), true);
+});
+
+test('admin decisions update every card and notify the requester', async () => {
+  const { bot, editedMessages, sentMessages } = createBotRecorder();
+  const decisions = [];
+  const service = createUserInviteService({
+    bot,
+    getAdminIds: () => ['1', '2'],
+    logger: { warn() {} },
+    onDecision: async (decision) => {
+      decisions.push(decision);
+      return decision.action === 'readonly' ? 'read-only' : null;
+    },
+  });
+  await service.requestInvite(REQUEST);
+  const readOnlyData = sentMessages[0].options.reply_markup.inline_keyboard[0][1].callback_data;
+  const answers = [];
+
+  assert.equal(
+    await service.handleCallbackQuery(createCallbackContext(readOnlyData, 55, answers)),
+    true
+  );
+  assert.deepEqual(answers, ['Only admins can answer access requests.']);
+
+  await service.handleCallbackQuery(createCallbackContext(readOnlyData, 2, answers));
+  assert.equal(decisions.length, 1);
+  assert.equal(decisions[0].action, 'readonly');
+  assert.equal(decisions[0].userId, '55');
+  assert.equal(editedMessages.length, 2);
+  assert.match(editedMessages[0].text, /allowed as read-only by @user2/);
+  assert.match(sentMessages.at(-1).text, /Access granted \(read-only\)/);
+  assert.equal(service.hasPendingInvite(55), false);
+
+  await service.handleCallbackQuery(createCallbackContext(readOnlyData, 1, answers));
+  assert.equal(answers.at(-1), 'This access request is no longer active.');
+  assert.equal(
+    await service.handleCallbackQuery(createCallbackContext('approval:x:accept', 1, answers)),
+    false
+  );
+});
+
+test('denied users are not re-announced and failed decisions stay pending', async () => {
+  const { bot, sentMessages } = createBotRecorder();
+  let fail = true;
+  const service = createUserInviteService({
+    bot,
+    getAdminIds: () => ['1'],
+    isDenied: (userId) => userId === '99',
+    logger: { warn() {} },
+    onDecision: async () => {
+      if (fail) throw new Error('disk full');
+      return null;
+    },
+  });
+
+  assert.equal(await service.requestInvite({ ...REQUEST, chatId: 99, userId: 99 }), false);
+  await service.requestInvite(REQUEST);
+  const denyData = sentMessages[0].options.reply_markup.inline_keyboard[1][0].callback_data;
+  const answers = [];
+
+  await service.handleCallbackQuery(createCallbackContext(denyData, 1, answers));
+  assert.equal(answers.at(-1), 'Failed to save the decision.');
+  assert.equal(service.hasPendingInvite(55), true);
+
+  fail = false;
+  await service.handleCallbackQuery(createCallbackContext(denyData, 1, answers));
+  assert.equal(answers.at(-1), 'Denied');
+  assert.equal(sentMessages.at(-1).text, 'Your access request was denied.');
+});
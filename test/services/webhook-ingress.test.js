@@ -0,0 +1,211 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { createHttpServer } = require('../../src/services/http-server');
+const { createWebhookIngress } = require('../../src/services/webhook-ingress');
+
+function buildIngress(overrides = {}) {
+  const events = [];
+  const runCalls = [];
+  const sentResponses = [];
+  const queued = [];
+  const ingress = createWebhookIngress({
+    buildMemoryThreadKey: (chatId, topicId, agentId, contextKey) =>
+      `${chatId}:${contextKey || topicId || 'root'}:${agentId}`,
+    buildTopicKey: (chatId, topicId) => `${chatId}:${topicId || 'root'}`,
+    captureMemoryEvent: async (event) => {
+      events.push(event);
+    },
+    enqueue: (key, fn) => {
+      queued.push(key);
+      return fn();
+    },
+    extractMemoryText: (value) => String(value || '').trim(),
+    getDefaultChatId: () => 555,
+    isKnownAgent: (value) => ['codex', 'claude'].includes(value),
+    normalizeAgent: (value) => value,
+    resolveEffectiveAgentId: (_chatId, _topicId, agent) => agent || 'codex',
+    runAgentForChat: async (chatId, prompt, options) => {
+      runCalls.push({ chatId, prompt, options });
+      return 'pong';
+    },
+    sendResponseToChat: async (chatId, response, options) => {
+      sentResponses.push({ chatId, response, options });
+    },
+    ...overrides,
+  });
+  return { events, ingress, queued, runCalls, sentResponses };
+}
+
+test('webhook ingress routes a message through the topic queue and replies in the chat', async () => {
+  const { events, ingress, queued, runCalls, sentResponses } = buildIngress();
+
+  const result = await ingress.handleMessageRequest({
+    body: { text: 'ping', chatId: '-100123', topicId: 42, agent: 'claude', wait: true },
+  });
+
+  assert.equal(result.status, 200);
+  assert.deepEqual(result.body, { ok: true, agentId: 'claude', response: 'pong' });
+  assert.deepEqual(queued, ['-100123:42']);
+  assert.equal(runCalls[0].chatId, -100123);
+  assert.equal(runCalls[0].options.agentId, 'claude');
+  assert.equal(runCalls[0].options.topicId, 42);
+  assert.deepEqual(sentResponses.map((entry) => entry.response), ['pong']);
+  assert.deepEqual(
+    events.map((event) => [event.role, event.kind, event.text]),
+    [
+      ['user', 'webhook', 'ping'],
+      ['assistant', 'text', 'pong'],
+    ]
+  );
+});
+
+test('webhook ingress falls back to the default chat and accepts without waiting', async () => {
+  const { ingress, runCalls } = buildIngress();
+
+  const result = await ingress.handleMessageRequest({ body: { text: 'hola' } });
+
+  assert.equal(result.status, 202);
+  assert.equal(result.body.chatId, 555);
+  assert.equal(runCalls[0].chatId, 555);
+});
+
+test('webhook ingress tells the chat when a queued run fails', async () => {
+  const notices = [];
+  let finishRun;
+  const runDone = new Promise((resolve) => {
+    finishRun = resolve;
+  });
+  const { ingress, sentResponses } = buildIngress({
+    bot: {
+      telegram: {
+        sendMessage: async (chatId, text, extra) => {
+          notices.push({ chatId, text, extra });
+          finishRun();
+        },
+      },
+    },
+    formatError: (err) => `Detalle: ${err.message}`,
+    runAgentForChat: async () => {
+      throw new Error('boom');
+    },
+  });
+
+  const result = await ingress.handleMessageRequest({
+    body: { text: 'ping', chatId: 7, topicId: 42, source: 'github' },
+  });
+  assert.equal(result.status, 202);
+  await runDone;
+
+  assert.equal(sentResponses.length, 0);
+  assert.deepEqual(notices, [
+    {
+      chatId: 7,
+      text: 'Error processing github message.\nDetalle: boom',
+      extra: { message_thread_id: 42 },
+    },
+  ]);
+});
+
+test('webhook ingress rejects invalid requests', async () => {
+  const { ingress } = buildIngress({ getDefaultChatId: () => null });
+
+  await assert.rejects(
+    ingress.handleMessageRequest({ body: { text: '' } }),
+    (err) => err.status === 400 && /Missing text/.test(err.message)
+  );
+  await assert.rejects(
+    ingress.handleMessageRequest({ body: { text: 'hola' } }),
+    (err) => err.status === 400 && /Missing chatId/.test(err.message)
+  );
+  await assert.rejects(
+    ingress.handleMessageRequest({ body: { text: 'hola', chatId: 1, agent: 'nope' } }),
+    (err) => err.status === 400 && /Unknown agent/.test(err.message)
+  );
+});
+
+test('webhook ingress reports agent failures when waiting', async () => {
+  const notices = [];
+  const { ingress, sentResponses } = buildIngress({
+    bot: { telegram: { sendMessage: async (...args) => notices.push(args) } },
+    runAgentForChat: async () => {
+      throw new Error('boom');
+    },
+  });
+
+  const result = await ingress.handleMessageRequest({
+    body: { text: 'ping', chatId: 1, wait: true },
+  });
+
+  assert.equal(result.status, 502);
+  assert.equal(result.body.error, 'boom');
+  assert.equal(sentResponses.length, 0);
+  assert.equal(notices.length, 0);
+});
+
+test('http server enforces bearer token and serves /api/messages', async (t) => {
+  const { ingress } = buildIngress();
+  const server = createHttpServer({
+    authToken: 'secret',
+    port: 0,
+    routes: ingress.routes,
+  });
+  const address = await server.start();
+  t.after(() => server.stop());
+  const url = `http://127.0.0.1:${address.port}/api/messages`;
+
+  const unauthorized = await fetch(url, {
+    method: 'POST',
+    body: JSON.stringify({ text: 'hola' }),
+  });
+  assert.equal(unauthorized.status, 401);
+
+  const notFound = await fetch(`http://127.0.0.1:${address.port}/nope`, {
+    headers: { Authorization: 'Bearer secret' },
+  });
+  assert.equal(notFound.status, 404);
+
+  const wrongMethod = await fetch(url, {
+    headers: { Authorization: 'Bearer secret' },
+  });
+  assert.equal(wrongMethod.status, 405);
+
+  const invalid = await fetch(url, {
+    method: 'POST',
+    headers: { Authorization: 'Bearer secret' },
+    body: '{nope',
+  });
+  assert.equal(invalid.status, 400);
+
+  const accepted = await fetch(url, {
+    method: 'POST',
+    headers: { Authorization: 'Bearer secret', 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text: 'hola', wait: true }),
+  });
+  assert.equal(accepted.status, 200);
+  assert.deepEqual(await accepted.json(), { ok: true, agentId: 'codex', response: 'pong' });
+});
+
+test('http server rejects malformed escapes in path params with 400', async (t) => {
+  const server = createHttpServer({
+    port: 0,
+    routes: [
+      {
+        method: 'GET',
+        path: /^\/api\/cron\/(?<jobId>[^/]+)$/,
+        handler: async ({ params }) => ({ body: { ok: true, jobId: params.jobId } }),
+      },
+    ],
+  });
+  const address = await server.start();
+  t.after(() => server.stop());
+  const base = `http://127.0.0.1:${address.port}/api/cron`;
+
+  const malformed = await fetch(`${base}/%E0%A4%A`);
+  assert.equal(malformed.status, 400);
+  assert.deepEqual(await malformed.json(), { ok: false, error: 'Invalid jobId in path' });
+
+  const encoded = await fetch(`${base}/daily%20report`);
+  assert.equal(encoded.status, 200);
+  assert.deepEqual(await encoded.json(), { ok: true, jobId: 'daily report' });
+});
@@ -0,0 +1,108 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+const { fileURLToPath } = require('node:url');
+
+const { registerStopCommand } = require('../../src/commands/stop');
+const { createLocalTransport } = require('../../src/transports/local');
+
+function buildTransport(options = {}) {
+  const lines = [];
+  const output = {
+    write(chunk) {
+      lines.push(...String(chunk).split('\n').filter(Boolean));
+    },
+  };
+  const bot = createLocalTransport({ chatId: 77, input: null, output, ...options });
+  return { bot, lines };
+}
+
+test('local transport dispatches commands before generic text handlers', async () => {
+  const { bot, lines } = buildTransport();
+  const seen = [];
+  bot.use((ctx, next) => {
+    seen.push(`mw:${ctx.from.id}`);
+    return next();
+  });
+  registerStopCommand({
+    bot,
+    getAgentLabel: (id) => id,
+    getTopicId: (ctx) => ctx.message?.message_thread_id,
+    replyWithError: async () => {},
+    resolveEffectiveAgentId: () => 'codex',
+    stopActiveRun: async () => ({ status: 'idle' }),
+  });
+  bot.on('text', async (ctx) => {
+    seen.push(`text:${ctx.message.text}`);
+    await ctx.reply('<b>hola</b> &amp; adios', { parse_mode: 'HTML' });
+  });
+
+  await bot.processLine('/stop');
+  await bot.processLine('!topic 42');
+  await bot.processLine('buenas');
+
+  assert.deepEqual(seen, ['mw:1', 'mw:1', 'text:buenas']);
+  assert.deepEqual(lines, [
+    '[bot #2] No active codex run in this topic.',
+    '[topic] 42',
+    '[bot #4 topic=42] hola & adios',
+  ]);
+});
+
+test('local transport renders inline keyboards and routes taps as callback queries', async () => {
+  const { bot, lines } = buildTransport();
+  const callbacks = [];
+  bot.on('callback_query', async (ctx) => {
+    callbacks.push(ctx.callbackQuery.data);
+    await ctx.answerCbQuery('Approved');
+    await ctx.editMessageText('Done <usage>', { reply_markup: { inline_keyboard: [] } });
+  });
+
+  await bot.telegram.sendMessage(77, 'Approve?', {
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: 'Yes', callback_data: 'approve:1' }, { text: 'No', callback_data: 'deny:1' }],
+        [{ text: 'Docs', url: 'https://example.com' }],
+      ],
+    },
+  });
+  await bot.processLine('!tap 1 3');
+  await bot.processLine('!tap 1');
+  await bot.processLine('!tap 2');
+
+  assert.deepEqual(callbacks, ['approve:1']);
+  assert.deepEqual(lines, [
+    '[bot #1] Approve?',
+    '  [1] Yes',
+    '  [2] No',
+    '  [3] Docs (https://example.com)',
+    '[open] https://example.com',
+    '[notice] Approved',
+    '[edit #1] Done <usage>',
+    '[error] No button 2 on message #1',
+  ]);
+});
+
+test('local transport exposes sent files through getFileLink', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'aipal-local-'));
+  const filePath = path.join(tmp, 'notes.pdf');
+  await fs.writeFile(filePath, 'pdf');
+  const { bot } = buildTransport();
+  const received = [];
+  bot.on('document', async (ctx) => {
+    const link = await ctx.telegram.getFileLink(ctx.message.document.file_id);
+    received.push({
+      caption: ctx.message.caption,
+      mimeType: ctx.message.document.mime_type,
+      path: fileURLToPath(link),
+    });
+  });
+
+  await bot.processLine(`!file ${filePath} | resume esto`);
+
+  assert.deepEqual(received, [
+    { caption: 'resume esto', mimeType: 'application/pdf', path: filePath },
+  ]);
+});
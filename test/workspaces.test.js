@@ -0,0 +1,66 @@
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const {
+  buildSandboxPolicy,
+  formatWorkspace,
+  normalizeWorkspaceBindings,
+  normalizeWorkspaces,
+  resolveWorkspace,
+} = require('../src/workspaces');
+
+test('normalizeWorkspaces expands paths, defaults the sandbox, and skips invalid entries', () => {
+  const warnings = [];
+  const workspaces = normalizeWorkspaces(
+    {
+      API: { cwd: '~/projects/api', sandbox: 'workspace-write', dedicatedServer: true },
+      web: '/srv/web',
+      broken: { sandbox: 'read-only' },
+      weird: { cwd: '/tmp', sandbox: 'yolo' },
+      'bad id': '/tmp',
+    },
+    { warn: (message) => warnings.push(message) }
+  );
+
+  assert.deepEqual(Array.from(workspaces.keys()), ['api', 'web']);
+  assert.deepEqual(workspaces.get('api'), {
+    cwd: path.join(os.homedir(), 'projects/api'),
+    dedicatedServer: true,
+    id: 'api',
+    networkAccess: false,
+    sandbox: 'workspace-write',
+  });
+  assert.equal(workspaces.get('web').sandbox, 'danger-full-access');
+  assert.equal(warnings.length, 3);
+  assert.match(warnings[1], /unsupported sandbox "yolo"/);
+});
+
+test('workspace bindings resolve per topic and drop unknown workspaces', () => {
+  const workspaces = normalizeWorkspaces({ api: '/srv/api' });
+  const warnings = [];
+  const bindings = normalizeWorkspaceBindings(
+    { '1:7': 'API', '1:root': 'missing' },
+    workspaces,
+    { warn: (message) => warnings.push(message) }
+  );
+
+  assert.deepEqual(Array.from(bindings.entries()), [['1:7', 'api']]);
+  assert.equal(resolveWorkspace(workspaces, bindings, 1, 7).cwd, '/srv/api');
+  assert.equal(resolveWorkspace(workspaces, bindings, 1, undefined), null);
+  assert.equal(warnings.length, 1);
+});
+
+test('buildSandboxPolicy maps sandbox modes to app-server policies', () => {
+  assert.deepEqual(buildSandboxPolicy(null), { type: 'dangerFullAccess' });
+  assert.deepEqual(buildSandboxPolicy({ sandbox: 'read-only' }), { type: 'readOnly' });
+  assert.deepEqual(
+    buildSandboxPolicy({ cwd: '/srv/api', networkAccess: true, sandbox: 'workspace-write' }),
+    { networkAccess: true, type: 'workspaceWrite', writableRoots: ['/srv/api'] }
+  );
+  assert.equal(
+    formatWorkspace({ cwd: '/srv/api', dedicatedServer: true, id: 'api', sandbox: 'read-only' }),
+    'api (/srv/api, read-only, dedicated app-server)'
+  );
+});